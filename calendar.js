@@ -0,0 +1,375 @@
+/**
+ * 历法与时间
+ * 把 currentDateTime（如“天元历3021年3月15日 午时”）解析为以时辰为单位的序号，按剧本包的历法（纪元、每年月数、每月天数）推算日期。
+ * 每回合由AI在 timeElapsed 中声明经过的时间（闭关数月、赶路数日），系统据此改写日期、增长年龄、恢复体力法力、提示寿元将尽，
+ * 并在日期到达时触发日程（宗门考核、拍卖会、与NPC的约定等）。
+ * 本模块只做计算，不保存状态：当前日期就是变量中的 currentDateTime，日程列表保存在存档的 calendar 中
+ */
+
+// 十二时辰，每个时辰是一个时间单位（一天12个）
+const SHICHEN = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
+
+// 只写季节时按季节的第一个月计算
+const SEASON_MONTHS = { 春: 1, 夏: 4, 秋: 7, 冬: 10 };
+
+// 农历月份的别称
+const MONTH_ALIASES = { 正: 1, 冬: 11, 腊: 12 };
+
+const CHINESE_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const CHINESE_UNITS = { 十: 10, 百: 100, 千: 1000, 万: 10000 };
+
+// 时长单位对应的天数（时辰单独处理）
+const DURATION_UNITS = [
+    { pattern: '年|载', days: config => config.monthsPerYear * config.daysPerMonth },
+    { pattern: '个?月', days: config => config.daysPerMonth },
+    { pattern: '旬', days: () => 10 },
+    { pattern: '周|个?星期', days: () => 7 },
+    { pattern: '天|日|夜', days: () => 1 },
+    { pattern: '个?时辰', days: () => 1 / 12 }
+];
+
+const NUMBER_PATTERN = '\\d+(?:\\.\\d+)?|[零〇一二两三四五六七八九十百千万廿卅]+';
+
+class GameCalendar {
+    constructor() {
+        this.shichen = SHICHEN;
+        this.nearLifespanRatio = 0.1; // 剩余寿元不足寿元上限的10%（至少5年）时提示寿元将尽
+        this.nearLifespanYears = 5;
+        this.upcomingDays = 30;       // 提示AI的近期日程范围（天）
+    }
+
+    // ---------- 数字与单位 ----------
+
+    /**
+     * 阿拉伯数字或中文数字（三千零二十一、廿三、十五）转为数值，无法识别时返回 null
+     */
+    parseNumber(text) {
+        if (text === undefined || text === null || text === '') return null;
+        if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+
+        let value = text;
+        let prefix = 0;
+        if (value[0] === '廿' || value[0] === '卅') {
+            prefix = value[0] === '廿' ? 20 : 30;
+            value = value.slice(1);
+        }
+        // 没有单位的中文数字逐位读（如“三零二一”）
+        if (value && !/[十百千万]/.test(value)) {
+            const digits = [...value].map(ch => CHINESE_DIGITS[ch]);
+            if (digits.some(d => d === undefined)) return null;
+            return prefix + parseInt(digits.join(''), 10);
+        }
+
+        let total = 0;
+        let section = 0;
+        let number = 0;
+        for (const ch of value) {
+            if (CHINESE_DIGITS[ch] !== undefined) {
+                number = CHINESE_DIGITS[ch];
+            } else if (CHINESE_UNITS[ch]) {
+                const unit = CHINESE_UNITS[ch];
+                if (unit === 10000) {
+                    total += (section + number) * unit;
+                    section = 0;
+                } else {
+                    section += (number || 1) * unit;
+                }
+                number = 0;
+            } else {
+                return null;
+            }
+        }
+        return prefix + total + section + number;
+    }
+
+    ticksPerDay() {
+        return SHICHEN.length;
+    }
+
+    ticksPerYear(config) {
+        return config.monthsPerYear * config.daysPerMonth * SHICHEN.length;
+    }
+
+    // ---------- 日期 ----------
+
+    /**
+     * 纪元：剧本包中定义的纪元按 start（该纪元元年对应的绝对年份）换算，未定义的纪元名（AI自创）从绝对年份1年算起
+     */
+    findEra(config, name) {
+        const era = config.eras.find(e => e.name === name);
+        return era ? { name: era.name, start: era.start } : { name: name || config.eras[0].name, start: name ? 1 : config.eras[0].start };
+    }
+
+    /**
+     * 解析日期文本，返回 { era, year, month, day, shichen, ordinal }，无法解析时返回 null
+     * 缺少纪元和年份时沿用 current（上一次解析的结果）的年份；缺少月、日、时辰时取该段的第一天/子时
+     */
+    parse(config, text, current = null) {
+        if (!config || typeof text !== 'string' || !text.trim()) return null;
+        const value = text.replace(/\s+/g, ' ').trim();
+
+        let era = null;
+        let year = null;
+        const yearMatch = value.match(new RegExp(`^(.*?)(${NUMBER_PATTERN}|元)年`));
+        if (yearMatch) {
+            year = yearMatch[2] === '元' ? 1 : this.parseNumber(yearMatch[2]);
+            era = this.findEra(config, yearMatch[1].trim());
+        } else if (current) {
+            year = current.year;
+            era = current.era;
+        }
+        if (!year || !era) return null;
+
+        const rest = yearMatch ? value.slice(yearMatch[0].length) : value;
+        let month = 1;
+        let day = 1;
+        const monthMatch = rest.match(new RegExp(`(${NUMBER_PATTERN}|[正冬腊])月`));
+        if (monthMatch) {
+            month = MONTH_ALIASES[monthMatch[1]] || this.parseNumber(monthMatch[1]) || 1;
+            const dayMatch = rest.slice(rest.indexOf(monthMatch[0]) + monthMatch[0].length).match(new RegExp(`^\\s*初?(${NUMBER_PATTERN})[日号]?`));
+            if (dayMatch) day = this.parseNumber(dayMatch[1]) || 1;
+        } else {
+            const season = rest.match(/[春夏秋冬](?!月)/);
+            if (season) month = SEASON_MONTHS[season[0]];
+        }
+        const shichenMatch = rest.match(/([子丑寅卯辰巳午未申酉戌亥])时/);
+        const shichen = shichenMatch ? SHICHEN.indexOf(shichenMatch[1]) : 0;
+        // 没有年份时至少要有月份、季节或时辰，否则不算日期
+        if (!yearMatch && !monthMatch && !shichenMatch && !/[春夏秋冬]/.test(rest)) return null;
+
+        month = Math.min(Math.max(1, Math.floor(month)), config.monthsPerYear);
+        day = Math.min(Math.max(1, Math.floor(day)), config.daysPerMonth);
+        const absoluteYear = era.start + year - 1;
+        const ordinal = ((absoluteYear * config.monthsPerYear + month - 1) * config.daysPerMonth + day - 1) * SHICHEN.length + shichen;
+        return { era: era, year: year, month: month, day: day, shichen: shichen, ordinal: ordinal };
+    }
+
+    /**
+     * 序号转为日期；era 为原日期所用的纪元，到达剧本包中更晚纪元的元年时自动改元
+     */
+    fromOrdinal(config, ordinal, era) {
+        const perDay = SHICHEN.length;
+        const shichen = ((ordinal % perDay) + perDay) % perDay;
+        const days = Math.floor(ordinal / perDay);
+        const day = ((days % config.daysPerMonth) + config.daysPerMonth) % config.daysPerMonth + 1;
+        const months = Math.floor(days / config.daysPerMonth);
+        const month = ((months % config.monthsPerYear) + config.monthsPerYear) % config.monthsPerYear + 1;
+        const absoluteYear = Math.floor(months / config.monthsPerYear);
+
+        let current = era;
+        if (config.eras.some(e => e.name === era.name)) {
+            const later = config.eras.filter(e => e.start <= absoluteYear).sort((a, b) => b.start - a.start)[0];
+            if (later && later.start > era.start) current = { name: later.name, start: later.start };
+        }
+        return { era: current, year: absoluteYear - current.start + 1, month: month, day: day, shichen: shichen, ordinal: ordinal };
+    }
+
+    format(config, ordinal, era) {
+        const date = this.fromOrdinal(config, ordinal, era);
+        return `${date.era.name}${date.year}年${date.month}月${date.day}日 ${SHICHEN[date.shichen]}时`;
+    }
+
+    // ---------- 时长 ----------
+
+    /**
+     * 解析时长文本（“三个月”“一年零两个月”“半日”“两个时辰”），返回时辰数；无法识别时返回 null
+     * “片刻”“须臾”等按0计算
+     */
+    parseDuration(config, text) {
+        if (typeof text !== 'string' || !text.trim()) return null;
+        if (/^(片刻|须臾|转眼|瞬间|一瞬)/.test(text.trim())) return 0;
+
+        let days = 0;
+        let matched = false;
+        DURATION_UNITS.forEach(unit => {
+            const regex = new RegExp(`(${NUMBER_PATTERN}|半|数|几)?(个)?(半)?(?:${unit.pattern})`, 'g');
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                // “午时”“子时”等时刻不是时长
+                if (!match[1] && unit.days(config) === 1 / 12) continue;
+                let count = match[1] === '半' ? 0.5 : (match[1] === '数' || match[1] === '几' ? 3 : (match[1] ? this.parseNumber(match[1]) : 1));
+                if (count === null) continue;
+                if (match[3]) count += 0.5;
+                days += count * unit.days(config);
+                matched = true;
+            }
+        });
+        return matched ? Math.round(days * SHICHEN.length) : null;
+    }
+
+    // 时辰数转为可读的时长（“1年3个月”“5天2个时辰”）
+    describeDuration(config, ticks) {
+        if (!ticks) return '片刻';
+        const perDay = SHICHEN.length;
+        const perMonth = config.daysPerMonth * perDay;
+        const perYear = config.monthsPerYear * perMonth;
+        const parts = [];
+        let rest = ticks;
+        [[perYear, '年'], [perMonth, '个月'], [perDay, '天'], [1, '个时辰']].forEach(([size, label]) => {
+            const count = Math.floor(rest / size);
+            if (count > 0) {
+                parts.push(`${count}${label}`);
+                rest -= count * size;
+            }
+        });
+        return parts.slice(0, 2).join('');
+    }
+
+    // ---------- 随时间变化的数值 ----------
+
+    /**
+     * 从 from 到 to 之间经过了几次生日（birthday 为生日在一年中的时辰偏移）
+     */
+    countBirthdays(config, birthday, from, to) {
+        const perYear = this.ticksPerYear(config);
+        return Math.floor((to - birthday) / perYear) - Math.floor((from - birthday) / perYear);
+    }
+
+    /**
+     * 经过 ticks 个时辰后体力法力的恢复量（按剧本包中每天恢复上限的百分比），返回 { hp, mp }
+     */
+    calculateRegen(config, variables, ticks) {
+        const days = ticks / SHICHEN.length;
+        const amount = (current, max, percent) => {
+            if (!Number.isFinite(current) || !Number.isFinite(max) || current >= max) return 0;
+            return Math.min(max - current, Math.floor(max * percent / 100 * days));
+        };
+        return {
+            hp: amount(variables.hp, variables.hpMax, config.hpRegenPerDay),
+            mp: amount(variables.mp, variables.mpMax, config.mpRegenPerDay)
+        };
+    }
+
+    /**
+     * 寿元状态：null（无寿元上限或尚远）、near（将尽）或 expired（已尽），返回 { level, remaining }
+     */
+    checkLifespan(age, lifespan) {
+        if (!Number.isFinite(lifespan) || !Number.isFinite(age)) return null;
+        const remaining = lifespan - age;
+        if (remaining <= 0) return { level: 'expired', remaining: 0 };
+        if (remaining <= Math.max(this.nearLifespanYears, Math.ceil(lifespan * this.nearLifespanRatio))) {
+            return { level: 'near', remaining: remaining };
+        }
+        return null;
+    }
+
+    // ---------- 日程 ----------
+
+    createState() {
+        return {
+            birthday: null, // 生日在一年中的时辰偏移（第一次得到可解析的日期时确定，用于自动增长年龄）
+            events: [],     // 日程：[{ id, title, description, ordinal, repeat: null | 'yearly' | 'monthly', source: 'pack' | 'player' | 'ai' }]
+            due: [],        // 最近一次时间流逝中到期的日程（下一回合告诉AI）
+            lifespanWarning: null // 上一次的寿元提示等级（变化时才发出提示）
+        };
+    }
+
+    createId() {
+        return `event_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * 整理一条日程：date 可以是日期（“3月15日 午时”，缺年份时取今年，已过去的按下一年/下个月）、
+     * 相对时间（“三日后”“一个月后”）或序号；日期以“每年”“每月”开头时为重复日程
+     * now 为当前日期（parse 的结果），无法解析日期时抛出错误
+     */
+    normalizeEvent(config, raw, now) {
+        if (!raw || typeof raw !== 'object' || !raw.title || !String(raw.title).trim()) {
+            throw new Error('日程缺少标题');
+        }
+        let dateText = typeof raw.date === 'string' ? raw.date.trim() : '';
+        let repeat = raw.repeat === 'yearly' || raw.repeat === 'monthly' ? raw.repeat : null;
+        if (/^每年/.test(dateText)) repeat = 'yearly';
+        if (/^每月/.test(dateText)) repeat = 'monthly';
+        dateText = dateText.replace(/^每[年月]/, '');
+
+        let ordinal = Number.isFinite(raw.ordinal) ? raw.ordinal : null;
+        if (ordinal === null && /[后後]$/.test(dateText)) {
+            const ticks = this.parseDuration(config, dateText.replace(/[之以]?[后後]$/, ''));
+            if (ticks !== null) ordinal = now.ordinal + ticks;
+        }
+        if (ordinal === null && dateText) {
+            const text = repeat === 'monthly' && !/月/.test(dateText) ? `${now.month}月${dateText}` : dateText;
+            const parsed = this.parse(config, text, now);
+            if (parsed) {
+                ordinal = parsed.ordinal;
+                // 没写年份的日期已经过去时，指明年的这一天
+                if (!repeat && !/年/.test(text) && ordinal <= now.ordinal) {
+                    ordinal += this.repeatPeriod(config, 'yearly');
+                }
+            }
+        }
+        if (ordinal === null) {
+            throw new Error(`无法识别日程「${raw.title}」的日期：${raw.date || '（空）'}`);
+        }
+        if (repeat) {
+            ordinal = this.nextOccurrence(config, { ordinal: ordinal, repeat: repeat }, now.ordinal);
+        } else if (ordinal <= now.ordinal) {
+            throw new Error(`日程「${raw.title}」的日期已经过去`);
+        }
+
+        return {
+            id: raw.id ? String(raw.id) : this.createId(),
+            title: String(raw.title).trim(),
+            description: raw.description ? String(raw.description).trim() : '',
+            ordinal: ordinal,
+            repeat: repeat,
+            source: ['pack', 'player', 'ai'].includes(raw.source) ? raw.source : 'player'
+        };
+    }
+
+    repeatPeriod(config, repeat) {
+        const perMonth = config.daysPerMonth * SHICHEN.length;
+        return repeat === 'yearly' ? perMonth * config.monthsPerYear : perMonth;
+    }
+
+    // 重复日程在 after 之后（不含）的下一次发生时间
+    nextOccurrence(config, event, after) {
+        if (!event.repeat || event.ordinal > after) return event.ordinal;
+        const period = this.repeatPeriod(config, event.repeat);
+        return event.ordinal + (Math.floor((after - event.ordinal) / period) + 1) * period;
+    }
+
+    /**
+     * from（不含）到 to（含）之间到期的日程，返回 { due: [到期的日程], events: [剩余的日程] }
+     * 一次性日程到期后移出列表，重复日程顺延到下一次
+     */
+    collectDue(config, events, from, to) {
+        const due = [];
+        const remaining = [];
+        events.forEach(event => {
+            if (event.ordinal > from && event.ordinal <= to) {
+                due.push({ ...event });
+                if (event.repeat) remaining.push({ ...event, ordinal: this.nextOccurrence(config, event, to) });
+            } else if (event.ordinal > to || event.repeat) {
+                remaining.push(event.ordinal > to ? event : { ...event, ordinal: this.nextOccurrence(config, event, to) });
+            }
+        });
+        return { due: due, events: remaining };
+    }
+
+    /**
+     * 即将发生的日程（按时间排序），withinDays 为 null 时不限范围
+     */
+    getUpcoming(events, now, withinDays = null, limit = 5) {
+        return events
+            .filter(event => event.ordinal > now && (withinDays === null || event.ordinal - now <= withinDays * SHICHEN.length))
+            .sort((a, b) => a.ordinal - b.ordinal)
+            .slice(0, limit);
+    }
+
+    // 日程的说明文字：“宗门大比（天元历3021年9月9日 辰时，还有3天）”
+    describeEvent(config, event, now, era) {
+        const when = this.format(config, event.ordinal, era);
+        const countdown = event.ordinal > now ? `，还有${this.describeDuration(config, event.ordinal - now)}` : '';
+        const repeat = event.repeat === 'yearly' ? '，每年' : (event.repeat === 'monthly' ? '，每月' : '');
+        return `${event.title}（${when}${repeat}${countdown}）${event.description ? '：' + event.description : ''}`;
+    }
+}
+
+// 创建全局实例
+window.gameCalendar = new GameCalendar();
+
+console.log('[历法系统] 已加载，使用方法：');
+console.log('1. window.gameEngine.advanceTime(时辰数) - 推进时间（年龄、体力法力恢复、日程与寿元提示自动结算）');
+console.log('2. window.gameEngine.addScheduledEvent({ title, date: "3月15日 午时" | "三日后" | "每年9月9日", description }) - 添加日程');
@@ -0,0 +1,173 @@
+/**
+ * 属性检定系统
+ * 选项中的属性要求（如“（悟性>30）”）在本地掷骰判定：
+ * 成功率随实际属性与要求之间的差距变化，受机缘值/天谴值影响，并有大成功/大失败；
+ * 同一个种子、回合和选项总是掷出相同的点数，重新生成或重新发送时判定结果不变
+ */
+
+class CheckEngine {
+    constructor() {
+        this.baseChance = 0.6;       // 恰好达到要求时的成功率
+        this.minChance = 0.05;       // 成功率下限
+        this.maxChance = 0.95;       // 成功率上限
+        this.karmaWeight = 0.002;    // 机缘值与天谴值之差每点影响0.2%成功率
+        this.criticalSuccess = 5;    // 掷出≤5为大成功
+        this.criticalFailure = 96;   // 掷出≥96为大失败
+        this.karmaCriticalStep = 25; // 机缘值/天谴值每25点扩大1点大成功/大失败区间
+    }
+
+    /**
+     * 生成新的检定种子（每局游戏一个）
+     */
+    createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * FNV-1a 字符串哈希
+     */
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * mulberry32 伪随机数生成器
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * 掷一次d100（1-100），由种子和检定键唯一确定
+     */
+    rollD100(seed, key) {
+        const random = this.createRandom((seed ^ this.hashString(key)) >>> 0);
+        return Math.floor(random() * 100) + 1;
+    }
+
+    /**
+     * 计算成功率
+     * margin：超出要求的点数（恰好达到要求为0）
+     * scale：差距的衡量尺度，要求越高，同样的点数差影响越小
+     */
+    calculateChance(currentValue, operator, requiredValue, karmaFortune = 0, karmaPunishment = 0) {
+        let margin;
+        switch (operator) {
+            case '>':
+                margin = currentValue - requiredValue - 1;
+                break;
+            case '<':
+                margin = requiredValue - currentValue - 1;
+                break;
+            case '<=':
+                margin = requiredValue - currentValue;
+                break;
+            case '=':
+            case '==':
+                margin = -Math.abs(currentValue - requiredValue);
+                break;
+            default:
+                margin = currentValue - requiredValue;
+        }
+
+        const scale = Math.max(10, requiredValue * 0.5);
+        const karmaModifier = ((karmaFortune || 0) - (karmaPunishment || 0)) * this.karmaWeight;
+        const raw = this.baseChance + margin * (0.4 / scale) + karmaModifier;
+        const chance = Math.min(this.maxChance, Math.max(this.minChance, raw));
+
+        return {
+            chance: Math.round(chance * 100),
+            margin: margin,
+            karmaModifier: Math.round(karmaModifier * 100)
+        };
+    }
+
+    /**
+     * 进行一次检定
+     * params: { seed, turn, option, attribute, attributeName, operator, requiredValue, currentValue, karmaFortune, karmaPunishment }
+     * 返回检定记录（可直接保存到变量快照中）
+     */
+    resolve(params) {
+        const { chance, margin, karmaModifier } = this.calculateChance(
+            params.currentValue,
+            params.operator,
+            params.requiredValue,
+            params.karmaFortune,
+            params.karmaPunishment
+        );
+
+        const roll = this.rollD100(params.seed, `${params.turn}|${params.option}`);
+        const criticalSuccessMax = this.criticalSuccess + Math.floor((params.karmaFortune || 0) / this.karmaCriticalStep);
+        const criticalFailureMin = this.criticalFailure - Math.floor((params.karmaPunishment || 0) / this.karmaCriticalStep);
+
+        let outcome;
+        if (roll <= criticalSuccessMax) {
+            outcome = 'critical-success';
+        } else if (roll >= criticalFailureMin) {
+            outcome = 'critical-failure';
+        } else {
+            outcome = roll <= chance ? 'success' : 'failure';
+        }
+
+        return {
+            turn: params.turn,
+            attribute: params.attribute,
+            attributeName: params.attributeName,
+            operator: params.operator,
+            requiredValue: params.requiredValue,
+            currentValue: params.currentValue,
+            margin: margin,
+            karmaModifier: karmaModifier,
+            chance: chance,
+            roll: roll,
+            outcome: outcome,
+            success: outcome === 'success' || outcome === 'critical-success'
+        };
+    }
+
+    /**
+     * 判定结果的中文描述
+     */
+    describeOutcome(outcome) {
+        return {
+            'critical-success': '大成功',
+            'success': '成功',
+            'failure': '失败',
+            'critical-failure': '大失败'
+        }[outcome] || outcome;
+    }
+
+    /**
+     * 生成告知AI的判定结果
+     */
+    buildPrompt(record) {
+        const detail = `角色${record.attributeName}为${record.currentValue}，要求${record.operator}${record.requiredValue}，成功率${record.chance}%，掷出${record.roll}`;
+        const guidance = {
+            'critical-success': '请生成远超预期的成功剧情，主角不仅达成目标，还获得额外的好处或机缘',
+            'success': '请生成成功的剧情，主角获得好处或达成目标',
+            'failure': '请生成失败的剧情，主角遭遇挫折、受伤或失去某些东西',
+            'critical-failure': '请生成惨痛失败的剧情，主角遭遇严重挫折，付出沉重代价（重伤、损失重要物品或得罪强敌）'
+        }[record.outcome];
+
+        return `[属性判定（系统已掷骰，结果不可更改）：${this.describeOutcome(record.outcome)}！${detail}。${guidance}]`;
+    }
+}
+
+// 创建全局实例
+window.checkEngine = new CheckEngine();
+
+console.log('[检定系统] 已加载，使用方法：');
+console.log('1. window.checkEngine.calculateChance(当前值, 运算符, 要求值, 机缘值, 天谴值) - 计算成功率');
+console.log('2. window.checkEngine.resolve({...}) - 进行一次可复现的检定');
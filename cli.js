@@ -0,0 +1,611 @@
+#!/usr/bin/env node
+/**
+ * 终端版
+ * 在 Node（18 以上）中加载游戏引擎（game-engine.js），用任意已配置的接口在终端里玩一局：
+ *   node cli.js --type openai --endpoint https://api.openai.com/v1 --key sk-xxx --model gpt-4o-mini
+ *   node cli.js --type ollama --model qwen2.5 --name 云逍遥 --origin rogue_cultivator --talents genius,bad_luck
+ *   node cli.js --type mock --save 存档.json          （模拟接口，不联网，见 dev-harness.js）
+ * 密钥也可以放在环境变量 XIUXIAN_API_KEY 中；node cli.js --help 查看全部参数
+ * 游戏中输入序号选择选项，其他文字作为自由行动；/status 查看状态，/break 突破，/event 添加日程，/stats 玩法统计，/save 保存，/quit 退出
+ * 炼制与交易：/recipes 配方，/craft 配方 炼制，/shop 当地坊市，/buy 名称 [数量]，/sell 名称 [数量]，/bid 拍品 出价
+ * 人物：/npcs 人物关系与好感变化，/merge 保留名 合并名 合并重复创建的人物
+ * 地点：/map 地图（已知地点、路线和路程），/travel 地点 前往某地（系统结算路程和途中遭遇）
+ * 战斗：AI给出遭遇时在本地按回合结算，输入序号选择行动，/target 序号 选择攻击目标，战斗结束后自动交给AI叙述
+ * 导出小说：/export 文件.md|.html|.epub [quote] [reasoning] [nointerludes] [nobreakthroughs]，按扩展名选择格式；
+ *   quote 引用原选项，reasoning 附上思维链，nointerludes 不插入动态世界的远方传闻，nobreakthroughs 不附突破状态栏
+ * 存档为 JSON，可以在网页版“导入存档”中继续；系统提示词默认取 index.html 中的内置提示词
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const HELP = `用法：node cli.js [参数]
+
+接口：
+  --type 类型          openai / gemini / anthropic / ollama / custom / mock / replay（默认 openai）
+  --endpoint 地址      API端点（默认使用该类型的默认端点）
+  --key 密钥           API密钥（或环境变量 XIUXIAN_API_KEY）
+  --model 模型         模型名称
+  --replay 文件        回放录制文件（配合 --type replay）
+
+角色（不读档时）：
+  --name 姓名  --age 年龄  --gender male|female  --personality 性格
+  --origin 出身ID  --talents 天赋ID,天赋ID  --difficulty 难度ID（默认 normal）  --custom 特殊设定
+
+游戏：
+  --load 文件          读取存档（网页版导出的 .json 存档也可以）
+  --save 文件          每回合自动保存到该文件
+  --pack 文件          使用剧本包（.json，属性、出身、天赋等按剧本包；读档时自动使用存档的剧本）
+  --prompt 文件        系统提示词文件（默认取 index.html 中的内置提示词）
+  --lorebook 文件      载入设定集（网页版设定集导出的 .json）
+  --options 文件       新游戏使用的选项模板（.json，选项数量、类别与内容分级）
+  --depth 层数         历史层数（默认 10）
+  --retries 次数       格式错误重试次数（默认 1）
+  --vector             启用向量检索（关键词方式）
+  --verbose            显示引擎日志
+  --list               列出当前剧本的难度、出身和天赋（可与 --pack 一起使用）`;
+
+// 浏览器模块通过 window 互相访问，Node 中让 window 指向全局对象
+global.window = global;
+
+// 校验统计等模块会读写 localStorage，终端版只保存在内存中
+if (typeof localStorage === 'undefined') {
+    const storage = new Map();
+    global.localStorage = {
+        getItem: key => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => storage.set(key, String(value)),
+        removeItem: key => storage.delete(key)
+    };
+}
+
+const MODULES = [
+    'supply.js',
+    'response-validator.js',
+    'variable-patch.js',
+    'check-engine.js',
+    'combat-engine.js',
+    'economy.js',
+    'token-budget.js',
+    'lorebook.js',
+    'llm-providers.js',
+    'save-format.js',
+    'scenario-packs.js',
+    'option-slots.js',
+    'realm-engine.js',
+    'calendar.js',
+    'world-state.js',
+    'npc-graph.js',
+    'location-map.js',
+    'novel-export.js',
+    'game-engine.js',
+    'dev-harness.js'
+];
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+// 内置系统提示词在 index.html 的 #systemPrompt 文本框中
+function loadDefaultSystemPrompt() {
+    const html = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf8');
+    const match = html.match(/<textarea id="systemPrompt"[^>]*>([\s\S]*?)<\/textarea>/);
+    if (!match) return '';
+    return match[1]
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+function print(text = '') {
+    process.stdout.write(text + '\n');
+}
+
+function formatOptions(engine, options) {
+    return options.map((option, index) => {
+        const slot = engine.findOptionSlot(option);
+        const prefix = `  ${index + 1}. ${slot ? slot.icon + ' ' : ''}`;
+        const requirement = engine.parseRequirement(option);
+        if (!requirement.hasRequirement) {
+            return prefix + option;
+        }
+        const check = engine.checkRequirement(requirement);
+        const variables = engine.state.variables;
+        const { chance } = window.checkEngine.calculateChance(
+            check.currentValue,
+            requirement.operator,
+            requirement.value,
+            variables.karmaFortune || 0,
+            variables.karmaPunishment || 0
+        );
+        return `${prefix}${requirement.cleanText}（${check.attributeName}${requirement.operator}${requirement.value}，当前${check.currentValue}，成功率${chance}%）`;
+    }).join('\n');
+}
+
+// 战斗中可以选择的行动：普通攻击、功法、法术、丹药、逃跑
+function combatActions(engine) {
+    const variables = engine.state.variables;
+    const actions = [{ label: '⚔️ 普通攻击', action: { type: 'attack' } }];
+    [['techniques', 'technique', '📜'], ['spells', 'spell', '✨']].forEach(([field, type, icon]) => {
+        (variables[field] || []).forEach((skill, index) => {
+            actions.push({ label: `${icon} ${skill.name}（威力${skill.power || 0}，耗${Number(skill.mpCost) || 0}法力）`, action: { type: type, index: index } });
+        });
+    });
+    (variables.items || []).forEach((item, index) => {
+        if (item.type && item.type.includes('丹')) {
+            actions.push({ label: `💊 ${item.name} ×${item.count || 1}`, action: { type: 'pill', index: index } });
+        }
+    });
+    if (engine.state.combat.canFlee) {
+        actions.push({ label: '🏃 逃跑', action: { type: 'flee' } });
+    }
+    return actions;
+}
+
+function formatCombat(engine, target) {
+    const combat = engine.state.combat;
+    const v = engine.state.variables;
+    const lines = combat.enemies.map((enemy, index) =>
+        `  ${index === target ? '🎯' : '  '} ${index + 1}. ${enemy.name}${enemy.realm ? `（${enemy.realm}）` : ''}  体力 ${enemy.hp}/${enemy.hpMax}`);
+    lines.push(`  你：体力 ${v.hp}/${v.hpMax}  法力 ${v.mp}/${v.mpMax}`);
+    lines.push(combatActions(engine).map((entry, index) => `  ${index + 1}. ${entry.label}`).join('\n'));
+    return `⚔️ 第${combat.round}回合\n` + lines.join('\n');
+}
+
+function formatStatus(engine) {
+    const v = engine.state.variables;
+    const attributes = engine.getActualAttributes();
+    const realm = engine.getRealmInfo();
+    const lines = [
+        `${v.name}（${v.gender}，${v.age}岁）  境界：${v.realm || '无'}  身份：${v.identity || '无'}`,
+        `寿元：${realm.known ? (realm.lifespan ? realm.lifespan + '岁' : '无尽') : '未知'}  下一境界：${realm.next || '无'}${realm.ready ? '（修为圆满，可用 /break 突破）' : ''}`,
+        `位置：${v.location || '未知'}  时间：${v.currentDateTime || '未知'}  灵石：${v.spiritStones || 0}`,
+        `体力 ${v.hp}/${v.hpMax}  法力 ${v.mp}/${v.mpMax}  修为 ${v.cultivationProgress}/${v.cultivationProgressMax}`,
+        '属性：' + Object.entries(attributes).map(([attr, value]) => `${engine.getAttributeName(attr)}${value}`).join(' '),
+        `机缘 ${v.karmaFortune || 0}  天谴 ${v.karmaPunishment || 0}`
+    ];
+    const upcoming = engine.getUpcomingEvents(null, 3);
+    if (upcoming.length > 0) {
+        lines.push('日程：' + upcoming.map(event => event.text).join('；'));
+    }
+    if ((v.items || []).length > 0) {
+        lines.push('道具：' + v.items.map(item => `${item.name}×${item.count || 1}`).join('、'));
+    }
+    if ((v.relationships || []).length > 0) {
+        lines.push('人物：' + v.relationships.map(r => `${r.name}（好感${r.favor || 0}）`).join('、'));
+    }
+    return lines.join('\n');
+}
+
+function listChoices(engine) {
+    const pack = engine.pack;
+    print(`剧本：${pack.name}（v${pack.version}）  属性：${pack.attributes.map(a => `${a.id}=${a.name}`).join(' ')}`);
+    print('难度：' + pack.difficulties.map(d => `${d.id}（${d.name}，${d.points}点）`).join('  '));
+    print('出身：');
+    engine.origins.forEach(o => print(`  ${o.id}  ${o.name}（点数${o.pointsModifier >= 0 ? '+' : ''}${o.pointsModifier}）  ${o.description}`));
+    print('天赋：');
+    engine.talents.forEach(t => print(`  ${t.id}  ${t.name}（点数${t.cost > 0 ? '+' : ''}${t.cost}）  ${t.description}`));
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        print(HELP);
+        return;
+    }
+
+    // 模块加载时和游戏过程中的日志默认不显示
+    const log = { log: console.log, warn: console.warn };
+    if (!args.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    MODULES.forEach(file => require(path.join(__dirname, file)));
+    const engine = window.gameEngine;
+    if (typeof args.pack === 'string') {
+        const pack = window.scenarioPacks.install(JSON.parse(fs.readFileSync(args.pack, 'utf8')));
+        window.scenarioPacks.activate(pack.id);
+    }
+
+    if (args.list) {
+        listChoices(engine);
+        return;
+    }
+
+    const type = typeof args.type === 'string' ? args.type : 'openai';
+    const provider = window.llmProviders.get(type);
+    const connection = {
+        type: type,
+        endpoint: typeof args.endpoint === 'string' ? args.endpoint : provider.defaultEndpoint,
+        key: typeof args.key === 'string' ? args.key : (process.env.XIUXIAN_API_KEY || ''),
+        model: typeof args.model === 'string' ? args.model : (type === 'mock' || type === 'replay' ? 'mock-model' : ''),
+        role: 'main'
+    };
+    if (!window.llmProviders.isConfigured(connection)) {
+        throw new Error('接口配置不完整，请提供 --model（以及需要时的 --endpoint、--key）');
+    }
+    if (typeof args.lorebook === 'string') {
+        window.lorebook.importData(JSON.parse(fs.readFileSync(args.lorebook, 'utf8')), { replace: true });
+    }
+    if (typeof args.replay === 'string') {
+        window.devHarness.loadReplay(JSON.parse(fs.readFileSync(args.replay, 'utf8')));
+    }
+
+    engine.configure({
+        settings: {
+            systemPrompt: typeof args.prompt === 'string' ? fs.readFileSync(args.prompt, 'utf8') : loadDefaultSystemPrompt(),
+            historyDepth: args.depth !== undefined ? parseInt(args.depth) : 10,
+            maxResponseRetries: args.retries !== undefined ? parseInt(args.retries) : 1,
+            vectorRetrieval: !!args.vector,
+            stream: false
+        },
+        connections: { main: connection }
+    });
+
+    const savePath = typeof args.save === 'string' ? args.save : null;
+    const save = () => {
+        if (!savePath) return;
+        const data = { saveName: engine.state.variables.name || '终端存档', timestamp: Date.now(), ...engine.serialize() };
+        fs.writeFileSync(savePath, JSON.stringify(data, null, 2));
+    };
+
+    let lastOptions = [];
+    engine.on('user-message', ({ checkRoll }) => {
+        if (checkRoll) {
+            print(`🎲 ${checkRoll.attributeName}检定：掷出 ${checkRoll.roll} / 成功率 ${checkRoll.chance}% → ${window.checkEngine.describeOutcome(checkRoll.outcome)}`);
+        }
+    });
+    // 时间流逝在合并变量时结算，等剧情显示后再提示
+    let lastTime = null;
+    engine.on('time-passed', result => {
+        lastTime = result;
+    });
+    engine.on('assistant-message', ({ data }) => {
+        lastOptions = data.options || [];
+        print();
+        print(data.story);
+        if (lastTime && lastTime.ticks > 0) {
+            print(`\n⏳ 经过${window.gameCalendar.describeDuration(engine.calendarConfig, lastTime.ticks)}，现在是${engine.state.variables.currentDateTime}`);
+        }
+        lastTime = null;
+        engine.state.calendar.due.forEach(event => print(`⏰ 日程到期：${event.title}`));
+        if (data.market && engine.getMarkets().length > 0) {
+            print('\n🏪 此处有坊市，输入 /shop 查看货物');
+        }
+        // 遭遇战斗时先在本地结算战斗，选项等战斗叙述完毕后再给出
+        if (lastOptions.length > 0 && !data.encounter) {
+            print();
+            print(formatOptions(engine, lastOptions));
+        }
+        save();
+    });
+    // 战斗：开始时显示敌我状态与行动，每次行动后显示新的战斗记录
+    let combatTarget = 0;
+    let combatLogShown = 0;
+    engine.on('combat-started', combat => {
+        combatTarget = 0;
+        combatLogShown = 0;
+        print(`\n⚔️ 遭遇战斗${combat.description ? '：' + combat.description : ''}`);
+        print(formatCombat(engine, combatTarget));
+        save();
+    });
+    engine.on('combat-updated', combat => {
+        combat.log.slice(combatLogShown).forEach(line => print(line));
+        combatLogShown = combat.log.length;
+        if (combat.status === 'ongoing') {
+            print(formatCombat(engine, combatTarget));
+        } else if (!combat.reported) {
+            print(`战斗结束：${window.combatEngine.describeStatus(combat.status)}`);
+        }
+    });
+    engine.on('breakthrough', result => {
+        print(`⚡ ${result.from} → ${result.to}：${window.realmEngine.describeOutcome(result.outcome)}（成功率 ${result.chance}%，掷出 ${result.roll}）`);
+    });
+    engine.on('traveled', trip => {
+        print(`🧭 ${trip.encounter ? `途中遭遇「${trip.encounter.name}」` : '一路平安'}（遭遇率 ${trip.chance}%，掷出 ${trip.roll}）`);
+    });
+    engine.on('realm-rejected', ({ reason }) => {
+        print(`⚠️ ${reason}`);
+    });
+    engine.on('lifespan-warning', ({ level, age, lifespan, remaining }) => {
+        print(level === 'expired' ? `⚠️ 大限已至：${age}岁，已过寿元上限${lifespan}岁` : `⚠️ 寿元将尽：${age}岁，仅余约${remaining}年`);
+    });
+    engine.on('pack-mismatch', ({ expected, active, missing }) => {
+        print(missing
+            ? `⚠️ 存档使用的剧本「${expected.name || expected.id}」未载入（用 --pack 指定），按剧本「${active.name}」继续`
+            : `⚠️ 存档使用剧本「${expected.name || expected.id}」v${expected.version}，当前为 v${active.version}`);
+    });
+    engine.on('response-error', ({ error }) => {
+        print(`\n⚠️ AI回复无法解析：${error.message}`);
+    });
+
+    // 逐行排队读取输入，AI生成期间输入的内容（或管道输入）不会丢失；输入结束时返回 null
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const lines = [];
+    const waiting = [];
+    let closed = false;
+    rl.on('line', line => (waiting.length > 0 ? waiting.shift()(line) : lines.push(line)));
+    rl.on('close', () => {
+        closed = true;
+        waiting.splice(0).forEach(resolve => resolve(null));
+    });
+    const ask = question => {
+        process.stdout.write(question);
+        if (lines.length > 0) return Promise.resolve(lines.shift());
+        if (closed) return Promise.resolve(null);
+        return new Promise(resolve => waiting.push(resolve));
+    };
+
+    try {
+        if (typeof args.load === 'string') {
+            engine.restore(JSON.parse(fs.readFileSync(args.load, 'utf8')));
+            const lastAssistant = engine.state.conversationHistory.filter(m => m.role === 'assistant').pop();
+            print(`已读取存档：${engine.state.variables.name}，共${Math.floor(engine.state.conversationHistory.length / 2)}回合`);
+            if (lastAssistant) print('\n' + lastAssistant.content);
+            lastOptions = engine.state.currentOptions.map(entry => entry.text);
+            if (engine.isCombatPending()) {
+                // 存档时战斗尚未结束（或尚未交给AI叙述）
+                combatLogShown = engine.state.combat.log.length;
+                print();
+                print(engine.state.combat.status === 'ongoing' ? formatCombat(engine, combatTarget) : '战斗已结束，输入任意内容把结果交给AI叙述');
+            } else if (lastOptions.length > 0) {
+                print();
+                print(formatOptions(engine, lastOptions));
+            }
+        } else {
+            engine.reset();
+            if (typeof args.options === 'string') {
+                engine.setOptionTemplate(JSON.parse(fs.readFileSync(args.options, 'utf8')));
+            }
+            engine.createCharacter({
+                name: typeof args.name === 'string' ? args.name : (await ask('角色姓名：')) || '',
+                age: args.age !== undefined ? parseInt(args.age) : 18,
+                gender: args.gender,
+                personality: typeof args.personality === 'string' ? args.personality : '',
+                customSettings: typeof args.custom === 'string' ? args.custom : '',
+                difficulty: args.difficulty,
+                originId: typeof args.origin === 'string' ? args.origin : engine.origins[0].id,
+                talentIds: typeof args.talents === 'string' ? args.talents.split(',').map(t => t.trim()).filter(Boolean) : []
+            });
+            print('正在生成开局剧情…');
+            await engine.startGame();
+            save();
+        }
+
+        while (true) {
+            const line = await ask('\n> ');
+            if (line === null) break;
+            const input = line.trim();
+            if (!input) continue;
+            if (input === '/quit' || input === '/exit') break;
+            if (input === '/status') {
+                print(formatStatus(engine));
+                continue;
+            }
+            if (input === '/break' || input.startsWith('/break ')) {
+                // /break 筑基丹,聚气丹 —— 服用指定丹药后突破
+                const pillNames = input.slice('/break'.length).split(/[,，]/).map(name => name.trim()).filter(Boolean);
+                const preview = engine.getBreakthroughPreview(pillNames);
+                if (preview) {
+                    const extra = [preview.heartDemon && `${preview.heartDemon.name}${preview.heartDemon.chance}%`, preview.tribulation && `${preview.tribulation.name}${preview.tribulation.chance}%`].filter(Boolean);
+                    print(`突破 ${preview.from} → ${preview.to}，成功率 ${preview.chance}%${extra.length > 0 ? '，' + extra.join('，') : ''}`);
+                }
+                try {
+                    await engine.breakthrough(pillNames);
+                } catch (error) {
+                    print(`⚠️ ${error.message}`);
+                }
+                continue;
+            }
+            if (input.startsWith('/event ')) {
+                // /event 标题|日期|说明 —— 日期如“3月15日 午时”“三日后”“每年9月9日”
+                const [title, date, description] = input.slice('/event '.length).split('|').map(part => part.trim());
+                try {
+                    const event = engine.addScheduledEvent({ title: title, date: date, description: description });
+                    print(`已添加日程：${engine.getUpcomingEvents(null, 100).find(e => e.id === event.id).text}`);
+                    save();
+                } catch (error) {
+                    print(`⚠️ ${error.message}`);
+                }
+                continue;
+            }
+            if (input === '/recipes') {
+                print(engine.getRecipes().map(recipe => {
+                    const preview = engine.getCraftPreview(recipe.name);
+                    const materials = recipe.materials.map(m => `${m.name}${window.economy.countItem(engine.state.variables.items, m.name)}/${m.count}`).join('、');
+                    return `${recipe.name}：${materials}${recipe.spiritStones > 0 ? `，灵石${recipe.spiritStones}` : ''}，成功率 ${preview.chance}%`;
+                }).join('\n') || '暂无配方');
+                continue;
+            }
+            if (input === '/shop') {
+                const markets = engine.getMarkets();
+                print(markets.length === 0
+                    ? '这里没有坊市，可以用自由行动寻找'
+                    : markets.map(market => `【${market.name}】（${window.economy.marketTypes[market.type]}）\n` + market.items.map(item => `  ${item.name}×${item.count}：${item.price}灵石`).join('\n')).join('\n'));
+                continue;
+            }
+            if (/^\/(craft|buy|sell|bid) /.test(input)) {
+                // /craft 回春丹、/buy 灵草 3、/sell 灵草、/bid 千年灵芝 200 —— 交易在当地第一个相符的坊市进行
+                const [command, name, amount] = input.split(/\s+/);
+                const markets = engine.getMarkets();
+                const findMarket = type => {
+                    const market = markets.find(m => m.type === type && (command === '/sell' || m.items.some(item => item.name === name)));
+                    if (!market) throw new Error(`当地没有可以${command === '/sell' ? '出售' : `买到「${name}」`}的${window.economy.marketTypes[type]}`);
+                    return market.id;
+                };
+                try {
+                    if (command === '/craft') {
+                        const result = engine.craft(name);
+                        print(`${result.success ? '✅' : '💥'} ${window.economy.describeCraft(result)}（成功率 ${result.chance}%，掷出 ${result.roll}）`);
+                    } else if (command === '/buy') {
+                        print(engine.buyItem(findMarket('shop'), name, amount ? parseInt(amount) : 1));
+                    } else if (command === '/sell') {
+                        print(engine.sellItem(findMarket('shop'), name, amount ? parseInt(amount) : 1));
+                    } else {
+                        print(engine.bidItem(findMarket('auction'), name, amount).text);
+                    }
+                    print(`灵石：${engine.state.variables.spiritStones || 0}`);
+                    save();
+                } catch (error) {
+                    print(`⚠️ ${error.message}`);
+                }
+                continue;
+            }
+            if (input === '/npcs') {
+                const graph = engine.state.npcGraph;
+                const relationships = (engine.state.variables.relationships || []).filter(rel => rel && rel.name);
+                print(relationships.map(rel => {
+                    const links = window.npcGraph.findLinks(graph, rel.name).map(link => window.npcGraph.describeLinkFor(link, rel.name));
+                    const trend = window.npcGraph.describeFavorTrend(window.npcGraph.getFavorTrend(graph, rel.name));
+                    return `${rel.name}（${rel.relation || ''}，好感${rel.favor ?? '?'}）` + (links.length > 0 ? `\n  关系网：${links.join('；')}` : '') + (trend ? `\n  好感变化：${trend}` : '');
+                }).join('\n') || '暂无人物');
+                const duplicates = window.npcGraph.findDuplicates(relationships);
+                if (duplicates.length > 0) {
+                    print('可能重复：' + duplicates.map(pair => `${pair.drop} → ${pair.keep}（${pair.reason}）`).join('；') + '，用 /merge 保留名 合并名 合并');
+                }
+                continue;
+            }
+            if (input.startsWith('/merge ')) {
+                const [keepName, dropName] = input.slice('/merge '.length).split(/\s+/);
+                try {
+                    engine.mergeNpcs(keepName, dropName);
+                    print(`已将「${dropName}」合并到「${keepName}」`);
+                    save();
+                } catch (error) {
+                    print(`⚠️ ${error.message}`);
+                }
+                continue;
+            }
+            if (input === '/map') {
+                const locations = engine.state.locations;
+                const current = engine.getCurrentPlace();
+                const rows = window.locationMap.getTree(locations).map(row => {
+                    let note = '';
+                    if (row.name === current) {
+                        note = '  📍 当前所在';
+                    } else {
+                        try {
+                            const preview = engine.getTravelPreview(row.name);
+                            note = `  ${preview.known ? '' : '约'}${engine.describeTicks(preview.ticks)}，遭遇率${preview.chance}%`;
+                        } catch (error) {
+                            note = '  路线未知';
+                        }
+                    }
+                    return '  '.repeat(row.depth) + row.name + note;
+                });
+                print(rows.join('\n') || '还没有登记任何地点');
+                continue;
+            }
+            if (input.startsWith('/travel ')) {
+                const destination = input.slice('/travel '.length).trim();
+                try {
+                    const preview = engine.getTravelPreview(destination);
+                    print(`前往 ${destination}：${preview.path.join(' → ')}，${preview.known ? '' : '约'}${engine.describeTicks(preview.ticks)}，遭遇率 ${preview.chance}%`);
+                    await engine.travelTo(destination);
+                } catch (error) {
+                    print(`⚠️ ${error.message}`);
+                }
+                continue;
+            }
+            if (input.startsWith('/export ')) {
+                // /export 云逍遥修仙记.epub quote reasoning
+                const [file, ...flags] = input.slice('/export '.length).trim().split(/\s+/);
+                const extension = path.extname(file).toLowerCase();
+                const format = Object.keys(window.novelExporter.formats).find(key => window.novelExporter.formats[key].extension === extension);
+                if (!format) {
+                    print('⚠️ 文件扩展名应为 .md、.html 或 .epub');
+                    continue;
+                }
+                try {
+                    const result = window.novelExporter.export(engine.serialize(), format, {
+                        title: path.basename(file, extension),
+                        actionStyle: flags.includes('quote') ? 'quote' : 'prose',
+                        includeReasoning: flags.includes('reasoning'),
+                        includeInterludes: !flags.includes('nointerludes'),
+                        includeBreakthroughs: !flags.includes('nobreakthroughs')
+                    });
+                    fs.writeFileSync(file, typeof result.data === 'string' ? result.data : Buffer.from(result.data));
+                    print(`已导出小说：${file}（${result.chapters} 章）`);
+                } catch (error) {
+                    print(`⚠️ ${error.message}`);
+                }
+                continue;
+            }
+            if (input === '/stats') {
+                const stats = engine.getPlayStyleStats();
+                print(stats.total === 0 ? '暂无玩法统计' : stats.rows.map(row => `${row.icon} ${row.category}：${row.count}次（${row.percent}%）`).join('\n'));
+                continue;
+            }
+            if (input === '/save') {
+                if (savePath) {
+                    save();
+                    print(`已保存到 ${savePath}`);
+                } else {
+                    print('启动时用 --save 文件 指定存档位置');
+                }
+                continue;
+            }
+
+            const index = parseInt(input) - 1;
+            if (engine.isCombatPending()) {
+                // 战斗中：序号选择行动，/target 序号 选择目标；战斗结束后交给AI叙述
+                try {
+                    const combat = engine.state.combat;
+                    if (combat.status !== 'ongoing') {
+                        await engine.reportCombat();
+                    } else if (input.startsWith('/target ')) {
+                        const target = parseInt(input.slice('/target '.length)) - 1;
+                        if (!combat.enemies[target]) throw new Error('没有这个目标');
+                        combatTarget = target;
+                        print(formatCombat(engine, combatTarget));
+                    } else {
+                        const entry = combatActions(engine)[index];
+                        if (String(index + 1) !== input || !entry) throw new Error('战斗中请输入序号选择行动');
+                        engine.performCombatAction({ ...entry.action, target: combatTarget });
+                        save();
+                        if (combat.status !== 'ongoing') {
+                            await engine.reportCombat();
+                        }
+                    }
+                } catch (error) {
+                    print(`⚠️ ${error.message}`);
+                    if (engine.isCombatPending() && engine.state.combat.status !== 'ongoing') {
+                        print('输入任意内容重新把战斗结果交给AI叙述');
+                    }
+                }
+                continue;
+            }
+            try {
+                if (String(index + 1) === input && lastOptions[index]) {
+                    await engine.chooseOption(lastOptions[index]);
+                } else {
+                    await engine.sendInput(input);
+                }
+            } catch (error) {
+                print(`⚠️ ${error.message}`);
+            }
+        }
+    } finally {
+        rl.close();
+        console.log = log.log;
+        console.warn = log.warn;
+    }
+}
+
+main().catch(error => {
+    process.stderr.write(`错误：${error.message}\n`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,280 @@
+/**
+ * 回合制战斗系统
+ * AI 通过响应中的 encounter 字段给出敌人数据，战斗在本地按回合结算：
+ * 玩家选择功法、法术、丹药或逃跑，伤害与法力消耗由实际属性（含装备加成）计算，
+ * 战斗结束后把结果和战斗记录交回给 AI 叙述
+ */
+
+class CombatEngine {
+    constructor() {
+        this.maxRounds = 30;           // 超过回合数强制结束（视为脱战）
+        this.damageVariance = 0.15;    // 伤害浮动 ±15%
+        this.baseCritChance = 0.05;    // 基础暴击率
+        this.critMultiplier = 1.5;     // 暴击伤害倍率
+        this.resultLogSize = 12;       // 交给AI的战斗记录条数
+    }
+
+    /**
+     * 根据 AI 给出的 encounter 创建战斗
+     * encounter: { enemies: [{ name, realm, hp, attack, defense, speed, skills: [{ name, power }] }], canFlee, fleeDifficulty, description }
+     * 返回可序列化的战斗状态（随存档保存）
+     */
+    createCombat(encounter, seed) {
+        const enemyList = Array.isArray(encounter.enemies)
+            ? encounter.enemies
+            : (encounter.enemy ? [encounter.enemy] : []);
+
+        if (enemyList.length === 0) {
+            throw new Error('encounter缺少敌人数据');
+        }
+
+        return {
+            status: 'ongoing', // 'ongoing' | 'victory' | 'defeat' | 'fled' | 'timeout'
+            round: 1,
+            description: encounter.description || '',
+            canFlee: encounter.canFlee !== false,
+            fleeDifficulty: this.toNumber(encounter.fleeDifficulty, 50),
+            enemies: enemyList.map((enemy, index) => this.normalizeEnemy(enemy, index)),
+            log: [],
+            used: [],  // 玩家使用过的功法/法术/丹药
+            rngState: seed >>> 0,
+            reported: false
+        };
+    }
+
+    normalizeEnemy(enemy, index) {
+        const hp = Math.max(1, this.toNumber(enemy.hp, 100));
+        return {
+            name: enemy.name || `敌人${index + 1}`,
+            realm: enemy.realm || '',
+            hp: hp,
+            hpMax: Math.max(hp, this.toNumber(enemy.hpMax, hp)),
+            attack: this.toNumber(enemy.attack, 10),
+            defense: this.toNumber(enemy.defense, 5),
+            speed: this.toNumber(enemy.speed, 10),
+            skills: Array.isArray(enemy.skills)
+                ? enemy.skills.filter(s => s && s.name).map(s => ({ name: s.name, power: this.toNumber(s.power, 0) }))
+                : []
+        };
+    }
+
+    /**
+     * 由实际属性（含装备加成）推导战斗数值
+     */
+    getPlayerStats(attributes, variables) {
+        const attr = attributes || {};
+        return {
+            attack: 5 + (attr.physique || 0) * 0.8,
+            defense: (attr.physique || 0) * 0.4 + (variables.hpMax || 100) / 50,
+            speed: 5 + (attr.potential || 0) * 0.3 + (attr.fortune || 0) * 0.2,
+            critChance: Math.min(0.3, this.baseCritChance + (attr.fortune || 0) * 0.002),
+            techniqueBonus: 1 + (attr.comprehension || 0) / 100,
+            spellBonus: 1 + (attr.spirit || 0) / 100
+        };
+    }
+
+    /**
+     * 执行玩家行动，随后结算敌人回合
+     * action: { type: 'attack' | 'technique' | 'spell' | 'pill' | 'flee', index, target, pillName, pillEffects }
+     * variables 为角色变量（直接修改其中的 hp / mp）
+     * 返回错误信息（行动无效时），成功时返回 null
+     */
+    performAction(combat, variables, attributes, action) {
+        if (combat.status !== 'ongoing') return '战斗已经结束';
+
+        const stats = this.getPlayerStats(attributes, variables);
+        const target = this.pickTarget(combat, action.target);
+        const prefix = `第${combat.round}回合：`;
+
+        switch (action.type) {
+            case 'attack': {
+                const hit = this.rollDamage(combat, stats.attack, target.defense, stats.critChance);
+                target.hp = Math.max(0, target.hp - hit.damage);
+                this.log(combat, `${prefix}你出手攻击${target.name}，造成${hit.damage}点伤害${hit.crit ? '（暴击）' : ''}`);
+                break;
+            }
+
+            case 'technique':
+            case 'spell': {
+                const list = action.type === 'technique' ? (variables.techniques || []) : (variables.spells || []);
+                const skill = list[action.index];
+                if (!skill) return '找不到该功法/法术';
+
+                const mpCost = this.toNumber(skill.mpCost, 0);
+                if ((variables.mp || 0) < mpCost) return `法力不足，施展【${skill.name}】需要${mpCost}点法力`;
+
+                variables.mp = (variables.mp || 0) - mpCost;
+                const power = this.toNumber(skill.power, 0);
+                const raw = action.type === 'technique'
+                    ? power * stats.techniqueBonus + stats.attack * 0.3
+                    : power * stats.spellBonus;
+                const hit = this.rollDamage(combat, raw, target.defense, stats.critChance);
+                target.hp = Math.max(0, target.hp - hit.damage);
+                this.markUsed(combat, skill.name);
+                this.log(combat, `${prefix}你${action.type === 'technique' ? '运转' : '施展'}【${skill.name}】（消耗${mpCost}法力），对${target.name}造成${hit.damage}点伤害${hit.crit ? '（暴击）' : ''}`);
+                break;
+            }
+
+            case 'pill': {
+                this.markUsed(combat, action.pillName);
+                this.log(combat, `${prefix}你服下${action.pillName}${action.pillEffects ? '，' + action.pillEffects : ''}`);
+                break;
+            }
+
+            case 'flee': {
+                if (!combat.canFlee) return '此战无法逃离';
+
+                const chance = this.getFleeChance(combat, stats, attributes);
+                if (this.random(combat) < chance) {
+                    combat.status = 'fled';
+                    this.log(combat, `${prefix}你寻得破绽，成功脱身（成功率${Math.round(chance * 100)}%）`);
+                    return null;
+                }
+                this.log(combat, `${prefix}你试图逃走，却被拦了下来（成功率${Math.round(chance * 100)}%）`);
+                break;
+            }
+
+            default:
+                return `未知行动：${action.type}`;
+        }
+
+        if (target.hp <= 0 && action.type !== 'pill' && action.type !== 'flee') {
+            this.log(combat, `${target.name}被击败！`);
+        }
+
+        if (combat.enemies.every(e => e.hp <= 0)) {
+            combat.status = 'victory';
+            this.log(combat, '所有敌人均已倒下，战斗胜利');
+            return null;
+        }
+
+        this.enemyTurn(combat, variables, stats);
+
+        if ((variables.hp || 0) <= 0) {
+            variables.hp = 0;
+            combat.status = 'defeat';
+            this.log(combat, '你伤重倒地，战斗失败');
+            return null;
+        }
+
+        if (combat.round >= this.maxRounds) {
+            combat.status = 'timeout';
+            this.log(combat, '久战不下，双方各自罢手');
+        } else {
+            combat.round++;
+        }
+
+        return null;
+    }
+
+    /**
+     * 敌人回合：每个存活的敌人随机使用一项技能攻击
+     */
+    enemyTurn(combat, variables, stats) {
+        combat.enemies.filter(e => e.hp > 0).forEach(enemy => {
+            if ((variables.hp || 0) <= 0) return;
+
+            const skill = enemy.skills.length > 0 && this.random(combat) < 0.5
+                ? enemy.skills[Math.floor(this.random(combat) * enemy.skills.length)]
+                : null;
+            const raw = enemy.attack + (skill ? skill.power * 0.5 : 0);
+            const hit = this.rollDamage(combat, raw, stats.defense, this.baseCritChance);
+
+            variables.hp = Math.max(0, (variables.hp || 0) - hit.damage);
+            const move = skill ? `施展【${skill.name}】` : '出手攻击';
+            this.log(combat, `　${enemy.name}${move}，你受到${hit.damage}点伤害${hit.crit ? '（暴击）' : ''}`);
+        });
+    }
+
+    getFleeChance(combat, stats, attributes) {
+        const alive = combat.enemies.filter(e => e.hp > 0);
+        const enemySpeed = alive.reduce((sum, e) => sum + e.speed, 0) / Math.max(1, alive.length);
+        const chance = 0.4
+            + (stats.speed - enemySpeed) * 0.02
+            + ((attributes && attributes.fortune) || 0) * 0.002
+            - combat.fleeDifficulty * 0.003;
+        return Math.min(0.9, Math.max(0.05, chance));
+    }
+
+    rollDamage(combat, raw, defense, critChance) {
+        const variance = 1 + (this.random(combat) * 2 - 1) * this.damageVariance;
+        const crit = this.random(combat) < critChance;
+        let damage = raw * variance - defense * 0.5;
+        if (crit) damage *= this.critMultiplier;
+        return { damage: Math.max(1, Math.round(damage)), crit: crit };
+    }
+
+    pickTarget(combat, targetIndex) {
+        const chosen = combat.enemies[targetIndex];
+        if (chosen && chosen.hp > 0) return chosen;
+        return combat.enemies.find(e => e.hp > 0) || combat.enemies[0];
+    }
+
+    /**
+     * 可序列化的随机数（mulberry32，状态保存在战斗中，读档后继续）
+     */
+    random(combat) {
+        combat.rngState = (combat.rngState + 0x6D2B79F5) >>> 0;
+        let t = combat.rngState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    markUsed(combat, name) {
+        if (name && !combat.used.includes(name)) {
+            combat.used.push(name);
+        }
+    }
+
+    log(combat, text) {
+        combat.log.push(text);
+    }
+
+    describeStatus(status) {
+        return {
+            ongoing: '战斗中',
+            victory: '胜利',
+            defeat: '战败',
+            fled: '成功逃脱',
+            timeout: '不分胜负'
+        }[status] || status;
+    }
+
+    /**
+     * 生成交给AI叙述的战斗结果
+     */
+    buildResultPrompt(combat, variables) {
+        const enemies = combat.enemies
+            .map(e => `${e.name}${e.realm ? `（${e.realm}）` : ''}${e.hp <= 0 ? '已被击败' : `剩余体力${e.hp}/${e.hpMax}`}`)
+            .join('；');
+        const recentLog = combat.log.slice(-this.resultLogSize);
+        const omitted = combat.log.length - recentLog.length;
+
+        let text = `【战斗结果：${this.describeStatus(combat.status)}】共${combat.round}回合。`;
+        text += `我方剩余体力${variables.hp}/${variables.hpMax}，法力${variables.mp}/${variables.mpMax}。`;
+        text += `敌方：${enemies}。`;
+        if (combat.used.length > 0) {
+            text += `战斗中使用了：${combat.used.join('、')}。`;
+        }
+        text += '\n战斗记录：\n';
+        if (omitted > 0) {
+            text += `（前${omitted}条略）\n`;
+        }
+        text += recentLog.join('\n');
+        text += '\n[系统提示：战斗已由系统结算，请据此叙述战斗经过与结局，不得改变胜负；hp、mp与已服用的丹药均已结算，不要重复扣除，战利品等其他变化正常更新]';
+        return text;
+    }
+
+    toNumber(value, fallback) {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : fallback;
+    }
+}
+
+// 创建全局实例
+window.combatEngine = new CombatEngine();
+
+console.log('[战斗系统] 已加载，使用方法：');
+console.log('1. window.combatEngine.createCombat(encounter, seed) - 根据AI给出的encounter创建战斗');
+console.log('2. window.combatEngine.performAction(combat, variables, attributes, action) - 执行一次玩家行动');
@@ -0,0 +1,1121 @@
+/**
+ * 开发者测试工具
+ * 注册两个本地 provider：模拟（mock，按脚本返回预设响应，包括格式错误、接口错误和延迟）
+ * 与回放（replay，播放录制下来的真实对话），并可以把真实的请求与响应录制成文件；
+ * 场景运行器用它们在不联网的情况下跑完整流程（创建角色 → 开局 → 若干回合 → 存档/读档）并检查结果，
+ * 向量检索（关键词与API两种方式）也经过同一套模拟接口
+ */
+
+class DevHarness {
+    constructor() {
+        this.mockScript = null;          // { name, steps: [...], extraSteps: [...] }，见 nextMockStep
+        this.mockCursor = { main: 0, extra: 0 };
+        this.mockLog = [];               // 每次模拟对话的记录
+        this.mockDimensions = 64;        // 模拟embedding的维度
+        this.streamChunkSize = 20;       // 模拟流式输出每块的字数
+        this.recording = null;           // 录制中：{ startedAt, entries }
+        this.replay = null;              // { entries, used: Set }
+        this.replayStrict = false;       // 严格回放：找不到完全相同的请求时报错，而不是按顺序播放下一条
+        this.recordingFormat = 'xiuxian-llm-recording';
+        this.scenarios = [];             // 内置场景（文件末尾注册）
+    }
+
+    // ---------- 模拟脚本 ----------
+
+    /**
+     * 设置模拟脚本，steps 供主API使用，extraSteps 供额外API使用，按顺序各取一步：
+     *   { json: {...} }             —— 返回 ```json 包裹的对象
+     *   { text: '...' }             —— 原样返回文本（用来模拟格式损坏的响应）
+     *   { status: 500, error: '' }  —— 返回HTTP错误（可加 retryAfter 秒数）
+     *   delay: 毫秒                 —— 任意一步都可以附加延迟
+     *   expectContext: 文本或数组   —— 检查本次请求的上下文中包含这些文本，不包含时记为失败
+     * 不含 json / text / status 的步骤（如 {}）和脚本用完之后，自动生成格式正确的回合，保证长流程可以一直跑下去
+     */
+    setMockScript(script) {
+        if (script && !Array.isArray(script.steps)) {
+            throw new Error('模拟脚本缺少 steps 数组');
+        }
+        this.mockScript = script || null;
+        this.resetMock();
+    }
+
+    resetMock() {
+        this.mockCursor = { main: 0, extra: 0 };
+        this.mockLog = [];
+    }
+
+    nextMockStep(role, messages) {
+        const key = role === 'extra' ? 'extra' : 'main';
+        const steps = this.mockScript ? (key === 'extra' ? this.mockScript.extraSteps : this.mockScript.steps) || [] : [];
+        const index = this.mockCursor[key]++;
+        const scripted = index < steps.length ? steps[index] : {};
+        // 没有指定响应内容的步骤（包括脚本用完之后）自动生成
+        const step = scripted.json !== undefined || scripted.text !== undefined || scripted.status !== undefined
+            ? scripted
+            : { ...scripted, json: key === 'extra' ? this.sampleWorldEvent(index) : this.sampleTurn(index, messages), generated: true };
+
+        const context = messages.map(m => m.content).join('\n');
+        const expected = step.expectContext === undefined ? [] : [].concat(step.expectContext);
+        const lastUser = [...messages].reverse().find(m => m.role === 'user');
+        this.mockLog.push({
+            role: key,
+            index: index,
+            generated: !!step.generated,
+            userMessage: lastUser ? lastUser.content.split('\n')[0] : '',
+            missing: expected.filter(text => !context.includes(text))
+        });
+        return step;
+    }
+
+    /**
+     * 自动生成的正常回合（第一回合同时给出开局境界和地点）
+     */
+    sampleTurn(index, messages) {
+        const lastUser = [...messages].reverse().find(m => m.role === 'user');
+        const action = lastUser ? lastUser.content.split('\n')[0].substring(0, 30) : '';
+        const places = ['外门', '藏经阁', '后山', '丹房'];
+        const options = ['与同门交谈（魅力>5）', '离开此地（体质>3）', '闭关修炼（悟性>8）', '夜探后山（气运>10）'];
+        // 按提醒中要求的数量给出选项（选项模板可以改变数量）
+        const required = lastUser ? lastUser.content.match(/必须返回恰好(\d+)个选项/) : null;
+        const count = required ? parseInt(required[1]) : options.length;
+
+        return {
+            reasoning: {
+                situation: `模拟第${index + 1}回合`,
+                playerChoice: action,
+                logicChain: ['模拟接口不做推理'],
+                outcome: '剧情照常推进'
+            },
+            variables: index === 0
+                ? { realm: '炼气一层', location: '青云山·外门', currentDateTime: '青云历三年 春 辰时' }
+                : { location: `青云山·${places[index % places.length]}` },
+            story: `【模拟剧情 第${index + 1}回合】${action ? `你选择了“${action}”。` : ''}山风吹过青云山，一切如常。`,
+            options: Array.from({ length: count }, (_, i) => options[i % options.length])
+        };
+    }
+
+    sampleWorldEvent(index) {
+        return {
+            reasoning: { situation: '模拟远方传闻', outcome: '无事发生' },
+            story: `【模拟动态世界 第${index + 1}条】远方的宗门传来消息，一切平静。`,
+            variables: {}
+        };
+    }
+
+    /**
+     * 模拟embedding：按汉字二元组哈希到固定维度并归一化，同样的文本得到同样的向量，用词相近的文本相似度高
+     */
+    mockEmbedding(text) {
+        const vector = new Array(this.mockDimensions).fill(0);
+        const chars = Array.from(String(text || '').replace(/\s+/g, ''));
+        for (let i = 0; i < chars.length - 1; i++) {
+            vector[this.hash(chars[i] + chars[i + 1]) % this.mockDimensions] += 1;
+        }
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+        return vector.map(v => v / norm);
+    }
+
+    /**
+     * FNV-1a 哈希
+     */
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    hashMessages(messages) {
+        return this.hash(JSON.stringify(messages.map(m => [m.role, m.content]))).toString(16);
+    }
+
+    // ---------- 响应构造（OpenAI 兼容格式，走和真实接口完全相同的解析流程） ----------
+
+    async respond(request, signal, step, text) {
+        if (step && step.delay > 0) {
+            await window.llmProviders.sleep(step.delay, signal);
+        }
+
+        if (step && step.status >= 400) {
+            const headers = { 'content-type': 'application/json' };
+            if (step.retryAfter !== undefined) headers['retry-after'] = String(step.retryAfter);
+            return new Response(JSON.stringify({ error: { message: step.error || `模拟接口错误 ${step.status}` } }), {
+                status: step.status,
+                headers: headers
+            });
+        }
+
+        if (!request.body.stream) {
+            return new Response(JSON.stringify({ choices: [{ message: { role: 'assistant', content: text } }] }), {
+                status: 200,
+                headers: { 'content-type': 'application/json' }
+            });
+        }
+
+        const chunks = [];
+        const chars = Array.from(text);
+        for (let i = 0; i < chars.length; i += this.streamChunkSize) {
+            const delta = chars.slice(i, i + this.streamChunkSize).join('');
+            chunks.push(`data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`);
+        }
+        chunks.push('data: [DONE]\n\n');
+
+        const encoder = new TextEncoder();
+        const body = new ReadableStream({
+            start(controller) {
+                chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+                controller.close();
+            }
+        });
+        return new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+    }
+
+    stepText(step) {
+        if (step.text !== undefined) return String(step.text);
+        return '```json\n' + JSON.stringify(step.json || {}, null, 2) + '\n```';
+    }
+
+    jsonResponse(data) {
+        return new Response(JSON.stringify(data), { status: 200, headers: { 'content-type': 'application/json' } });
+    }
+
+    // ---------- 录制与回放 ----------
+
+    startRecording() {
+        this.recording = { startedAt: Date.now(), entries: [] };
+        window.llmProviders.recorder = entry => {
+            if (!this.recording || entry.type === 'mock' || entry.type === 'replay') return;
+            this.recording.entries.push({
+                key: this.hashMessages(entry.messages),
+                type: entry.type,
+                model: entry.model,
+                role: entry.role,
+                messages: entry.messages.map(m => ({ role: m.role, content: m.content })),
+                text: entry.text,
+                time: Date.now()
+            });
+        };
+        console.log('[测试工具] 开始录制接口对话');
+    }
+
+    /**
+     * 停止录制，返回可以保存成文件的录制数据（不含密钥和端点）
+     */
+    stopRecording() {
+        window.llmProviders.recorder = null;
+        if (!this.recording) return null;
+        const data = {
+            format: this.recordingFormat,
+            version: 1,
+            createdAt: this.recording.startedAt,
+            entries: this.recording.entries
+        };
+        this.recording = null;
+        console.log(`[测试工具] 录制结束，共${data.entries.length}条`);
+        return data;
+    }
+
+    loadReplay(data) {
+        if (!data || data.format !== this.recordingFormat || !Array.isArray(data.entries)) {
+            throw new Error('不是有效的录制文件');
+        }
+        this.replay = { entries: data.entries, used: new Set() };
+        console.log(`[测试工具] 已载入回放，共${data.entries.length}条`);
+    }
+
+    /**
+     * 按请求内容找到录制的响应：先找完全相同的请求，找不到时（非严格模式）按顺序播放下一条
+     */
+    takeReplay(messages) {
+        if (!this.replay) {
+            throw new Error('尚未载入回放文件');
+        }
+        const key = this.hashMessages(messages);
+        const entries = this.replay.entries;
+        let index = entries.findIndex((entry, i) => !this.replay.used.has(i) && entry.key === key);
+
+        if (index === -1) {
+            if (this.replayStrict) {
+                throw new Error('回放文件中没有与本次请求完全相同的记录（严格模式）');
+            }
+            index = entries.findIndex((entry, i) => !this.replay.used.has(i));
+            if (index !== -1) {
+                console.warn(`[测试工具] 本次请求与录制不完全相同，按顺序播放第${index + 1}条`);
+            }
+        }
+        if (index === -1) {
+            throw new Error(`回放记录已用完（共${entries.length}条）`);
+        }
+        this.replay.used.add(index);
+        return entries[index];
+    }
+
+    // ---------- 场景 ----------
+
+    registerScenario(scenario) {
+        this.scenarios.push(scenario);
+    }
+
+    /**
+     * 运行一个场景
+     * scenario: { name, mock: 模拟脚本, setup: {...}, steps: [...] }
+     * 每一步可以是：
+     *   { do: '驱动方法名', args: [...], as: '结果保存到 ctx 的名字' }
+     *   { check: (state, ctx, harness) => true | '失败原因', label }
+     *   { expect: { path: 'gameState.variables.location', equals | includes | minLength | exists }, label }
+     * driver 由页面提供（见 index.html 的 createDevHarnessDriver），state() 返回当前游戏状态
+     * 返回 { name, passed, steps: [{ label, ok, detail, ms }], duration }
+     */
+    async runScenario(scenario, driver) {
+        const started = Date.now();
+        const report = { name: scenario.name, passed: true, steps: [], duration: 0 };
+        const ctx = {};
+
+        this.setMockScript(scenario.mock || { name: scenario.name, steps: [] });
+        if (driver.reset) await driver.reset(scenario.setup || {});
+
+        for (const step of scenario.steps) {
+            const stepStarted = Date.now();
+            const entry = { label: step.label || step.do || (step.expect && step.expect.path) || '检查', ok: true, detail: '' };
+            try {
+                if (step.do) {
+                    if (typeof driver[step.do] !== 'function') {
+                        throw new Error(`驱动没有 ${step.do} 方法`);
+                    }
+                    const result = await driver[step.do](...(step.args || []));
+                    if (step.as) ctx[step.as] = result;
+                }
+                if (step.check) {
+                    const outcome = await step.check(driver.state(), ctx, this);
+                    if (outcome !== true && outcome !== undefined) {
+                        entry.ok = false;
+                        entry.detail = String(outcome);
+                    }
+                }
+                if (step.expect) {
+                    const problem = this.checkExpectation(driver.state(), step.expect);
+                    if (problem) {
+                        entry.ok = false;
+                        entry.detail = problem;
+                    }
+                }
+            } catch (error) {
+                entry.ok = false;
+                entry.detail = error.message;
+            }
+            entry.ms = Date.now() - stepStarted;
+            report.steps.push(entry);
+            if (!entry.ok) {
+                report.passed = false;
+                break;
+            }
+        }
+
+        // 模拟脚本里声明的上下文要求
+        this.mockLog.filter(log => log.missing.length > 0).forEach(log => {
+            report.passed = false;
+            report.steps.push({
+                label: `第${log.index + 1}次${log.role === 'extra' ? '额外API' : '主API'}请求的上下文`,
+                ok: false,
+                detail: `缺少：${log.missing.join('、')}`,
+                ms: 0
+            });
+        });
+
+        report.duration = Date.now() - started;
+        return report;
+    }
+
+    async runAll(driver, scenarios = this.scenarios) {
+        const reports = [];
+        for (const scenario of scenarios) {
+            console.log(`[测试工具] 运行场景：${scenario.name}`);
+            reports.push(await this.runScenario(scenario, driver));
+        }
+        return reports;
+    }
+
+    getPath(object, path) {
+        return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+    }
+
+    /**
+     * 路径断言（供 JSON 格式的场景使用），通过时返回 null，否则返回失败原因
+     */
+    checkExpectation(state, expect) {
+        const value = this.getPath(state, expect.path);
+        const shown = JSON.stringify(value);
+        if (expect.exists !== undefined && (value !== undefined && value !== null) !== expect.exists) {
+            return `${expect.path} ${expect.exists ? '不存在' : '不应存在'}（实际：${shown}）`;
+        }
+        if (expect.equals !== undefined && JSON.stringify(expect.equals) !== shown) {
+            return `${expect.path} 应为 ${JSON.stringify(expect.equals)}（实际：${shown}）`;
+        }
+        if (expect.includes !== undefined) {
+            const haystack = typeof value === 'string' ? value : JSON.stringify(value || '');
+            if (!haystack.includes(expect.includes)) {
+                return `${expect.path} 不包含「${expect.includes}」`;
+            }
+        }
+        if (expect.minLength !== undefined && !(value && value.length >= expect.minLength)) {
+            return `${expect.path} 的长度应至少为 ${expect.minLength}（实际：${value ? value.length : 0}）`;
+        }
+        return null;
+    }
+
+    /**
+     * 报告的文字版
+     */
+    formatReports(reports) {
+        const passed = reports.filter(r => r.passed).length;
+        let text = `场景通过 ${passed}/${reports.length}\n\n`;
+        reports.forEach(report => {
+            text += `${report.passed ? '✅' : '❌'} ${report.name}（${(report.duration / 1000).toFixed(1)}秒）\n`;
+            report.steps.forEach(step => {
+                text += `   ${step.ok ? '✓' : '✗'} ${step.label}${step.detail ? `：${step.detail}` : ''}\n`;
+            });
+            text += '\n';
+        });
+        return text;
+    }
+}
+
+// 创建全局实例
+window.devHarness = new DevHarness();
+
+// 模拟接口：按脚本返回，无需端点和密钥
+window.llmProviders.register('mock', {
+    ...window.llmProviders.openAICompatible,
+    label: '模拟（开发）',
+    defaultEndpoint: 'mock://local',
+    requiresKey: false,
+    requiresEndpoint: false,
+    defaults: { temperature: 0.8, topP: undefined, maxTokens: undefined, timeout: 30000, retries: 2 },
+    async respond(request, signal, connection) {
+        const harness = window.devHarness;
+        if (request.url.endsWith('/models')) {
+            return harness.jsonResponse({ data: [{ id: 'mock-default' }] });
+        }
+        if (request.url.endsWith('/embeddings')) {
+            return harness.jsonResponse({ data: [{ embedding: harness.mockEmbedding(request.body.input) }] });
+        }
+        const step = harness.nextMockStep(connection.role, request.body.messages);
+        return await harness.respond(request, signal, step, harness.stepText(step));
+    }
+});
+
+// 回放接口：播放录制文件里的响应
+window.llmProviders.register('replay', {
+    ...window.llmProviders.openAICompatible,
+    label: '回放（开发）',
+    defaultEndpoint: 'replay://local',
+    requiresKey: false,
+    requiresEndpoint: false,
+    defaults: { temperature: 0.8, topP: undefined, maxTokens: undefined, timeout: 30000, retries: 0 },
+    async respond(request, signal) {
+        const harness = window.devHarness;
+        if (request.url.endsWith('/models')) {
+            const models = harness.replay ? [...new Set(harness.replay.entries.map(e => e.model))] : [];
+            return harness.jsonResponse({ data: (models.length > 0 ? models : ['replay']).map(id => ({ id: id })) });
+        }
+        if (request.url.endsWith('/embeddings')) {
+            return harness.jsonResponse({ data: [{ embedding: harness.mockEmbedding(request.body.input) }] });
+        }
+        const entry = harness.takeReplay(request.body.messages);
+        return await harness.respond(request, signal, null, entry.text);
+    }
+});
+
+// ---------- 内置场景 ----------
+
+const harnessHistoryTurns = state => Math.floor(state.gameState.conversationHistory.length / 2);
+
+// 脚本回合通用的四个选项（判定门槛都很低，选项本身不影响场景）
+const harnessOptions = ['A（魅力>1）', 'B（体质>1）', 'C（悟性>1）', 'D（气运>1）'];
+
+window.devHarness.registerScenario({
+    name: '完整流程：创建角色、开局、三回合、存档读档',
+    steps: [
+        { do: 'createCharacter', args: [{ name: '测试道人', age: 16 }], label: '创建角色并开局' },
+        { expect: { path: 'gameState.isGameStarted', equals: true } },
+        { expect: { path: 'gameState.variables.realm', equals: '炼气一层' } },
+        { do: 'selectOption', args: [0], label: '选择选项1' },
+        { do: 'selectOption', args: [2], label: '选择选项3' },
+        { do: 'selectOption', args: [1], label: '选择选项2' },
+        { check: state => harnessHistoryTurns(state) === 4 || `应有4回合，实际${harnessHistoryTurns(state)}回合`, label: '回合数' },
+        { check: state => state.gameState.variableSnapshots.length === state.gameState.conversationHistory.length || '变量快照与对话条数不一致', label: '变量快照' },
+        { do: 'snapshot', as: 'beforeSave', label: '记录存档前状态' },
+        { do: 'save', args: ['__测试存档__'], label: '存档' },
+        { do: 'selectOption', args: [3], label: '存档后继续一回合' },
+        { do: 'load', args: ['__测试存档__'], label: '读档' },
+        {
+            check: (state, ctx) => JSON.stringify(ctx.beforeSave) === JSON.stringify({
+                variables: state.gameState.variables,
+                conversationHistory: state.gameState.conversationHistory
+            }) || '读档后的变量或对话与存档时不一致',
+            label: '读档还原'
+        },
+        { do: 'removeSave', args: ['__测试存档__'], label: '删除测试存档' }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '格式损坏的响应触发重新生成',
+    mock: {
+        name: '格式损坏',
+        steps: [
+            {},  // 开局用自动生成的回合
+            { text: '这不是JSON，只是一段剧情。' },
+            { json: { story: '缺少选项的回合' } },
+            {
+                json: {
+                    story: '第三次终于返回了完整的回合。',
+                    options: harnessOptions,
+                    variables: { location: '青云山·校验台' }
+                },
+                expectContext: ['请修正', '缺少选项的回合']
+            }
+        ]
+    },
+    setup: { maxResponseRetries: 2 },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '校验道人' }], label: '创建角色并开局' },
+        { do: 'selectOption', args: [0], label: '选择选项（前两次响应不合格）' },
+        { expect: { path: 'gameState.variables.location', equals: '青云山·校验台' } },
+        { check: (state, ctx, harness) => harness.mockCursor.main === 4 || `应请求4次，实际${harness.mockCursor.main}次`, label: '重试次数' }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '接口错误按退避重试',
+    mock: {
+        name: '接口错误',
+        steps: [
+            {},
+            { status: 503, error: '服务暂时不可用' },
+            { status: 429, error: '请求过于频繁', retryAfter: 0 },
+            { json: { story: '重试后成功。', options: harnessOptions } }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '重试道人' }], label: '创建角色并开局' },
+        { do: 'selectOption', args: [0], label: '选择选项（前两次接口报错）' },
+        { check: state => harnessHistoryTurns(state) === 2 || '重试后回合没有完成', label: '回合完成' },
+        { check: state => state.lastStory === '重试后成功。' || `剧情不对：${state.lastStory}`, label: '使用了重试后的响应' }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '增量更新与状态回滚',
+    mock: {
+        name: '增量更新',
+        steps: [
+            {},
+            {
+                json: {
+                    story: '你在山洞中拾得一柄古剑，结识了李师兄。',
+                    options: harnessOptions,
+                    variables: {
+                        patch: {
+                            items: [{ op: 'add', name: '紫霄剑', count: 1, type: '装备-法宝', effects: { spirit: 3 } }],
+                            relationships: [{ op: 'add', name: '李师兄', favorDelta: 10, historyAppend: '山洞中初次相识' }]
+                        }
+                    }
+                }
+            },
+            {
+                json: {
+                    story: '李师兄指点你剑法。',
+                    options: harnessOptions,
+                    variables: {
+                        patch: { relationships: [{ op: 'update', name: '李师兄', favorDelta: 5, historyAppend: '指点剑法' }] }
+                    }
+                }
+            }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '增量道人' }], label: '创建角色并开局' },
+        { do: 'selectOption', args: [0], label: '获得物品与人物' },
+        { check: state => (state.gameState.variables.items || []).some(i => i.name === '紫霄剑') || '没有获得紫霄剑', label: '物品增加' },
+        { do: 'selectOption', args: [1], label: '更新好感' },
+        {
+            check: state => {
+                const relation = (state.gameState.variables.relationships || []).find(r => r.name === '李师兄');
+                if (!relation) return '没有李师兄';
+                return (relation.history || []).length === 2 || `互动记录应为2条，实际${(relation.history || []).length}条`;
+            },
+            label: '人物互动记录'
+        }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '选项模板：选项数量、分级锁定与玩法统计',
+    mock: {
+        name: '选项模板',
+        steps: [
+            {},
+            { expectContext: ['必须返回恰好3个选项', '内容分级为全年龄'] },
+            {},
+            {}
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '模板道人' }], label: '创建角色并开局' },
+        {
+            do: 'setOptionTemplate',
+            args: [{ rating: 'general', slots: window.optionSlots.cloneBuiltin().slots.map(slot => ({ ...slot, restricted: 'disable' })) }],
+            label: '改为全年龄（R18位置锁定）'
+        },
+        { do: 'selectOption', args: [0], label: '选择对话选项（提示词要求3个选项）' },
+        { check: state => state.gameState.currentOptions.length === 3 || `应有3个选项，实际${state.gameState.currentOptions.length}个`, label: '选项数量' },
+        {
+            check: () => {
+                const containers = document.querySelectorAll('#gameHistory .options-container');
+                const buttons = containers[containers.length - 1].querySelectorAll('.option-btn');
+                return (buttons.length === 4 && buttons[3].disabled) || '第4个位置应显示为锁定按钮';
+            },
+            label: '锁定位置'
+        },
+        { do: 'selectOption', args: [1], label: '选择离开选项' },
+        { do: 'sendInput', args: ['四处看看'], label: '自由行动' },
+        {
+            check: state => {
+                const stats = state.gameState.optionStats;
+                return (stats.slots.dialogue.count === 1 && stats.slots.leave.count === 1 && stats.freeInput === 1) ||
+                    `统计不符：${JSON.stringify(stats)}`;
+            },
+            label: '玩法统计'
+        }
+    ]
+});
+
+// 开局后第一次突破时的点数由检定种子决定：种子24掷出1（必定成功），种子7掷出99（必定失败）
+window.devHarness.registerScenario({
+    name: '境界突破：修为圆满后闭关突破成功',
+    mock: {
+        name: '突破成功',
+        steps: [
+            {},
+            {
+                expectContext: ['【闭关突破：炼气一层 → 炼气二层】', '境界提升为炼气二层'],
+                json: { story: '你闭关数月，灵气贯通经脉，一举突破到炼气二层。', options: harnessOptions }
+            }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '突破道人' }], label: '创建角色并开局' },
+        { do: 'prepareBreakthrough', args: [24], label: '修为圆满' },
+        { do: 'breakthrough', args: [[]], label: '闭关突破' },
+        { expect: { path: 'gameState.variables.realm', equals: '炼气二层' } },
+        { expect: { path: 'gameState.variables.cultivationProgress', equals: 0 } },
+        { check: state => state.lastStory.includes('一举突破') || `剧情不对：${state.lastStory}`, label: 'AI叙述了突破' }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '境界突破：突破失败损失修为',
+    mock: {
+        name: '突破失败',
+        steps: [
+            {},
+            {
+                expectContext: ['境界仍为炼气一层'],
+                json: { story: '你冲关失败，真气逆行，修为倒退了几分。', options: harnessOptions }
+            }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '失手道人' }], label: '创建角色并开局' },
+        { do: 'prepareBreakthrough', args: [7], label: '修为圆满' },
+        { do: 'breakthrough', args: [[]], label: '闭关突破' },
+        { expect: { path: 'gameState.variables.realm', equals: '炼气一层' } },
+        {
+            check: state => state.gameState.variables.cultivationProgress < window.gameEngine.getRealmInfo().progressMax || '突破失败没有损失修为',
+            label: '损失修为'
+        }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '境界突破：AI回复无法使用时撤回突破',
+    setup: { maxResponseRetries: 0 },
+    mock: {
+        name: '突破回复损坏',
+        steps: [
+            {},
+            { text: '这不是JSON，只是一段突破的剧情。' }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '撤回道人' }], label: '创建角色并开局' },
+        { do: 'prepareBreakthrough', args: [24], label: '修为圆满' },
+        { do: 'snapshot', as: 'before', label: '记录突破前状态' },
+        { do: 'breakthrough', args: [[]], as: 'alert', label: '闭关突破（回复无法使用）' },
+        { check: (state, ctx) => ctx.alert.includes('突破已撤回') || `没有提示撤回：${ctx.alert}`, label: '提示撤回' },
+        {
+            check: (state, ctx) => JSON.stringify(ctx.before) === JSON.stringify({
+                variables: state.gameState.variables,
+                conversationHistory: state.gameState.conversationHistory
+            }) || '变量、日期或对话没有恢复到突破前',
+            label: '恢复突破前状态'
+        }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '历法：声明耗时、年龄增长与日程到期',
+    mock: {
+        name: '历法',
+        steps: [
+            {},
+            {
+                json: {
+                    story: '你与李师兄约定三日后在坊市相见。',
+                    options: harnessOptions,
+                    timeElapsed: '两个时辰',
+                    schedule: [{ title: '坊市之约', date: '三日后', description: '与李师兄在坊市相见' }]
+                }
+            },
+            {
+                json: {
+                    story: '你闭关苦修，不觉已过一年有余。',
+                    options: harnessOptions,
+                    timeElapsed: '一年零三天'
+                }
+            },
+            { expectContext: ['已到期的日程', '坊市之约'] }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '历法道人', age: 16 }], label: '创建角色并开局' },
+        { expect: { path: 'gameState.variables.currentDateTime', equals: '青云历3年1月1日 辰时' } },
+        { do: 'selectOption', args: [0], label: '约定三日后的日程' },
+        { expect: { path: 'gameState.variables.currentDateTime', equals: '青云历3年1月1日 午时' } },
+        { expect: { path: 'gameState.calendar.events.length', equals: 1 } },
+        { do: 'selectOption', args: [0], label: '闭关一年零三天' },
+        { expect: { path: 'gameState.variables.age', equals: 17 } },
+        { check: state => state.gameState.calendar.due.some(event => event.title === '坊市之约') || '日程没有到期', label: '日程到期' },
+        { do: 'selectOption', args: [0], label: '到期的日程交给AI' }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '向量检索：关键词与API两种方式',
+    setup: { vectorRetrieval: true, vectorMethod: 'keyword', historyDepth: 1 },
+    mock: {
+        name: '向量检索',
+        steps: [
+            {},
+            { json: { story: '你在藏经阁深处找到一卷《太虚剑诀》，书页泛黄。', options: harnessOptions } },
+            { json: { story: '丹房的炉火正旺，王长老在炼制筑基丹。', options: harnessOptions } },
+            { json: { story: '后山的瀑布下，你打坐调息。', options: harnessOptions } },
+            { expectContext: ['【相关历史回忆】', '书页泛黄'] }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '检索道人' }], label: '创建角色并开局' },
+        { do: 'selectOption', args: [0], label: '回合：藏经阁' },
+        { do: 'selectOption', args: [1], label: '回合：丹房' },
+        { do: 'selectOption', args: [2], label: '回合：后山' },
+        { check: state => state.vectors.conversationEmbeddings.length >= 4 || `向量库只有${state.vectors.conversationEmbeddings.length}条`, label: '向量库写入' },
+        { do: 'retrieve', args: ['太虚剑诀'], as: 'keywordResult', label: '关键词检索' },
+        {
+            check: (state, ctx) => (ctx.keywordResult.relevantChunks[0] || {}).turnIndex === 2 ||
+                `最相关的应是第2轮，实际：${JSON.stringify(ctx.keywordResult.relevantChunks.map(c => c.turnIndex))}`,
+            label: '关键词检索命中'
+        },
+        { do: 'sendInput', args: ['我想再翻翻太虚剑诀'], label: '自由输入（上下文应带上相关回忆）' },
+        { do: 'setVectorMethod', args: ['api'], label: '切换到API向量（模拟embedding）' },
+        { do: 'retrieve', args: ['王长老炼制筑基丹'], as: 'apiResult', label: 'API检索' },
+        {
+            check: (state, ctx) => ctx.apiResult.relevantChunks.some(c => c.turnIndex === 3) ||
+                `应检索到第3轮，实际：${JSON.stringify(ctx.apiResult.relevantChunks.map(c => c.turnIndex))}`,
+            label: 'API检索命中'
+        }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '动态世界：变量合并去重',
+    setup: { dynamicWorld: true },
+    mock: {
+        name: '动态世界',
+        steps: [],
+        extraSteps: [
+            { json: { story: '李师兄外出历练归来。', variables: { relationships: [{ name: '李师兄', relation: '师兄', favor: 20, history: ['外出历练归来'] }] } } },
+            { json: { story: '李师兄再次提起历练见闻。', variables: { relationships: [{ name: '李师兄', favor: 25, history: ['外出历练归来', '讲述历练见闻'] }] } } }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '世界道人' }], label: '创建角色并开局（开局后生成动态世界第1条）' },
+        { do: 'generateDynamicWorld', label: '动态世界第2条' },
+        { expect: { path: 'gameState.dynamicWorld.history.length', equals: 2 } },
+        {
+            check: state => {
+                const relation = (state.gameState.variables.relationships || []).find(r => r.name === '李师兄');
+                if (!relation) return '动态世界没有合并出李师兄';
+                if (relation.favor !== 25) return `好感度应为25，实际${relation.favor}`;
+                return (relation.history || []).length === 2 || `互动记录应去重为2条，实际${(relation.history || []).length}条`;
+            },
+            label: '合并去重'
+        }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '动态世界：世界局势推演与带入主线',
+    setup: { dynamicWorld: true, worldSchedule: { mode: 'turns', interval: 2 } },
+    mock: {
+        name: '世界局势',
+        steps: [
+            {},
+            { expectContext: ['[世界局势：', '血煞宗弟子潜入青云山'] },
+            {}
+        ],
+        extraSteps: [
+            {
+                json: {
+                    story: '血煞宗弟子悄然潜入青云山一带。',
+                    world: {
+                        factions: [
+                            { op: 'add', name: '青云宗', type: '宗门', stance: '正道', strength: 70 },
+                            { op: 'add', name: '血煞宗', type: '宗门', stance: '魔道', strength: 60 },
+                            { op: 'update', name: '不存在的宗门', strengthDelta: 10 }
+                        ],
+                        regions: [{ op: 'add', name: '青云山', controller: '青云宗', danger: 20 }],
+                        events: [{ title: '血煞宗弟子潜入青云山', region: '青云山', factions: ['血煞宗'] }]
+                    }
+                }
+            },
+            {
+                json: {
+                    story: '血煞宗的探子被青云宗长老击退。',
+                    world: {
+                        factions: [{ op: 'update', name: '血煞宗', strengthDelta: -10 }],
+                        conflicts: [{ op: 'add', name: '青云山之争', region: '青云山', parties: ['青云宗', '血煞宗'], intensity: 40 }]
+                    }
+                }
+            }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '局势道人' }], label: '创建角色并开局（开局时推演一次）' },
+        { expect: { path: 'gameState.dynamicWorld.world.factions.length', equals: 2 }, label: '不存在的条目被跳过' },
+        { do: 'selectOption', args: [0], label: '第2回合（未到推演时间，世界事件带入主线）' },
+        { expect: { path: 'gameState.dynamicWorld.history.length', equals: 1 } },
+        { do: 'selectOption', args: [1], label: '第3回合（每2回合推演一次）' },
+        { expect: { path: 'gameState.dynamicWorld.history.length', equals: 2 } },
+        {
+            check: state => {
+                const world = state.gameState.dynamicWorld.world;
+                const faction = world.factions.find(f => f.name === '血煞宗');
+                if (faction.strength !== 50) return `血煞宗实力应为50，实际${faction.strength}`;
+                return (world.conflicts.length === 1 && world.lastRun.turn === 3) || `冲突${world.conflicts.length}个，上次推演第${world.lastRun.turn}回合`;
+            },
+            label: '世界局势更新'
+        }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '炼制与交易：坊市购买材料炼丹并告知AI',
+    mock: {
+        name: '炼制与交易',
+        steps: [
+            {
+                json: {
+                    story: '你来到青云坊市，药铺掌柜正在吆喝。',
+                    options: harnessOptions,
+                    variables: { location: '青云坊市', spiritStones: 100 },
+                    market: { name: '百草堂', type: 'shop', items: [{ name: '灵草', type: '材料', price: 5, count: 10 }] }
+                }
+            },
+            { expectContext: ['[交易记录：', '买下灵草×4', '炼丹「回春丹」'] }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '丹鼎道人' }], label: '创建角色并开局（AI开设坊市）' },
+        { expect: { path: 'gameState.economy.markets.length', equals: 1 } },
+        { do: 'buy', args: ['灵草', 4], label: '购买灵草×4' },
+        { expect: { path: 'gameState.variables.spiritStones', equals: 80 } },
+        { do: 'craft', args: ['回春丹'], as: 'craft', label: '炼制回春丹' },
+        {
+            check: (state, ctx) => {
+                const herbs = window.economy.countItem(state.gameState.variables.items, '灵草');
+                if (herbs !== 2) return `应剩灵草2株，实际${herbs}`;
+                const pills = (state.gameState.variables.items || []).filter(item => item.name.endsWith('回春丹'));
+                return ctx.craft.success === (pills.length > 0) || '炼制结果与背包不符';
+            },
+            label: '消耗材料并得到成品'
+        },
+        { expect: { path: 'gameState.economy.pending.length', equals: 2 } },
+        { do: 'selectOption', args: [0], label: '下一回合把交易记录交给AI' },
+        { expect: { path: 'gameState.economy.pending.length', equals: 0 } }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '人物关系网：相关人物详情与合并重复人物',
+    mock: {
+        name: '人物关系网',
+        steps: [
+            {},
+            {
+                json: {
+                    story: '王长老命李师兄带你熟悉门派，下山时茶摊的玉娘送了你一壶茶。',
+                    options: harnessOptions,
+                    variables: {
+                        patch: {
+                            relationships: [
+                                { op: 'add', name: '李师兄', relation: '师兄', favor: 10, historyAppend: '奉王长老之命带你熟悉门派' },
+                                { op: 'add', name: '玉娘', relation: '茶摊老板娘', favor: 5, historyAppend: '送你一壶茶' }
+                            ]
+                        }
+                    },
+                    npcLinks: [{ op: 'add', from: '王长老', to: '李师兄', type: '师徒' }]
+                }
+            },
+            {
+                expectContext: ['【相关人物】', '王长老的徒弟', '奉王长老之命带你熟悉门派'],
+                json: {
+                    story: '李师兄与你切磋一番，夸你进步神速。回山路上，玉娘子又招呼你喝茶。',
+                    options: harnessOptions,
+                    variables: {
+                        patch: {
+                            relationships: [
+                                { op: 'update', name: '李师兄', favorDelta: 5, historyAppend: '切磋剑法' },
+                                { op: 'add', name: '玉娘子', relation: '茶摊老板娘', favor: 3, historyAppend: '招呼你喝茶' }
+                            ]
+                        }
+                    }
+                }
+            }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '青云弟子' }], label: '创建角色并开局' },
+        { do: 'selectOption', args: [0], label: '结识李师兄与玉娘' },
+        { expect: { path: 'gameState.npcGraph.links.length', equals: 1 } },
+        { do: 'sendInput', args: ['去找李师兄切磋'], label: '提到李师兄（上下文应带上他的详情）' },
+        {
+            check: state => {
+                const points = state.gameState.npcGraph.favorLog['李师兄'] || [];
+                return points.length === 2 || `李师兄的好感变化应为2条，实际${points.length}条`;
+            },
+            label: '记录好感变化'
+        },
+        {
+            check: state => window.npcGraph.findDuplicates(state.gameState.variables.relationships).some(pair => pair.drop === '玉娘子') || '没有发现玉娘子与玉娘重复',
+            label: '发现重复人物'
+        },
+        { do: 'mergeNpcs', args: ['玉娘', '玉娘子'], label: '合并玉娘子到玉娘' },
+        {
+            check: state => {
+                const list = state.gameState.variables.relationships.filter(r => r.name.startsWith('玉娘'));
+                if (list.length !== 1) return `合并后应只剩一个玉娘，实际${list.length}个`;
+                if (!(list[0].aliases || []).includes('玉娘子')) return '玉娘子没有记为别名';
+                return list[0].history.length === 2 || `互动记录应为2条，实际${list[0].history.length}条`;
+            },
+            label: '合并互动记录与别名'
+        }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '地点与行程：登记地点与路线并前往远方',
+    mock: {
+        name: '地点与行程',
+        steps: [
+            {
+                json: {
+                    story: '你在青云宗的客房中醒来。',
+                    options: harnessOptions,
+                    variables: { currentDateTime: '天元历3021年3月15日 午时', realm: '炼气一层', location: '天南域·青云山·青云宗' }
+                }
+            },
+            {
+                json: {
+                    story: '你下山来到青云坊市，听说往西三日路程有一处黑风谷。',
+                    options: harnessOptions,
+                    timeElapsed: '半日',
+                    variables: { location: '青云坊市' },
+                    places: [{ name: '青云坊市', parent: '青云山', routes: [{ to: '黑风谷', time: '三日路程' }] }]
+                }
+            },
+            {
+                expectContext: ['动身前往黑风谷', '[地点：主角在黑风谷'],
+                json: {
+                    story: '三日后，你站在黑风谷口，阴风阵阵。',
+                    options: harnessOptions,
+                    timeElapsed: '片刻'
+                }
+            }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '行脚道人' }], label: '创建角色并开局（登记上下级地点）' },
+        { expect: { path: 'gameState.locations.places.length', equals: 3 } },
+        { do: 'selectOption', args: [0], label: '下山到坊市（记下路线）' },
+        { expect: { path: 'gameState.locations.routes.length', equals: 2 } },
+        { do: 'travelTo', args: ['黑风谷'], label: '前往黑风谷' },
+        { expect: { path: 'gameState.variables.location', equals: '黑风谷' } },
+        { expect: { path: 'gameState.variables.currentDateTime', equals: '天元历3021年3月19日 子时' } }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '回合制战斗：遭遇、本地结算并交给AI叙述',
+    mock: {
+        name: '回合制战斗',
+        steps: [
+            {},
+            {
+                json: {
+                    story: '山道上跳出一名山贼，拦住了你的去路。',
+                    options: harnessOptions,
+                    encounter: { enemies: [{ name: '山贼', realm: '凡人', hp: 1, attack: 1, defense: 0, speed: 1 }], canFlee: true, description: '山贼手持柴刀' }
+                }
+            },
+            {
+                expectContext: ['【战斗结果：', '山贼'],
+                json: {
+                    story: '你一招便将山贼击倒，他连滚带爬地逃下山去。',
+                    options: harnessOptions
+                }
+            }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '行侠道人' }], label: '创建角色并开局' },
+        { do: 'selectOption', args: [0], label: '遭遇山贼' },
+        { expect: { path: 'gameState.combat.status', equals: 'ongoing' } },
+        { do: 'combatAction', args: ['attack'], label: '普通攻击（击倒山贼后交给AI叙述）' },
+        { expect: { path: 'gameState.combat', exists: false } },
+        { check: state => state.lastStory.includes('将山贼击倒') || `剧情不对：${state.lastStory}`, label: 'AI叙述了战斗结果' }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '分支回溯：丢弃被放弃回合的世界事件、坊市、人物关系与地点',
+    setup: { dynamicWorld: true, worldSchedule: { mode: 'turns', interval: 1 } },
+    mock: {
+        name: '分支回溯',
+        steps: [
+            {
+                json: {
+                    story: '你拜入青云宗，王长老收了李师兄为徒。',
+                    options: harnessOptions,
+                    variables: { realm: '炼气一层', location: '青云宗', spiritStones: 100 },
+                    npcLinks: [{ from: '王长老', to: '李师兄', type: '师徒' }]
+                }
+            },
+            {
+                json: {
+                    story: '你下山来到青云坊市，听说李师兄与赵师弟结了仇。',
+                    options: harnessOptions,
+                    variables: { location: '青云坊市' },
+                    market: { name: '百草堂', type: 'shop', items: [{ name: '灵草', type: '材料', price: 5, count: 10 }] },
+                    npcLinks: [{ from: '李师兄', to: '赵师弟', type: '宿敌' }]
+                }
+            },
+            {
+                json: {
+                    story: '你一路向西，来到阴风阵阵的黑风谷。',
+                    options: harnessOptions,
+                    variables: { location: '黑风谷' }
+                }
+            }
+        ],
+        extraSteps: [
+            { json: { story: '青云宗广开山门。', world: { events: [{ title: '青云宗广开山门' }] } } },
+            { json: { story: '血煞宗在坊市一带异动。', world: { events: [{ title: '血煞宗异动' }] } } },
+            { json: { story: '黑风谷妖兽出没。', world: { events: [{ title: '黑风谷妖兽出没' }] } } }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '回溯道人' }], label: '创建角色并开局（第1回合）' },
+        { do: 'selectOption', args: [0], label: '第2回合：坊市开张、结下仇怨' },
+        { do: 'buy', args: ['灵草', 4], label: '购买灵草' },
+        { do: 'selectOption', args: [0], label: '第3回合：前往黑风谷' },
+        { expect: { path: 'gameState.dynamicWorld.world.events.length', equals: 3 } },
+        { do: 'rewind', args: [1], label: '回到第1回合分出新分支' },
+        { expect: { path: 'gameState.variables.location', equals: '青云宗' } },
+        {
+            check: state => {
+                const { dynamicWorld, economy, npcGraph, locations } = state.gameState;
+                const problems = [];
+                const events = dynamicWorld.world.events.map(event => event.title);
+                if (events.join() !== '青云宗广开山门') problems.push(`世界事件：${events.join('、')}`);
+                if (economy.markets.length > 0) problems.push(`坊市：${economy.markets.map(m => m.name).join('、')}`);
+                if (economy.ledger.length > 0) problems.push(`交易记录：${economy.ledger.map(e => e.text).join('；')}`);
+                if (npcGraph.links.length !== 1 || npcGraph.links[0].type !== '师徒') problems.push(`人物关系：${npcGraph.links.map(l => l.type).join('、')}`);
+                const places = locations.places.map(place => place.name).filter(name => name === '青云坊市' || name === '黑风谷');
+                if (places.length > 0) problems.push(`地点：${places.join('、')}`);
+                return problems.length === 0 || `第2-3回合的记录没有丢弃：${problems.join('；')}`;
+            },
+            label: '只保留第1回合的记录'
+        }
+    ]
+});
+
+window.devHarness.registerScenario({
+    name: '导出小说：分章、玩家行动、思维链与突破状态栏',
+    mock: {
+        name: '导出小说',
+        steps: [
+            {
+                json: {
+                    story: '你在青云宗的客房中醒来，窗外云海翻涌。',
+                    options: ['前往后山修炼（体质>1）', '去藏经阁看书（悟性>1）', '下山逛坊市（魅力>1）', '四处闲逛（气运>1）'],
+                    variables: { realm: '炼气一层', location: '青云宗' }
+                }
+            },
+            {
+                json: {
+                    story: '你在后山瀑布下打坐，灵气灌顶，一举突破到炼气二层。',
+                    options: harnessOptions,
+                    reasoning: { situation: '主角在后山修炼', playerChoice: '专心修炼', logicChain: ['灵气充沛', '根基扎实'], outcome: '突破成功' },
+                    variables: { realm: '炼气二层' }
+                }
+            }
+        ]
+    },
+    steps: [
+        { do: 'createCharacter', args: [{ name: '青云弟子' }], label: '创建角色并开局' },
+        { do: 'selectOption', args: [0], label: '前往后山修炼' },
+        {
+            check: () => {
+                const markdown = window.novelExporter.export(window.gameEngine.serialize(), 'markdown', { includeReasoning: true }).data;
+                const expected = ['## 第1章 青云宗', '*青云弟子前往后山修炼。*', '灵气灌顶', '推理链条：灵气充沛；根基扎实', '境界变化：炼气一层 → 炼气二层'];
+                const missing = expected.filter(text => !markdown.includes(text));
+                return missing.length === 0 || `Markdown 缺少：${missing.join('、')}`;
+            },
+            label: 'Markdown：行动写成叙述，附思维链和突破状态栏'
+        },
+        {
+            check: () => {
+                const html = window.novelExporter.export(window.gameEngine.serialize(), 'html', { actionStyle: 'quote' }).data;
+                if (!html.includes('「前往后山修炼」')) return 'HTML 没有引用原选项';
+                return !html.includes('推理链条') || '没有勾选却导出了思维链';
+            },
+            label: 'HTML：引用原选项'
+        },
+        {
+            check: () => {
+                const bytes = window.novelExporter.export(window.gameEngine.serialize(), 'epub').data;
+                const head = String.fromCharCode(...bytes.slice(0, 58));
+                return (head.startsWith('PK') && head.slice(30) === 'mimetypeapplication/epub+zip') || 'EPUB 的开头应为不压缩的 mimetype';
+            },
+            label: 'EPUB：本地打包'
+        }
+    ]
+});
+
+console.log('[测试工具] 已加载，使用方法：');
+console.log('1. window.devHarness.setMockScript({ steps: [...] }) - 设置模拟接口的响应脚本（API类型选“模拟（开发）”）');
+console.log('2. window.devHarness.startRecording() / stopRecording() / loadReplay(录制) - 录制真实对话并回放');
+console.log('3. runDevScenarios() - 用模拟接口跑一遍内置场景（完成后恢复当前进度）');
@@ -0,0 +1,384 @@
+/**
+ * 炼制与交易
+ * 炼丹、炼器按配方消耗材料，成功率由对应属性与配方难度决定，成品品质（效果倍率）由掷骰超出的幅度决定；
+ * 坊市、商铺和拍卖会的货物由AI在剧情中给出（响应的 market 字段，属于当时的地点），买卖与竞拍在本地结算，
+ * 道具和灵石立即变化，交易记录随玩家的下一回合交给AI，让剧情中的经济与变量保持一致。
+ * 本模块只做计算：配方来自剧本包（crafting）和AI传授的配方，坊市与交易记录保存在存档的 economy 中
+ */
+
+// 成品品质：成功时掷骰低于成功率的幅度越大，品质越高（中品不加前缀）
+const CRAFT_QUALITIES = [
+    { name: '极品', margin: 50, multiplier: 1.6 },
+    { name: '上品', margin: 30, multiplier: 1.3 },
+    { name: '中品', margin: 10, multiplier: 1 },
+    { name: '下品', margin: 0, multiplier: 0.8 }
+];
+
+// 估价：各类物品的底价，以及每点效果值多少灵石（其余效果按属性计价）
+const ITEM_BASE_PRICES = { '丹药': 20, '材料': 10, '杂物': 5 };
+const EQUIPMENT_BASE_PRICE = 50;
+const EFFECT_PRICES = { cultivationProgress: 0.5, hp: 0.2, mp: 0.2, hpMax: 1, mpMax: 1, breakthrough: 20 };
+const ATTRIBUTE_EFFECT_PRICE = 15;
+
+const MARKET_TYPES = { shop: '商铺', auction: '拍卖会' };
+
+class Economy {
+    constructor() {
+        this.qualities = CRAFT_QUALITIES;
+        this.marketTypes = MARKET_TYPES;
+        this.baseChance = 70;        // 配方难度为0、属性为基础值时的成功率
+        this.attributeWeight = 2;    // 属性每高出基础值1点，成功率+2%
+        this.fortuneWeight = 0.1;    // 机缘值每点+0.1%，天谴值每点-0.1%
+        this.minChance = 5;
+        this.maxChance = 95;
+        this.sellRatio = 0.5;        // 卖给商铺的价格为估价的一半
+        this.auctionSpread = 1;      // 其他买家的最高出价在起拍价的1-2倍之间
+        this.maxMarkets = 20;        // 保留的坊市数（按开张先后淘汰）
+        this.maxLedger = 50;         // 保留的交易记录数
+        this.maxStockLog = 20;       // 每个坊市保留的回合货物记录数（回档时还原货物）
+    }
+
+    createState() {
+        return {
+            recipes: [],   // AI在剧情中传授的配方，带传授时的回合 turn（剧本包自带的配方不存进存档）
+            markets: [],   // [{ id, name, type: 'shop' | 'auction', location, items: [{ name, type, effects, price, count, description }], openedTurn, stockLog: [{ turn, items }] }]
+            pending: [],   // 还没有交给AI的交易记录（文字），玩家的下一回合带上后清空
+            ledger: [],    // 最近的交易记录：[{ turn: 交给AI的回合, date, kind: 'craft' | 'buy' | 'sell' | 'bid', text }]
+            counter: 0     // 炼制次数，每次炼制的掷骰各不相同
+        };
+    }
+
+    /**
+     * 回档或分出分支时只保留前 maxTurn 回合开设的坊市、传授的配方和交易记录，坊市货物还原到当时的样子
+     * 还没交给AI的交易记录属于被放弃的剧情（变量已回滚），一并清空
+     */
+    retainTurns(state, maxTurn) {
+        state.markets = state.markets.filter(market => market.openedTurn <= maxTurn);
+        state.markets.forEach(market => {
+            const log = market.stockLog || [];
+            const restored = log.find(entry => entry.turn > maxTurn);
+            if (restored) market.items = restored.items;
+            market.stockLog = log.filter(entry => entry.turn <= maxTurn);
+        });
+        state.recipes = state.recipes.filter(recipe => (recipe.turn || 0) <= maxTurn);
+        state.ledger = state.ledger.filter(entry => entry.turn <= maxTurn);
+        state.pending = [];
+    }
+
+    // ---------- 配方 ----------
+
+    /**
+     * 校验并补齐配方，不合法时抛出错误（arts 为剧本包的炼制技艺）
+     * { name, art, materials: [{ name, count }], result: { name, type, count, effects }, difficulty, duration, spiritStones }
+     */
+    normalizeRecipe(raw, arts) {
+        if (!raw || !raw.name) throw new Error('配方缺少名称');
+        const art = arts.find(a => a.id === raw.art || a.name === raw.art);
+        if (!art) throw new Error(`配方「${raw.name}」的技艺「${raw.art || ''}」无效，必须是：${arts.map(a => a.name).join('、')}之一`);
+        const materials = Array.isArray(raw.materials) ? raw.materials : [];
+        if (materials.length === 0 || materials.some(m => !m || !m.name)) {
+            throw new Error(`配方「${raw.name}」缺少材料或材料缺少名称`);
+        }
+        const result = raw.result && typeof raw.result === 'object' ? raw.result : {};
+        if (!result.type) throw new Error(`配方「${raw.name}」的成品缺少类型（type）`);
+
+        const effects = {};
+        Object.entries(result.effects || {}).forEach(([key, value]) => {
+            if (Number.isFinite(Number(value))) effects[key] = Number(value);
+        });
+        const positive = (value, fallback) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Math.round(Number(value)) : fallback);
+        return {
+            name: String(raw.name),
+            art: art.id,
+            materials: materials.map(m => ({ name: String(m.name), count: positive(m.count, 1) })),
+            result: { name: String(result.name || raw.name), type: String(result.type), count: positive(result.count, 1), effects: effects },
+            difficulty: Math.max(0, Math.min(100, Number(raw.difficulty) || 0)),
+            duration: typeof raw.duration === 'string' && raw.duration.trim() ? raw.duration.trim() : art.duration,
+            spiritStones: Math.max(0, Math.round(Number(raw.spiritStones) || 0))
+        };
+    }
+
+    // ---------- 炼制 ----------
+
+    countItem(items, name) {
+        return (items || []).filter(item => item && item.name === name).reduce((sum, item) => sum + (item.count || 0), 0);
+    }
+
+    /**
+     * 炼制成功率与缺少的材料
+     * 返回 { recipe, art, chance, modifiers: [{ label, value }], missing: [{ name, need, have }], stonesShort }
+     */
+    calculateCraftChance(recipe, art, variables, attributes, baseValue) {
+        const modifiers = [];
+        const add = (label, value) => {
+            const rounded = Math.round(value * 10) / 10;
+            if (rounded !== 0) modifiers.push({ label: label, value: rounded });
+        };
+        add('难度', -recipe.difficulty);
+        if (art.attribute) {
+            add(art.attributeName || art.attribute, ((attributes[art.attribute] || 0) - baseValue) * this.attributeWeight);
+        }
+        add('机缘值', (variables.karmaFortune || 0) * this.fortuneWeight);
+        add('天谴值', -(variables.karmaPunishment || 0) * this.fortuneWeight);
+
+        const total = modifiers.reduce((sum, m) => sum + m.value, this.baseChance);
+        const missing = recipe.materials
+            .map(m => ({ name: m.name, need: m.count, have: this.countItem(variables.items, m.name) }))
+            .filter(m => m.have < m.need);
+        return {
+            recipe: recipe,
+            art: art,
+            chance: Math.round(Math.min(this.maxChance, Math.max(this.minChance, total))),
+            modifiers: modifiers,
+            missing: missing,
+            stonesShort: Math.max(0, recipe.spiritStones - (variables.spiritStones || 0))
+        };
+    }
+
+    /**
+     * 结算一次炼制（不修改变量）：材料不足时抛出错误
+     * params: { recipe, art, variables, attributes, baseValue, seed, key }
+     * 返回 { ...calculateCraftChance 的结果, roll, success, quality, item }（失败时 item 为 null）
+     */
+    resolveCraft(params) {
+        const preview = this.calculateCraftChance(params.recipe, params.art, params.variables, params.attributes, params.baseValue);
+        if (preview.missing.length > 0) {
+            throw new Error(`材料不足：${preview.missing.map(m => `${m.name}（需要${m.need}，现有${m.have}）`).join('、')}`);
+        }
+        if (preview.stonesShort > 0) {
+            throw new Error(`灵石不足：需要${params.recipe.spiritStones}灵石`);
+        }
+
+        const roll = window.checkEngine.rollD100(params.seed, `craft|${params.key}`);
+        const success = roll <= preview.chance;
+        const quality = success ? CRAFT_QUALITIES.find(q => preview.chance - roll >= q.margin) : null;
+        const output = params.recipe.result;
+        const item = success ? {
+            name: quality.multiplier === 1 ? output.name : quality.name + output.name,
+            count: output.count,
+            type: output.type,
+            effects: this.scaleEffects(output.effects, quality.multiplier)
+        } : null;
+        return { ...preview, roll: roll, success: success, quality: quality ? quality.name : null, item: item };
+    }
+
+    scaleEffects(effects, multiplier) {
+        const scaled = {};
+        Object.entries(effects).forEach(([key, value]) => {
+            scaled[key] = Math.round(value * multiplier);
+        });
+        return scaled;
+    }
+
+    /**
+     * 把炼制结果写入变量：无论成败都消耗材料和灵石，成功时得到成品
+     */
+    applyCraft(variables, result) {
+        result.recipe.materials.forEach(m => this.removeItem(variables.items, m.name, m.count));
+        variables.spiritStones = (variables.spiritStones || 0) - result.recipe.spiritStones;
+        if (result.item) this.addItem(variables.items, result.item, result.item.count);
+    }
+
+    describeCraft(result) {
+        const art = result.art.name;
+        const materials = result.recipe.materials.map(m => `${m.name}×${m.count}`).join('、')
+            + (result.recipe.spiritStones > 0 ? `、${result.recipe.spiritStones}灵石` : '');
+        return result.success
+            ? `${art}「${result.recipe.name}」成功（成功率${result.chance}%，掷出${result.roll}），消耗${materials}，得到${result.item.name}×${result.item.count}（${result.quality}）`
+            : `${art}「${result.recipe.name}」失败（成功率${result.chance}%，掷出${result.roll}），${materials}化为灰烬`;
+    }
+
+    // ---------- 道具 ----------
+
+    // 加入背包（同名物品叠加数量）
+    addItem(items, item, count) {
+        const existing = items.find(entry => entry.name === item.name);
+        if (existing) {
+            existing.count = (existing.count || 0) + count;
+        } else {
+            items.push({ name: item.name, count: count, type: item.type || '杂物', effects: { ...(item.effects || {}) } });
+        }
+    }
+
+    // 从背包中扣除（数量不足时抛出错误）
+    removeItem(items, name, count) {
+        if (this.countItem(items, name) < count) {
+            throw new Error(`「${name}」数量不足`);
+        }
+        let remaining = count;
+        for (let i = items.length - 1; i >= 0 && remaining > 0; i--) {
+            if (items[i].name !== name) continue;
+            const taken = Math.min(items[i].count, remaining);
+            items[i].count -= taken;
+            remaining -= taken;
+            if (items[i].count <= 0) items.splice(i, 1);
+        }
+    }
+
+    /**
+     * 估价：各坊市中同名货物的标价，没有时按类型底价加上效果折算
+     */
+    estimatePrice(item, markets = []) {
+        for (const market of markets) {
+            const listed = market.items.find(entry => entry.name === item.name);
+            if (listed) return listed.price;
+        }
+        const type = item.type || '杂物';
+        const base = type.startsWith('装备-') ? EQUIPMENT_BASE_PRICE : (ITEM_BASE_PRICES[type] || ITEM_BASE_PRICES['杂物']);
+        const bonus = Object.entries(item.effects || {}).reduce((sum, [key, value]) => {
+            const price = key in EFFECT_PRICES ? EFFECT_PRICES[key] : ATTRIBUTE_EFFECT_PRICE;
+            return sum + Math.abs(Number(value) || 0) * price;
+        }, 0);
+        return Math.max(1, Math.round(base + bonus));
+    }
+
+    sellPrice(item, markets = []) {
+        return Math.max(1, Math.floor(this.estimatePrice(item, markets) * this.sellRatio));
+    }
+
+    // ---------- 坊市 ----------
+
+    /**
+     * 校验AI给出的坊市（market 字段），货物缺少价格时按估价补上，不合法时抛出错误
+     */
+    normalizeMarket(raw, location, turn) {
+        if (!raw || typeof raw !== 'object' || !raw.name) throw new Error('坊市缺少名称');
+        const type = raw.type === 'auction' || raw.type === '拍卖会' ? 'auction' : 'shop';
+        const items = (Array.isArray(raw.items) ? raw.items : []).filter(item => item && item.name).map(item => {
+            const normalized = {
+                name: String(item.name),
+                type: item.type ? String(item.type) : '杂物',
+                effects: {},
+                count: Math.max(1, Math.round(Number(item.count) || 1)),
+                description: item.description ? String(item.description) : ''
+            };
+            Object.entries(item.effects || {}).forEach(([key, value]) => {
+                if (Number.isFinite(Number(value))) normalized.effects[key] = Number(value);
+            });
+            const price = Math.round(Number(item.price));
+            normalized.price = Number.isFinite(price) && price > 0 ? price : this.estimatePrice(normalized);
+            return normalized;
+        });
+        if (items.length === 0) throw new Error(`坊市「${raw.name}」没有货物`);
+        return {
+            id: `market-${turn}-${Date.now().toString(36)}`,
+            name: String(raw.name),
+            type: type,
+            location: String(raw.location || location || ''),
+            items: items,
+            openedTurn: turn
+        };
+    }
+
+    /**
+     * 记下坊市在 turn 回合第一次交易之前的货物 items（同一回合只记一次），回档时据此还原
+     */
+    recordStock(market, turn, items) {
+        const log = market.stockLog || [];
+        if (log.some(entry => entry.turn === turn)) return;
+        log.push({ turn: turn, items: items });
+        market.stockLog = log.slice(-this.maxStockLog);
+    }
+
+    /**
+     * 新开的坊市加入列表（同一地点的同名坊市以新的为准）
+     */
+    addMarket(markets, market) {
+        const kept = markets.filter(m => !(m.name === market.name && m.location === market.location));
+        kept.push(market);
+        return kept.slice(-this.maxMarkets);
+    }
+
+    // 地点名称互相包含即视为同一处（“青云坊市”与“青云坊市·丹阁”）
+    findMarkets(markets, location) {
+        if (!location) return [];
+        return markets.filter(m => m.location && (m.location.includes(location) || location.includes(m.location)));
+    }
+
+    /**
+     * 购买：扣除灵石和货物，道具加入背包（直接修改传入的变量和坊市），返回交易说明
+     */
+    buy(variables, market, itemName, count = 1) {
+        if (market.type !== 'shop') throw new Error('拍卖会的拍品需要竞拍');
+        const listed = market.items.find(item => item.name === itemName);
+        if (!listed) throw new Error(`「${market.name}」没有「${itemName}」`);
+        if (!(count > 0) || count > listed.count) throw new Error(`「${itemName}」只剩${listed.count}件`);
+        const total = listed.price * count;
+        if ((variables.spiritStones || 0) < total) throw new Error(`灵石不足：需要${total}灵石，现有${variables.spiritStones || 0}`);
+
+        variables.spiritStones -= total;
+        this.addItem(variables.items, listed, count);
+        listed.count -= count;
+        if (listed.count <= 0) market.items = market.items.filter(item => item !== listed);
+        return `在${market.name}花${total}灵石买下${itemName}×${count}`;
+    }
+
+    /**
+     * 出售：按估价的一半卖给商铺，货物进入商铺（以原估价标价）
+     */
+    sell(variables, market, itemName, count = 1, markets = [market]) {
+        if (market.type !== 'shop') throw new Error('拍卖会不收购物品');
+        const item = (variables.items || []).find(entry => entry.name === itemName);
+        if (!item) throw new Error(`背包中没有「${itemName}」`);
+        if (!(count > 0) || this.countItem(variables.items, itemName) < count) throw new Error(`「${itemName}」数量不足`);
+
+        const unitPrice = this.sellPrice(item, markets);
+        const listing = { name: item.name, type: item.type, effects: { ...(item.effects || {}) }, price: this.estimatePrice(item, markets), description: '' };
+        this.removeItem(variables.items, itemName, count);
+        variables.spiritStones = (variables.spiritStones || 0) + unitPrice * count;
+        const listed = market.items.find(entry => entry.name === itemName);
+        if (listed) {
+            listed.count += count;
+        } else {
+            market.items.push({ ...listing, count: count });
+        }
+        return `把${itemName}×${count}卖给${market.name}，得到${unitPrice * count}灵石`;
+    }
+
+    /**
+     * 竞拍（暗标）：其他买家的最高出价由种子决定，出价更高则以出价成交；无论成败拍品都会离场
+     * 返回 { won, rivalBid, text }
+     */
+    bid(variables, market, lotName, amount, seed) {
+        if (market.type !== 'auction') throw new Error('商铺的货物直接购买即可');
+        const lot = market.items.find(item => item.name === lotName);
+        if (!lot) throw new Error(`「${market.name}」没有拍品「${lotName}」`);
+        amount = Math.round(Number(amount));
+        if (!(amount >= lot.price)) throw new Error(`出价不能低于起拍价${lot.price}灵石`);
+        if ((variables.spiritStones || 0) < amount) throw new Error(`灵石不足：现有${variables.spiritStones || 0}`);
+
+        const roll = window.checkEngine.rollD100(seed, `auction|${market.id}|${lot.name}`);
+        const rivalBid = Math.round(lot.price * (1 + roll / 100 * this.auctionSpread));
+        const won = amount > rivalBid;
+        market.items = market.items.filter(item => item !== lot);
+        if (won) {
+            variables.spiritStones -= amount;
+            this.addItem(variables.items, lot, lot.count);
+        }
+        return {
+            won: won,
+            rivalBid: rivalBid,
+            text: won
+                ? `在${market.name}以${amount}灵石拍下${lot.name}×${lot.count}（其他买家最高出价${rivalBid}）`
+                : `在${market.name}竞拍${lot.name}失败，出价${amount}灵石，被人以${rivalBid}灵石拍走`
+        };
+    }
+
+    // ---------- 提示词 ----------
+
+    /**
+     * 交给AI的交易记录，没有记录时返回空字符串
+     */
+    buildReport(transactions) {
+        if (!transactions || transactions.length === 0) return '';
+        return `\n\n[交易记录：自上一回合以来，玩家完成了以下炼制和交易，道具和灵石已由系统结算，请在剧情中自然承接，不要在variables中重复增减：${transactions.join('；')}]`;
+    }
+}
+
+// 创建全局实例
+window.economy = new Economy();
+
+console.log('[炼制与交易] 已加载，使用方法：');
+console.log('1. window.gameEngine.craft("回春丹") - 按配方炼制（成功率见 getCraftPreview）');
+console.log('2. window.gameEngine.buyItem(坊市id, "回春丹", 数量) / sellItem(坊市id, "玄铁", 数量) / bidItem(坊市id, 拍品, 出价) - 交易');
+console.log('3. window.gameEngine.getMarkets() - 当前地点的坊市');
@@ -0,0 +1,2147 @@
+/**
+ * 游戏引擎
+ * 不依赖页面的游戏核心：持有 gameState，负责角色创建规则、回合处理（构建上下文 → 调用模型并校验 → 合并变量 → 写入历史）
+ * 和存档数据的导出与恢复；状态变化通过事件通知界面（index.html 订阅后刷新显示），也可以在 Node 中直接使用（见 cli.js）
+ * 属性、出身、天赋、难度、装备栏和开局提示来自当前剧本包（scenario-packs.js）
+ * 依赖 scenario-packs.js、option-slots.js、combat-engine.js、realm-engine.js、calendar.js、world-state.js、economy.js、npc-graph.js、location-map.js、response-validator.js、variable-patch.js、check-engine.js、token-budget.js、llm-providers.js、save-format.js，
+ * 向量检索与前情提要（supply.js）、设定集（lorebook.js）可选
+ *
+ * 事件：
+ *   user-message          { content, checkRoll, index }  玩家的选择或输入写入历史
+ *   user-message-removed  { content }                     未得到回复的玩家回合被撤回
+ *   assistant-message     { data, index }                 AI回复写入历史（data 为校验后的响应）
+ *   response-error        { error, raw }                  AI回复无法使用（历史不变）
+ *   variables-changed     { previous }                    角色变量合并完成
+ *   combat-started        combat                          AI给出 encounter，战斗开始（见 combat-engine.js）
+ *   combat-updated        combat                          战斗行动已结算，或战斗结果开始（或撤回）交给AI叙述
+ *   combat-closed                                         上一场战斗已交给AI叙述
+ *   breakthrough          result                          突破已在本地结算（见 realm-engine.js），等待AI叙述
+ *   realm-rejected        { from, to, reason }            AI返回的境界跨级提升被拒绝
+ *   time-passed           { ticks, from, to, due, regen }  时间流逝已结算（日期、年龄、体力法力恢复、到期日程）
+ *   time-rejected         { from, to }                    AI把日期改回过去，已忽略
+ *   calendar-event        event                           日程到期（下一回合告诉AI）
+ *   calendar-changed      events                          日程列表有变化
+ *   lifespan-warning      { level, age, lifespan, remaining }  寿元将尽（near）或已尽（expired）
+ *   world-changed         { world, changes }              动态世界推演更新了世界局势
+ *   crafted               result                          炼制已在本地结算（见 economy.js）
+ *   economy-changed       economy                         配方、坊市或交易记录有变化
+ *   npc-graph-changed     graph                           NPC之间的关系有变化或合并了重复人物
+ *   locations-changed     locations                       地点名录有变化（新地点、新路线）
+ *   traveled              trip                            行程已在本地结算（路线、用时、途中遭遇），等待AI叙述
+ *   option-template-changed  template                     当前存档的选项模板被修改
+ *   option-stats-changed  stats                           玩法统计有变化
+ *   vectors-changed                                       向量库有变化（页面据此保存到 IndexedDB）
+ *   vector-error          { method, error }               向量化失败，已改用关键词方法
+ *   character-created     characterInfo
+ *   game-started          data
+ *   pack-mismatch         { expected, active, missing }   读取的存档所用剧本包未安装或版本不同
+ *   reset / restored
+ */
+
+// 机缘与天谴不属于剧本包的属性，所有剧本通用
+const SPECIAL_ATTRIBUTE_NAMES = {
+    karmaFortune: '机缘值',
+    karmaPunishment: '天谴值'
+};
+
+class GameEngine {
+    constructor() {
+        // 回合设置（页面从设置面板同步，Node 中直接传入）
+        this.settings = {
+            systemPrompt: '',
+            historyDepth: 10,
+            minWordCount: 0,
+            vectorRetrieval: false,
+            maxResponseRetries: 1,
+            stream: true,
+            tokenLimit: 0 // 0 = 按模型的上下文窗口自动估计
+        };
+        // 主API与额外API的连接信息（格式见 llm-providers.js），fallback 为主API失败时是否改用额外API
+        this.connections = { main: null, extra: null, fallback: false };
+
+        this.listeners = {};
+        this.state = this.createInitialState();
+    }
+
+    // ---------- 剧本包 ----------
+
+    get pack() {
+        return window.scenarioPacks.getActive();
+    }
+
+    get origins() {
+        return this.pack.origins;
+    }
+
+    get talents() {
+        return this.pack.talents;
+    }
+
+    get attributeIds() {
+        return this.pack.attributes.map(attr => attr.id);
+    }
+
+    get baseAttributeValue() {
+        return this.pack.baseAttributeValue;
+    }
+
+    get minAttributeValue() {
+        return this.pack.minAttributeValue;
+    }
+
+    getDifficulty(id) {
+        const difficulties = this.pack.difficulties;
+        return difficulties.find(d => d.id === id) || difficulties.find(d => d.id === 'normal') || difficulties[0];
+    }
+
+    // ---------- 事件 ----------
+
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        this.listeners[event] = (this.listeners[event] || []).filter(l => l !== listener);
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`[游戏引擎] ${event} 事件回调出错:`, error);
+            }
+        });
+    }
+
+    // ---------- 设置 ----------
+
+    configure({ settings, connections } = {}) {
+        if (settings) Object.assign(this.settings, settings);
+        if (connections) Object.assign(this.connections, connections);
+    }
+
+    isExtraReady() {
+        const extra = this.connections.extra;
+        return !!extra && extra.enabled !== false && window.llmProviders.isConfigured(extra);
+    }
+
+    // ---------- 状态 ----------
+
+    createInitialVariables() {
+        return {
+            currentDateTime: "",  // 当前日期时间
+            name: "",
+            age: 0,  // 年龄
+            gender: "",
+            realm: "",
+            identity: "",  // 身份
+            spiritStones: 0,  // 灵石（独立变量）
+            karmaFortune: 0,  // 机缘值
+            karmaPunishment: 0,  // 天谴值
+            cultivationProgress: 0,  // 修炼进度（当前值）
+            cultivationProgressMax: 100,  // 修炼进度（最大值）
+            hp: 100,  // 体力当前值
+            hpMax: 100,  // 体力最大值
+            mp: 100,  // 法力当前值
+            mpMax: 100,  // 法力最大值
+            talents: [],  // 天赋列表
+            attributes: Object.fromEntries(this.attributeIds.map(attr => [attr, 0])),  // 属性（由剧本包定义）
+            equipment: Object.fromEntries(this.pack.equipmentSlots.map(slot => [slot.id, null])),  // 装备栏（由剧本包定义）
+            items: [],
+            techniques: [],  // 功法列表 [{name: "太上洞玄灵宝经", type: "功法", power: 100, mpCost: 50, description: "上古玄门正宗心法"}]
+            spells: [],  // 法术列表 [{name: "九天玄火煞神咒", type: "法术", power: 80, mpCost: 30, description: "召唤天火焚敌"}]
+            relationships: [],
+            location: "",
+            history: []
+        };
+    }
+
+    createInitialState() {
+        return {
+            variables: this.createInitialVariables(),
+            previousVariables: null, // 用于计算变化
+            conversationHistory: [], // 只存储剧情，不含变量和选项
+            variableSnapshots: [], // 每条消息对应的变量快照
+            pendingVariableChanges: [], // 被拦截、等待玩家确认的删除
+            checkSeed: null, // 属性检定的随机种子（每局一个，保证重新生成时判定不变）
+            combat: null, // 进行中（或等待交给AI叙述）的回合制战斗
+            timeline: null, // 分支时间线（其他分支的完整状态也保存在这里）
+            optionTemplate: window.optionSlots.getDefault(), // 本存档的选项模板（选项数量、类别与内容分级）
+            currentOptions: [], // 最近一条回复的选项及其所属位置：[{ text, slotId }]
+            optionStats: window.optionSlots.createStats(), // 玩法统计：各类别选项被选择的次数
+            calendar: window.gameCalendar.createState(), // 生日与日程（当前日期就是 variables.currentDateTime）
+            economy: window.economy.createState(), // AI传授的配方、各地坊市和等待交给AI的交易记录
+            npcGraph: window.npcGraph.createState(), // NPC之间的关系和好感度变化记录（人物记忆在向量库中）
+            locations: window.locationMap.createState(), // 地点名录：上下级地点、路线与用时、人物最近在哪里出现
+            isGameStarted: false,
+            isProcessing: false,
+            deleteMode: false, // 删除模式标志
+            characterInfo: null,
+            // 动态世界相关
+            dynamicWorld: {
+                enabled: false,
+                history: [], // 动态世界生成的历史记录
+                floor: 0, // 当前楼层
+                world: window.worldState.createState(), // 世界局势（势力、地区、人物、冲突与世界事件）
+                isProcessing: false
+            }
+        };
+    }
+
+    /**
+     * 开始新游戏：清空进度和向量库（保留动态世界的启用状态）
+     * state 对象本身不替换，页面上的 gameState 始终指向它
+     */
+    reset() {
+        const fresh = this.createInitialState();
+        fresh.dynamicWorld.enabled = this.state.dynamicWorld?.enabled || false;
+        fresh.isProcessing = this.state.isProcessing;
+        fresh.deleteMode = this.state.deleteMode;
+        Object.assign(this.state, fresh);
+
+        const vectors = window.contextVectorManager;
+        if (vectors) {
+            vectors.clear();
+            this.emit('vectors-changed');
+        }
+        this.emit('reset');
+    }
+
+    // ---------- 角色创建 ----------
+
+    getAttributeName(attr) {
+        const definition = this.pack.attributes.find(a => a.id === attr);
+        return definition ? definition.name : (SPECIAL_ATTRIBUTE_NAMES[attr] || attr);
+    }
+
+    /**
+     * 出身对应的初始属性（分配点数之前）
+     */
+    getDefaultAttributes(originId) {
+        const attributes = {};
+        this.attributeIds.forEach(attr => {
+            attributes[attr] = this.baseAttributeValue;
+        });
+        const origin = this.origins.find(o => o.id === originId);
+        if (origin) {
+            Object.entries(origin.attributeEffects).forEach(([attr, value]) => {
+                if (attributes[attr] !== undefined) attributes[attr] += value;
+            });
+        }
+        return attributes;
+    }
+
+    /**
+     * 剩余点数 = 难度点数 + 出身修正 + 天赋（正面天赋消耗、负面天赋返还） - 已分配到属性上的点数
+     */
+    getRemainingPoints(choice) {
+        const origin = this.origins.find(o => o.id === choice.originId);
+        const defaults = this.getDefaultAttributes(choice.originId);
+        const base = choice.baseAttributes || defaults;
+
+        let points = this.getDifficulty(choice.difficulty).points + (origin ? origin.pointsModifier : 0);
+        (choice.talentIds || []).forEach(id => {
+            const talent = this.talents.find(t => t.id === id);
+            if (talent) points += talent.cost;
+        });
+        Object.keys(defaults).forEach(attr => {
+            points -= (base[attr] || 0) - defaults[attr];
+        });
+        return points;
+    }
+
+    /**
+     * 按玩家的选择创建角色，不合法时抛出错误（消息可以直接提示给玩家）
+     * choice: { name, age, gender: 'male' | 'female' | '男' | '女', personality, customSettings,
+     *           difficulty, originId, talentIds, baseAttributes（分配点数后的属性，不传时按出身的初始属性） }
+     * 返回 characterInfo（开局时交给AI）
+     */
+    createCharacter(choice) {
+        const name = (choice.name || '').trim();
+        const age = choice.age === undefined ? 18 : choice.age;
+        const personality = (choice.personality || '').trim();
+        const difficulty = this.getDifficulty(choice.difficulty).id;
+        const originId = this.origins.some(o => o.id === choice.originId) ? choice.originId : this.origins[0].id;
+        const talentIds = choice.talentIds || [];
+        const baseAttributes = { ...(choice.baseAttributes || this.getDefaultAttributes(originId)) };
+
+        if (!name) {
+            throw new Error('请输入角色姓名！');
+        }
+        if (!Number.isFinite(age) || age < 1 || age > 999) {
+            throw new Error('请输入合理的年龄（1-999）！');
+        }
+        if (choice.baseAttributes && Object.values(baseAttributes).some(value => value < this.minAttributeValue)) {
+            throw new Error(`属性不能低于${this.minAttributeValue}点！`);
+        }
+        if (this.getRemainingPoints({ difficulty, originId, talentIds, baseAttributes }) < 0) {
+            throw new Error('点数不足！');
+        }
+
+        // 计算最终属性（基础属性 + 天赋效果）
+        const finalAttributes = { ...baseAttributes };
+        let karmaFortune = 0;
+        let karmaPunishment = 0;
+        const selectedTalentNames = [];
+
+        talentIds.forEach(talentId => {
+            const talent = this.talents.find(t => t.id === talentId);
+            if (talent) {
+                selectedTalentNames.push(talent.name);
+                Object.entries(talent.effects).forEach(([attr, value]) => {
+                    if (attr === 'karmaFortune') {
+                        karmaFortune += value;
+                    } else if (attr === 'karmaPunishment') {
+                        karmaPunishment += value;
+                    } else if (finalAttributes[attr] !== undefined) {
+                        finalAttributes[attr] += value;
+                    }
+                });
+            }
+        });
+
+        const selectedOrigin = this.origins.find(o => o.id === originId);
+        const originName = selectedOrigin.name;
+        const gender = choice.gender === 'female' || choice.gender === '女' ? '女' : '男';
+
+        // 更新游戏状态
+        const variables = this.state.variables;
+        variables.name = name;
+        variables.age = age;
+        variables.gender = gender;
+        variables.realm = '';
+        variables.location = '';
+        variables.spiritStones = 0;  // 初始灵石
+        variables.talents = selectedTalentNames;
+        variables.attributes = finalAttributes;
+        variables.karmaFortune = karmaFortune;
+        variables.karmaPunishment = karmaPunishment;
+
+        const talentDesc = selectedTalentNames.length > 0 ? `拥有天赋：${selectedTalentNames.join('、')}。` : '';
+        variables.history = [
+            `${name}，${age}岁，${gender}性，${personality}。出身：${originName}。${talentDesc}`
+        ];
+
+        // 保存角色信息供游戏开始时使用
+        this.state.characterInfo = {
+            name: name,
+            age: age,
+            gender: gender,
+            personality: personality,
+            difficulty: difficulty,
+            difficultyName: this.getDifficulty(difficulty).name,
+            origin: originName,
+            customSettings: (choice.customSettings || '').trim(),
+            talents: selectedTalentNames,
+            attributes: finalAttributes
+        };
+
+        this.emit('character-created', this.state.characterInfo);
+        return this.state.characterInfo;
+    }
+
+    // ---------- 属性与检定 ----------
+
+    /**
+     * 实际属性（基础 + 装备加成）
+     */
+    getActualAttributes(variables = this.state.variables) {
+        const actual = { ...variables.attributes };
+        Object.values(variables.equipment || {}).forEach(item => {
+            if (item && item.effects) {
+                Object.entries(item.effects).forEach(([attr, value]) => {
+                    if (actual[attr] !== undefined) {
+                        actual[attr] += value;
+                    }
+                });
+            }
+        });
+        return actual;
+    }
+
+    /**
+     * 战斗用的属性（combat-engine.js 按内置属性 id 推导战斗数值，其他剧本按剧本包的 combatAttributes 对应）
+     */
+    getCombatAttributes(variables = this.state.variables) {
+        const actual = this.getActualAttributes(variables);
+        const combat = {};
+        Object.entries(this.pack.combatAttributes).forEach(([role, attr]) => {
+            combat[role] = attr ? actual[attr] || 0 : 0;
+        });
+        return combat;
+    }
+
+    /**
+     * 解析选项中的属性要求，格式：选项文本（属性>数值）或 选项文本（属性名>数值），属性名取自当前剧本包
+     */
+    parseRequirement(optionText) {
+        // 匹配中文属性名 或 英文属性名
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const attributes = this.pack.attributes;
+        const chinesePattern = new RegExp(`（(${attributes.map(a => escape(a.name)).join('|')})([><=≥≤])(\\d+)）`);
+        const englishPattern = new RegExp(`\\((${attributes.map(a => escape(a.id)).join('|')})([><=])(\\d+)\\)`, 'i');
+
+        let match = optionText.match(chinesePattern);
+        let isChinese = true;
+
+        if (!match) {
+            match = optionText.match(englishPattern);
+            isChinese = false;
+        }
+
+        if (!match) {
+            return { hasRequirement: false, cleanText: optionText };
+        }
+
+        // 转换中文属性名为属性 id
+        const attrName = isChinese
+            ? attributes.find(a => a.name === match[1]).id
+            : attributes.find(a => a.id.toLowerCase() === match[1].toLowerCase()).id;
+        const operator = match[2];
+
+        return {
+            hasRequirement: true,
+            attribute: attrName,
+            operator: operator === '≥' ? '>=' : operator === '≤' ? '<=' : operator,
+            value: parseInt(match[3]),
+            cleanText: optionText.replace(match[0], '').trim(), // 移除要求部分，得到纯净的选项文本
+            requirementText: match[0]
+        };
+    }
+
+    /**
+     * 检查属性是否满足要求（按包含装备加成的实际属性）
+     */
+    checkRequirement(requirement) {
+        if (!requirement.hasRequirement) {
+            return { met: true };
+        }
+
+        const currentValue = this.getActualAttributes()[requirement.attribute] || 0;
+        let met;
+        switch (requirement.operator) {
+            case '>=':
+            case '≥':
+                met = currentValue >= requirement.value;
+                break;
+            case '<':
+                met = currentValue < requirement.value;
+                break;
+            case '<=':
+            case '≤':
+                met = currentValue <= requirement.value;
+                break;
+            case '==':
+            case '=':
+                met = currentValue === requirement.value;
+                break;
+            default:
+                met = currentValue > requirement.value;
+        }
+
+        return {
+            met: met,
+            currentValue: currentValue,
+            requiredValue: requirement.value,
+            attribute: requirement.attribute,
+            attributeName: this.getAttributeName(requirement.attribute)
+        };
+    }
+
+    // 获取本局的检定种子（旧存档没有种子时补建）
+    getCheckSeed() {
+        if (this.state.checkSeed === null || this.state.checkSeed === undefined) {
+            this.state.checkSeed = window.checkEngine.createSeed();
+        }
+        return this.state.checkSeed;
+    }
+
+    // 对选项进行属性检定，turn 为该选项在历史记录中的位置（无属性要求时返回 null）
+    resolveOptionCheck(option, turn) {
+        const requirement = this.parseRequirement(option);
+        if (!requirement.hasRequirement) return null;
+
+        const checkResult = this.checkRequirement(requirement);
+        return window.checkEngine.resolve({
+            seed: this.getCheckSeed(),
+            turn: turn,
+            option: option,
+            attribute: requirement.attribute,
+            attributeName: checkResult.attributeName,
+            operator: requirement.operator,
+            requiredValue: requirement.value,
+            currentValue: checkResult.currentValue,
+            karmaFortune: this.state.variables.karmaFortune || 0,
+            karmaPunishment: this.state.variables.karmaPunishment || 0
+        });
+    }
+
+    isCombatPending() {
+        return !!(this.state.combat && !this.state.combat.reported);
+    }
+
+    // ---------- 回合制战斗 ----------
+
+    /**
+     * 根据AI返回的 encounter 开始战斗（见 combat-engine.js），数据无效时忽略并返回 null
+     */
+    startCombat(encounter) {
+        const seed = (this.getCheckSeed() ^ window.checkEngine.hashString(`combat|${this.state.conversationHistory.length}`)) >>> 0;
+        try {
+            this.state.combat = window.combatEngine.createCombat(encounter, seed);
+        } catch (error) {
+            console.warn('[战斗] encounter数据无效，已忽略:', error.message);
+            return null;
+        }
+        this.emit('combat-started', this.state.combat);
+        return this.state.combat;
+    }
+
+    /**
+     * 服用一颗丹药（战斗中或两个回合之间），返回 { name, effectMessages }
+     */
+    usePill(itemIndex) {
+        const variables = this.state.variables;
+        const item = (variables.items || [])[itemIndex];
+        if (!item || !item.type || !item.type.includes('丹')) {
+            throw new Error('该物品不是丹药');
+        }
+        if (item.count <= 0) {
+            throw new Error('丹药数量不足');
+        }
+        if (!item.effects) {
+            throw new Error('该丹药没有效果');
+        }
+
+        const before = JSON.parse(JSON.stringify(variables));
+        const effectMessages = [];
+        Object.entries(item.effects).forEach(([attr, value]) => {
+            if (attr === 'cultivationProgress') {
+                // 修炼进度不超过当前境界的修为上限
+                variables.cultivationProgress = Math.min((variables.cultivationProgress || 0) + value, variables.cultivationProgressMax || 100);
+                effectMessages.push(`修炼进度+${value}`);
+                if (this.getRealmInfo().ready) {
+                    effectMessages.push('已达到突破条件！可以在状态栏点击“⚡ 尝试突破”');
+                }
+            } else if (attr === 'hp') {
+                variables.hp = Math.min((variables.hp || 0) + value, variables.hpMax || 100);
+                effectMessages.push(`体力+${value}`);
+            } else if (attr === 'mp') {
+                variables.mp = Math.min((variables.mp || 0) + value, variables.mpMax || 100);
+                effectMessages.push(`法力+${value}`);
+            } else if (attr === 'hpMax') {
+                variables.hpMax = (variables.hpMax || 100) + value;
+                effectMessages.push(`体力上限+${value}`);
+            } else if (attr === 'mpMax') {
+                variables.mpMax = (variables.mpMax || 100) + value;
+                effectMessages.push(`法力上限+${value}`);
+            } else if (variables.attributes && attr in variables.attributes) {
+                variables.attributes[attr] = (variables.attributes[attr] || 0) + value;
+                effectMessages.push(`${this.getAttributeName(attr)}+${value}`);
+            }
+        });
+
+        item.count--;
+        if (item.count <= 0) {
+            variables.items.splice(itemIndex, 1);
+        }
+        this.state.previousVariables = before;
+        this.emit('variables-changed', { previous: before });
+        return { name: item.name, effectMessages: effectMessages };
+    }
+
+    /**
+     * 执行一次战斗行动，action: { type: 'attack' | 'technique' | 'spell' | 'pill' | 'flee', index, target }
+     * index 为功法、法术或道具的下标，返回战斗状态；行动无效时抛出错误
+     */
+    performCombatAction(action) {
+        const combat = this.state.combat;
+        if (!combat || combat.status !== 'ongoing') throw new Error('当前没有进行中的战斗');
+        if (this.state.isProcessing) throw new Error('请等待当前回合结束');
+
+        const combatAction = { type: action.type, index: action.index, target: action.target || 0 };
+        if (action.type === 'pill') {
+            const result = this.usePill(action.index);
+            combatAction.pillName = result.name;
+            combatAction.pillEffects = result.effectMessages.join('，');
+        }
+
+        const before = JSON.parse(JSON.stringify(this.state.variables));
+        const error = window.combatEngine.performAction(combat, this.state.variables, this.getCombatAttributes(), combatAction);
+        if (error) throw new Error(error);
+
+        this.state.previousVariables = before;
+        this.emit('variables-changed', { previous: before });
+        this.emit('combat-updated', combat);
+        return combat;
+    }
+
+    /**
+     * 战斗结束后把结果作为玩家的下一步行动交给AI叙述，options 同 chooseOption
+     * 叙述失败或被取消（这一轮已撤回）时战斗恢复为待提交，可以重新提交
+     */
+    async reportCombat(options = {}) {
+        const combat = this.state.combat;
+        if (!combat || combat.status === 'ongoing') throw new Error('战斗尚未结束');
+        if (combat.reported) throw new Error('战斗结果已交给AI叙述');
+
+        combat.reported = true;
+        this.emit('combat-updated', combat);
+        try {
+            return await this.chooseOption(window.combatEngine.buildResultPrompt(combat, this.state.variables), options);
+        } catch (error) {
+            if (this.state.combat === combat) {
+                combat.reported = false;
+                this.emit('combat-updated', combat);
+            }
+            throw error;
+        }
+    }
+
+    // ---------- 境界与突破 ----------
+
+    get realmLadder() {
+        return this.pack.realmLadder;
+    }
+
+    /**
+     * 当前境界概况：修为上限、寿元、下一境界、是否可以突破（见 realm-engine.js 的 describe）
+     */
+    getRealmInfo(variables = this.state.variables) {
+        return window.realmEngine.describe(this.realmLadder, variables);
+    }
+
+    // 突破成功率预览（境界无法识别或已是最高境界时返回 null）
+    getBreakthroughPreview(pillNames = []) {
+        return window.realmEngine.calculateChance(this.realmLadder, this.state.variables, this.getCombatAttributes(), this.baseAttributeValue, pillNames);
+    }
+
+    getBreakthroughPills() {
+        const info = this.getRealmInfo();
+        return info.known ? window.realmEngine.getPills(this.realmLadder, info.position, this.state.variables.items) : [];
+    }
+
+    /**
+     * 闭关突破：本地结算成功率、天劫与心魔（同一回合结果固定），写入变量后交给AI叙述
+     * pillNames 为服用的丹药名称（每种消耗一颗）；AI回复失败时撤回这一回合并恢复突破前的变量
+     */
+    async breakthrough(pillNames = [], options = {}) {
+        const state = this.state;
+        if (!state.isGameStarted) {
+            throw new Error('请先创建角色并开始游戏！');
+        }
+        if (this.isCombatPending()) {
+            throw new Error('战斗尚未结束，请先在战斗面板中行动');
+        }
+        const info = this.getRealmInfo();
+        if (!info.known) {
+            throw new Error(`无法识别当前境界「${state.variables.realm || '无'}」，不能突破`);
+        }
+        if (!info.next) {
+            throw new Error('已是最高境界');
+        }
+        if (!info.ready) {
+            throw new Error(`修为尚未圆满（${state.variables.cultivationProgress || 0}/${info.progressMax}），无法突破`);
+        }
+
+        this.beginTurn();
+        const before = JSON.parse(JSON.stringify(state.variables));
+        const calendarBefore = JSON.parse(JSON.stringify(state.calendar));
+        let pushed = false;
+        try {
+            const result = window.realmEngine.resolve({
+                ladder: this.realmLadder,
+                variables: state.variables,
+                attributes: this.getCombatAttributes(),
+                baseValue: this.baseAttributeValue,
+                pillNames: pillNames,
+                seed: this.getCheckSeed(),
+                turn: state.conversationHistory.length
+            });
+            state.previousVariables = before;
+            window.realmEngine.apply(state.variables, result);
+            // 闭关耗时（寿元按突破后的境界计算）
+            const retreat = this.advanceTime(window.realmEngine.getRetreatDays(result) * window.gameCalendar.ticksPerDay());
+            this.emit('variables-changed', { previous: before });
+            this.emit('breakthrough', result);
+
+            let prompt = window.realmEngine.buildResultPrompt(result, key => (key === 'hpMax' ? '体力上限' : key === 'mpMax' ? '法力上限' : this.getAttributeName(key)));
+            if (retreat) {
+                prompt += `\n闭关历时${window.gameCalendar.describeDuration(this.calendarConfig, retreat.ticks)}，出关时已是${state.variables.currentDateTime}。`;
+            }
+            this.pushUserTurn(prompt);
+            pushed = true;
+
+            const response = await this.requestTurn(this.buildOptionPrompt(prompt, null), options);
+            const data = this.applyResponse(response);
+            // 重试后仍无法使用的回复同样撤回这一回合（applyResponse 已发出 response-error）
+            if (!data) {
+                throw new Error('AI的回复无法使用，突破已撤回');
+            }
+            return data;
+        } catch (error) {
+            if (pushed) this.rollbackPendingUserTurn();
+            state.variables = before;
+            state.calendar = calendarBefore;
+            this.emit('variables-changed', { previous: before });
+            throw error;
+        } finally {
+            state.isProcessing = false;
+        }
+    }
+
+    // ---------- 历法与时间 ----------
+
+    get calendarConfig() {
+        return this.pack.calendar;
+    }
+
+    // 当前日期（解析 currentDateTime），尚未有可解析的日期时返回 null
+    getCurrentDate() {
+        return window.gameCalendar.parse(this.calendarConfig, this.state.variables.currentDateTime);
+    }
+
+    /**
+     * 第一次得到可解析的日期时：统一日期写法，以这一天为生日，并按剧本包添加日程
+     */
+    startCalendar(date) {
+        const calendar = window.gameCalendar;
+        const config = this.calendarConfig;
+        const state = this.state;
+        state.variables.currentDateTime = calendar.format(config, date.ordinal, date.era);
+        if (state.calendar.birthday !== null) return;
+
+        state.calendar.birthday = date.ordinal % calendar.ticksPerYear(config);
+        config.events.forEach(raw => {
+            try {
+                state.calendar.events.push(calendar.normalizeEvent(config, { ...raw, source: 'pack' }, date));
+            } catch (error) {
+                console.warn('[历法] 跳过剧本包中的日程:', error.message);
+            }
+        });
+        if (state.calendar.events.length > 0) {
+            this.emit('calendar-changed', state.calendar.events);
+        }
+    }
+
+    /**
+     * 一回合的时间流逝：AI把日期往后改了就按改动计算，否则按 timeElapsed 声明的耗时（都没有时按剧本包的默认耗时）
+     * previous 为本回合合并前的变量；AI同时修改了年龄时以AI为准
+     */
+    passTurnTime(previous, newVars, timeElapsed) {
+        const calendar = window.gameCalendar;
+        const config = this.calendarConfig;
+        const variables = this.state.variables;
+        const from = calendar.parse(config, previous.currentDateTime);
+        if (!from) {
+            // 开局（或旧存档的日期无法解析）：AI给出的第一个可解析日期作为起点
+            const start = this.getCurrentDate();
+            if (start) this.startCalendar(start);
+            return null;
+        }
+
+        let ticks = null;
+        if (newVars.currentDateTime !== undefined && newVars.currentDateTime !== previous.currentDateTime) {
+            const to = calendar.parse(config, newVars.currentDateTime, from);
+            if (to && to.ordinal > from.ordinal) {
+                ticks = to.ordinal - from.ordinal;
+            } else if (to && to.ordinal < from.ordinal) {
+                console.warn(`[历法] 已忽略AI把日期改回过去：${previous.currentDateTime} → ${newVars.currentDateTime}`);
+                this.emit('time-rejected', { from: previous.currentDateTime, to: newVars.currentDateTime });
+            }
+            variables.currentDateTime = previous.currentDateTime;
+        }
+        if (ticks === null) {
+            ticks = calendar.parseDuration(config, timeElapsed);
+        }
+        if (ticks === null) {
+            ticks = calendar.parseDuration(config, config.defaultElapsed) || 0;
+        }
+
+        const ageChanged = newVars.age !== undefined && newVars.age !== previous.age;
+        return this.advanceTime(ticks, { keepAge: ageChanged });
+    }
+
+    /**
+     * 时间前进 ticks 个时辰：改写日期、按生日增长年龄、恢复体力法力（战斗中不恢复）、结算到期的日程和寿元提示
+     * options.keepAge 为 true 时不改年龄；返回 { ticks, from, to, due, regen }，当前日期无法解析时返回 null
+     */
+    advanceTime(ticks, options = {}) {
+        const calendar = window.gameCalendar;
+        const config = this.calendarConfig;
+        const state = this.state;
+        const variables = state.variables;
+        const from = this.getCurrentDate();
+        if (!from) return null;
+        if (state.calendar.birthday === null) this.startCalendar(from);
+
+        const amount = Math.max(0, Math.round(ticks) || 0);
+        const to = from.ordinal + amount;
+        variables.currentDateTime = calendar.format(config, to, from.era);
+
+        if (!options.keepAge && Number.isFinite(variables.age)) {
+            variables.age += calendar.countBirthdays(config, state.calendar.birthday, from.ordinal, to);
+        }
+
+        const regen = this.isCombatPending() ? { hp: 0, mp: 0 } : calendar.calculateRegen(config, variables, amount);
+        variables.hp += regen.hp;
+        variables.mp += regen.mp;
+
+        const collected = calendar.collectDue(config, state.calendar.events, from.ordinal, to);
+        state.calendar.events = collected.events;
+        state.calendar.due = collected.due;
+        collected.due.forEach(event => this.emit('calendar-event', event));
+        if (collected.due.length > 0) {
+            this.emit('calendar-changed', state.calendar.events);
+        }
+
+        this.checkLifespan();
+
+        const result = { ticks: amount, from: from.ordinal, to: to, due: collected.due, regen: regen };
+        this.emit('time-passed', result);
+        return result;
+    }
+
+    // 寿元状态（见 gameCalendar.checkLifespan），等级变化时发出 lifespan-warning
+    checkLifespan() {
+        const variables = this.state.variables;
+        const lifespan = this.getRealmInfo().lifespan;
+        const status = window.gameCalendar.checkLifespan(variables.age, lifespan);
+        const level = status ? status.level : null;
+        if (level && level !== this.state.calendar.lifespanWarning) {
+            this.emit('lifespan-warning', { level: level, age: variables.age, lifespan: lifespan, remaining: status.remaining });
+        }
+        this.state.calendar.lifespanWarning = level;
+        return status;
+    }
+
+    /**
+     * 添加日程（date 的写法见 gameCalendar.normalizeEvent），返回整理后的日程；开局前或日期无法识别时抛出错误
+     */
+    addScheduledEvent(raw, source = 'player') {
+        const now = this.getCurrentDate();
+        if (!now) {
+            throw new Error('当前日期无法识别，暂时不能添加日程');
+        }
+        const event = window.gameCalendar.normalizeEvent(this.calendarConfig, { ...raw, source: source }, now);
+        this.state.calendar.events.push(event);
+        this.emit('calendar-changed', this.state.calendar.events);
+        return event;
+    }
+
+    removeScheduledEvent(id) {
+        const events = this.state.calendar.events;
+        this.state.calendar.events = events.filter(event => event.id !== id);
+        this.emit('calendar-changed', this.state.calendar.events);
+        return this.state.calendar.events.length < events.length;
+    }
+
+    /**
+     * 即将发生的日程（附带说明文字），withinDays 为 null 时不限范围
+     */
+    getUpcomingEvents(withinDays = null, limit = 5) {
+        const now = this.getCurrentDate();
+        if (!now) return [];
+        return window.gameCalendar.getUpcoming(this.state.calendar.events, now.ordinal, withinDays, limit).map(event => ({
+            ...event,
+            text: window.gameCalendar.describeEvent(this.calendarConfig, event, now.ordinal, now.era)
+        }));
+    }
+
+    // AI在回复的 schedule 中安排的日程，无法识别的跳过
+    addEventsFromResponse(schedule) {
+        schedule.forEach(raw => {
+            try {
+                this.addScheduledEvent(raw, 'ai');
+            } catch (error) {
+                console.warn('[历法] 跳过AI安排的日程:', error.message);
+            }
+        });
+    }
+
+    /**
+     * 每回合附带的时间提示：上一段时间里到期的日程、近期日程、寿元将尽
+     */
+    buildCalendarHint() {
+        const calendar = window.gameCalendar;
+        const now = this.getCurrentDate();
+        if (!now) return '';
+        const config = this.calendarConfig;
+        const state = this.state;
+        const lines = [];
+
+        if (state.calendar.due.length > 0) {
+            lines.push(`已到期的日程（请在本回合剧情中安排或交代）：${state.calendar.due.map(event => event.title + (event.description ? '：' + event.description : '')).join('；')}`);
+        }
+        const upcoming = calendar.getUpcoming(state.calendar.events, now.ordinal, calendar.upcomingDays, 3);
+        if (upcoming.length > 0) {
+            lines.push(`近期日程：${upcoming.map(event => calendar.describeEvent(config, event, now.ordinal, now.era)).join('；')}`);
+        }
+        const lifespan = this.getRealmInfo().lifespan;
+        const status = calendar.checkLifespan(state.variables.age, lifespan);
+        if (status && status.level === 'expired') {
+            lines.push(`主角${state.variables.age}岁，已过寿元上限${lifespan}岁，大限已至，除非突破境界延寿，否则随时可能坐化`);
+        } else if (status) {
+            lines.push(`主角${state.variables.age}岁，寿元上限${lifespan}岁，仅余约${status.remaining}年寿元，请在剧情中体现大限将至的紧迫`);
+        }
+        return lines.length > 0 ? `\n\n[时间提示：${lines.join('。')}]` : '';
+    }
+
+    // ---------- 世界局势 ----------
+
+    /**
+     * 当前回合数与游戏内时间，用于判断是否到了推演世界局势的时候
+     */
+    getWorldClock() {
+        const now = this.getCurrentDate();
+        return {
+            turn: Math.floor(this.state.conversationHistory.length / 2),
+            ordinal: now ? now.ordinal : null,
+            date: this.state.variables.currentDateTime || ''
+        };
+    }
+
+    isWorldUpdateDue(schedule) {
+        return window.worldState.isDue(this.state.dynamicWorld.world, window.worldState.normalizeSchedule(schedule), this.getWorldClock());
+    }
+
+    /**
+     * 应用动态世界推演返回的 world 更新，返回 { changes, errors }
+     */
+    applyWorldUpdate(update) {
+        const result = window.worldState.applyUpdate(this.state.dynamicWorld.world, update, this.getWorldClock());
+        result.errors.forEach(error => console.warn('[世界局势] 跳过不合法的更新:', error));
+        this.emit('world-changed', { world: this.state.dynamicWorld.world, changes: result.changes });
+        return result;
+    }
+
+    /**
+     * 每回合附带的世界局势：主角所在地区的情况，以及与所在地、认识的人物有关的近期世界事件
+     */
+    buildWorldHint() {
+        const context = window.worldState.buildContext(this.state.dynamicWorld.world, this.state.variables, this.getWorldClock().turn);
+        return context ? `\n\n[世界局势：${context}]` : '';
+    }
+
+    // ---------- 地点与行程 ----------
+
+    // 当前所在的地点（名录中的名称），位置不在名录中时返回 null
+    getCurrentPlace() {
+        return window.locationMap.locate(this.state.locations, this.state.variables.location);
+    }
+
+    describeTicks(ticks) {
+        return window.gameCalendar.describeDuration(this.calendarConfig, ticks);
+    }
+
+    /**
+     * 合并变量后登记新的位置；换了地点时记下从上一处过来的路线，用时取本回合经过的时间
+     */
+    trackLocation(previousLocation, ticks) {
+        const map = window.locationMap;
+        const locations = this.state.locations;
+        const turn = this.getNpcTurn();
+        const from = map.locate(locations, previousLocation);
+        const placeCount = locations.places.length;
+        const to = map.observe(locations, this.state.variables.location, turn);
+        let changed = locations.places.length !== placeCount;
+        if (to && to !== from) {
+            map.findPlace(locations, to).visits++;
+            if (from) map.addRoute(locations, from, to, ticks, 'travel', turn);
+            changed = true;
+        }
+        if (changed) this.emit('locations-changed', locations);
+    }
+
+    // AI在回复的 places 中告知的地点归属和路程，不合法的条目跳过
+    learnPlacesFromResponse(places) {
+        const result = window.locationMap.applyPlaces(this.state.locations, places, this.getNpcTurn(), text => window.gameCalendar.parseDuration(this.calendarConfig, text));
+        if (result.errors.length > 0) {
+            console.warn('[地点与行程] 跳过AI给出的部分地点:', result.errors);
+        }
+        if (result.changes.length > 0) {
+            console.log('[地点与行程] ' + result.changes.join('；'));
+            this.emit('locations-changed', this.state.locations);
+        }
+    }
+
+    // 本轮剧情中出现的人物记为在主角所在的地点见过
+    recordSightings(story) {
+        const names = window.npcGraph.findMentioned(this.state.variables.relationships || [], story);
+        window.locationMap.recordSightings(this.state.locations, names, this.getCurrentPlace(), this.getNpcTurn());
+    }
+
+    // 途经地点的危险程度取世界局势中对应地区的 danger
+    getPlaceDanger(name) {
+        const region = this.state.dynamicWorld.world.regions.find(r => window.worldState.matchesPlace(r.name, name));
+        return region ? region.danger : null;
+    }
+
+    resolveTrip(destination) {
+        const state = this.state;
+        return window.locationMap.resolveTrip({
+            state: state.locations,
+            from: this.getCurrentPlace(),
+            to: destination,
+            seed: this.getCheckSeed(),
+            key: `${state.conversationHistory.length}|${destination}`,
+            dangerOf: name => this.getPlaceDanger(name)
+        });
+    }
+
+    /**
+     * 行程预览：{ path, legs, ticks, known, chance }（不透露是否会遇上什么）；去不了时抛出错误
+     */
+    getTravelPreview(destination) {
+        const { roll, encounter, ...preview } = this.resolveTrip(destination);
+        return preview;
+    }
+
+    /**
+     * 前往某地：本地结算路线、用时和途中遭遇（同一回合结果固定），推进时间、改写位置后交给AI叙述
+     * AI回复失败时撤回这一回合并恢复出发前的状态
+     */
+    async travelTo(destination, options = {}) {
+        const state = this.state;
+        if (!state.isGameStarted) {
+            throw new Error('请先创建角色并开始游戏！');
+        }
+        if (this.isCombatPending()) {
+            throw new Error('战斗尚未结束，请先在战斗面板中行动');
+        }
+        const trip = this.resolveTrip(destination);
+
+        this.beginTurn();
+        const before = JSON.parse(JSON.stringify(state.variables));
+        const calendarBefore = JSON.parse(JSON.stringify(state.calendar));
+        const locationsBefore = JSON.parse(JSON.stringify(state.locations));
+        let pushed = false;
+        try {
+            state.previousVariables = before;
+            state.variables.location = destination;
+            window.locationMap.findPlace(state.locations, destination).visits++;
+            const passed = this.advanceTime(trip.ticks);
+            this.emit('variables-changed', { previous: before });
+            this.emit('locations-changed', state.locations);
+            this.emit('traveled', trip);
+
+            let prompt = `动身前往${destination}，途经${trip.path.join('→')}`;
+            if (passed) prompt += `，路上历时${this.describeTicks(passed.ticks)}，抵达时已是${state.variables.currentDateTime}`;
+            prompt += '。';
+            prompt += trip.encounter
+                ? `\n途中（${trip.encounter.leg.from}到${trip.encounter.leg.to}之间）遭遇「${trip.encounter.name}」：${trip.encounter.hint}。`
+                : '\n一路平安无事。';
+            prompt += '\n请叙述这段旅程和抵达后的见闻；路上的时间已由系统结算，location 写为抵达的地点，timeElapsed 只写抵达之后经过的时间。';
+            this.pushUserTurn(prompt);
+            pushed = true;
+
+            const response = await this.requestTurn(this.buildOptionPrompt(prompt, null), options);
+            const data = this.applyResponse(response);
+            // 重试后仍无法使用的回复同样撤回这一回合（applyResponse 已发出 response-error）
+            if (!data) {
+                throw new Error('AI的回复无法使用，行程已撤回');
+            }
+            return data;
+        } catch (error) {
+            if (pushed) this.rollbackPendingUserTurn();
+            state.variables = before;
+            state.calendar = calendarBefore;
+            state.locations = locationsBefore;
+            this.emit('variables-changed', { previous: before });
+            this.emit('locations-changed', state.locations);
+            throw error;
+        } finally {
+            state.isProcessing = false;
+        }
+    }
+
+    /**
+     * 每回合附带的地点提示：所在地点、附近的地点和路程、已知在此地的人物
+     */
+    buildLocationHint() {
+        const variables = this.state.variables;
+        const context = window.locationMap.buildContext(this.state.locations, variables.location, variables.relationships, ticks => this.describeTicks(ticks));
+        return context ? `\n\n[地点：${context}]` : '';
+    }
+
+    /**
+     * 动态世界挑选事件发生地用：主角附近的地点（不要涉及）和远离主角的地点（世界局势中的地区也算在内）
+     * 返回 { near: [地点], far: [{ name, ticks, text }] }
+     */
+    getPlacesForWorld(count = 3) {
+        const map = window.locationMap;
+        const locations = this.state.locations;
+        const current = this.getCurrentPlace();
+        const near = current ? [current, ...map.getNearby(locations, current).map(next => next.name)] : [];
+        const far = map.findFar(locations, current, this.state.dynamicWorld.world.regions.map(r => r.name), count).map(place => ({
+            ...place,
+            text: place.ticks === null ? `${place.name}（路程未知）` : `${place.name}（约${this.describeTicks(place.ticks)}路程）`
+        }));
+        return { near: near, far: far };
+    }
+
+    // ---------- 炼制与交易 ----------
+
+    get craftingArts() {
+        return this.pack.crafting.arts;
+    }
+
+    // 剧本包的配方加上AI传授的配方（同名时以剧本包为准）
+    getRecipes() {
+        const packRecipes = this.pack.crafting.recipes;
+        const names = new Set(packRecipes.map(recipe => recipe.name));
+        return packRecipes.concat(this.state.economy.recipes.filter(recipe => !names.has(recipe.name)));
+    }
+
+    findRecipe(name) {
+        const recipe = this.getRecipes().find(r => r.name === name);
+        if (!recipe) throw new Error(`没有「${name}」的配方`);
+        const art = this.craftingArts.find(a => a.id === recipe.art);
+        if (!art) throw new Error(`配方「${name}」的技艺不属于当前剧本`);
+        return { recipe: recipe, art: { ...art, attributeName: art.attribute ? this.getAttributeName(art.attribute) : '' } };
+    }
+
+    /**
+     * 炼制成功率预览：{ chance, modifiers, missing, stonesShort, ... }（见 economy.js 的 calculateCraftChance）
+     */
+    getCraftPreview(name) {
+        const { recipe, art } = this.findRecipe(name);
+        return window.economy.calculateCraftChance(recipe, art, this.state.variables, this.getActualAttributes(), this.baseAttributeValue);
+    }
+
+    // 炼制和交易只能在两个回合之间进行
+    assertCanTrade() {
+        if (!this.state.isGameStarted) throw new Error('请先创建角色并开始游戏！');
+        if (this.state.isProcessing) throw new Error('请等待当前回合结束');
+        if (this.isCombatPending()) throw new Error('战斗尚未结束，请先在战斗面板中行动');
+    }
+
+    /**
+     * 按配方炼制：本地结算成败与品质，消耗材料、灵石和时间，结果随下一回合交给AI
+     */
+    craft(name) {
+        this.assertCanTrade();
+        const { recipe, art } = this.findRecipe(name);
+        const state = this.state;
+        const result = window.economy.resolveCraft({
+            recipe: recipe,
+            art: art,
+            variables: state.variables,
+            attributes: this.getActualAttributes(),
+            baseValue: this.baseAttributeValue,
+            seed: this.getCheckSeed(),
+            key: state.economy.counter
+        });
+        state.economy.counter++;
+
+        const before = JSON.parse(JSON.stringify(state.variables));
+        window.economy.applyCraft(state.variables, result);
+        // 炼制耗时（之前到期、尚未交给AI的日程保留）
+        const due = state.calendar.due;
+        const ticks = window.gameCalendar.parseDuration(this.calendarConfig, recipe.duration);
+        const passed = ticks ? this.advanceTime(ticks) : null;
+        state.calendar.due = due.concat(state.calendar.due);
+        state.previousVariables = before;
+
+        let text = window.economy.describeCraft(result);
+        if (passed) text += `，历时${window.gameCalendar.describeDuration(this.calendarConfig, passed.ticks)}`;
+        this.recordTransaction('craft', text);
+        this.emit('variables-changed', { previous: before });
+        this.emit('crafted', result);
+        return result;
+    }
+
+    // 当前地点（默认主角所在地）的坊市
+    getMarkets(location = this.state.variables.location) {
+        return window.economy.findMarkets(this.state.economy.markets, location);
+    }
+
+    findMarket(marketId) {
+        const market = this.state.economy.markets.find(m => m.id === marketId);
+        if (!market) throw new Error('坊市不存在');
+        if (!this.getMarkets().includes(market)) throw new Error(`「${market.name}」不在当前地点`);
+        return market;
+    }
+
+    // 交易在坊市和变量上直接结算，出错时不做任何修改
+    trade(marketId, kind, action) {
+        this.assertCanTrade();
+        const market = this.findMarket(marketId);
+        const before = JSON.parse(JSON.stringify(this.state.variables));
+        const items = JSON.parse(JSON.stringify(market.items));
+        try {
+            const text = action(market);
+            this.state.previousVariables = before;
+            window.economy.recordStock(market, this.getTradeTurn(), items);
+            this.recordTransaction(kind, text);
+            this.emit('variables-changed', { previous: before });
+            return text;
+        } catch (error) {
+            this.state.variables = before;
+            market.items = items;
+            throw error;
+        }
+    }
+
+    buyItem(marketId, itemName, count = 1) {
+        return this.trade(marketId, 'buy', market => window.economy.buy(this.state.variables, market, itemName, count));
+    }
+
+    sellItem(marketId, itemName, count = 1) {
+        return this.trade(marketId, 'sell', market => window.economy.sell(this.state.variables, market, itemName, count, this.getMarkets()));
+    }
+
+    // 竞拍，返回 { won, rivalBid, text }
+    bidItem(marketId, lotName, amount) {
+        let result = null;
+        this.trade(marketId, 'bid', market => {
+            result = window.economy.bid(this.state.variables, market, lotName, amount, this.getCheckSeed());
+            return result.text;
+        });
+        return result;
+    }
+
+    getSellPrice(item) {
+        return window.economy.sellPrice(item, this.getMarkets());
+    }
+
+    // 交易和炼制随玩家的下一回合交给AI，记在那一回合（当前回合的变量快照早于它们，回档到当前回合时一并撤销）
+    getTradeTurn() {
+        return Math.floor(this.state.conversationHistory.length / 2) + 1;
+    }
+
+    recordTransaction(kind, text) {
+        const economy = this.state.economy;
+        economy.pending.push(text);
+        economy.ledger.push({ turn: this.getTradeTurn(), date: this.state.variables.currentDateTime || '', kind: kind, text: text });
+        economy.ledger = economy.ledger.slice(-window.economy.maxLedger);
+        this.emit('economy-changed', economy);
+    }
+
+    // AI在回复的 market 中给出的坊市（属于回复后的地点），格式不对时跳过
+    openMarketFromResponse(raw) {
+        const economy = this.state.economy;
+        try {
+            const market = window.economy.normalizeMarket(raw, this.state.variables.location, this.getNpcTurn());
+            economy.markets = window.economy.addMarket(economy.markets, market);
+            this.emit('economy-changed', economy);
+        } catch (error) {
+            console.warn('[炼制与交易] 跳过AI给出的坊市:', error.message);
+        }
+    }
+
+    // AI在回复的 recipes 中传授的配方，无法识别的跳过
+    learnRecipesFromResponse(recipes) {
+        const economy = this.state.economy;
+        recipes.forEach(raw => {
+            try {
+                const recipe = { ...window.economy.normalizeRecipe(raw, this.craftingArts), turn: this.getNpcTurn() };
+                economy.recipes = economy.recipes.filter(r => r.name !== recipe.name).concat(recipe);
+            } catch (error) {
+                console.warn('[炼制与交易] 跳过AI传授的配方:', error.message);
+            }
+        });
+        this.emit('economy-changed', economy);
+    }
+
+    /**
+     * 本回合带给AI的交易记录（玩家回合写入历史时从 pending 移入该回合的变量快照）
+     */
+    buildTransactionHint() {
+        const state = this.state;
+        const history = state.conversationHistory;
+        const snapshot = history.length > 0 && history[history.length - 1].role === 'user'
+            ? state.variableSnapshots[state.variableSnapshots.length - 1]
+            : null;
+        return window.economy.buildReport(snapshot ? snapshot.transactions : state.economy.pending);
+    }
+
+    // ---------- 人物关系网 ----------
+
+    // 当前回合序号（与向量库的 turnIndex 一致）
+    getNpcTurn() {
+        return Math.ceil(this.state.conversationHistory.length / 2);
+    }
+
+    // AI在回复的 npcLinks 中给出的NPC之间的关系变化，不合法的条目跳过
+    applyNpcLinks(links) {
+        const result = window.npcGraph.applyLinks(this.state.npcGraph, links, this.getNpcTurn());
+        if (result.errors.length > 0) {
+            console.warn('[人物关系网] 跳过AI给出的部分人物关系:', result.errors);
+        }
+        if (result.changes.length > 0) {
+            console.log('[人物关系网] ' + result.changes.join('；'));
+            this.emit('npc-graph-changed', this.state.npcGraph);
+        }
+    }
+
+    // 本轮剧情写入人物记忆（只做分词，与是否开启向量检索无关）
+    rememberNpcs(story) {
+        const vectors = window.contextVectorManager;
+        if (!vectors) return;
+        const added = vectors.addNpcMemories(Math.floor(this.state.conversationHistory.length / 2), story, this.state.variables.relationships);
+        if (added > 0) this.emit('vectors-changed');
+    }
+
+    /**
+     * 与当前输入相关的人物名（按相关程度排列，见 npc-graph.js 的 selectRelevant）
+     * 只看玩家本回合的文字，不看附加的系统提醒
+     */
+    getRelevantNpcs(userMessage) {
+        const state = this.state;
+        const relationships = state.variables.relationships || [];
+        const vectors = window.contextVectorManager;
+        const input = String(userMessage || '').split('\n\n[')[0];
+        const lastAssistant = state.conversationHistory.filter(m => m.role === 'assistant').pop();
+        return window.npcGraph.selectRelevant({
+            relationships: relationships,
+            graph: state.npcGraph,
+            input: input,
+            story: lastAssistant ? lastAssistant.content : '',
+            location: state.variables.location,
+            ranked: vectors ? vectors.rankNpcsByMemory(input, relationships.map(r => r.name)) : []
+        });
+    }
+
+    /**
+     * 人际关系的上下文：角色变量中的人际关系去掉互动记录，相关人物的详情（互动记录、关系网、好感变化、往事）单独成段
+     * 返回 { relationships, section }
+     */
+    buildNpcContext(userMessage) {
+        const graph = window.npcGraph;
+        const relationships = this.state.variables.relationships || [];
+        const vectors = window.contextVectorManager;
+        const input = String(userMessage || '').split('\n\n[')[0];
+        const texts = this.getRelevantNpcs(userMessage).map(name => {
+            const memories = vectors ? vectors.retrieveNpcMemories(name, input, graph.memoriesPerNpc) : [];
+            return graph.describeNpc(relationships.find(r => r.name === name), this.state.npcGraph, memories);
+        });
+        return { relationships: graph.slimRelationships(relationships), section: graph.buildSection(texts) };
+    }
+
+    /**
+     * 合并重复的人物：dropName 并入 keepName（互动记录、关系网、好感记录和人物记忆一并合并）
+     */
+    mergeNpcs(keepName, dropName) {
+        const state = this.state;
+        if (state.isProcessing) throw new Error('请等待当前回合结束');
+
+        const before = JSON.parse(JSON.stringify(state.variables));
+        const merged = window.npcGraph.merge(state.variables, state.npcGraph, keepName, dropName);
+        const vectors = window.contextVectorManager;
+        if (vectors) {
+            vectors.renameNpcMemories(dropName, keepName);
+            this.emit('vectors-changed');
+        }
+        window.locationMap.renameSighting(state.locations, dropName, keepName);
+        state.previousVariables = before;
+        console.log(`[人物关系网] 已把「${dropName}」合并到「${keepName}」`);
+        this.emit('variables-changed', { previous: before });
+        this.emit('npc-graph-changed', state.npcGraph);
+        return merged;
+    }
+
+    // ---------- 提示词 ----------
+
+    /**
+     * 开局提示：按剧本包的 initPrompt 模板填入角色信息
+     */
+    buildInitPrompt(info = this.state.characterInfo) {
+        if (!info) return '开始游戏，生成剧情及选项。';
+
+        const values = {
+            name: info.name,
+            age: info.age,
+            gender: info.gender,
+            personality: info.personality,
+            origin: info.origin,
+            difficulty: info.difficultyName || info.difficulty,
+            talents: info.talents && info.talents.length > 0 ? `天赋：${info.talents.join('、')}。` : '',
+            customSettings: info.customSettings ? `特殊设定：${info.customSettings}。` : ''
+        };
+        const prompt = this.pack.initPrompt.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder));
+        return prompt + '\n\n[重要提醒：' + window.optionSlots.buildInstruction(this.state.optionTemplate) + ']';
+    }
+
+    // 剧本包中的装备类型（提示AI给装备加 type 字段）
+    getEquipmentTypeList() {
+        return [...new Set(this.pack.equipmentSlots.map(slot => slot.type))].map(type => `"${type}"`).join('、');
+    }
+
+    /**
+     * 非内置剧本的规则说明（属性、装备类型、境界阶梯），附在系统提示词之后
+     */
+    buildPackRules() {
+        const pack = this.pack;
+        if (pack.id === window.scenarioPacks.builtin.id) return '';
+
+        let rules = `\n\n【剧本设定：${pack.name}】${pack.description ? pack.description : ''}`;
+        rules += `\n属性（变量 attributes 中的字段，选项判定格式为：选项文本（属性名>数值））：\n`;
+        rules += pack.attributes.map(attr => `- ${attr.id}（${attr.name}）${attr.description ? '：' + attr.description : ''}`).join('\n');
+        if (pack.equipmentSlots.length > 0) {
+            rules += `\n装备栏（变量 equipment 中的字段）：${pack.equipmentSlots.map(slot => `${slot.id}（${slot.name}，type为"${slot.type}"）`).join('、')}`;
+        }
+        if (pack.realmLadder.length > 0) {
+            const ladder = pack.realmLadder.map(realm => (realm.stages.length > 0 ? `${realm.name}（${realm.stages.join('/')}）` : realm.name));
+            rules += `\n境界阶梯（realm 只能按顺序提升，每次最多一个小境界，写作“大境界+小境界”）：${ladder.join('→')}`;
+        }
+        rules += `\n炼制技艺（配方 recipes 的 art 字段）：${pack.crafting.arts.map(art => `${art.id}（${art.name}）`).join('、')}`;
+        rules += '\n以上设定优先于系统提示词中的同类规则。';
+        return rules;
+    }
+
+    // 根据机缘值和天谴值添加提示
+    buildKarmaHint() {
+        const variables = this.state.variables;
+        if (variables.karmaFortune >= 80) {
+            return '\n\n[系统提示：机缘值较高，请引导剧情往好的方向发展]';
+        } else if (variables.karmaPunishment >= 80) {
+            return '\n\n[系统提示：天谴值较高，请引导剧情往坏的方向发展，可能遇到危险或不幸]';
+        }
+        return '';
+    }
+
+    // 自由输入：强制要求更新变量和生成选项
+    buildInputPrompt(userText) {
+        let enhancedInput = userText + this.buildTransactionHint() + this.buildKarmaHint() + this.buildCalendarHint() + this.buildLocationHint() + this.buildWorldHint();
+        enhancedInput += '\n\n[重要提醒：必须更新角色变量（如属性、物品、关系等有变化），' + window.optionSlots.buildInstruction(this.state.optionTemplate) + ']';
+        enhancedInput += `\n\n[极其重要：如果在items中生成任何装备或法宝，必须包含type字段！type必须是${this.getEquipmentTypeList()}之一。没有type字段玩家无法装备！]`;
+        enhancedInput += '\n\n[人际关系提醒：如果角色与NPC发生重要互动，必须通过patch更新relationships中该NPC的数据。包括：好感度变化、opinion更新、新的互动记录（约20字）。示例：{"op":"update","name":"玉娘","favorDelta":-10,"set":{"opinion":"讨厌你的懒散"},"historyAppend":["再次催租，你躲避不见，她更加愤怒。"]}。NPC之间的关系（师徒、同门、宿敌等）出现或变化时写在npcLinks中]';
+        enhancedInput += '\n\n[时间提醒：在 timeElapsed 中写明本回合经过的时间（如“两个时辰”“三天”“半年”），系统据此推进日期和年龄、恢复体力法力，不要自行修改 currentDateTime 和 age；约定将来某天发生的事件写在 schedule 中，如 [{"title": "坊市拍卖会", "date": "三日后", "description": "..."}]]';
+        enhancedInput += '\n\n[增量更新提醒：items、relationships、techniques、spells的变化写在variables.patch中，只写本轮变化的条目（add/remove/update），名称必须与当前变量完全一致，不要重复返回没有变化的条目]';
+        return enhancedInput;
+    }
+
+    // 选项：附带检定结果，强制要求选项格式和装备type字段
+    buildOptionPrompt(option, checkRoll) {
+        let enhancedOption = option + this.buildTransactionHint() + this.buildKarmaHint() + this.buildCalendarHint() + this.buildLocationHint() + this.buildWorldHint();
+        if (checkRoll) {
+            enhancedOption += '\n\n' + window.checkEngine.buildPrompt(checkRoll);
+        }
+        enhancedOption += '\n\n[重要提醒：' + window.optionSlots.buildInstruction(this.state.optionTemplate) + ']';
+        enhancedOption += `\n\n[极其重要：如果在items中生成任何装备或法宝，必须包含type字段！type必须是${this.getEquipmentTypeList()}之一。示例：{"op": "add", "name": "混元金斗法宝", "count": 1, "type": "装备-法宝", "effects": {"spirit": 8}}]`;
+        enhancedOption += '\n\n[人际关系提醒：如果角色与NPC发生重要互动，必须通过patch更新relationships中该NPC的数据。包括：好感度变化（favorDelta）、opinion更新（set）、新的互动记录（historyAppend，约20字）。NPC之间的关系（师徒、同门、宿敌等）出现或变化时写在npcLinks中。]';
+        enhancedOption += '\n\n[时间提醒：在 timeElapsed 中写明本回合经过的时间（如“两个时辰”“三天”“半年”），系统据此推进日期和年龄、恢复体力法力，不要自行修改 currentDateTime 和 age；约定将来某天发生的事件写在 schedule 中，如 [{"title": "坊市拍卖会", "date": "三日后", "description": "..."}]]';
+        enhancedOption += '\n\n[增量更新提醒：items、relationships、techniques、spells的变化写在variables.patch中，只写本轮变化的条目（add/remove/update），名称必须与当前变量完全一致，不要重复返回没有变化的条目]';
+        return enhancedOption;
+    }
+
+    /**
+     * 重新生成或重新发送最后一回合：按这一回合原来的方式（选项或自由输入）重建提示词，沿用当时的检定结果和交易记录
+     * 调用前历史记录应以这条用户消息结尾，变量已回滚到这条消息时的状态
+     */
+    buildRegeneratePrompt() {
+        const state = this.state;
+        const history = state.conversationHistory;
+        const last = history[history.length - 1];
+        if (!last || last.role !== 'user') return '';
+
+        const snapshot = state.variableSnapshots[state.variableSnapshots.length - 1] || null;
+        if (snapshot && snapshot.freeInput) {
+            return this.buildInputPrompt(last.content);
+        }
+        return this.buildOptionPrompt(last.content, snapshot ? snapshot.checkRoll : null);
+    }
+
+    // ---------- 上下文 ----------
+
+    getTokenLimit() {
+        const model = this.connections.main ? this.connections.main.model : '';
+        return this.settings.tokenLimit > 0 ? this.settings.tokenLimit : window.tokenBudget.getDefaultBudget(model);
+    }
+
+    /**
+     * 构建发给主API的消息：系统提示词、变量、前情提要、最近N层对话（只发送剧情内容，不发送选项）、用户消息，
+     * 以及设定集中被触发的条目
+     * 启用向量检索时交给 supply.js 按相关性带上历史回忆；两种方式都在token预算内组装
+     */
+    async buildMessages(userMessage, options = {}) {
+        const settings = this.settings;
+        const history = this.state.conversationHistory;
+        const historyDepth = Number.isFinite(settings.historyDepth) ? settings.historyDepth : 10;
+        const model = this.connections.main ? this.connections.main.model : '';
+        const vectors = window.contextVectorManager;
+
+        // 剧本包自带系统提示词时替换设置中的提示词，非内置剧本再附上属性、装备与境界规则
+        let finalSystemPrompt = (this.pack.systemPrompt || settings.systemPrompt) + this.buildPackRules();
+        if (settings.minWordCount > 0) {
+            finalSystemPrompt += `\n\n【重要】字数要求：你的回复中"story"字段必须至少包含${settings.minWordCount}个中文字符。请确保剧情描写详细、生动、充实，达到字数要求。`;
+        }
+
+        // 构建包含实际属性的变量状态（包含装备加成），人际关系只给相关人物带上详情
+        const npcs = this.buildNpcContext(userMessage);
+        const variablesForAI = {
+            ...this.state.variables,
+            relationships: npcs.relationships,
+            attributes: this.getActualAttributes()
+        };
+        const tokenLimit = this.getTokenLimit();
+
+        if (settings.vectorRetrieval && vectors) {
+            console.log('[向量检索模式] 使用智能上下文构建');
+            return await vectors.buildOptimizedMessages(
+                finalSystemPrompt,
+                variablesForAI,
+                userMessage,
+                historyDepth,
+                history,
+                { signal: options.signal, tokenLimit: tokenLimit, model: model, sections: [npcs.section] }
+            );
+        }
+
+        const budget = window.tokenBudget;
+        let summaryContext = '';
+        if (vectors) {
+            const recentStartTurn = Math.floor(Math.max(0, history.length - historyDepth * 2) / 2) + 1;
+            summaryContext = vectors.buildSummaryContext(userMessage, recentStartTurn);
+        }
+
+        let sections = [
+            budget.fixedSection('system', '系统提示词', [{ role: 'system', content: finalSystemPrompt }], 1, true),
+            budget.variableSection(variablesForAI, 2),
+            npcs.section,
+            budget.fixedSection('summary', '前情提要', summaryContext ? [{ role: 'system', content: summaryContext }] : [], 5),
+            budget.recentSection(history, historyDepth, 4),
+            budget.fixedSection('input', '当前输入', [{ role: 'user', content: userMessage }], 3, true)
+        ];
+        if (window.lorebook) {
+            sections = window.lorebook.insertSections(sections, { input: userMessage, history: history, variables: variablesForAI });
+        }
+        const result = budget.assemble(sections, tokenLimit, { model: model });
+
+        console.log(`[Token预算] ${budget.formatReport(result.report)}`);
+        return result.messages;
+    }
+
+    // ---------- 调用模型 ----------
+
+    /**
+     * 调用主API，options: { signal, onDelta(delta, fullText), correction: { response, message } }
+     * correction 为格式校验未通过时的重试：把未通过的回复和修正要求接在本回合输入之后
+     * 主API重试后仍失败（非手动停止）时，按设置改用额外API
+     */
+    async callModel(userMessage, options = {}) {
+        const main = this.connections.main;
+        if (!window.llmProviders.isConfigured(main)) {
+            throw new Error('请先配置并保存API连接');
+        }
+
+        const messages = await this.buildMessages(userMessage, { signal: options.signal });
+        if (options.correction) {
+            messages.push(
+                { role: 'assistant', content: options.correction.response },
+                { role: 'user', content: options.correction.message }
+            );
+        }
+        const chatOptions = { signal: options.signal, onDelta: options.onDelta, stream: this.settings.stream };
+        try {
+            return await window.llmProviders.chat(main, messages, chatOptions);
+        } catch (error) {
+            if (error && error.name === 'AbortError') throw error;
+            console.error('AI调用错误:', error);
+
+            if (this.connections.fallback && this.isExtraReady()) {
+                console.warn(`[接口] 主API失败（${error.message}），改用额外API（${this.connections.extra.model}）`);
+                return await this.callExtra(messages, chatOptions);
+            }
+            throw error;
+        }
+    }
+
+    // 调用额外API（动态世界、剧情摘要等其他用途）
+    async callExtra(messages, options = {}) {
+        const extra = this.connections.extra;
+        if (!extra || extra.enabled === false) {
+            throw new Error('额外API未启用');
+        }
+        if (!window.llmProviders.isConfigured(extra)) {
+            throw new Error('请先配置并保存额外API连接');
+        }
+
+        try {
+            return await window.llmProviders.chat(extra, messages, options);
+        } catch (error) {
+            if (!error || error.name !== 'AbortError') {
+                console.error('额外API调用错误:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 调用AI并校验响应格式，不合格时把校验错误发回给AI重新生成
+     * 返回 responseValidator.parseAndValidate 的结果（交给 applyResponse 处理）
+     */
+    async requestTurn(userMessage, options = {}) {
+        const validator = window.responseValidator;
+        const main = this.connections.main || {};
+        const modelKey = `${main.type}/${main.model}`;
+        const retries = parseInt(this.settings.maxResponseRetries);
+        const maxRetries = isNaN(retries) ? 1 : Math.max(0, Math.min(5, retries));
+
+        let correction = null;
+        let result = null;
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            const response = await this.callModel(userMessage, { ...options, correction: correction });
+            result = validator.parseAndValidate(response, { optionCount: this.getOptionCount() });
+
+            // 增量操作需要对照当前状态校验（如移除不存在的道具），境界不能跨级提升
+            if (result.data && result.data.variables && window.variablePatcher) {
+                const patchErrors = window.variablePatcher.validateUpdate(this.state.variables, result.data.variables);
+                if (patchErrors.length > 0) {
+                    result.errors.push(...patchErrors);
+                    result.valid = false;
+                }
+            }
+            const realmProblem = result.data && result.data.variables ? this.checkRealmChange(result.data.variables.realm) : null;
+            if (realmProblem) {
+                result.errors.push({ path: 'variables.realm', code: 'realm', message: realmProblem });
+                result.valid = false;
+            }
+
+            validator.recordAttempt(modelKey, result, attempt);
+
+            if (result.warnings.length > 0) {
+                console.log('[响应校验] 警告:', result.warnings);
+            }
+            if (result.valid) {
+                return result;
+            }
+
+            console.warn(`[响应校验] 第${attempt + 1}次响应未通过校验:`, result.errors);
+            // 重试时带上未通过的回复，AI才能在原剧情的基础上修正
+            if (attempt < maxRetries) {
+                correction = { response: response, message: validator.formatErrorsForRetry(result) };
+            }
+        }
+
+        validator.recordGiveUp(modelKey);
+        console.warn('[响应校验] 重试次数已用完，使用修复后的结果');
+        return result;
+    }
+
+    // ---------- 回合 ----------
+
+    beginTurn() {
+        if (this.state.isProcessing) {
+            throw new Error('上一回合尚未结束');
+        }
+        this.state.isProcessing = true;
+    }
+
+    /**
+     * 玩家回合写入历史，同时压入变量快照（附带检定结果）
+     */
+    // 当前变量的快照，附带日程（一次性日程到期后会移出列表，回溯或重新生成时随快照恢复）
+    createSnapshot() {
+        const snapshot = JSON.parse(JSON.stringify(this.state.variables));
+        snapshot.calendar = JSON.parse(JSON.stringify(this.state.calendar));
+        return snapshot;
+    }
+
+    pushUserTurn(content, checkRoll = null, freeInput = false) {
+        const state = this.state;
+        state.conversationHistory.push({ role: 'user', content: content });
+
+        const snapshot = this.createSnapshot();
+        if (checkRoll) {
+            snapshot.checkRoll = checkRoll;
+        }
+        // 自由输入的回合重新生成时仍按自由输入构建提示词
+        if (freeInput) {
+            snapshot.freeInput = true;
+        }
+        // 上一回合之后的交易记录随这一回合交给AI（重新生成时沿用）
+        if (state.economy.pending.length > 0) {
+            snapshot.transactions = state.economy.pending;
+            state.economy.pending = [];
+        }
+        state.variableSnapshots.push(snapshot);
+
+        this.emit('user-message', { content: content, checkRoll: checkRoll, index: state.conversationHistory.length - 1 });
+    }
+
+    // 撤回尚未得到回复的用户回合（历史记录与变量快照），返回被撤回的用户消息内容
+    rollbackPendingUserTurn() {
+        const state = this.state;
+        const history = state.conversationHistory;
+        if (history.length === 0 || history[history.length - 1].role !== 'user') {
+            return null;
+        }
+
+        // 发送用户消息时总会同时压入一份变量快照（兼容开局消息没有快照的旧存档）
+        const userTurn = history.pop();
+        if (state.variableSnapshots.length > history.length) {
+            const snapshot = state.variableSnapshots.pop();
+            if (snapshot.transactions) {
+                state.economy.pending = snapshot.transactions.concat(state.economy.pending);
+            }
+        }
+
+        this.emit('user-message-removed', { content: userTurn.content });
+        console.log('[游戏引擎] 已撤回未完成的用户回合');
+        return userTurn.content;
+    }
+
+    /**
+     * 回档或分出分支后，只保留前 maxTurn 回合产生的记录（与 contextVectorManager.retainTurns 对应）
+     */
+    retainTurns(maxTurn) {
+        window.worldState.retainTurns(this.state.dynamicWorld.world, maxTurn);
+        window.economy.retainTurns(this.state.economy, maxTurn);
+        window.npcGraph.retainTurns(this.state.npcGraph, maxTurn);
+        window.locationMap.retainTurns(this.state.locations, maxTurn);
+    }
+
+    /**
+     * 开局：按角色信息生成开局剧情，options: { signal, onDelta }
+     */
+    async startGame(options = {}) {
+        this.beginTurn();
+        try {
+            // 开局提示也写入历史记录，以便重新生成功能能正常工作
+            const initPrompt = this.buildInitPrompt();
+            this.pushUserTurn(initPrompt);
+
+            const result = await this.requestTurn(initPrompt, options);
+            const data = this.applyResponse(result);
+            this.state.isGameStarted = true;
+            this.emit('game-started', data);
+            return data;
+        } catch (error) {
+            this.rollbackPendingUserTurn();
+            throw error;
+        } finally {
+            this.state.isProcessing = false;
+        }
+    }
+
+    /**
+     * 选择选项：本地掷骰检定后交给AI（同一回合同一选项结果固定）
+     */
+    async chooseOption(option, options = {}) {
+        if (this.isCombatPending()) {
+            throw new Error('战斗尚未结束，请先在战斗面板中行动');
+        }
+        this.beginTurn();
+        try {
+            const checkRoll = this.resolveOptionCheck(option, this.state.conversationHistory.length);
+            const slot = this.findOptionSlot(option);
+            this.pushUserTurn(option, checkRoll);
+
+            const result = await this.requestTurn(this.buildOptionPrompt(option, checkRoll), options);
+            // 战斗结果等不在当前选项中的文字不计入玩法统计
+            return this.applyResponse(result, slot ? { slot: slot } : null);
+        } catch (error) {
+            this.rollbackPendingUserTurn();
+            throw error;
+        } finally {
+            this.state.isProcessing = false;
+        }
+    }
+
+    /**
+     * 自由输入的行动
+     */
+    async sendInput(userText, options = {}) {
+        const text = (userText || '').trim();
+        if (!text) {
+            throw new Error('请输入内容！');
+        }
+        if (!this.state.isGameStarted) {
+            throw new Error('请先创建角色并开始游戏！');
+        }
+        if (this.isCombatPending()) {
+            throw new Error('战斗尚未结束，请先在战斗面板中行动');
+        }
+        this.beginTurn();
+        try {
+            this.pushUserTurn(text, null, true);
+
+            const result = await this.requestTurn(this.buildInputPrompt(text), options);
+            return this.applyResponse(result, { slot: null });
+        } catch (error) {
+            this.rollbackPendingUserTurn();
+            throw error;
+        } finally {
+            this.state.isProcessing = false;
+        }
+    }
+
+    /**
+     * 处理AI响应：合并变量、写入历史和快照、写入向量库
+     * response 可以是原始文本，也可以是 requestTurn 返回的校验结果
+     * choice 为本回合玩家的选择 { slot }（slot 为 null 表示自由行动），回复可用时计入玩法统计
+     * 返回校验后的数据；无法使用时触发 response-error 并返回 null
+     */
+    applyResponse(response, choice = null) {
+        const result = typeof response === 'string'
+            ? window.responseValidator.parseAndValidate(response, { optionCount: this.getOptionCount() })
+            : response;
+        const state = this.state;
+
+        try {
+            const data = result.data;
+            if (!data) {
+                throw new Error(result.parseError || 'JSON解析失败');
+            }
+            if (typeof data.story !== 'string' || !data.story.trim()) {
+                throw new Error('响应缺少剧情内容');
+            }
+            if (data.options !== undefined && !Array.isArray(data.options)) {
+                data.options = [];
+            }
+
+            // 上一场战斗已交给AI叙述，战斗面板留在历史中作为记录
+            if (state.combat && state.combat.reported) {
+                state.combat = null;
+                this.emit('combat-closed');
+            }
+
+            if (data.options) {
+                this.padOptions(data.options);
+                state.currentOptions = window.optionSlots.labelOptions(data.options, state.optionTemplate);
+            }
+
+            // 先登记AI告知的地点，再更新变量并结算本回合经过的时间（换地点时记下路线）
+            if (Array.isArray(data.places)) {
+                this.learnPlacesFromResponse(data.places);
+            }
+            this.updateVariables(data.variables || {}, { timeElapsed: data.timeElapsed });
+            if (Array.isArray(data.schedule)) {
+                this.addEventsFromResponse(data.schedule);
+            }
+            if (data.market) {
+                this.openMarketFromResponse(data.market);
+            }
+            if (Array.isArray(data.recipes)) {
+                this.learnRecipesFromResponse(data.recipes);
+            }
+            if (Array.isArray(data.npcLinks)) {
+                this.applyNpcLinks(data.npcLinks);
+            }
+
+            // 添加到历史记录（只保存剧情）
+            state.conversationHistory.push({
+                role: 'assistant',
+                content: data.story
+            });
+
+            // 保存当前变量快照（附带本回合的思维链，供导出小说时使用）
+            const snapshot = this.createSnapshot();
+            if (data.reasoning) {
+                snapshot.reasoning = data.reasoning;
+            }
+            state.variableSnapshots.push(snapshot);
+
+            if (this.settings.vectorRetrieval) {
+                this.rememberTurn(data.story);
+            }
+            this.rememberNpcs(data.story);
+            this.recordSightings(data.story);
+
+            if (choice) {
+                this.recordChoice(choice.slot);
+            }
+
+            this.emit('assistant-message', { data: data, index: state.conversationHistory.length - 1 });
+
+            // 爆发战斗，在本地按回合结算
+            if (data.encounter) {
+                this.startCombat(data.encounter);
+            }
+            return data;
+        } catch (error) {
+            console.error('解析AI响应失败:', error);
+            this.emit('response-error', { error: error, raw: result.raw });
+            return null;
+        }
+    }
+
+    // 按选项模板截掉多余的选项、补齐不足的选项
+    padOptions(options) {
+        window.optionSlots.pad(options, this.state.optionTemplate);
+    }
+
+    // ---------- 选项模板与玩法统计 ----------
+
+    getOptionCount() {
+        return window.optionSlots.getOptionCount(this.state.optionTemplate);
+    }
+
+    /**
+     * 修改当前存档的选项模板（下一回合起生效），返回校验后的模板
+     */
+    setOptionTemplate(raw) {
+        const template = window.optionSlots.normalize(raw);
+        this.state.optionTemplate = template;
+        this.emit('option-template-changed', template);
+        return template;
+    }
+
+    // 选项属于最近一条回复的哪个位置（不是当前选项时返回 null，如战斗结果）
+    findOptionSlot(option) {
+        const current = this.state.currentOptions.find(entry => entry.text === option);
+        if (!current) return null;
+        return this.state.optionTemplate.slots.find(slot => slot.id === current.slotId) || null;
+    }
+
+    // 记录玩家选择的选项类别，slot 为 null 表示自由行动
+    recordChoice(slot) {
+        window.optionSlots.recordChoice(this.state.optionStats, slot);
+        this.emit('option-stats-changed', this.state.optionStats);
+    }
+
+    getPlayStyleStats() {
+        return window.optionSlots.summarize(this.state.optionStats);
+    }
+
+    clearPlayStyleStats() {
+        this.state.optionStats = window.optionSlots.createStats();
+        this.emit('option-stats-changed', this.state.optionStats);
+    }
+
+    // 最新一轮写入向量库（异步，不阻塞游戏流程；失败时改用关键词方法）
+    rememberTurn(aiResponse) {
+        const vectors = window.contextVectorManager;
+        const history = this.state.conversationHistory;
+        if (!vectors || history.length < 2) return;
+
+        const turnIndex = Math.floor(history.length / 2);
+        const userMessage = history[history.length - 2].content;
+
+        vectors.addConversation(userMessage, aiResponse, turnIndex, this.state.variables).then(() => {
+            this.emit('vectors-changed');
+        }).catch(error => {
+            console.error('❌ 向量库添加失败:', error);
+            const method = vectors.embeddingMethod;
+            if (method !== 'keyword') {
+                console.warn(`[向量库] ${method}方法失败，自动切换到关键词方法`);
+                vectors.setEmbeddingMethod('keyword');
+                this.emit('vector-error', { method: method, error: error });
+            }
+        });
+    }
+
+    // ---------- 变量合并 ----------
+
+    // AI 返回的境界是否跨级提升（合理或未修改时返回 null）
+    checkRealmChange(realm) {
+        if (realm === undefined || realm === this.state.variables.realm) return null;
+        return window.realmEngine.checkTransition(this.realmLadder, this.state.variables.realm, realm);
+    }
+
+    /**
+     * 合并AI返回的变量；turn 不为 null 时是一个完整回合，合并后结算经过的时间（turn.timeElapsed 为AI声明的耗时）
+     */
+    updateVariables(newVars, turn = null) {
+        const state = this.state;
+        // 保存之前的变量状态用于计算变化
+        state.previousVariables = JSON.parse(JSON.stringify(state.variables));
+
+        // 跨级提升的境界不生效，同一轮的修为变化也一并忽略
+        const realmProblem = this.checkRealmChange(newVars.realm);
+        if (realmProblem) {
+            console.warn(`[境界] 已拒绝AI的境界变化：${realmProblem}`);
+            this.emit('realm-rejected', { from: state.variables.realm, to: newVars.realm, reason: realmProblem });
+            newVars = { ...newVars };
+            delete newVars.realm;
+            delete newVars.cultivationProgress;
+            delete newVars.cultivationProgressMax;
+        }
+
+        // 合并简单字段
+        ['currentDateTime', 'name', 'age', 'gender', 'realm', 'identity', 'spiritStones', 'location',
+            'karmaFortune', 'karmaPunishment', 'cultivationProgress', 'cultivationProgressMax',
+            'hp', 'hpMax', 'mp', 'mpMax', 'talents'].forEach(key => {
+            if (newVars[key] !== undefined) state.variables[key] = newVars[key];
+        });
+
+        // 修为上限由境界阶梯决定
+        const realmInfo = this.getRealmInfo();
+        if (realmInfo.known) {
+            state.variables.cultivationProgressMax = realmInfo.progressMax;
+            state.variables.cultivationProgress = Math.min(state.variables.cultivationProgress || 0, realmInfo.progressMax);
+        }
+
+        // 更新属性
+        if (newVars.attributes) {
+            Object.assign(state.variables.attributes, newVars.attributes);
+        }
+
+        // 更新装备
+        if (newVars.equipment) {
+            Object.assign(state.variables.equipment, newVars.equipment);
+        }
+
+        // 更新道具、功法、法术、人际关系
+        // 旧格式：完整数组替换（可疑的大量删除会被拦截，等待玩家确认）
+        ['items', 'techniques', 'spells', 'relationships'].forEach(field => {
+            if (Array.isArray(newVars[field])) {
+                const reconciled = window.variablePatcher.reconcileFullArray(field, state.variables[field] || [], newVars[field]);
+                state.variables[field] = reconciled.array;
+                this.queuePendingVariableChanges(reconciled.pending);
+            }
+        });
+
+        // 新格式：增量操作（整体校验，任一操作不合法则本轮增量全部不生效）
+        if (newVars.patch) {
+            const patched = window.variablePatcher.applyPatch(state.variables, newVars.patch);
+            if (patched.errors.length > 0) {
+                console.warn('[增量更新] 校验未通过，本轮增量操作未生效:', patched.errors);
+            } else {
+                state.variables = patched.variables;
+                this.queuePendingVariableChanges(patched.pending);
+                if (patched.changes.length > 0) {
+                    console.log('[增量更新] ' + patched.changes.join('；'));
+                }
+            }
+        }
+
+        // 更新历史（追加模式 - 只添加新记录，不删除旧记录，去除首尾空格后相同的记录不重复添加）
+        if (Array.isArray(newVars.history)) {
+            if (!state.variables.history) {
+                state.variables.history = [];
+            }
+            newVars.history.forEach(newRecord => {
+                const trimmedNew = newRecord.trim();
+                const isDuplicate = state.variables.history.some(existing => existing.trim() === trimmedNew);
+                if (!isDuplicate && trimmedNew) {
+                    state.variables.history.push(newRecord);
+                    console.log('[历史记录] 新增:', newRecord.substring(0, 50) + '...');
+                }
+            });
+        }
+
+        const passed = turn ? this.passTurnTime(state.previousVariables, newVars, turn.timeElapsed) : null;
+        this.trackLocation(state.previousVariables.location, passed ? passed.ticks : null);
+
+        // 好感度变化记入人物关系网
+        window.npcGraph.recordFavor(state.npcGraph, state.previousVariables.relationships, state.variables.relationships, {
+            turn: this.getNpcTurn(),
+            date: state.variables.currentDateTime
+        });
+
+        this.emit('variables-changed', { previous: state.previousVariables });
+    }
+
+    // 记录被拦截的删除，等待玩家确认
+    queuePendingVariableChanges(pendingList) {
+        if (!pendingList || pendingList.length === 0) return;
+
+        pendingList.forEach(pending => {
+            this.state.pendingVariableChanges.push({
+                ...pending,
+                id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+            });
+        });
+    }
+
+    // ---------- 存档 ----------
+
+    /**
+     * 存档数据（不复制，写入存储或导出前由调用方决定是否深拷贝）
+     */
+    serialize() {
+        const state = this.state;
+        const vectors = window.contextVectorManager;
+        return {
+            formatVersion: window.saveFormat.currentVersion,
+            // 所用剧本包（读档时切换回该剧本）
+            scenarioPack: window.scenarioPacks.describeForSave(),
+            variables: state.variables,
+            conversationHistory: state.conversationHistory,
+            variableSnapshots: state.variableSnapshots,
+            pendingVariableChanges: state.pendingVariableChanges,
+            checkSeed: state.checkSeed,
+            combat: state.combat,
+            timeline: state.timeline,
+            optionTemplate: state.optionTemplate,
+            currentOptions: state.currentOptions,
+            optionStats: state.optionStats,
+            calendar: state.calendar,
+            economy: state.economy,
+            npcGraph: state.npcGraph,
+            locations: state.locations,
+            isGameStarted: state.isGameStarted,
+            characterInfo: state.characterInfo,
+            // 向量库数据
+            vectorEmbeddings: vectors ? vectors.conversationEmbeddings : [],
+            // 章节/卷摘要
+            storySummaries: vectors ? vectors.getSummaries() : null,
+            // 人物记忆
+            npcMemories: vectors ? vectors.npcMemories : [],
+            // 动态世界数据
+            dynamicWorld: state.dynamicWorld
+        };
+    }
+
+    /**
+     * 从存档恢复：旧存档逐级升级到当前格式版本（补齐缺失字段），返回升级后的存档数据
+     * 存档所用的剧本包已安装时切换到该剧本；未安装或版本不同时发出 pack-mismatch（仍按当前剧本读档）
+     */
+    restore(saveData) {
+        saveData = window.saveFormat.migrate(saveData).data;
+        const state = this.state;
+
+        const expected = saveData.scenarioPack;
+        const installed = window.scenarioPacks.get(expected.id);
+        if (installed) {
+            window.scenarioPacks.activate(installed.id);
+        }
+        if (!installed || installed.version !== expected.version) {
+            this.emit('pack-mismatch', { expected: expected, active: window.scenarioPacks.describeForSave(), missing: !installed });
+        }
+
+        state.variables = saveData.variables;
+        state.conversationHistory = saveData.conversationHistory;
+        state.variableSnapshots = saveData.variableSnapshots;
+        state.pendingVariableChanges = saveData.pendingVariableChanges || [];
+        state.checkSeed = saveData.checkSeed || null;
+        state.combat = saveData.combat || null;
+        state.timeline = saveData.timeline || null;
+        state.optionTemplate = saveData.optionTemplate;
+        state.currentOptions = saveData.currentOptions;
+        state.optionStats = saveData.optionStats;
+        state.calendar = saveData.calendar;
+        state.economy = saveData.economy;
+        state.npcGraph = saveData.npcGraph;
+        state.locations = saveData.locations;
+        state.isGameStarted = saveData.isGameStarted;
+        state.characterInfo = saveData.characterInfo;
+
+        // 恢复向量库数据（不含向量记忆的存档清空向量库，稍后根据对话历史重建）
+        const vectors = window.contextVectorManager;
+        if (vectors) {
+            vectors.conversationEmbeddings = saveData.vectorEmbeddings || [];
+            vectors.setSummaries(saveData.storySummaries);
+            vectors.setNpcMemories(saveData.npcMemories);
+            vectors.tokenizer.resetSeededWords();
+            console.log(`[向量库] 已从存档恢复 ${vectors.conversationEmbeddings.length} 条记忆`);
+        }
+
+        // 恢复动态世界数据，强制重置处理状态（避免卡在处理中）
+        state.dynamicWorld = saveData.dynamicWorld;
+        state.dynamicWorld.isProcessing = false;
+        console.log(`[动态世界] 已从存档恢复 ${saveData.dynamicWorld.history?.length || 0} 条记录`);
+
+        this.emit('restored');
+        return saveData;
+    }
+}
+
+// 创建全局实例
+window.gameEngine = new GameEngine();
+
+// Node 中通过 require 使用（先设置 global.window，并加载依赖的模块，见 cli.js）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameEngine: GameEngine, gameEngine: window.gameEngine };
+}
+
+console.log('[游戏引擎] 已加载，使用方法：');
+console.log('1. window.gameEngine.on(事件, 回调) - 订阅 user-message / assistant-message / variables-changed 等事件');
+console.log('2. window.gameEngine.chooseOption(选项) / sendInput(文字) - 进行一回合');
+console.log('3. window.gameEngine.serialize() / restore(存档) - 导出与恢复存档数据');
@@ -0,0 +1,632 @@
+/**
+ * 大模型接口层
+ * 各家接口（OpenAI兼容、Gemini、Anthropic Messages、Ollama本地服务）注册为 provider，
+ * 统一处理请求格式、采样参数、超时、429/5xx 指数退避重试、中途取消和流式读取，
+ * 主API和额外API的对话、获取模型列表都经过这里，连接状态变化通知界面
+ */
+
+class LLMProviderRegistry {
+    constructor() {
+        this.providers = {};
+        this.settings = {};          // 用户为各接口类型设置的参数（覆盖 provider.defaults）
+        this.backoffBase = 1000;     // 第一次重试前等待1秒，之后翻倍
+        this.backoffMax = 15000;
+        this.status = {};            // role（main / extra） -> { connected, error, time }
+        this.statusListeners = [];
+        this.recorder = null;        // 录制回调（开发者测试用，见 dev-harness.js），每次对话成功后调用
+    }
+
+    register(type, provider) {
+        this.providers[type] = { type: type, ...provider };
+    }
+
+    get(type) {
+        const provider = this.providers[type];
+        if (!provider) {
+            throw new Error(`未知的API类型：${type}`);
+        }
+        return provider;
+    }
+
+    list() {
+        return Object.values(this.providers).map(p => ({ type: p.type, label: p.label }));
+    }
+
+    // ---------- 参数 ----------
+
+    setSettings(settings) {
+        this.settings = settings && typeof settings === 'object' ? settings : {};
+    }
+
+    /**
+     * 某个接口类型的完整参数：provider 默认值 < 用户设置 < 本次调用指定的值（undefined 的项不覆盖）
+     * 返回 { temperature, topP, maxTokens, timeout（毫秒）, retries }
+     */
+    getParams(type, overrides = {}) {
+        const params = { ...this.get(type).defaults };
+        [this.settings[type] || {}, overrides].forEach(source => {
+            Object.keys(source).forEach(key => {
+                if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+                    params[key] = source[key];
+                }
+            });
+        });
+        return params;
+    }
+
+    /**
+     * 连接配置是否完整（本地服务不需要密钥；有默认端点的接口可以不填端点）
+     */
+    isConfigured(connection) {
+        if (!connection || !connection.model) return false;
+        const provider = this.providers[connection.type];
+        return !!provider && !!this.getEndpoint(connection) &&
+            (!!connection.key || !provider.requiresKey);
+    }
+
+    trimEndpoint(endpoint) {
+        return (endpoint || '').trim().replace(/\/+$/, '');
+    }
+
+    // 实际使用的端点：没有填写时使用默认端点（requiresEndpoint 的接口必须填写）
+    getEndpoint(connection) {
+        const provider = this.providers[connection.type] || {};
+        const endpoint = this.trimEndpoint(connection.endpoint);
+        return endpoint || (provider.requiresEndpoint ? '' : this.trimEndpoint(provider.defaultEndpoint));
+    }
+
+    // ---------- 连接状态 ----------
+
+    onStatusChange(listener) {
+        this.statusListeners.push(listener);
+    }
+
+    setStatus(role, connected, error = null) {
+        if (!role) return;
+        this.status[role] = { connected: connected, error: error, time: Date.now() };
+        this.statusListeners.forEach(listener => {
+            try {
+                listener(role, connected, error);
+            } catch (e) {
+                console.error('[接口] 状态回调出错:', e);
+            }
+        });
+    }
+
+    // ---------- 调用 ----------
+
+    /**
+     * 对话
+     * connection: { type, endpoint, key, model, role }
+     * options: {
+     *   signal            —— 取消生成
+     *   onDelta(delta, fullText) —— 提供时使用流式输出（options.stream === false 时不用）
+     *   sampling          —— 本次调用的参数（temperature / topP / maxTokens / timeout / retries）
+     * }
+     * 返回回复文本
+     */
+    async chat(connection, messages, options = {}) {
+        const provider = this.get(connection.type);
+        const params = this.getParams(connection.type, options.sampling);
+        const stream = !!options.onDelta && options.stream !== false;
+        let delivered = false;
+
+        const onDelta = stream
+            ? (delta, fullText) => {
+                delivered = true;
+                options.onDelta(delta, fullText);
+            }
+            : null;
+
+        const text = await this.send(connection, params, options.signal, {
+            request: () => provider.chatRequest(connection, messages, params, stream),
+            canRetry: () => !delivered, // 已经显示了部分内容的流不再重试
+            read: async (response, touch) => {
+                if (stream) {
+                    return await this.readStream(response, data => provider.extractText(data, true), onDelta, touch,
+                        data => provider.extractText(data, false));
+                }
+                return this.extractComplete(provider, await response.json());
+            }
+        });
+
+        if (this.recorder) {
+            this.recorder({ type: connection.type, model: connection.model, role: connection.role, messages: messages, stream: stream, text: text });
+        }
+        return text;
+    }
+
+    /**
+     * 获取文本的embedding向量（向量检索的API方式）
+     * options: { signal, model }
+     */
+    async embed(connection, text, options = {}) {
+        const provider = this.get(connection.type);
+        if (!provider.embeddingRequest) {
+            throw new Error(`${provider.label}不支持embedding接口`);
+        }
+        const params = this.getParams(connection.type, options.sampling);
+
+        return await this.send(connection, params, options.signal, {
+            request: () => provider.embeddingRequest(connection, text, options.model),
+            canRetry: () => true,
+            read: async response => {
+                const vector = provider.parseEmbedding(await response.json());
+                if (!Array.isArray(vector) || vector.length === 0) {
+                    throw new Error(`${provider.label}返回的embedding格式无法识别`);
+                }
+                return vector;
+            }
+        });
+    }
+
+    /**
+     * 获取模型列表（按名称排序）
+     */
+    async fetchModels(connection, options = {}) {
+        const provider = this.get(connection.type);
+        const params = this.getParams(connection.type, options.sampling);
+
+        return await this.send(connection, params, options.signal, {
+            request: () => provider.modelsRequest(connection),
+            canRetry: () => true,
+            read: async response => {
+                const models = provider.parseModels(await response.json());
+                if (!Array.isArray(models)) {
+                    throw new Error(`${provider.label}返回的模型列表格式无法识别`);
+                }
+                return models.filter(Boolean).sort();
+            }
+        });
+    }
+
+    /**
+     * 发送请求：超时、可重试错误的指数退避、外部取消
+     * 超时按“无响应的时间”计算，流式输出每收到一块数据重新计时
+     */
+    async send(connection, params, signal, handler) {
+        const provider = this.get(connection.type);
+        const retries = Math.max(0, parseInt(params.retries) || 0);
+
+        for (let attempt = 0; ; attempt++) {
+            if (signal && signal.aborted) throw this.abortError();
+
+            const controller = new AbortController();
+            const forwardAbort = () => controller.abort();
+            if (signal) signal.addEventListener('abort', forwardAbort);
+
+            let timedOut = false;
+            let timer = null;
+            const touch = () => {
+                if (!(params.timeout > 0)) return;
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, params.timeout);
+            };
+
+            let response = null;
+            try {
+                touch();
+                const request = handler.request();
+                // 本地 provider（模拟、回放）自己生成响应，其余照常发网络请求
+                response = provider.respond
+                    ? await provider.respond(request, controller.signal, connection)
+                    : await fetch(request.url, {
+                        method: request.body === undefined ? 'GET' : 'POST',
+                        headers: request.headers,
+                        body: request.body === undefined ? undefined : JSON.stringify(request.body),
+                        signal: controller.signal
+                    });
+
+                if (!response.ok) {
+                    const text = await response.text().catch(() => '');
+                    const error = new Error(`${provider.label}接口错误: ${response.status} - ${this.describeErrorBody(text)}`);
+                    error.status = response.status;
+                    error.retryable = this.isRetryableStatus(response.status);
+                    throw error;
+                }
+
+                const result = await handler.read(response, touch);
+                this.setStatus(connection.role, true);
+                return result;
+            } catch (rawError) {
+                let error = rawError;
+                if (signal && signal.aborted) {
+                    throw this.abortError();
+                }
+                if (timedOut) {
+                    error = new Error(`${provider.label}请求超时（${Math.round(params.timeout / 1000)}秒无响应）`);
+                    error.retryable = true;
+                } else if (error.name === 'TypeError' && error.retryable === undefined) {
+                    // fetch 的网络错误（断网、跨域被拦截等）
+                    error.retryable = true;
+                }
+
+                if (error.retryable && attempt < retries && handler.canRetry()) {
+                    const delay = this.getRetryDelay(attempt, response);
+                    console.warn(`[接口] ${error.message}，${(delay / 1000).toFixed(1)}秒后第${attempt + 1}次重试`);
+                    await this.sleep(delay, signal);
+                    continue;
+                }
+
+                this.setStatus(connection.role, false, error.message);
+                throw error;
+            } finally {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', forwardAbort);
+            }
+        }
+    }
+
+    isRetryableStatus(status) {
+        return status === 408 || status === 425 || status === 429 || status >= 500;
+    }
+
+    /**
+     * 重试等待时间：服务端给了 Retry-After 时照办，否则指数退避并加少量随机抖动
+     */
+    getRetryDelay(attempt, response) {
+        const retryAfter = response && response.headers ? response.headers.get('retry-after') : null;
+        if (retryAfter) {
+            const seconds = parseFloat(retryAfter);
+            const ms = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+            if (ms > 0) return Math.min(ms, this.backoffMax * 4);
+        }
+        const delay = Math.min(this.backoffMax, this.backoffBase * Math.pow(2, attempt));
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.abortError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.abortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    abortError() {
+        const error = new Error('请求已取消');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * 错误响应体：JSON 时取其中的错误信息，否则截取前200字
+     */
+    describeErrorBody(text) {
+        try {
+            const data = JSON.parse(text);
+            const error = Array.isArray(data) ? data[0]?.error : data.error;
+            if (error) return typeof error === 'string' ? error : (error.message || JSON.stringify(error));
+        } catch (e) {
+            // 不是JSON
+        }
+        return (text || '').substring(0, 200);
+    }
+
+    /**
+     * 从完整响应中取出文本，格式不对时给出带原文片段的错误，而不是 undefined 报错
+     */
+    extractComplete(provider, data) {
+        if (data && data.error) {
+            throw new Error(`${provider.label}返回错误: ${typeof data.error === 'string' ? data.error : (data.error.message || JSON.stringify(data.error))}`);
+        }
+        const text = provider.extractText(data, false);
+        if (typeof text !== 'string') {
+            throw new Error(`${provider.label}返回了无法识别的响应：${JSON.stringify(data).substring(0, 200)}`);
+        }
+        return text;
+    }
+
+    /**
+     * 读取流式响应：SSE（data: 行）和 NDJSON（每行一个JSON，Ollama）都支持
+     * 逐块回调增量文本，返回拼接后的完整文本；服务端不支持流式而直接返回完整JSON时按完整响应处理
+     */
+    async readStream(response, extractChunk, onDelta, touch, extractComplete) {
+        const contentType = response.headers.get('content-type') || '';
+
+        if (!response.body || contentType.includes('application/json')) {
+            const data = await response.json();
+            if (data && data.error) {
+                throw new Error('接口返回错误: ' + (data.error.message || JSON.stringify(data.error)));
+            }
+            const text = extractComplete(data) || '';
+            if (text) onDelta(text, text);
+            return text;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder('utf-8');
+        let buffer = '';
+        let fullText = '';
+
+        const handleLine = (line) => {
+            line = line.trim();
+            let payload;
+            if (line.startsWith('data:')) {
+                payload = line.slice(5).trim();
+            } else if (line.startsWith('{')) {
+                payload = line;
+            } else {
+                return; // 空行、event: 行、注释
+            }
+            if (!payload || payload === '[DONE]') return;
+
+            let data;
+            try {
+                data = JSON.parse(payload);
+            } catch (e) {
+                console.warn('[流式] 无法解析数据块:', payload);
+                return;
+            }
+
+            if (data.error) {
+                throw new Error('流式响应错误: ' + (data.error.message || JSON.stringify(data.error)));
+            }
+
+            const delta = extractChunk(data);
+            if (delta) {
+                fullText += delta;
+                onDelta(delta, fullText);
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            touch();
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+
+        buffer += decoder.decode();
+        if (buffer) handleLine(buffer);
+
+        return fullText;
+    }
+
+    // ---------- 消息格式转换 ----------
+
+    /**
+     * 把 system 消息拆出来，其余消息合并相邻的同角色消息，并保证以用户消息开头
+     * （Gemini、Anthropic 不接受 system 角色，且要求用户与助手交替）
+     * 返回 { system, turns: [{ role: 'user' | 'assistant', content }] }
+     */
+    splitSystem(messages) {
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        const turns = [];
+        messages.filter(m => m.role !== 'system').forEach(m => {
+            const role = m.role === 'assistant' ? 'assistant' : 'user';
+            const last = turns[turns.length - 1];
+            if (last && last.role === role) {
+                last.content += '\n\n' + m.content;
+            } else {
+                turns.push({ role: role, content: m.content });
+            }
+        });
+        if (turns.length === 0 || turns[0].role !== 'user') {
+            turns.unshift({ role: 'user', content: '（开始）' });
+        }
+        return { system: system, turns: turns };
+    }
+}
+
+// 创建全局实例
+window.llmProviders = new LLMProviderRegistry();
+
+// OpenAI 兼容接口（OpenAI 官方、各类中转和 /v1 第三方服务），模拟和回放 provider 也沿用这套请求格式
+const openAICompatible = window.llmProviders.openAICompatible = {
+    label: 'OpenAI兼容',
+    defaultEndpoint: 'https://api.openai.com/v1',
+    requiresKey: true,
+    defaults: { temperature: 0.8, topP: undefined, maxTokens: undefined, timeout: 120000, retries: 2 },
+    chatRequest(connection, messages, params, stream) {
+        let url = window.llmProviders.getEndpoint(connection);
+        if (!url.includes('/chat/completions')) {
+            url += '/chat/completions';
+        }
+        const body = { model: connection.model, messages: messages, stream: stream };
+        if (params.temperature !== undefined) body.temperature = Number(params.temperature);
+        if (params.topP !== undefined) body.top_p = Number(params.topP);
+        if (params.maxTokens !== undefined) body.max_tokens = parseInt(params.maxTokens);
+        return {
+            url: url,
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${connection.key}` },
+            body: body
+        };
+    },
+    extractText(data, isChunk) {
+        const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
+        if (isChunk) return choice?.delta?.content || '';
+        return choice && choice.message ? (choice.message.content || '') : null;
+    },
+    modelsRequest(connection) {
+        const url = window.llmProviders.getEndpoint(connection).replace(/\/chat\/completions$/, '') + '/models';
+        return { url: url, headers: { 'Authorization': `Bearer ${connection.key}`, 'Content-Type': 'application/json' } };
+    },
+    parseModels(data) {
+        // { data: [{ id: "model-name" }, ...] }
+        return data && Array.isArray(data.data) ? data.data.map(model => model.id) : null;
+    },
+    embeddingRequest(connection, text, model) {
+        const url = window.llmProviders.getEndpoint(connection).replace(/\/chat\/completions$/, '') + '/embeddings';
+        return {
+            url: url,
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${connection.key}` },
+            body: { input: text, model: model }
+        };
+    },
+    parseEmbedding(data) {
+        return data && Array.isArray(data.data) && data.data[0] ? data.data[0].embedding : null;
+    }
+};
+
+window.llmProviders.register('openai', { ...openAICompatible, label: 'OpenAI' });
+window.llmProviders.register('custom', { ...openAICompatible, label: '第三方(/v1)', defaultEndpoint: '', requiresEndpoint: true });
+
+window.llmProviders.register('gemini', {
+    label: 'Gemini',
+    defaultEndpoint: 'https://generativelanguage.googleapis.com/v1beta',
+    requiresKey: true,
+    defaults: { temperature: 0.8, topP: undefined, maxTokens: undefined, timeout: 120000, retries: 2 },
+    chatRequest(connection, messages, params, stream) {
+        const registry = window.llmProviders;
+        const { system, turns } = registry.splitSystem(messages);
+        const base = registry.getEndpoint(connection) + '/models/' + connection.model;
+        const url = stream
+            ? base + ':streamGenerateContent?alt=sse&key=' + connection.key
+            : base + ':generateContent?key=' + connection.key;
+
+        const generationConfig = {};
+        if (params.temperature !== undefined) generationConfig.temperature = Number(params.temperature);
+        if (params.topP !== undefined) generationConfig.topP = Number(params.topP);
+        if (params.maxTokens !== undefined) generationConfig.maxOutputTokens = parseInt(params.maxTokens);
+
+        return {
+            url: url,
+            headers: { 'Content-Type': 'application/json' },
+            body: {
+                contents: turns.map(t => ({ role: t.role === 'assistant' ? 'model' : 'user', parts: [{ text: t.content }] })),
+                systemInstruction: system ? { parts: [{ text: system }] } : undefined,
+                generationConfig: generationConfig
+            }
+        };
+    },
+    extractText(data, isChunk) {
+        const candidate = data && Array.isArray(data.candidates) ? data.candidates[0] : null;
+        if (!candidate) {
+            if (isChunk) return '';
+            if (data && data.promptFeedback && data.promptFeedback.blockReason) {
+                throw new Error(`Gemini拒绝了本次请求（${data.promptFeedback.blockReason}）`);
+            }
+            return null;
+        }
+        const parts = candidate.content?.parts || [];
+        return parts.map(p => p.text || '').join('');
+    },
+    modelsRequest(connection) {
+        return {
+            url: window.llmProviders.getEndpoint(connection) + '/models?key=' + connection.key,
+            headers: { 'Content-Type': 'application/json' }
+        };
+    },
+    parseModels(data) {
+        // { models: [{ name: "models/gemini-pro" }, ...] }
+        return data && Array.isArray(data.models) ? data.models.map(model => model.name.replace('models/', '')) : null;
+    }
+});
+
+window.llmProviders.register('anthropic', {
+    label: 'Anthropic',
+    defaultEndpoint: 'https://api.anthropic.com/v1',
+    requiresKey: true,
+    defaults: { temperature: 0.8, topP: undefined, maxTokens: 8192, timeout: 120000, retries: 2 },
+    headers(connection) {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': connection.key,
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    },
+    chatRequest(connection, messages, params, stream) {
+        const { system, turns } = window.llmProviders.splitSystem(messages);
+        let url = window.llmProviders.getEndpoint(connection);
+        if (!url.endsWith('/messages')) {
+            url += '/messages';
+        }
+        const body = {
+            model: connection.model,
+            messages: turns,
+            max_tokens: parseInt(params.maxTokens) || 8192, // Anthropic 要求必填
+            stream: stream
+        };
+        if (system) body.system = system;
+        if (params.temperature !== undefined) body.temperature = Math.min(1, Number(params.temperature));
+        if (params.topP !== undefined) body.top_p = Number(params.topP);
+        return { url: url, headers: this.headers(connection), body: body };
+    },
+    extractText(data, isChunk) {
+        if (isChunk) {
+            return data.type === 'content_block_delta' && data.delta ? (data.delta.text || '') : '';
+        }
+        return data && Array.isArray(data.content)
+            ? data.content.filter(block => block.type === 'text').map(block => block.text).join('')
+            : null;
+    },
+    modelsRequest(connection) {
+        const url = window.llmProviders.getEndpoint(connection).replace(/\/messages$/, '') + '/models?limit=100';
+        return { url: url, headers: this.headers(connection) };
+    },
+    parseModels(data) {
+        return data && Array.isArray(data.data) ? data.data.map(model => model.id) : null;
+    }
+});
+
+// Ollama 及兼容其原生接口的本地服务（/api/chat，流式为 NDJSON）
+window.llmProviders.register('ollama', {
+    label: 'Ollama本地',
+    defaultEndpoint: 'http://localhost:11434',
+    requiresEndpoint: true,  // 本地服务的地址因人而异，需要填写
+    requiresKey: false,
+    defaults: { temperature: 0.8, topP: undefined, maxTokens: undefined, timeout: 300000, retries: 1 },
+    baseUrl(connection) {
+        return window.llmProviders.getEndpoint(connection).replace(/\/(api|v1)$/, '');
+    },
+    headers(connection) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (connection.key) headers['Authorization'] = `Bearer ${connection.key}`;
+        return headers;
+    },
+    chatRequest(connection, messages, params, stream) {
+        const options = {};
+        if (params.temperature !== undefined) options.temperature = Number(params.temperature);
+        if (params.topP !== undefined) options.top_p = Number(params.topP);
+        if (params.maxTokens !== undefined) options.num_predict = parseInt(params.maxTokens);
+        return {
+            url: this.baseUrl(connection) + '/api/chat',
+            headers: this.headers(connection),
+            body: { model: connection.model, messages: messages, stream: stream, options: options }
+        };
+    },
+    extractText(data, isChunk) {
+        if (isChunk) return data.message?.content || '';
+        return data && data.message ? (data.message.content || '') : null;
+    },
+    modelsRequest(connection) {
+        return { url: this.baseUrl(connection) + '/api/tags', headers: this.headers(connection) };
+    },
+    parseModels(data) {
+        // { models: [{ name: "qwen2.5:7b" }, ...] }
+        return data && Array.isArray(data.models) ? data.models.map(model => model.name) : null;
+    },
+    embeddingRequest(connection, text, model) {
+        return {
+            url: this.baseUrl(connection) + '/api/embed',
+            headers: this.headers(connection),
+            body: { model: model || connection.model, input: text }
+        };
+    },
+    parseEmbedding(data) {
+        return data && Array.isArray(data.embeddings) ? data.embeddings[0] : null;
+    }
+});
+
+console.log('[接口] 已加载，使用方法：');
+console.log('1. window.llmProviders.chat({ type, endpoint, key, model, role }, 消息, { signal, onDelta, sampling }) - 调用对话接口');
+console.log('2. window.llmProviders.fetchModels(连接配置) - 获取模型列表');
@@ -0,0 +1,381 @@
+/**
+ * 地点与行程
+ * AI每回合改写的 location 只是一段文字，这里据此整理出一份地点名录：
+ * “天南域·青云山·青云宗”按层级拆成上下级地点，新出现的地点自动登记；主角从一处到另一处时记下两地之间的路线和用时，
+ * AI也可以在 places 字段中直接告知地点的归属和路程。
+ * 名录用于地图（树状）、“前往某地”的行程（推进时间，途中可能有遭遇），每回合附带的地点提示（附近的地点、已知在此地的人物），
+ * 以及动态世界挑选远离主角的地点。
+ * 本模块只做计算，名录保存在存档的 locations 中
+ */
+
+// location 中分隔上下级地点的符号
+const PLACE_SEPARATORS = /[\s·•—_/|>＞]+/;
+
+// 途中遭遇：先按遭遇率判定是否遇上，再按权重挑选一种
+const TRAVEL_ENCOUNTERS = [
+    { id: 'beast', name: '妖兽袭扰', weight: 3, hint: '一头妖兽拦住去路，可以用encounter字段发起战斗，也可以让主角设法脱身' },
+    { id: 'robber', name: '劫修拦路', weight: 3, hint: '有劫修拦路索要买路财，可以用encounter字段发起战斗' },
+    { id: 'fellow', name: '偶遇同道', weight: 2, hint: '途中遇到一位同路的修士，可以结识新的人物' },
+    { id: 'fortune', name: '意外机缘', weight: 1, hint: '路边发现一处小机缘（灵草、残破的洞府或法宝），收获不宜过大' },
+    { id: 'omen', name: '天象异变', weight: 1, hint: '远处天象异变，可以借此埋下日后的伏笔' }
+];
+
+class LocationMap {
+    constructor() {
+        this.encounters = TRAVEL_ENCOUNTERS;
+        this.maxPlaces = 300;          // 名录中最多保留的地点数
+        this.maxRoutes = 500;          // 最多保留的路线数
+        this.hierarchyTicks = 2;       // 上下级地点之间的路程（时辰）
+        this.unknownRouteTicks = 12;   // 用时未知的路线按一天计算
+        this.nearbyLimit = 6;          // 地点提示中最多列出的附近地点
+        this.encounterBase = 10;       // 遭遇率：基础10%，每走一天+5%，途经地区的危险程度另计，最高60%
+        this.encounterPerDay = 5;
+        this.maxEncounterChance = 60;
+    }
+
+    createState() {
+        return {
+            places: [],     // [{ name, parent, description, firstTurn, visits }]
+            routes: [],     // 两地之间的路线（不分方向）：[{ from, to, ticks: 时辰数或 null, source: 'travel' | 'ai', turn }]
+            sightings: {}   // 人物名 -> { place, turn }：最近一次在哪里见到
+        };
+    }
+
+    /**
+     * 回档或分出分支时只保留前 maxTurn 回合登记的地点、路线和人物行踪
+     * 走访次数只记着总数，无法按回合还原
+     */
+    retainTurns(state, maxTurn) {
+        state.places = state.places.filter(place => place.firstTurn <= maxTurn);
+        state.routes = state.routes.filter(route => route.turn <= maxTurn);
+        Object.keys(state.sightings).forEach(name => {
+            if (state.sightings[name].turn > maxTurn) delete state.sightings[name];
+        });
+    }
+
+    // ---------- 地点 ----------
+
+    findPlace(state, name) {
+        return state.places.find(place => place.name === name);
+    }
+
+    // “天南域·青云山·青云宗” → ['天南域', '青云山', '青云宗']
+    splitLocation(text) {
+        if (typeof text !== 'string') return [];
+        return text.split(PLACE_SEPARATORS).map(part => part.trim()).filter((part, index, parts) => part && part !== parts[index - 1]);
+    }
+
+    ancestors(state, name) {
+        const chain = [];
+        let place = this.findPlace(state, name);
+        while (place && place.parent && !chain.includes(place.parent)) {
+            chain.push(place.parent);
+            place = this.findPlace(state, place.parent);
+        }
+        return chain;
+    }
+
+    children(state, name) {
+        return state.places.filter(place => place.parent === name).map(place => place.name);
+    }
+
+    // 同一条上下级链上的地点（“青云宗”与“青云宗外门”）
+    isRelated(state, a, b) {
+        return a === b || this.ancestors(state, a).includes(b) || this.ancestors(state, b).includes(a);
+    }
+
+    /**
+     * 一段位置文字对应名录中的哪个地点：最后一级的名称已登记时就是它，否则取名称被包含在文字中的最长地点
+     */
+    locate(state, text) {
+        const parts = this.splitLocation(text);
+        if (parts.length === 0) return null;
+        const last = parts[parts.length - 1];
+        if (this.findPlace(state, last)) return last;
+        const contained = state.places
+            .filter(place => last.includes(place.name))
+            .sort((a, b) => b.name.length - a.name.length);
+        return contained.length > 0 ? contained[0].name : null;
+    }
+
+    /**
+     * 登记地点（已有时补充上级和说明），上级形成环时忽略上级；返回是否新增
+     */
+    addPlace(state, raw, turn) {
+        const name = String(raw.name || '').trim();
+        if (!name) return false;
+        const parent = typeof raw.parent === 'string' ? raw.parent.trim() : '';
+        let place = this.findPlace(state, name);
+        const added = !place;
+        if (added) {
+            place = { name: name, parent: '', description: '', firstTurn: turn, visits: 0 };
+            state.places.push(place);
+        }
+        if (parent && parent !== name && !this.ancestors(state, parent).includes(name)) {
+            if (!this.findPlace(state, parent)) this.addPlace(state, { name: parent }, turn);
+            place.parent = parent;
+        }
+        if (typeof raw.description === 'string' && raw.description.trim()) {
+            place.description = raw.description.trim();
+        }
+        state.places = state.places.slice(-this.maxPlaces);
+        return added;
+    }
+
+    /**
+     * 按位置文字登记地点：多级写法逐级登记上下级；只有一级且是新地点时，名称包含已有地点的（“青云宗外门”）归到该地点之下
+     * 返回对应的地点名，文字为空时返回 null
+     */
+    observe(state, text, turn) {
+        const parts = this.splitLocation(text);
+        if (parts.length === 0) return null;
+        if (parts.length === 1 && !this.findPlace(state, parts[0])) {
+            const parent = this.locate(state, parts[0]);
+            this.addPlace(state, { name: parts[0], parent: parent || '' }, turn);
+            return parts[0];
+        }
+        parts.forEach((name, index) => {
+            this.addPlace(state, { name: name, parent: index > 0 ? parts[index - 1] : '' }, turn);
+        });
+        return parts[parts.length - 1];
+    }
+
+    // ---------- 路线 ----------
+
+    findRoute(state, a, b) {
+        return state.routes.find(route => (route.from === a && route.to === b) || (route.from === b && route.to === a));
+    }
+
+    /**
+     * 记下两地之间的路线：走过的路线保留最短用时（一回合中不只是赶路），AI告知的用时直接采用
+     * 上下级地点之间不记路线；返回是否新增或改变
+     */
+    addRoute(state, from, to, ticks, source, turn) {
+        if (!from || !to || this.isRelated(state, from, to)) return false;
+        const value = Number.isFinite(ticks) && ticks > 0 ? Math.round(ticks) : null;
+        const existing = this.findRoute(state, from, to);
+        if (existing) {
+            const shorter = value !== null && (existing.ticks === null || source === 'ai' || value < existing.ticks);
+            if (!shorter) return false;
+            existing.ticks = value;
+            existing.source = source;
+            existing.turn = turn;
+            return true;
+        }
+        state.routes.push({ from: from, to: to, ticks: value, source: source, turn: turn });
+        state.routes = state.routes.slice(-this.maxRoutes);
+        return true;
+    }
+
+    // 相邻的地点：上级、下级和有路线相通的地点，[{ name, ticks, via: '上级' | '下辖' | '路线', known }]
+    neighbors(state, name) {
+        const list = [];
+        const place = this.findPlace(state, name);
+        if (place && place.parent) list.push({ name: place.parent, ticks: this.hierarchyTicks, via: '上级', known: true });
+        this.children(state, name).forEach(child => list.push({ name: child, ticks: this.hierarchyTicks, via: '下辖', known: true }));
+        state.routes.forEach(route => {
+            if (route.from !== name && route.to !== name) return;
+            list.push({
+                name: route.from === name ? route.to : route.from,
+                ticks: route.ticks !== null ? route.ticks : this.unknownRouteTicks,
+                via: '路线',
+                known: route.ticks !== null
+            });
+        });
+        return list;
+    }
+
+    /**
+     * 从 from 出发到各地的最短路程：Map 地点名 -> { ticks, previous, known }
+     */
+    shortestPaths(state, from) {
+        const result = new Map([[from, { ticks: 0, previous: null, known: true }]]);
+        const done = new Set();
+        while (true) {
+            let current = null;
+            result.forEach((info, name) => {
+                if (!done.has(name) && (current === null || info.ticks < result.get(current).ticks)) current = name;
+            });
+            if (current === null) break;
+            done.add(current);
+            const base = result.get(current);
+            this.neighbors(state, current).forEach(next => {
+                const ticks = base.ticks + next.ticks;
+                const known = result.get(next.name);
+                if (!known || ticks < known.ticks) {
+                    result.set(next.name, { ticks: ticks, previous: current, known: base.known && next.known });
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * 两地之间的最短行程：{ path: [地点], legs: [{ from, to, ticks, known }], ticks, known }，不相通时返回 null
+     * known 为 false 表示途中有用时未知的路线（按一天估算）
+     */
+    findPath(state, from, to) {
+        const paths = this.shortestPaths(state, from);
+        if (!paths.has(to)) return null;
+        const path = [to];
+        while (path[0] !== from) path.unshift(paths.get(path[0]).previous);
+        const legs = path.slice(1).map((name, index) => {
+            const edge = this.neighbors(state, path[index]).find(next => next.name === name);
+            return { from: path[index], to: name, ticks: edge.ticks, known: edge.known };
+        });
+        return { path: path, legs: legs, ticks: paths.get(to).ticks, known: paths.get(to).known };
+    }
+
+    // 附近的地点（按路程排列）
+    getNearby(state, name) {
+        const seen = new Set();
+        return this.neighbors(state, name)
+            .sort((a, b) => a.ticks - b.ticks)
+            .filter(next => !seen.has(next.name) && seen.add(next.name))
+            .slice(0, this.nearbyLimit);
+    }
+
+    /**
+     * 远离 from 的地点：排除 from 所在的上下级链和相邻的地点，已知路程的按远近排在前面，其后是不相通的地点
+     * extraNames 为名录之外的地点（如世界局势中的地区），返回 [{ name, ticks: 时辰数或 null }]
+     */
+    findFar(state, from, extraNames = [], count = 3) {
+        const paths = from ? this.shortestPaths(state, from) : new Map();
+        const near = new Set(from ? [from, ...this.ancestors(state, from), ...this.children(state, from), ...this.neighbors(state, from).map(next => next.name)] : []);
+        const names = [...new Set([...state.places.map(place => place.name), ...extraNames])]
+            .filter(name => !near.has(name) && !(from && window.worldState.matchesPlace(name, from)));
+        return names
+            .map(name => ({ name: name, ticks: paths.has(name) ? paths.get(name).ticks : null }))
+            .sort((a, b) => (b.ticks === null ? -1 : b.ticks) - (a.ticks === null ? -1 : a.ticks))
+            .slice(0, count);
+    }
+
+    // ---------- AI告知的地点 ----------
+
+    /**
+     * 登记AI在 places 中给出的地点：[{ name, parent, description, routes: [{ to, time }] }]
+     * parseTime 把“三日路程”之类的文字换算成时辰数；不合法的条目跳过并记入 errors，返回 { changes, errors }
+     */
+    applyPlaces(state, places, turn, parseTime) {
+        const changes = [];
+        const errors = [];
+        places.forEach((raw, index) => {
+            if (!raw || typeof raw.name !== 'string' || !raw.name.trim()) {
+                errors.push(`第${index + 1}个地点缺少名称`);
+                return;
+            }
+            const name = raw.name.trim();
+            if (this.addPlace(state, raw, turn)) changes.push(`新地点「${name}」`);
+            (Array.isArray(raw.routes) ? raw.routes : []).forEach(route => {
+                const to = route && typeof route.to === 'string' ? route.to.trim() : '';
+                if (!to || to === name) {
+                    errors.push(`「${name}」的路线缺少目的地`);
+                    return;
+                }
+                this.addPlace(state, { name: to }, turn);
+                if (this.addRoute(state, name, to, parseTime(route.time), 'ai', turn)) changes.push(`路线「${name}」—「${to}」`);
+            });
+        });
+        return { changes: changes, errors: errors };
+    }
+
+    // ---------- 人物所在 ----------
+
+    // 人物合并（见 npc-graph.js）后沿用较新的一次
+    renameSighting(state, from, to) {
+        const old = state.sightings[from];
+        delete state.sightings[from];
+        if (old && (!state.sightings[to] || state.sightings[to].turn < old.turn)) state.sightings[to] = old;
+    }
+
+    recordSightings(state, names, place, turn) {
+        if (!place) return;
+        names.forEach(name => {
+            state.sightings[name] = { place: place, turn: turn };
+        });
+    }
+
+    // 已知在某地的人物：最近一次在此地（或其下辖的地点）见到的；没见过的按人际关系中的常驻地点
+    npcsAt(state, relationships, place) {
+        if (!place) return [];
+        return (relationships || [])
+            .filter(relation => relation && relation.name)
+            .filter(relation => {
+                const sighting = state.sightings[relation.name];
+                if (sighting) return sighting.place === place || this.ancestors(state, sighting.place).includes(place);
+                return typeof relation.location === 'string' && window.worldState.matchesPlace(relation.location, place);
+            })
+            .map(relation => relation.name);
+    }
+
+    // ---------- 行程 ----------
+
+    /**
+     * 结算一次行程：路线、用时和途中遭遇（同一种子和 key 结果固定）
+     * params: { state, from, to, seed, key, dangerOf: 地点名 -> 危险程度（0-100）或 null }
+     * 返回 { path, legs, ticks, known, chance, roll, encounter: { id, name, hint, leg } | null }；不相通时抛出错误
+     */
+    resolveTrip(params) {
+        const { state, from, to } = params;
+        if (!this.findPlace(state, to)) throw new Error(`地图上没有「${to}」`);
+        if (from === to) throw new Error(`已经在${to}`);
+        const trip = from ? this.findPath(state, from, to) : null;
+        if (!trip) throw new Error(`还不知道从${from || '这里'}去「${to}」的路`);
+
+        const days = trip.ticks / window.gameCalendar.ticksPerDay();
+        const dangers = trip.path.map(name => params.dangerOf(name)).filter(value => Number.isFinite(value));
+        const dangerBonus = dangers.length > 0 ? Math.round((Math.max(...dangers) - 50) / 2) : 0;
+        const chance = Math.max(0, Math.min(this.maxEncounterChance, Math.round(this.encounterBase + days * this.encounterPerDay + dangerBonus)));
+
+        const checks = window.checkEngine;
+        const roll = checks.rollD100(params.seed, `travel|${params.key}`);
+        let encounter = null;
+        if (roll <= chance) {
+            const total = TRAVEL_ENCOUNTERS.reduce((sum, item) => sum + item.weight, 0);
+            let pick = checks.rollD100(params.seed, `travel-encounter|${params.key}`) / 100 * total;
+            const found = TRAVEL_ENCOUNTERS.find(item => (pick -= item.weight) <= 0) || TRAVEL_ENCOUNTERS[TRAVEL_ENCOUNTERS.length - 1];
+            encounter = { id: found.id, name: found.name, hint: found.hint, leg: trip.legs[roll % trip.legs.length] };
+        }
+        return { ...trip, chance: chance, roll: roll, encounter: encounter };
+    }
+
+    // ---------- 提示词与展示 ----------
+
+    /**
+     * 每回合附带的地点提示：所在地点的归属和说明、附近的地点及路程、已知在此地的人物；不在名录中时返回空字符串
+     * describeTicks 把时辰数转为可读的时长
+     */
+    buildContext(state, location, relationships, describeTicks) {
+        const place = this.locate(state, location);
+        if (!place) return '';
+        const info = this.findPlace(state, place);
+        const chain = this.ancestors(state, place).reverse();
+        let text = `主角在${place}${chain.length > 0 ? `（隶属${chain.join('·')}）` : ''}${info.description ? '：' + info.description : ''}`;
+        const nearby = this.getNearby(state, place);
+        if (nearby.length > 0) {
+            text += `。附近：${nearby.map(next => `${next.name}（${next.via === '路线' ? (next.known ? describeTicks(next.ticks) + '路程' : '路程未知') : next.via}）`).join('、')}`;
+        }
+        const npcs = this.npcsAt(state, relationships, place);
+        if (npcs.length > 0) text += `。已知在此地的人物：${npcs.join('、')}`;
+        return text;
+    }
+
+    // 树状地图的行：[{ name, depth, place }]，上级不在名录中的地点作为根
+    getTree(state) {
+        const rows = [];
+        const visit = (place, depth) => {
+            rows.push({ name: place.name, depth: depth, place: place });
+            state.places.filter(child => child.parent === place.name).forEach(child => visit(child, depth + 1));
+        };
+        state.places.filter(place => !place.parent || !this.findPlace(state, place.parent)).forEach(place => visit(place, 0));
+        return rows;
+    }
+}
+
+// 创建全局实例
+window.locationMap = new LocationMap();
+
+console.log('[地点与行程] 已加载，使用方法：');
+console.log('1. window.locationMap.observe(名录, "天南域·青云山·青云宗", 回合) - 按位置文字登记地点');
+console.log('2. window.gameEngine.getTravelPreview("青云坊市") / travelTo("青云坊市") - 查看行程、前往某地');
+console.log('3. window.gameEngine.buildLocationHint() - 查看附在主线剧情中的地点提示');
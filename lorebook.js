@@ -0,0 +1,323 @@
+/**
+ * 世界设定集（Lorebook）
+ * 把世界观、势力、功法等设定拆成条目，每条带触发关键词（或 /正则/）、优先级、插入位置和变量条件；
+ * 构建上下文时只扫描当前输入和最近几轮对话，命中的条目才注入提示词，不必把所有设定都写进系统提示词。
+ * 条目保存在 localStorage 中，与存档无关，可以导出为 JSON 分享给其他玩家
+ */
+
+class Lorebook {
+    constructor() {
+        this.storageKey = 'xiuxianLorebook';
+        this.formatName = 'xiuxian-lorebook';
+        this.formatVersion = 1;
+        this.name = '';
+        this.entries = [];
+        this.scanDepth = 2;        // 扫描最近几轮对话（0 = 只扫描当前输入）
+        this.sectionPriority = 4.5; // token预算中的优先级：在近期对话之后、前情提要之前
+        this.lastMatched = [];     // 最近一次构建上下文时命中的条目（设定集面板中标记）
+        // 插入位置：anchor 为 token-budget 中的部分，before 表示插在它前面
+        this.positions = {
+            afterSystem: { label: '系统提示词之后', anchor: 'system', before: false },
+            beforeRecent: { label: '近期对话之前', anchor: 'recent', before: true },
+            beforeInput: { label: '当前输入之前', anchor: 'input', before: true }
+        };
+        this.operators = ['包含', '不包含', '==', '!=', '>', '>=', '<', '<='];
+        this.load();
+    }
+
+    // ---------- 条目 ----------
+
+    createId() {
+        return `lore_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * 补齐条目字段；keys 可以是数组或逗号分隔的字符串，以 / 包围的关键词按正则匹配
+     */
+    normalizeEntry(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('设定条目格式错误');
+        }
+        const content = typeof raw.content === 'string' ? raw.content.trim() : '';
+        if (!content) {
+            throw new Error(`设定条目「${raw.title || '未命名'}」缺少内容`);
+        }
+        const keys = (Array.isArray(raw.keys) ? raw.keys : this.splitKeys(raw.keys))
+            .map(key => String(key).trim())
+            .filter(Boolean);
+        const conditions = (Array.isArray(raw.conditions) ? raw.conditions : [])
+            .filter(cond => cond && cond.variable && this.operators.includes(cond.operator))
+            .map(cond => ({ variable: String(cond.variable).trim(), operator: cond.operator, value: cond.value === undefined ? '' : String(cond.value) }));
+        const priority = Number(raw.priority);
+
+        return {
+            id: raw.id ? String(raw.id) : this.createId(),
+            title: typeof raw.title === 'string' && raw.title.trim() ? raw.title.trim() : (keys[0] || '未命名'),
+            keys: keys,
+            content: content,
+            priority: Number.isFinite(priority) ? priority : 100,
+            position: this.positions[raw.position] ? raw.position : 'afterSystem',
+            conditions: conditions,
+            constant: !!raw.constant,
+            caseSensitive: !!raw.caseSensitive,
+            enabled: raw.enabled !== false
+        };
+    }
+
+    // 按逗号拆分关键词，/正则/ 中的逗号（如 .{0,2}）不拆开
+    splitKeys(text) {
+        return String(text || '').match(/\s*\/(?:\\.|[^\/])+\/[a-z]*\s*(?=[,，]|$)|[^,，]+/g) || [];
+    }
+
+    getEntry(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * 新建或覆盖条目（id 相同时覆盖），返回保存后的条目
+     */
+    saveEntry(raw) {
+        const entry = this.normalizeEntry(raw);
+        const index = this.entries.findIndex(e => e.id === entry.id);
+        if (index === -1) {
+            this.entries.push(entry);
+        } else {
+            this.entries[index] = entry;
+        }
+        this.save();
+        return entry;
+    }
+
+    removeEntry(id) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.save();
+        return this.entries.length < before;
+    }
+
+    setEnabled(id, enabled) {
+        const entry = this.getEntry(id);
+        if (!entry) return;
+        entry.enabled = !!enabled;
+        this.save();
+    }
+
+    setScanDepth(depth) {
+        const value = parseInt(depth);
+        this.scanDepth = Number.isFinite(value) && value >= 0 ? value : 2;
+        this.save();
+    }
+
+    /**
+     * 变量条件的文字形式，每行一条：变量 运算符 值，如“realm 包含 筑基”“attributes.luck >= 15”
+     */
+    parseConditions(text) {
+        return String(text || '').split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+            const match = line.match(/^(\S+)\s+(不包含|包含|==|!=|>=|<=|>|<)\s+(.+)$/);
+            if (!match) {
+                throw new Error(`无法识别的条件：${line}（格式：变量 运算符 值）`);
+            }
+            return { variable: match[1], operator: match[2], value: match[3].trim() };
+        });
+    }
+
+    formatConditions(conditions) {
+        return (conditions || []).map(cond => `${cond.variable} ${cond.operator} ${cond.value}`).join('\n');
+    }
+
+    // ---------- 匹配 ----------
+
+    /**
+     * 关键词形如 /青云.*宗/i 时按正则处理，返回 RegExp；普通关键词返回 null
+     */
+    parseRegexKey(key) {
+        const match = key.match(/^\/(.+)\/([gimsuy]*)$/);
+        if (!match) return null;
+        try {
+            return new RegExp(match[1], match[2].replace('g', ''));
+        } catch (error) {
+            console.warn(`[设定集] 无效的正则关键词 ${key}:`, error.message);
+            return null;
+        }
+    }
+
+    matchKey(key, text, caseSensitive) {
+        const regex = this.parseRegexKey(key);
+        if (regex) return regex.test(text);
+        if (key.startsWith('/') && key.endsWith('/') && key.length > 1) return false;
+        return caseSensitive ? text.includes(key) : text.toLowerCase().includes(key.toLowerCase());
+    }
+
+    // 按点号路径取变量值，如 realm、attributes.luck
+    getVariable(variables, path) {
+        return path.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), variables);
+    }
+
+    checkCondition(condition, variables) {
+        const actual = this.getVariable(variables || {}, condition.variable);
+        const expected = condition.value;
+        const text = Array.isArray(actual)
+            ? actual.map(item => (item && typeof item === 'object' ? item.name || JSON.stringify(item) : item)).join('、')
+            : (actual === undefined || actual === null ? '' : String(actual));
+
+        switch (condition.operator) {
+            case '包含':
+                return text.includes(expected);
+            case '不包含':
+                return !text.includes(expected);
+            case '==':
+                return text === expected;
+            case '!=':
+                return text !== expected;
+            default: {
+                const a = parseFloat(text);
+                const b = parseFloat(expected);
+                if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+                if (condition.operator === '>') return a > b;
+                if (condition.operator === '>=') return a >= b;
+                if (condition.operator === '<') return a < b;
+                return a <= b;
+            }
+        }
+    }
+
+    /**
+     * 扫描文本：当前输入 + 最近 scanDepth 轮对话
+     */
+    buildScanText(input, history = [], scanDepth = this.scanDepth) {
+        const recent = scanDepth > 0 ? history.slice(-scanDepth * 2) : [];
+        return [...recent.map(msg => msg.content || ''), input || ''].join('\n');
+    }
+
+    /**
+     * 找出应注入的条目：启用、满足全部变量条件，并且是常驻条目或任一关键词命中扫描文本
+     * 返回按优先级从高到低排列的条目，同时记入 lastMatched
+     */
+    findMatches({ input = '', history = [], variables = {} } = {}) {
+        const text = this.buildScanText(input, history);
+        const matched = this.entries.filter(entry => {
+            if (!entry.enabled) return false;
+            if (!entry.conditions.every(cond => this.checkCondition(cond, variables))) return false;
+            return entry.constant || entry.keys.some(key => this.matchKey(key, text, entry.caseSensitive));
+        }).sort((a, b) => b.priority - a.priority);
+
+        this.lastMatched = matched.map(entry => entry.id);
+        return matched;
+    }
+
+    /**
+     * 把命中的条目按插入位置做成 token-budget 的列表部分，插进 sections（不修改原数组）
+     * 同一位置的条目合并为一条系统消息，预算不足时先丢弃优先级低的
+     */
+    insertSections(sections, context) {
+        const budget = window.tokenBudget;
+        const matched = this.findMatches(context);
+        if (matched.length === 0) return sections;
+
+        const result = sections.slice();
+        Object.entries(this.positions).forEach(([position, info]) => {
+            const texts = matched
+                .filter(entry => entry.position === position)
+                .map(entry => `【${entry.title}】${entry.content}\n\n`);
+            if (texts.length === 0) return;
+
+            const section = budget.listSection(`lore_${position}`, `世界设定（${info.label}）`, '【世界设定】以下是与当前情境相关的设定，请在剧情中保持一致：\n\n', texts, this.sectionPriority);
+            const anchorIndex = result.findIndex(s => s.key === info.anchor);
+            if (anchorIndex === -1) {
+                result.push(section);
+            } else {
+                result.splice(info.before ? anchorIndex : anchorIndex + 1, 0, section);
+            }
+        });
+        return result;
+    }
+
+    // ---------- 导入导出 ----------
+
+    exportData() {
+        return {
+            format: this.formatName,
+            version: this.formatVersion,
+            name: this.name,
+            scanDepth: this.scanDepth,
+            exportedAt: new Date().toISOString(),
+            entries: this.entries.map(entry => ({ ...entry, keys: entry.keys.slice(), conditions: entry.conditions.map(c => ({ ...c })) }))
+        };
+    }
+
+    /**
+     * 导入设定集：接受 exportData() 的结果或条目数组；replace 为 true 时先清空现有条目，
+     * 否则 id 相同的条目被覆盖、其余追加。整体校验通过后才写入，返回导入的条目数
+     */
+    importData(data, options = {}) {
+        const rawEntries = Array.isArray(data) ? data : (data && Array.isArray(data.entries) ? data.entries : null);
+        if (!rawEntries) {
+            throw new Error('不是有效的设定集文件（缺少 entries）');
+        }
+        if (data.format && data.format !== this.formatName) {
+            throw new Error(`不支持的设定集格式：${data.format}`);
+        }
+
+        const imported = rawEntries.map(raw => this.normalizeEntry(raw));
+        if (options.replace) {
+            this.entries = [];
+            this.name = data.name || '';
+        } else if (!this.name && data.name) {
+            this.name = data.name;
+        }
+        if (!Array.isArray(data) && data.scanDepth !== undefined && options.replace) {
+            this.scanDepth = Math.max(0, parseInt(data.scanDepth) || 0);
+        }
+        imported.forEach(entry => {
+            const index = this.entries.findIndex(e => e.id === entry.id);
+            if (index === -1) {
+                this.entries.push(entry);
+            } else {
+                this.entries[index] = entry;
+            }
+        });
+        this.save();
+        return imported.length;
+    }
+
+    clear() {
+        this.entries = [];
+        this.name = '';
+        this.lastMatched = [];
+        this.save();
+    }
+
+    // ---------- 持久化 ----------
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.name = saved.name || '';
+                this.scanDepth = Number.isFinite(saved.scanDepth) ? saved.scanDepth : 2;
+                this.entries = (saved.entries || []).map(raw => this.normalizeEntry(raw));
+            }
+        } catch (error) {
+            console.error('[设定集] 加载失败:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                name: this.name,
+                scanDepth: this.scanDepth,
+                entries: this.entries
+            }));
+        } catch (error) {
+            console.error('[设定集] 保存失败:', error);
+        }
+    }
+}
+
+// 创建全局实例
+window.lorebook = new Lorebook();
+
+console.log('[设定集] 已加载，使用方法：');
+console.log('1. window.lorebook.saveEntry({ title, keys, content, priority, position, conditions }) - 新建或修改设定条目');
+console.log('2. window.lorebook.importData(JSON) / exportData() - 导入导出设定集');
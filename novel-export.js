@@ -0,0 +1,545 @@
+/**
+ * 小说导出
+ * 把一局游戏整理成可以阅读和分享的小说：按对话历史（conversationHistory）、变量快照（variableSnapshots）
+ * 和动态世界的历史（dynamicWorld.history）分章，导出为 Markdown、独立的 HTML 或 EPUB（在本地打包，不需要服务器）。
+ * 分章优先采用剧情摘要的章节（story-summary.js），没有摘要的部分每 chapterSize 轮一章。
+ * 可选：玩家的行动写成叙述还是引用原选项、是否附上思维链、是否插入动态世界的幕间、境界突破时是否附上状态栏
+ * 本模块只做计算，输入为存档数据（gameEngine.serialize() 的结果）
+ */
+
+const NOVEL_FORMATS = {
+    markdown: { label: 'Markdown', extension: '.md', mime: 'text/markdown;charset=utf-8' },
+    html: { label: 'HTML', extension: '.html', mime: 'text/html;charset=utf-8' },
+    epub: { label: 'EPUB', extension: '.epub', mime: 'application/epub+zip' }
+};
+
+// 思维链中各字段的名称（主线剧情与动态世界的 reasoning 格式不同）
+const NOVEL_REASONING_LABELS = {
+    situation: '情况分析',
+    playerChoice: '选择分析',
+    logicChain: '推理链条',
+    outcome: '最终决策',
+    worldState: '世界状态',
+    timeframe: '时间范围',
+    keyEvents: '关键事件',
+    npcActions: 'NPC行动',
+    impact: '潜在影响'
+};
+
+const NOVEL_STYLE = `
+body { font-family: "Songti SC", "Noto Serif CJK SC", "SimSun", serif; line-height: 1.9; max-width: 42em; margin: 0 auto; padding: 1em 1.5em; color: #222; }
+h1 { text-align: center; margin: 1.5em 0 0.3em; }
+h2 { margin-top: 2.5em; border-bottom: 1px solid #ddd; padding-bottom: 0.3em; }
+p { text-indent: 2em; margin: 0.6em 0; }
+.subtitle { text-align: center; color: #888; text-indent: 0; }
+.toc { margin: 2em 0; }
+.toc p { text-indent: 0; margin: 0.2em 0; }
+.action { color: #555; font-style: italic; }
+.choice { border-left: 3px solid #667eea; margin: 1em 0; padding: 0.2em 1em; color: #444; }
+.choice p { text-indent: 0; }
+.reasoning { border: 1px dashed #bbb; margin: 1em 0; padding: 0.5em 1em; font-size: 0.9em; color: #666; }
+.reasoning p { text-indent: 0; margin: 0.2em 0; }
+.interlude { margin: 2em 0; padding: 0.5em 1.5em; background: #f6f4ee; }
+.interlude h3 { text-align: center; color: #8a6d3b; }
+.sidebar { border: 2px solid #764ba2; border-radius: 6px; margin: 1.5em 0; padding: 0.5em 1em; background: #faf7ff; }
+.sidebar h3 { margin: 0.3em 0; color: #764ba2; }
+.sidebar p { text-indent: 0; margin: 0.1em 0; }
+`.trim();
+
+class NovelExporter {
+    constructor() {
+        this.formats = NOVEL_FORMATS;
+        this.chapterSize = 10;  // 没有剧情摘要时每章的轮数（与剧情摘要的章节一致）
+        this.defaultOptions = {
+            title: '',                  // 书名，默认“某某修仙记”
+            author: '',
+            actionStyle: 'prose',       // prose：写成叙述；quote：引用原选项（附检定结果）
+            includeReasoning: false,    // 附上思维链（只有保存了思维链的回合才有）
+            includeInterludes: true,    // 章末插入动态世界的远方传闻
+            includeBreakthroughs: true  // 境界变化时附上状态栏
+        };
+    }
+
+    normalizeOptions(raw = {}) {
+        const options = { ...this.defaultOptions };
+        Object.keys(options).forEach(key => {
+            if (raw[key] === undefined) return;
+            options[key] = typeof options[key] === 'boolean' ? !!raw[key] : String(raw[key]).trim();
+        });
+        if (options.actionStyle !== 'quote') options.actionStyle = 'prose';
+        return options;
+    }
+
+    // ---------- 整理内容 ----------
+
+    /**
+     * AI回复的剧情和思维链（旧存档保存完整的JSON回复，新存档只保存剧情，思维链在回合结束时的快照中）
+     */
+    parseReply(content, snapshot) {
+        let story = typeof content === 'string' ? content : '';
+        let reasoning = snapshot && snapshot.reasoning ? snapshot.reasoning : null;
+        try {
+            const match = story.match(/```json\s*([\s\S]*?)\s*```/) || story.match(/```\s*([\s\S]*?)\s*```/);
+            const data = JSON.parse(match ? match[1] : story);
+            if (data && typeof data.story === 'string') {
+                story = data.story;
+                reasoning = reasoning || data.reasoning || null;
+            }
+        } catch (error) {
+            // 纯文本的剧情
+        }
+        return { story: story, reasoning: reasoning };
+    }
+
+    /**
+     * 玩家行动的文字：去掉选项前的图标和属性要求；突破、行程等由系统写成的多行说明只取开头一句
+     */
+    describeAction(content) {
+        const lines = String(content || '').trim().split('\n');
+        let text = lines[0].trim();
+        const bracket = text.match(/^【([^】]+)】/);
+        if (bracket) {
+            text = bracket[1];
+        } else if (lines.length > 1) {
+            text = text.split(/[，。]/)[0];
+        }
+        return text
+            .replace(/（[^（）]*[<>=][^（）]*）/g, '')
+            .replace(/^[^\p{L}\p{N}“「]+/u, '')
+            .replace(/[。！!.]+$/, '')
+            .trim();
+    }
+
+    // 叙述写法：“我/你”换成主角的名字
+    actionToProse(text, name) {
+        const subject = name || '主角';
+        const body = /^[我你]/.test(text) ? text.slice(1) : text;
+        return body.startsWith(subject) ? `${body}。` : `${subject}${body}。`;
+    }
+
+    actionToQuote(text, checkRoll) {
+        let quote = `「${text}」`;
+        if (checkRoll && window.checkEngine) {
+            quote += `（${checkRoll.attributeName}检定：掷出${checkRoll.roll}，${window.checkEngine.describeOutcome(checkRoll.outcome)}）`;
+        }
+        return quote;
+    }
+
+    // 思维链整理成 [{ label, text }]
+    describeReasoning(reasoning) {
+        if (!reasoning) return [];
+        if (typeof reasoning === 'string') return [{ label: '思路', text: reasoning }];
+        return Object.entries(reasoning)
+            .filter(([, value]) => value && (typeof value === 'string' || Array.isArray(value)))
+            .map(([key, value]) => ({
+                label: NOVEL_REASONING_LABELS[key] || key,
+                text: Array.isArray(value) ? value.join('；') : value
+            }));
+    }
+
+    // 境界变化时的状态栏
+    describeBreakthrough(previous, current) {
+        const getName = key => (window.gameEngine ? window.gameEngine.getAttributeName(key) : key);
+        const attributes = Object.entries(current.attributes || {}).map(([key, value]) => `${getName(key)}${value}`);
+        return {
+            title: `境界变化：${previous.realm} → ${current.realm}`,
+            lines: [
+                current.currentDateTime && `时间：${current.currentDateTime}`,
+                current.location && `地点：${current.location}`,
+                Number.isFinite(current.age) && `年龄：${current.age}岁`,
+                `体力：${current.hp}/${current.hpMax}　法力：${current.mp}/${current.mpMax}`,
+                attributes.length > 0 && `属性：${attributes.join('、')}`,
+                Number.isFinite(current.spiritStones) && `灵石：${current.spiritStones}`
+            ].filter(Boolean)
+        };
+    }
+
+    /**
+     * 分章的范围：先用剧情摘要的章节，其后每 chapterSize 轮一章，返回 [{ title, startTurn, endTurn }]
+     */
+    planChapters(turnCount, summaries) {
+        const ranges = [];
+        const chapters = summaries && Array.isArray(summaries.chapters) ? summaries.chapters : [];
+        let next = 1;
+        chapters
+            .filter(chapter => chapter.startTurn === next || chapter.startTurn > next)
+            .sort((a, b) => a.startTurn - b.startTurn)
+            .forEach(chapter => {
+                if (chapter.startTurn !== next || chapter.endTurn > turnCount) return;
+                ranges.push({ title: chapter.title || '', startTurn: chapter.startTurn, endTurn: chapter.endTurn });
+                next = chapter.endTurn + 1;
+            });
+        for (; next <= turnCount; next += this.chapterSize) {
+            ranges.push({ title: '', startTurn: next, endTurn: Math.min(turnCount, next + this.chapterSize - 1) });
+        }
+        return ranges;
+    }
+
+    interludeBlock(entry, includeReasoning) {
+        return {
+            type: 'interlude',
+            title: '幕间 · 远方传闻',
+            text: entry.story || '',
+            reasoning: includeReasoning ? this.describeReasoning(entry.reasoning) : []
+        };
+    }
+
+    /**
+     * 把存档整理成书：{ title, author, subtitle, chapters: [{ title, blocks }] }
+     * blocks：{ type: 'action', style, text } / { type: 'story', text } / { type: 'reasoning', items } /
+     *         { type: 'interlude', title, text, reasoning } / { type: 'sidebar', title, lines }
+     */
+    buildBook(saveData, rawOptions = {}) {
+        const options = this.normalizeOptions(rawOptions);
+        const history = saveData.conversationHistory || [];
+        const snapshots = saveData.variableSnapshots || [];
+        const offset = history.length - snapshots.length;
+        const snapshotAt = index => snapshots[index - offset] || null;
+        const variables = saveData.variables || {};
+        const name = variables.name || (saveData.characterInfo && saveData.characterInfo.name) || '';
+        const turnCount = Math.floor(history.length / 2);
+
+        const dynamicHistory = saveData.dynamicWorld && Array.isArray(saveData.dynamicWorld.history) ? saveData.dynamicWorld.history : [];
+        const interludes = options.includeInterludes ? dynamicHistory.filter(entry => entry && entry.story) : [];
+
+        let previousState = null;
+        const chapters = this.planChapters(turnCount, saveData.storySummaries).map((range, index) => {
+            const blocks = [];
+            for (let turn = range.startTurn; turn <= range.endTurn; turn++) {
+                const userIndex = (turn - 1) * 2;
+                const user = history[userIndex];
+                const reply = history[userIndex + 1];
+                if (!user || !reply) break;
+
+                // 第一轮的玩家消息是开局提示，不是玩家的行动
+                if (turn > 1) {
+                    const text = this.describeAction(user.content);
+                    const userSnapshot = snapshotAt(userIndex);
+                    if (text) {
+                        blocks.push({
+                            type: 'action',
+                            style: options.actionStyle,
+                            text: options.actionStyle === 'quote'
+                                ? this.actionToQuote(text, userSnapshot && userSnapshot.checkRoll)
+                                : this.actionToProse(text, name)
+                        });
+                    }
+                }
+
+                const replySnapshot = snapshotAt(userIndex + 1);
+                const parsed = this.parseReply(reply.content, replySnapshot);
+                if (options.includeReasoning) {
+                    const items = this.describeReasoning(parsed.reasoning);
+                    if (items.length > 0) blocks.push({ type: 'reasoning', items: items });
+                }
+                blocks.push({ type: 'story', text: parsed.story });
+
+                if (replySnapshot) {
+                    if (options.includeBreakthroughs && previousState && previousState.realm && replySnapshot.realm && previousState.realm !== replySnapshot.realm) {
+                        blocks.push({ type: 'sidebar', ...this.describeBreakthrough(previousState, replySnapshot) });
+                    }
+                    previousState = replySnapshot;
+                }
+            }
+
+            // 这一章期间推演的动态世界作为章末幕间
+            interludes
+                .filter(entry => Number.isFinite(entry.turn) && entry.turn >= range.startTurn && entry.turn <= range.endTurn)
+                .forEach(entry => blocks.push(this.interludeBlock(entry, options.includeReasoning)));
+
+            const firstSnapshot = snapshotAt((range.startTurn - 1) * 2 + 1);
+            const fallbackTitle = firstSnapshot && firstSnapshot.location ? firstSnapshot.location : '';
+            return { title: `第${index + 1}章${range.title || fallbackTitle ? ' ' + (range.title || fallbackTitle) : ''}`, blocks: blocks };
+        });
+
+        // 旧存档的动态世界没有记录回合，集中放在书末
+        const undated = interludes.filter(entry => !Number.isFinite(entry.turn));
+        if (undated.length > 0) {
+            chapters.push({ title: '番外', blocks: undated.map(entry => this.interludeBlock(entry, options.includeReasoning)) });
+        }
+
+        return {
+            title: options.title || `${name || '无名修士'}修仙记`,
+            author: options.author || name,
+            subtitle: [name && `主角：${name}`, variables.realm && `境界：${variables.realm}`, `共${turnCount}回合`].filter(Boolean).join('　'),
+            chapters: chapters
+        };
+    }
+
+    paragraphs(text) {
+        return String(text || '').split(/\n+/).map(line => line.trim()).filter(Boolean);
+    }
+
+    // ---------- Markdown ----------
+
+    renderMarkdown(book) {
+        const lines = [`# ${book.title}`, '', `> ${book.subtitle}`, ''];
+        book.chapters.forEach(chapter => {
+            lines.push(`## ${chapter.title}`, '');
+            chapter.blocks.forEach(block => {
+                if (block.type === 'action') {
+                    lines.push(block.style === 'quote' ? `> ${block.text}` : `*${block.text}*`, '');
+                } else if (block.type === 'story') {
+                    this.paragraphs(block.text).forEach(line => lines.push(line, ''));
+                } else if (block.type === 'reasoning') {
+                    lines.push('> 💭 **思维链**', ...block.items.map(item => `> - ${item.label}：${item.text}`), '');
+                } else if (block.type === 'interlude') {
+                    lines.push('---', '', `### ${block.title}`, '');
+                    this.paragraphs(block.text).forEach(line => lines.push(`*${line}*`, ''));
+                    if (block.reasoning.length > 0) {
+                        lines.push('> 💭 **思维链**', ...block.reasoning.map(item => `> - ${item.label}：${item.text}`), '');
+                    }
+                    lines.push('---', '');
+                } else if (block.type === 'sidebar') {
+                    lines.push(`> **⚡ ${block.title}**`, '>', ...block.lines.map(line => `> - ${line}`), '');
+                }
+            });
+        });
+        return lines.join('\n');
+    }
+
+    // ---------- HTML 与 EPUB ----------
+
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    renderReasoningHtml(items) {
+        const body = items.map(item => `<p><strong>${this.escapeHtml(item.label)}：</strong>${this.escapeHtml(item.text)}</p>`).join('');
+        return `<div class="reasoning"><p><strong>💭 思维链</strong></p>${body}</div>`;
+    }
+
+    // 一章的正文（HTML 与 EPUB 共用，输出合法的 XHTML 片段）
+    renderChapterBody(chapter, id) {
+        const esc = text => this.escapeHtml(text);
+        const parts = [`<h2 id="${id}">${esc(chapter.title)}</h2>`];
+        chapter.blocks.forEach(block => {
+            if (block.type === 'action') {
+                parts.push(block.style === 'quote'
+                    ? `<blockquote class="choice"><p>${esc(block.text)}</p></blockquote>`
+                    : `<p class="action">${esc(block.text)}</p>`);
+            } else if (block.type === 'story') {
+                this.paragraphs(block.text).forEach(line => parts.push(`<p>${esc(line)}</p>`));
+            } else if (block.type === 'reasoning') {
+                parts.push(this.renderReasoningHtml(block.items));
+            } else if (block.type === 'interlude') {
+                const reasoning = block.reasoning.length > 0 ? this.renderReasoningHtml(block.reasoning) : '';
+                parts.push(`<div class="interlude"><h3>${esc(block.title)}</h3>${this.paragraphs(block.text).map(line => `<p>${esc(line)}</p>`).join('')}${reasoning}</div>`);
+            } else if (block.type === 'sidebar') {
+                parts.push(`<div class="sidebar"><h3>⚡ ${esc(block.title)}</h3>${block.lines.map(line => `<p>${esc(line)}</p>`).join('')}</div>`);
+            }
+        });
+        return parts.join('\n');
+    }
+
+    renderHtml(book) {
+        const esc = text => this.escapeHtml(text);
+        const toc = book.chapters.map((chapter, index) => `<p><a href="#chapter-${index + 1}">${esc(chapter.title)}</a></p>`).join('\n');
+        const body = book.chapters.map((chapter, index) => this.renderChapterBody(chapter, `chapter-${index + 1}`)).join('\n\n');
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${esc(book.title)}</title>
+<style>
+${NOVEL_STYLE}
+</style>
+</head>
+<body>
+<h1>${esc(book.title)}</h1>
+<p class="subtitle">${esc(book.subtitle)}</p>
+<nav class="toc">
+${toc}
+</nav>
+${body}
+</body>
+</html>
+`;
+    }
+
+    xhtmlPage(title, body) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="zh-CN" lang="zh-CN">
+<head>
+<meta charset="UTF-8"/>
+<title>${this.escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * EPUB 3 的全部文件：[{ name, text }]，第一个必须是不压缩的 mimetype
+     */
+    buildEpubFiles(book, now = new Date()) {
+        const esc = text => this.escapeHtml(text);
+        const identifier = `urn:xiuxian:${window.checkEngine ? window.checkEngine.hashString(book.title + now.getTime()).toString(16) : now.getTime()}`;
+        const modified = now.toISOString().replace(/\.\d+Z$/, 'Z');
+        const chapterFiles = book.chapters.map((chapter, index) => ({
+            id: `chapter-${index + 1}`,
+            name: `OEBPS/chapter-${index + 1}.xhtml`,
+            href: `chapter-${index + 1}.xhtml`,
+            title: chapter.title,
+            text: this.xhtmlPage(chapter.title, this.renderChapterBody(chapter, `chapter-${index + 1}`))
+        }));
+
+        const titlePage = this.xhtmlPage(book.title, `<h1>${esc(book.title)}</h1>\n<p class="subtitle">${esc(book.subtitle)}</p>`);
+        const nav = this.xhtmlPage('目录', `<nav epub:type="toc" id="toc">\n<h2>目录</h2>\n<ol>\n${chapterFiles.map(file => `<li><a href="${file.href}">${esc(file.title)}</a></li>`).join('\n')}\n</ol>\n</nav>`);
+        const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${esc(identifier)}"/></head>
+<docTitle><text>${esc(book.title)}</text></docTitle>
+<navMap>
+${chapterFiles.map((file, index) => `<navPoint id="nav-${index + 1}" playOrder="${index + 1}"><navLabel><text>${esc(file.title)}</text></navLabel><content src="${file.href}"/></navPoint>`).join('\n')}
+</navMap>
+</ncx>
+`;
+        const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="zh-CN">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${esc(identifier)}</dc:identifier>
+<dc:title>${esc(book.title)}</dc:title>
+<dc:language>zh-CN</dc:language>
+${book.author ? `<dc:creator>${esc(book.author)}</dc:creator>\n` : ''}<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="style" href="style.css" media-type="text/css"/>
+<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>
+${chapterFiles.map(file => `<item id="${file.id}" href="${file.href}" media-type="application/xhtml+xml"/>`).join('\n')}
+</manifest>
+<spine toc="ncx">
+<itemref idref="title"/>
+<itemref idref="nav"/>
+${chapterFiles.map(file => `<itemref idref="${file.id}"/>`).join('\n')}
+</spine>
+</package>
+`;
+        return [
+            { name: 'mimetype', text: 'application/epub+zip' },
+            { name: 'META-INF/container.xml', text: '<?xml version="1.0" encoding="UTF-8"?>\n<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n<rootfiles>\n<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>\n</rootfiles>\n</container>\n' },
+            { name: 'OEBPS/content.opf', text: opf },
+            { name: 'OEBPS/toc.ncx', text: ncx },
+            { name: 'OEBPS/nav.xhtml', text: nav },
+            { name: 'OEBPS/style.css', text: NOVEL_STYLE + '\n' },
+            { name: 'OEBPS/title.xhtml', text: titlePage },
+            ...chapterFiles.map(file => ({ name: file.name, text: file.text }))
+        ];
+    }
+
+    // ---------- ZIP（仅存储，不压缩）----------
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * 打包 ZIP：files 为 [{ name, text }]，返回 Uint8Array
+     */
+    buildZip(files, now = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.text);
+            const crc = this.crc32(data);
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);  // 文件名为 UTF-8
+            header.setUint16(8, 0, true);       // 仅存储
+            header.setUint16(10, dosTime, true);
+            header.setUint16(12, dosDate, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            chunks.push(new Uint8Array(header.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const all = [...chunks, ...central, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(all.reduce((sum, chunk) => sum + chunk.length, 0));
+        let position = 0;
+        all.forEach(chunk => {
+            result.set(chunk, position);
+            position += chunk.length;
+        });
+        return result;
+    }
+
+    // ---------- 导出 ----------
+
+    /**
+     * 导出为指定格式：返回 { filename, mime, data, chapters }，data 为文本（Markdown、HTML）或 Uint8Array（EPUB）
+     */
+    export(saveData, format, options = {}) {
+        const info = NOVEL_FORMATS[format];
+        if (!info) throw new Error(`不支持的导出格式：${format}`);
+        const history = saveData && Array.isArray(saveData.conversationHistory) ? saveData.conversationHistory : [];
+        if (history.length < 2) throw new Error('还没有可以导出的剧情');
+
+        const book = this.buildBook(saveData, options);
+        const data = format === 'markdown' ? this.renderMarkdown(book)
+            : format === 'html' ? this.renderHtml(book)
+            : this.buildZip(this.buildEpubFiles(book));
+        return {
+            filename: book.title.replace(/[\\/:*?"<>|]/g, '_') + info.extension,
+            mime: info.mime,
+            data: data,
+            chapters: book.chapters.length
+        };
+    }
+}
+
+// 创建全局实例
+window.novelExporter = new NovelExporter();
+
+console.log('[小说导出] 已加载，使用方法：');
+console.log('1. window.novelExporter.export(gameEngine.serialize(), "markdown" | "html" | "epub", { actionStyle: "quote", includeReasoning: true }) - 导出小说');
+console.log('2. window.novelExporter.buildBook(存档数据) - 查看分章结果');
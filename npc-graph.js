@@ -0,0 +1,365 @@
+/**
+ * 人物关系网
+ * variables.relationships 记录主角与各NPC的关系，这里补充NPC之间的关系（师徒、同门、宿敌等）和好感度随时间的变化；
+ * 组装上下文时只给与当前输入相关的人物带上互动记录、关系网和往事，其余人物只保留名称、关系和好感；
+ * AI用不同称呼重复创建的同一人物可以合并（被合并的名称记为别名）
+ * 每个人物的剧情记忆存放在向量库中（supply.js 的 npcMemories），这里只负责挑选人物和拼写上下文
+ */
+
+// NPC之间的关系类型：有方向的关系中 from 为师父、主人、长辈
+const NPC_LINK_TYPES = {
+    '师徒': { directed: true, from: '师父', to: '徒弟' },
+    '主仆': { directed: true, from: '主人', to: '仆从' },
+    '长幼': { directed: true, from: '长辈', to: '晚辈' },
+    '同门': { directed: false },
+    '道侣': { directed: false },
+    '亲属': { directed: false },
+    '盟友': { directed: false },
+    '宿敌': { directed: false },
+    '仇敌': { directed: false }
+};
+
+const NPC_CONTEXT_HEADER = '【相关人物】以下是与当前情境相关的人物详情（角色变量中其余人物的互动记录已省略，仍可用historyAppend追加）：\n\n';
+
+class NpcGraph {
+    constructor() {
+        this.linkTypes = NPC_LINK_TYPES;
+        this.maxLinks = 200;        // 最多保留的NPC关系条数
+        this.maxFavorPoints = 30;   // 每个人物最多保留的好感度记录
+        this.maxRelevant = 5;       // 每次最多带上详情的人物数
+        this.memoriesPerNpc = 3;    // 每个相关人物带上的往事条数
+        this.historyPerNpc = 10;    // 每个相关人物带上的最近互动记录条数
+        this.sectionPriority = 4.2; // token预算中的优先级：在近期对话之后、世界设定之前
+    }
+
+    createState() {
+        return {
+            links: [],      // [{ from, to, type, note, since: 回合 }]
+            favorLog: {}    // 人物名 -> [{ turn, date, favor, delta }]
+        };
+    }
+
+    /**
+     * 回档或分出分支时只保留前 maxTurn 回合结下的关系和好感度记录（与向量库的人物记忆一致）
+     */
+    retainTurns(graph, maxTurn) {
+        graph.links = graph.links.filter(link => link.since <= maxTurn);
+        Object.keys(graph.favorLog).forEach(name => {
+            const log = graph.favorLog[name].filter(point => point.turn <= maxTurn);
+            if (log.length > 0) {
+                graph.favorLog[name] = log;
+            } else {
+                delete graph.favorLog[name];
+            }
+        });
+    }
+
+    // ---------- NPC之间的关系 ----------
+
+    sameLink(link, from, to, type) {
+        const samePair = (link.from === from && link.to === to) || (!this.isDirected(link.type) && link.from === to && link.to === from);
+        return samePair && (type === undefined || link.type === type);
+    }
+
+    isDirected(type) {
+        return !!(NPC_LINK_TYPES[type] && NPC_LINK_TYPES[type].directed);
+    }
+
+    /**
+     * 执行AI在 npcLinks 中给出的关系变化：[{ op: 'add' | 'remove', from, to, type, note }]
+     * add 时已有同一对人物的同类关系视为更新说明；不合法的条目跳过并记入 errors
+     * 返回 { changes, errors }
+     */
+    applyLinks(graph, links, turn) {
+        const changes = [];
+        const errors = [];
+
+        links.forEach((raw, index) => {
+            const link = raw && typeof raw === 'object' ? raw : {};
+            const op = link.op || 'add';
+            const from = typeof link.from === 'string' ? link.from.trim() : '';
+            const to = typeof link.to === 'string' ? link.to.trim() : '';
+            const type = typeof link.type === 'string' && link.type.trim() ? link.type.trim() : undefined;
+            if (!from || !to || from === to) {
+                errors.push(`第${index + 1}条关系缺少两个不同的人物`);
+                return;
+            }
+
+            if (op === 'remove') {
+                const before = graph.links.length;
+                graph.links = graph.links.filter(l => !this.sameLink(l, from, to, type));
+                if (graph.links.length === before) {
+                    errors.push(`${from}与${to}之间没有${type || '任何'}关系，无法移除`);
+                } else {
+                    changes.push(`移除 ${from}—${to}${type ? `（${type}）` : ''}`);
+                }
+                return;
+            }
+            if (op !== 'add' && op !== 'update') {
+                errors.push(`第${index + 1}条关系的操作"${op}"无效，只能是add、remove`);
+                return;
+            }
+            if (!type) {
+                errors.push(`${from}与${to}的关系缺少type`);
+                return;
+            }
+
+            const note = typeof link.note === 'string' ? link.note.trim() : '';
+            const existing = graph.links.find(l => this.sameLink(l, from, to, type));
+            if (existing) {
+                if (note) existing.note = note;
+                changes.push(`更新 ${this.describeLink(existing)}`);
+            } else {
+                const added = { from: from, to: to, type: type, note: note, since: turn };
+                graph.links.push(added);
+                changes.push(`新增 ${this.describeLink(added)}`);
+            }
+        });
+
+        graph.links = graph.links.slice(-this.maxLinks);
+        return { changes: changes, errors: errors };
+    }
+
+    findLinks(graph, name) {
+        return graph.links.filter(link => link.from === name || link.to === name);
+    }
+
+    // “王长老是李师兄的师父” / “李师兄与赵师弟为宿敌”
+    describeLink(link) {
+        const info = NPC_LINK_TYPES[link.type];
+        const text = info && info.directed
+            ? `${link.from}是${link.to}的${info.from}`
+            : `${link.from}与${link.to}为${link.type}`;
+        return text + (link.note ? `（${link.note}）` : '');
+    }
+
+    // 从某个人物的角度描述：“李师兄的师父” / “与赵师弟为宿敌”
+    describeLinkFor(link, name) {
+        const info = NPC_LINK_TYPES[link.type];
+        const other = link.from === name ? link.to : link.from;
+        const text = info && info.directed
+            ? `${other}的${link.from === name ? info.from : info.to}`
+            : `与${other}为${link.type}`;
+        return text + (link.note ? `（${link.note}）` : '');
+    }
+
+    // ---------- 好感度变化 ----------
+
+    /**
+     * 对比变量更新前后的人际关系，记录好感度有变化（或新结识）的人物
+     * clock: { turn, date }，返回有变化的人物名
+     */
+    recordFavor(graph, before, after, clock) {
+        const changed = [];
+        (Array.isArray(after) ? after : []).forEach(relation => {
+            if (!relation || typeof relation.name !== 'string') return;
+            const favor = Number(relation.favor);
+            if (!Number.isFinite(favor)) return;
+            const previous = (Array.isArray(before) ? before : []).find(r => r && r.name === relation.name);
+            const previousFavor = previous ? Number(previous.favor) : NaN;
+            if (previous && previousFavor === favor) return;
+
+            const log = graph.favorLog[relation.name] || (graph.favorLog[relation.name] = []);
+            log.push({
+                turn: clock.turn,
+                date: clock.date || '',
+                favor: favor,
+                delta: Number.isFinite(previousFavor) ? favor - previousFavor : null
+            });
+            graph.favorLog[relation.name] = log.slice(-this.maxFavorPoints);
+            changed.push(relation.name);
+        });
+        return changed;
+    }
+
+    getFavorTrend(graph, name) {
+        return graph.favorLog[name] || [];
+    }
+
+    // “初识20 → 25（第3轮） → 15（第5轮）”，只显示最近几次
+    describeFavorTrend(points, limit = 5) {
+        if (points.length === 0) return '';
+        const shown = points.slice(-limit);
+        const parts = shown.map((point, index) => (index === 0 && point.delta === null
+            ? `初识${point.favor}（第${point.turn}轮）`
+            : `${point.favor}（第${point.turn}轮）`));
+        return (points.length > shown.length ? '… → ' : '') + parts.join(' → ');
+    }
+
+    // ---------- 相关人物 ----------
+
+    namesOf(relation) {
+        const aliases = Array.isArray(relation.aliases) ? relation.aliases : [];
+        return [relation.name, ...aliases].filter(name => typeof name === 'string' && name.length >= 2);
+    }
+
+    // 文本中提到的人物（含别名）
+    findMentioned(relationships, text) {
+        if (!text) return [];
+        return relationships
+            .filter(relation => relation && this.namesOf(relation).some(name => text.includes(name)))
+            .map(relation => relation.name);
+    }
+
+    /**
+     * 挑选需要带上详情的人物，按相关程度排列
+     * params: { relationships, graph, input: 玩家这回合的输入, story: 上一段剧情, location, ranked: 向量库中记忆与输入相关的人物 [{ name, similarity }] }
+     * 输入中提到的最相关，其次是上一段剧情中出现的、往事与输入相关的、所在地与主角相同的，以及与输入中提到的人物有关系的
+     */
+    selectRelevant(params) {
+        const relationships = (params.relationships || []).filter(r => r && typeof r.name === 'string');
+        const scores = new Map();
+        const add = (name, value) => scores.set(name, (scores.get(name) || 0) + value);
+
+        const mentioned = this.findMentioned(relationships, params.input);
+        mentioned.forEach(name => add(name, 3));
+        this.findMentioned(relationships, params.story).forEach(name => add(name, 2));
+        (params.ranked || []).forEach(item => add(item.name, 2 * item.similarity));
+
+        const location = params.location || '';
+        relationships.forEach(relation => {
+            const place = typeof relation.location === 'string' ? relation.location : '';
+            if (place && location && (place.includes(location) || location.includes(place))) add(relation.name, 1);
+        });
+
+        // 与输入中提到的人物有关系的人物
+        const known = new Set(relationships.map(r => r.name));
+        mentioned.forEach(name => {
+            this.findLinks(params.graph, name).forEach(link => {
+                const other = link.from === name ? link.to : link.from;
+                if (known.has(other)) add(other, 1);
+            });
+        });
+
+        return [...scores.entries()]
+            .filter(([name, score]) => known.has(name) && score > 0)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.maxRelevant)
+            .map(([name]) => name);
+    }
+
+    // 角色变量中的人际关系去掉互动记录（相关人物的记录单独成段）
+    slimRelationships(relationships) {
+        return (relationships || []).map(relation => {
+            if (!relation || typeof relation !== 'object') return relation;
+            const { history, ...rest } = relation;
+            return rest;
+        });
+    }
+
+    /**
+     * 一个相关人物的详情：基本信息、关系网、好感变化、最近的互动记录和相关往事
+     * memories 为向量库检索出的记忆 [{ turnIndex, text }]
+     */
+    describeNpc(relation, graph, memories = []) {
+        const basics = [relation.relation, relation.realm, relation.location].filter(Boolean).join('，');
+        let text = `${relation.name}${basics ? `（${basics}）` : ''}：好感${relation.favor !== undefined ? relation.favor : '未知'}`;
+        if (relation.opinion) text += `，看法：${relation.opinion}`;
+        text += '\n';
+
+        const aliases = Array.isArray(relation.aliases) ? relation.aliases : [];
+        if (aliases.length > 0) text += `- 别名：${aliases.join('、')}\n`;
+        const links = this.findLinks(graph, relation.name);
+        if (links.length > 0) text += `- 关系网：${links.map(link => this.describeLinkFor(link, relation.name)).join('；')}\n`;
+        const trend = this.describeFavorTrend(this.getFavorTrend(graph, relation.name));
+        if (trend) text += `- 好感变化：${trend}\n`;
+        const history = Array.isArray(relation.history) ? relation.history.slice(-this.historyPerNpc) : [];
+        if (history.length > 0) text += `- 互动记录：${history.join('；')}\n`;
+        if (memories.length > 0) text += `- 相关往事：${memories.map(m => `第${m.turnIndex}轮：${m.text}`).join('；')}\n`;
+        return text + '\n';
+    }
+
+    // 上下文中的“相关人物”部分（token-budget.js 的列表部分，放不下时先丢弃最不相关的人物）
+    buildSection(texts) {
+        return window.tokenBudget.listSection('npcs', '相关人物', NPC_CONTEXT_HEADER, texts, this.sectionPriority, '人');
+    }
+
+    // ---------- 合并重复人物 ----------
+
+    /**
+     * 可能重复的人物：名称互相包含（“玉娘”与“玉娘子”）、同姓且只差一个字，或别名与对方重名
+     * 返回 [{ keep, drop, reason }]，keep 为互动记录较多的一方
+     */
+    findDuplicates(relationships) {
+        const list = (relationships || []).filter(r => r && typeof r.name === 'string' && r.name);
+        const pairs = [];
+        for (let i = 0; i < list.length; i++) {
+            for (let j = i + 1; j < list.length; j++) {
+                const a = list[i];
+                const b = list[j];
+                let reason = '';
+                if (this.namesOf(a).some(name => this.namesOf(b).includes(name))) {
+                    reason = '别名相同';
+                } else if (a.name.includes(b.name) || b.name.includes(a.name)) {
+                    reason = '名称互相包含';
+                } else if (a.name.length === b.name.length && a.name.length >= 2 && a.name[0] === b.name[0]
+                    && [...a.name].filter((ch, k) => ch !== b.name[k]).length === 1) {
+                    reason = '名称只差一个字';
+                }
+                if (!reason) continue;
+                const aCount = Array.isArray(a.history) ? a.history.length : 0;
+                const bCount = Array.isArray(b.history) ? b.history.length : 0;
+                pairs.push(aCount >= bCount
+                    ? { keep: a.name, drop: b.name, reason: reason }
+                    : { keep: b.name, drop: a.name, reason: reason });
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * 把 dropName 合并进 keepName（直接修改 variables 与关系网）：
+     * 互动记录合并去重，保留方缺少的字段由被合并方补齐，被合并的名称记为别名，关系网与好感记录改到保留方名下
+     * 返回合并后的人物，人物不存在时抛出错误
+     */
+    merge(variables, graph, keepName, dropName) {
+        const relationships = variables.relationships || [];
+        const keep = relationships.find(r => r && r.name === keepName);
+        const drop = relationships.find(r => r && r.name === dropName);
+        if (!keep) throw new Error(`没有名为「${keepName}」的人物`);
+        if (!drop) throw new Error(`没有名为「${dropName}」的人物`);
+        if (keep === drop) throw new Error('不能把人物与自己合并');
+
+        Object.entries(drop).forEach(([key, value]) => {
+            if (['name', 'history', 'aliases'].includes(key)) return;
+            if (keep[key] === undefined || keep[key] === null || keep[key] === '') keep[key] = value;
+        });
+        const history = Array.isArray(keep.history) ? keep.history.slice() : [];
+        (Array.isArray(drop.history) ? drop.history : []).forEach(record => {
+            if (!history.includes(record)) history.push(record);
+        });
+        keep.history = history;
+        const aliases = new Set([...(keep.aliases || []), drop.name, ...(drop.aliases || [])]);
+        aliases.delete(keep.name);
+        keep.aliases = [...aliases];
+        variables.relationships = relationships.filter(r => r !== drop);
+
+        // 关系网改到保留方名下，去掉自己与自己的关系和合并后重复的关系
+        const links = [];
+        graph.links.forEach(link => {
+            const moved = {
+                ...link,
+                from: link.from === dropName ? keepName : link.from,
+                to: link.to === dropName ? keepName : link.to
+            };
+            if (moved.from === moved.to || links.some(l => this.sameLink(l, moved.from, moved.to, moved.type))) return;
+            links.push(moved);
+        });
+        graph.links = links;
+
+        const favorLog = (graph.favorLog[keepName] || []).concat(graph.favorLog[dropName] || []);
+        favorLog.sort((a, b) => a.turn - b.turn);
+        if (favorLog.length > 0) graph.favorLog[keepName] = favorLog.slice(-this.maxFavorPoints);
+        delete graph.favorLog[dropName];
+
+        return keep;
+    }
+}
+
+// 创建全局实例
+window.npcGraph = new NpcGraph();
+
+console.log('[人物关系网] 已加载，使用方法：');
+console.log('1. window.npcGraph.applyLinks(关系网, npcLinks, 回合) - 执行AI给出的NPC之间的关系变化');
+console.log('2. window.npcGraph.selectRelevant({...}) - 挑选与当前输入相关的人物');
+console.log('3. window.npcGraph.merge(变量, 关系网, 保留名, 合并名) - 合并重复的人物');
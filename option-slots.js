@@ -0,0 +1,290 @@
+/**
+ * 选项模板
+ * 每回合要求AI返回几个选项、每个位置代表什么类型，由存档中的选项模板决定：
+ * 每个位置有类别名、图标、给AI的说明、缺选项时补位的默认选项，以及所需的内容分级。
+ * 分级高于存档设定的位置不向AI要选项，按设置显示为锁定按钮或直接过滤掉；也可以手动停用某个位置。
+ * 提示词中的选项要求、响应校验的选项数量、补位和提示都由模板生成，玩家选择的选项类别计入玩法统计
+ */
+
+// 内容分级从低到高
+const CONTENT_RATINGS = [
+    { id: 'general', name: '全年龄' },
+    { id: 'mature', name: '成人向（暴力、暧昧）' },
+    { id: 'adult', name: 'R18' }
+];
+
+// 默认模板：与之前固定的四个选项一致
+const BUILTIN_OPTION_TEMPLATE = {
+    rating: 'adult',
+    slots: [
+        { id: 'dialogue', category: '对话/交互', icon: '💬', description: '', fallback: '与周围人交谈', keywords: [], rating: 'general', restricted: 'filter', enabled: true },
+        { id: 'leave', category: '跳过/离开', icon: '🚪', description: '', fallback: '离开此地', keywords: [], rating: 'general', restricted: 'filter', enabled: true },
+        { id: 'action', category: '转折/行动', icon: '⚡', description: '', fallback: '继续探索', keywords: [], rating: 'general', restricted: 'filter', enabled: true },
+        { id: 'r18', category: 'R18', icon: '💕', description: '', fallback: '休息片刻【R18】', keywords: ['R18', '双修', '共度', '交流', '亲近', '深入'], rating: 'adult', restricted: 'filter', enabled: true }
+    ]
+};
+
+class OptionSlots {
+    constructor() {
+        this.storageKey = 'xiuxianOptionTemplate';
+        this.ratings = CONTENT_RATINGS;
+        this.builtin = BUILTIN_OPTION_TEMPLATE;
+        this.maxSlots = 8;
+        this.defaultTemplate = null; // 新游戏使用的模板（未设置时使用内置模板）
+        this.load();
+    }
+
+    // ---------- 模板 ----------
+
+    clone(template) {
+        return JSON.parse(JSON.stringify(template));
+    }
+
+    cloneBuiltin() {
+        return this.clone(this.builtin);
+    }
+
+    getRatingLevel(rating) {
+        const index = this.ratings.findIndex(r => r.id === rating);
+        return index === -1 ? this.ratings.length - 1 : index;
+    }
+
+    getRatingName(rating) {
+        const found = this.ratings.find(r => r.id === rating);
+        return found ? found.name : rating;
+    }
+
+    /**
+     * 校验并补齐模板字段；keywords 可以是数组或逗号分隔的字符串
+     * 没有任何可用位置时抛出错误（AI至少要给一个选项）
+     */
+    normalize(raw) {
+        if (!raw || typeof raw !== 'object' || !Array.isArray(raw.slots) || raw.slots.length === 0) {
+            throw new Error('选项模板格式错误：至少需要一个选项位置');
+        }
+        if (raw.slots.length > this.maxSlots) {
+            throw new Error(`选项位置最多${this.maxSlots}个`);
+        }
+
+        const ids = new Set();
+        const slots = raw.slots.map((slot, index) => {
+            const category = slot && typeof slot.category === 'string' ? slot.category.trim() : '';
+            if (!category) {
+                throw new Error(`第${index + 1}个选项位置缺少类别名`);
+            }
+            let id = slot.id ? String(slot.id).trim() : `slot${index + 1}`;
+            while (ids.has(id)) id += '_';
+            ids.add(id);
+
+            const keywords = (Array.isArray(slot.keywords) ? slot.keywords : String(slot.keywords || '').split(/[,，]/))
+                .map(word => String(word).trim())
+                .filter(Boolean);
+
+            return {
+                id: id,
+                category: category,
+                icon: slot.icon ? String(slot.icon).trim() : '📌',
+                description: slot.description ? String(slot.description).trim() : '',
+                fallback: slot.fallback ? String(slot.fallback).trim() : category,
+                keywords: keywords,
+                rating: this.ratings.some(r => r.id === slot.rating) ? slot.rating : 'general',
+                restricted: slot.restricted === 'disable' ? 'disable' : 'filter',
+                enabled: slot.enabled !== false
+            };
+        });
+
+        const template = {
+            rating: this.ratings.some(r => r.id === raw.rating) ? raw.rating : 'adult',
+            slots: slots
+        };
+        if (this.getActiveSlots(template).length === 0) {
+            throw new Error('当前内容分级下没有可用的选项位置');
+        }
+        return template;
+    }
+
+    /**
+     * 每个位置在当前分级下的状态：shown（向AI要选项）、disabled（锁定显示）、hidden（不显示）
+     */
+    getSlotStatus(template, slot) {
+        if (!slot.enabled) return 'hidden';
+        if (this.getRatingLevel(slot.rating) > this.getRatingLevel(template.rating)) {
+            return slot.restricted === 'disable' ? 'disabled' : 'hidden';
+        }
+        return 'shown';
+    }
+
+    // 需要AI生成的位置（按顺序）
+    getActiveSlots(template) {
+        return template.slots.filter(slot => this.getSlotStatus(template, slot) === 'shown');
+    }
+
+    getOptionCount(template) {
+        return this.getActiveSlots(template).length;
+    }
+
+    // 是否与内置模板的启用位置一致（一致时不必提醒AI以本模板为准）
+    isBuiltinLayout(template) {
+        const active = this.getActiveSlots(template).map(slot => slot.category);
+        const builtin = this.getActiveSlots(this.builtin).map(slot => slot.category);
+        return active.join('|') === builtin.join('|');
+    }
+
+    // ---------- 提示词与校验 ----------
+
+    /**
+     * 每回合附带的选项要求（不含外层的方括号）
+     */
+    buildInstruction(template) {
+        const active = this.getActiveSlots(template);
+        const order = active.map((slot, index) => {
+            const description = slot.description ? `（${slot.description}）` : '';
+            return `${index + 1}.${slot.category}选项${description}`;
+        }).join(' ');
+
+        let text = `必须返回恰好${active.length}个选项，每个选项都要包含属性判定要求，格式为：选项文本（属性>数值）。顺序为：${order}`;
+        if (!this.isBuiltinLayout(template)) {
+            text += '。系统提示词中的选项类型说明与此不同时，以此为准';
+        }
+        if (this.getRatingLevel(template.rating) < this.ratings.length - 1) {
+            text += `。内容分级为${this.getRatingName(template.rating)}，不要生成超出该分级的选项`;
+        }
+        return text;
+    }
+
+    /**
+     * 按模板整理AI返回的选项（就地修改）：多余的截掉，不足的用各位置的默认选项补齐，
+     * 设置了关键词的位置没有命中任何关键词时给出提示
+     */
+    pad(options, template) {
+        const active = this.getActiveSlots(template);
+        if (options.length !== active.length) {
+            console.warn(`选项数量错误：应该是${active.length}个，实际${options.length}个`);
+        }
+
+        if (options.length > active.length) {
+            options.splice(active.length);
+        }
+        while (options.length < active.length) {
+            options.push(active[options.length].fallback);
+        }
+
+        active.forEach((slot, index) => {
+            const option = options[index];
+            if (slot.keywords.length > 0 && option && !slot.keywords.some(word => option.includes(word))) {
+                console.warn(`第${index + 1}个选项应该是${slot.category}选项，但未检测到相关内容`);
+            }
+        });
+        return options;
+    }
+
+    // 选项与所属位置的对应关系，记入游戏状态（用于统计玩家选择的类别）
+    labelOptions(options, template) {
+        const active = this.getActiveSlots(template);
+        return options.map((text, index) => ({
+            text: text,
+            slotId: active[index] ? active[index].id : null
+        }));
+    }
+
+    /**
+     * 界面显示用的选项列表：按模板顺序排列，锁定的位置插入占位项（text 为 null）
+     */
+    layout(options, template) {
+        const result = [];
+        let next = 0;
+        template.slots.forEach(slot => {
+            const status = this.getSlotStatus(template, slot);
+            if (status === 'shown') {
+                if (next < options.length) {
+                    result.push({ slot: slot, text: options[next++], disabled: false });
+                }
+            } else if (status === 'disabled') {
+                result.push({ slot: slot, text: null, disabled: true });
+            }
+        });
+        // 模板修改前生成的多余选项照常显示
+        while (next < options.length) {
+            result.push({ slot: null, text: options[next++], disabled: false });
+        }
+        return result;
+    }
+
+    // ---------- 玩法统计 ----------
+
+    createStats() {
+        return { slots: {}, freeInput: 0 };
+    }
+
+    // 记录一次选择；slot 为 null 时算作自由行动
+    recordChoice(stats, slot) {
+        if (!slot) {
+            stats.freeInput = (stats.freeInput || 0) + 1;
+            return;
+        }
+        const entry = stats.slots[slot.id] || (stats.slots[slot.id] = { category: slot.category, icon: slot.icon, count: 0 });
+        entry.category = slot.category;
+        entry.icon = slot.icon;
+        entry.count++;
+    }
+
+    /**
+     * 统计汇总：按次数从多到少排列，返回 { total, rows: [{ category, icon, count, percent }] }
+     */
+    summarize(stats) {
+        const rows = Object.values((stats && stats.slots) || {}).map(entry => ({ category: entry.category, icon: entry.icon, count: entry.count }));
+        if (stats && stats.freeInput > 0) {
+            rows.push({ category: '自由行动', icon: '✍️', count: stats.freeInput });
+        }
+        const total = rows.reduce((sum, row) => sum + row.count, 0);
+        rows.forEach(row => {
+            row.percent = total > 0 ? Math.round(row.count / total * 100) : 0;
+        });
+        rows.sort((a, b) => b.count - a.count);
+        return { total: total, rows: rows };
+    }
+
+    // ---------- 新游戏默认模板 ----------
+
+    getDefault() {
+        return this.clone(this.defaultTemplate || this.builtin);
+    }
+
+    setDefault(template) {
+        this.defaultTemplate = this.normalize(template);
+        this.save();
+    }
+
+    resetDefault() {
+        this.defaultTemplate = null;
+        this.save();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            this.defaultTemplate = saved ? this.normalize(saved) : null;
+        } catch (error) {
+            console.error('[选项模板] 加载失败:', error);
+        }
+    }
+
+    save() {
+        try {
+            if (this.defaultTemplate) {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.defaultTemplate));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.error('[选项模板] 保存失败:', error);
+        }
+    }
+}
+
+// 创建全局实例
+window.optionSlots = new OptionSlots();
+
+console.log('[选项模板] 已加载，使用方法：');
+console.log('1. window.gameEngine.setOptionTemplate(模板) - 修改当前存档的选项数量、类别与内容分级');
+console.log('2. window.optionSlots.setDefault(模板) - 设置新游戏使用的选项模板');
@@ -0,0 +1,377 @@
+/**
+ * 境界系统
+ * 境界阶梯来自剧本包（pack.realmLadder）：每个大境界分若干小境界（层、初期中期……），
+ * 定义了每个小境界的修为上限、寿元、突破后的成长、突破成功率和天劫。
+ * 突破在本地结算：成功率由悟性、潜力、服用的丹药和天谴值决定，突破大境界可能引来天劫，
+ * 天谴值过高时还会引动心魔；结算结果交给AI叙述。
+ * AI 返回的 realm 在阶梯上最多只能前进一个小境界，跨级提升会被拒绝
+ */
+
+class RealmEngine {
+    constructor() {
+        this.minChance = 5;              // 成功率下限（%）
+        this.maxChance = 95;             // 成功率上限（%）
+        this.comprehensionWeight = 0.8;  // 悟性每高出基础值1点，成功率+0.8%
+        this.potentialWeight = 1.2;      // 潜力每高出基础值1点，成功率+1.2%
+        this.punishmentWeight = 0.2;     // 天谴值每点，成功率-0.2%
+        this.maxPillBonus = 40;          // 丹药加成上限（%）
+        this.heartDemonThreshold = 50;   // 天谴值达到50时，突破会引动心魔
+        this.heartDemonChance = 60;      // 心魔关的基础成功率（%）
+        this.failureProgressLoss = 0.3;  // 突破失败损失30%修为
+        this.failureHpLoss = 0.2;        // 突破失败损失20%体力上限的体力
+        this.severeProgressLoss = 0.5;   // 渡劫失败或心魔反噬损失50%修为
+        this.stageGrowth = 0.2;          // 同一大境界内，每个小境界的修为上限提高20%
+        this.retreatDays = { stage: 30, major: 180 }; // 闭关耗时：小境界一个月，大境界半年
+    }
+
+    // ---------- 境界解析 ----------
+
+    // 统一写法：去掉空格和“第”，“练”统一为“炼”，阿拉伯数字改为汉字（练气3层 → 炼气三层）
+    normalizeText(text) {
+        const numerals = ['零', '一', '二', '三', '四', '五', '六', '七', '八', '九', '十'];
+        return String(text || '')
+            .replace(/\s+/g, '')
+            .replace(/第/g, '')
+            .replace(/练/g, '炼')
+            .replace(/\d+/g, digits => numerals[parseInt(digits)] || digits);
+    }
+
+    // 大境界的简称（炼气期 → 炼气），与小境界连写时使用
+    shortName(realm) {
+        return realm.name.length > 2 ? realm.name.replace(/期$/, '') : realm.name;
+    }
+
+    /**
+     * 把 realm 文字解析为阶梯上的位置 { realmIndex, stageIndex }
+     * 只写大境界时算作第一个小境界；无法识别（如“凡人”或剧本之外的写法）时返回 null
+     */
+    parse(ladder, text) {
+        const normalized = this.normalizeText(text);
+        if (!normalized) return null;
+
+        const candidates = [];
+        ladder.forEach((realm, realmIndex) => {
+            // 剧本包中的写法同样统一（如“练神返虚”）
+            [realm.name, this.shortName(realm)].forEach(name => candidates.push({ name: this.normalizeText(name), realmIndex: realmIndex }));
+        });
+        candidates.sort((a, b) => b.name.length - a.name.length);
+
+        const matched = candidates.find(candidate => normalized.startsWith(candidate.name));
+        if (!matched) return null;
+
+        const realm = ladder[matched.realmIndex];
+        const rest = normalized.slice(matched.name.length);
+        if (!rest || realm.stages.length === 0) {
+            return { realmIndex: matched.realmIndex, stageIndex: 0 };
+        }
+        const stageIndex = realm.stages.findIndex(stage => rest.startsWith(this.normalizeText(stage)));
+        return stageIndex === -1 ? null : { realmIndex: matched.realmIndex, stageIndex: stageIndex };
+    }
+
+    format(ladder, position) {
+        const realm = ladder[position.realmIndex];
+        return realm.stages.length > 0 ? this.shortName(realm) + realm.stages[position.stageIndex] : realm.name;
+    }
+
+    // 在整条阶梯上的序号（用于比较两个境界相差几级）
+    linearIndex(ladder, position) {
+        let index = 0;
+        for (let i = 0; i < position.realmIndex; i++) {
+            index += Math.max(1, ladder[i].stages.length);
+        }
+        return index + position.stageIndex;
+    }
+
+    // 下一个小境界（已是最高境界时返回 null），major 表示跨入新的大境界
+    next(ladder, position) {
+        const realm = ladder[position.realmIndex];
+        if (position.stageIndex + 1 < realm.stages.length) {
+            return { realmIndex: position.realmIndex, stageIndex: position.stageIndex + 1, major: false };
+        }
+        if (position.realmIndex + 1 < ladder.length) {
+            return { realmIndex: position.realmIndex + 1, stageIndex: 0, major: true };
+        }
+        return null;
+    }
+
+    getProgressMax(ladder, position) {
+        const realm = ladder[position.realmIndex];
+        return Math.round(realm.progress * (1 + this.stageGrowth * position.stageIndex));
+    }
+
+    /**
+     * 当前境界的概况：{ known, text, realm, progressMax, lifespan, next, major, ready }
+     * 境界无法识别时 known 为 false，其余字段为空
+     */
+    describe(ladder, variables) {
+        const position = this.parse(ladder, variables.realm);
+        if (!position) {
+            return { known: false, text: variables.realm || '', realm: null, progressMax: null, lifespan: null, next: null, major: false, ready: false };
+        }
+        const realm = ladder[position.realmIndex];
+        const next = this.next(ladder, position);
+        const progressMax = this.getProgressMax(ladder, position);
+        return {
+            known: true,
+            text: this.format(ladder, position),
+            position: position,
+            realm: realm,
+            progressMax: progressMax,
+            lifespan: realm.lifespan,
+            next: next ? this.format(ladder, next) : null,
+            major: next ? next.major : false,
+            ready: !!next && (variables.cultivationProgress || 0) >= progressMax
+        };
+    }
+
+    /**
+     * 检查境界变化是否合理：允许不变、跌落或前进一个小境界，跨级提升返回拒绝原因（合理时返回 null）
+     * 原境界或新境界无法识别时不做限制（开局设定境界、剧本之外的写法）
+     */
+    checkTransition(ladder, fromText, toText) {
+        const from = this.parse(ladder, fromText);
+        const to = this.parse(ladder, toText);
+        if (!from || !to) return null;
+
+        const steps = this.linearIndex(ladder, to) - this.linearIndex(ladder, from);
+        if (steps <= 1) return null;
+        const next = this.next(ladder, from);
+        return `境界不能从${this.format(ladder, from)}直接提升到${this.format(ladder, to)}（相差${steps}级），下一境界应为${next ? this.format(ladder, next) : '无'}`;
+    }
+
+    // ---------- 突破 ----------
+
+    /**
+     * 可用于突破的丹药：效果中带 breakthrough（成功率加成）的丹药，或目标大境界指定的丹药
+     * 返回 [{ name, count, bonus }]
+     */
+    getPills(ladder, position, items) {
+        const next = this.next(ladder, position);
+        const realmPills = next && next.major ? ladder[next.realmIndex].pills : {};
+        return (items || [])
+            .filter(item => item && item.count > 0 && item.type && item.type.includes('丹'))
+            .map(item => ({
+                name: item.name,
+                count: item.count,
+                bonus: Math.max(Number(item.effects && item.effects.breakthrough) || 0, Number(realmPills[item.name]) || 0)
+            }))
+            .filter(pill => pill.bonus > 0);
+    }
+
+    clamp(value, min = this.minChance, max = this.maxChance) {
+        return Math.round(Math.min(max, Math.max(min, value)));
+    }
+
+    /**
+     * 计算突破成功率
+     * attributes 为按战斗用途对应后的属性（comprehension、potential、physique、spirit，见 gameEngine.getCombatAttributes）
+     * 返回 { from, to, major, chance, modifiers: [{ label, value }], pills, tribulation, heartDemon }
+     */
+    calculateChance(ladder, variables, attributes, baseValue, pillNames = []) {
+        const position = this.parse(ladder, variables.realm);
+        const next = position ? this.next(ladder, position) : null;
+        if (!next) return null;
+
+        const target = ladder[next.realmIndex];
+        const current = ladder[position.realmIndex];
+        const base = next.major ? target.chance : current.stageChance;
+        const modifiers = [];
+        const add = (label, value) => {
+            const rounded = Math.round(value * 10) / 10;
+            if (rounded !== 0) modifiers.push({ label: label, value: rounded });
+        };
+
+        add('悟性', ((attributes.comprehension || 0) - baseValue) * this.comprehensionWeight);
+        add('潜力', ((attributes.potential || 0) - baseValue) * this.potentialWeight);
+        add('天谴值', -(variables.karmaPunishment || 0) * this.punishmentWeight);
+
+        const available = this.getPills(ladder, position, variables.items);
+        const pills = available.filter(pill => pillNames.includes(pill.name));
+        const pillBonus = Math.min(this.maxPillBonus, pills.reduce((sum, pill) => sum + pill.bonus, 0));
+        add('丹药', pillBonus);
+
+        const total = modifiers.reduce((sum, m) => sum + m.value, base);
+        const punishment = variables.karmaPunishment || 0;
+        const tribulation = next.major && target.tribulation ? {
+            name: target.tribulation.name,
+            chance: this.clamp(target.tribulation.chance
+                + ((attributes.physique || 0) - baseValue)
+                + ((attributes.spirit || 0) - baseValue) * 0.5
+                + (variables.karmaFortune || 0) * 0.1
+                - punishment * 0.3),
+            damage: target.tribulation.damage
+        } : null;
+        const heartDemon = punishment >= this.heartDemonThreshold ? {
+            name: '心魔劫',
+            chance: this.clamp(this.heartDemonChance
+                + ((attributes.comprehension || 0) - baseValue)
+                + ((attributes.spirit || 0) - baseValue)
+                - (punishment - this.heartDemonThreshold) * 0.5)
+        } : null;
+
+        return {
+            from: this.format(ladder, position),
+            to: this.format(ladder, next),
+            major: next.major,
+            base: base,
+            chance: this.clamp(total),
+            modifiers: modifiers,
+            pills: pills,
+            tribulation: tribulation,
+            heartDemon: heartDemon
+        };
+    }
+
+    /**
+     * 结算一次突破（不修改 variables，由 apply 写入）
+     * params: { ladder, variables, attributes, baseValue, pillNames, seed, turn }
+     * 同一种子和回合的点数固定，重新生成或重新发送不会改变结果
+     * 返回 { ...calculateChance 的结果, roll, outcome, success, realm, progress, progressMax, lifespan, hpLoss, mpLoss, gains, consumed }
+     */
+    resolve(params) {
+        const { ladder, variables, seed, turn } = params;
+        const preview = this.calculateChance(ladder, variables, params.attributes, params.baseValue, params.pillNames || []);
+        if (!preview) {
+            throw new Error('当前境界无法突破');
+        }
+
+        const checks = window.checkEngine;
+        const roll = checks.rollD100(seed, `breakthrough|${turn}`);
+        let outcome = roll <= preview.chance ? 'success' : 'failure';
+
+        if (outcome === 'success' && preview.heartDemon) {
+            preview.heartDemon.roll = checks.rollD100(seed, `heart-demon|${turn}`);
+            preview.heartDemon.survived = preview.heartDemon.roll <= preview.heartDemon.chance;
+            if (!preview.heartDemon.survived) outcome = 'heart-demon';
+        }
+        if (outcome === 'success' && preview.tribulation) {
+            preview.tribulation.roll = checks.rollD100(seed, `tribulation|${turn}`);
+            preview.tribulation.survived = preview.tribulation.roll <= preview.tribulation.chance;
+            if (!preview.tribulation.survived) outcome = 'tribulation';
+        }
+
+        const position = this.parse(ladder, variables.realm);
+        const next = this.next(ladder, position);
+        const progress = variables.cultivationProgress || 0;
+        const hpMax = variables.hpMax || 100;
+        const result = {
+            ...preview,
+            roll: roll,
+            outcome: outcome,
+            success: outcome === 'success',
+            realm: preview.from,
+            progress: progress,
+            progressMax: this.getProgressMax(ladder, position),
+            lifespan: ladder[position.realmIndex].lifespan,
+            hpLoss: 0,
+            mpLoss: 0,
+            gains: {},
+            consumed: preview.pills.map(pill => pill.name)
+        };
+
+        if (outcome === 'success') {
+            const target = ladder[next.realmIndex];
+            result.realm = preview.to;
+            result.progress = 0;
+            result.progressMax = this.getProgressMax(ladder, next);
+            result.lifespan = target.lifespan;
+            result.gains = { ...(next.major ? target.gains : ladder[position.realmIndex].stageGains) };
+        } else if (outcome === 'failure') {
+            result.progress = progress - Math.round(progress * this.failureProgressLoss);
+            result.hpLoss = Math.round(hpMax * this.failureHpLoss);
+        } else if (outcome === 'tribulation') {
+            result.progress = progress - Math.round(progress * this.severeProgressLoss);
+            result.hpLoss = Math.round(hpMax * preview.tribulation.damage / 100);
+        } else {
+            result.progress = progress - Math.round(progress * this.severeProgressLoss);
+            result.mpLoss = Math.round((variables.mpMax || 100) * 0.5);
+        }
+        return result;
+    }
+
+    /**
+     * 把突破结果写入变量：消耗丹药、更新境界与修为、结算成长与损伤（体力至少保留1点）
+     */
+    apply(variables, result) {
+        result.consumed.forEach(name => {
+            const index = (variables.items || []).findIndex(item => item.name === name && item.count > 0);
+            if (index === -1) return;
+            variables.items[index].count--;
+            if (variables.items[index].count <= 0) variables.items.splice(index, 1);
+        });
+
+        variables.realm = result.realm;
+        variables.cultivationProgress = result.progress;
+        variables.cultivationProgressMax = result.progressMax;
+
+        Object.entries(result.gains).forEach(([key, value]) => {
+            if (key === 'hpMax' || key === 'mpMax') {
+                variables[key] = (variables[key] || 100) + value;
+            } else if (variables.attributes && key in variables.attributes) {
+                variables.attributes[key] = (variables.attributes[key] || 0) + value;
+            }
+        });
+        if (result.success && result.major) {
+            // 突破大境界后体力法力恢复满
+            variables.hp = variables.hpMax;
+            variables.mp = variables.mpMax;
+        }
+        variables.hp = Math.max(1, (variables.hp || 0) - result.hpLoss);
+        variables.mp = Math.max(0, (variables.mp || 0) - result.mpLoss);
+    }
+
+    // 这次突破闭关的天数（推进游戏时间用）
+    getRetreatDays(result) {
+        return result.major ? this.retreatDays.major : this.retreatDays.stage;
+    }
+
+    describeOutcome(outcome) {
+        return {
+            'success': '突破成功',
+            'failure': '突破失败',
+            'tribulation': '渡劫失败',
+            'heart-demon': '心魔反噬'
+        }[outcome] || outcome;
+    }
+
+    /**
+     * 交给AI叙述的突破结果
+     * getName 把成长中的属性 id 转换为显示名称
+     */
+    buildResultPrompt(result, getName = key => key) {
+        let text = `【闭关突破：${result.from} → ${result.to}】${this.describeOutcome(result.outcome)}。`;
+        text += `成功率${result.chance}%，掷出${result.roll}。`;
+        if (result.consumed.length > 0) {
+            text += `服用了：${result.consumed.join('、')}。`;
+        }
+        if (result.heartDemon && result.heartDemon.roll !== undefined) {
+            text += `天谴缠身引动心魔，心魔关成功率${result.heartDemon.chance}%，掷出${result.heartDemon.roll}，${result.heartDemon.survived ? '斩灭心魔' : '被心魔反噬'}。`;
+        }
+        if (result.tribulation && result.tribulation.roll !== undefined) {
+            text += `引来${result.tribulation.name}，渡劫成功率${result.tribulation.chance}%，掷出${result.tribulation.roll}，${result.tribulation.survived ? '安然渡过' : '未能渡过'}。`;
+        }
+
+        if (result.success) {
+            const gains = Object.entries(result.gains).map(([key, value]) => `${getName(key)}+${value}`);
+            text += `境界提升为${result.realm}`;
+            if (gains.length > 0) text += `，${gains.join('、')}`;
+            if (result.major) text += result.lifespan ? `，寿元增至${result.lifespan}岁` : '，寿元无尽';
+            text += '。';
+        } else {
+            const losses = [];
+            if (result.hpLoss > 0) losses.push(`体力-${result.hpLoss}`);
+            if (result.mpLoss > 0) losses.push(`法力-${result.mpLoss}`);
+            losses.push(`修为降至${result.progress}/${result.progressMax}`);
+            text += `境界仍为${result.realm}，${losses.join('、')}。`;
+        }
+        text += '\n[系统提示：突破已由系统结算，请据此叙述闭关与突破的经过，不得改变结果；realm、修炼进度、体力法力、属性成长和服用的丹药均已结算，不要重复修改，其他变化正常更新]';
+        return text;
+    }
+}
+
+// 创建全局实例
+window.realmEngine = new RealmEngine();
+
+console.log('[境界系统] 已加载，使用方法：');
+console.log('1. window.gameEngine.getRealmInfo() - 当前境界、修为上限、寿元与下一境界');
+console.log('2. window.gameEngine.breakthrough([丹药名]) - 尝试突破，结果交给AI叙述');
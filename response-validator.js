@@ -0,0 +1,754 @@
+/**
+ * AI响应格式校验与修复系统
+ * 按系统提示词约定的格式（reasoning / variables / story / options）校验AI返回的JSON，
+ * 修复常见的格式损坏（尾逗号、未转义引号、输出被截断），并按模型记录失败情况
+ */
+
+// 物品/装备允许的type取值（与系统提示词保持一致）
+const ITEM_TYPES = ['装备-头部', '装备-衣服', '装备-脚部', '装备-法宝', '丹药', '杂物', '材料'];
+
+// 装备槽位对应的type
+const EQUIPMENT_SLOT_TYPES = {
+    head: ['装备-头部'],
+    clothes: ['装备-衣服'],
+    feet: ['装备-脚部'],
+    treasure1: ['装备-法宝'],
+    treasure2: ['装备-法宝'],
+    treasure3: ['装备-法宝']
+};
+
+const NUMBER_MAP = { type: 'object', additionalProperties: { type: 'number' } };
+
+function equipmentSlotSchema(slot) {
+    return {
+        type: ['object', 'null'],
+        required: ['name', 'type'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: EQUIPMENT_SLOT_TYPES[slot] },
+            effects: NUMBER_MAP
+        }
+    };
+}
+
+const SKILL_SCHEMA = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        type: { type: 'string' },
+        power: { type: 'number' },
+        mpCost: { type: 'number' },
+        description: { type: 'string' }
+    }
+};
+
+// 增量操作（variables.patch，见 variable-patch.js）
+function patchOperationSchema(entryType) {
+    return {
+        type: 'object',
+        required: ['op', 'name'],
+        properties: {
+            op: { type: 'string', enum: ['add', 'remove', 'update'] },
+            name: { type: 'string', minLength: 1 },
+            type: entryType,
+            count: { type: 'number' },
+            countDelta: { type: 'number' },
+            favorDelta: { type: 'number' },
+            effects: NUMBER_MAP,
+            set: { type: 'object' },
+            historyAppend: { type: ['array', 'string'], items: { type: 'string' } }
+        }
+    };
+}
+
+/**
+ * AI响应结构定义
+ * level: 'warning' 的节点及其子节点只产生警告，不会触发重试
+ */
+const AI_RESPONSE_SCHEMA = {
+    type: 'object',
+    required: ['story', 'options'],
+    properties: {
+        reasoning: {
+            type: ['object', 'string'],
+            level: 'warning',
+            properties: {
+                situation: { type: 'string' },
+                playerChoice: { type: 'string' },
+                logicChain: { type: 'array', items: { type: 'string' } },
+                outcome: { type: 'string' }
+            }
+        },
+        variables: {
+            type: 'object',
+            properties: {
+                currentDateTime: { type: 'string' },
+                name: { type: 'string' },
+                age: { type: 'number' },
+                gender: { type: 'string' },
+                realm: { type: 'string' },
+                identity: { type: 'string' },
+                spiritStones: { type: 'number' },
+                karmaFortune: { type: 'number' },
+                karmaPunishment: { type: 'number' },
+                cultivationProgress: { type: 'number' },
+                cultivationProgressMax: { type: 'number' },
+                hp: { type: 'number' },
+                hpMax: { type: 'number' },
+                mp: { type: 'number' },
+                mpMax: { type: 'number' },
+                talents: { type: 'array', items: { type: 'string' } },
+                attributes: NUMBER_MAP,
+                equipment: {
+                    type: 'object',
+                    properties: Object.fromEntries(
+                        Object.keys(EQUIPMENT_SLOT_TYPES).map(slot => [slot, equipmentSlotSchema(slot)])
+                    )
+                },
+                items: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'type'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            count: { type: 'number' },
+                            type: { type: 'string', enum: ITEM_TYPES },
+                            effects: NUMBER_MAP
+                        }
+                    }
+                },
+                techniques: { type: 'array', items: SKILL_SCHEMA },
+                spells: { type: 'array', items: SKILL_SCHEMA },
+                relationships: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            relation: { type: 'string' },
+                            favor: { type: 'number' },
+                            age: { type: ['number', 'string'] },
+                            realm: { type: 'string' },
+                            personality: { type: 'string' },
+                            opinion: { type: 'string' },
+                            history: { type: 'array', items: { type: 'string' } }
+                        }
+                    }
+                },
+                location: { type: 'string' },
+                history: { type: ['array', 'string'], items: { type: 'string' } },
+                patch: {
+                    type: 'object',
+                    properties: {
+                        items: { type: 'array', items: patchOperationSchema({ type: 'string', enum: ITEM_TYPES }) },
+                        techniques: { type: 'array', items: patchOperationSchema({ type: 'string' }) },
+                        spells: { type: 'array', items: patchOperationSchema({ type: 'string' }) },
+                        relationships: { type: 'array', items: patchOperationSchema({ type: 'string' }) }
+                    }
+                }
+            }
+        },
+        story: { type: 'string', minLength: 1 },
+        options: { type: 'array', minItems: 4, maxItems: 4, items: { type: 'string', minLength: 1 } },
+        // 本回合经过的时间与新安排的日程（见 calendar.js）
+        timeElapsed: { type: 'string', level: 'warning' },
+        schedule: {
+            type: 'array',
+            level: 'warning',
+            items: {
+                type: 'object',
+                required: ['title', 'date'],
+                properties: {
+                    title: { type: 'string', minLength: 1 },
+                    date: { type: 'string', minLength: 1 },
+                    description: { type: 'string' }
+                }
+            }
+        },
+        // AI给出的坊市货物与传授的配方（见 economy.js），格式不对时跳过
+        market: {
+            type: 'object',
+            level: 'warning',
+            required: ['name', 'items'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                type: { type: 'string', enum: ['shop', 'auction'] },
+                items: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'price'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            type: { type: 'string', enum: ITEM_TYPES },
+                            price: { type: 'number' },
+                            count: { type: 'number' },
+                            effects: NUMBER_MAP
+                        }
+                    }
+                }
+            }
+        },
+        recipes: {
+            type: 'array',
+            level: 'warning',
+            items: {
+                type: 'object',
+                required: ['name', 'art', 'materials', 'result'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    art: { type: 'string' },
+                    materials: { type: 'array', items: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, count: { type: 'number' } } } },
+                    result: { type: 'object', required: ['type'], properties: { name: { type: 'string' }, type: { type: 'string', enum: ITEM_TYPES }, count: { type: 'number' }, effects: NUMBER_MAP } },
+                    difficulty: { type: 'number' }
+                }
+            }
+        },
+        npcLinks: {
+            type: 'array',
+            level: 'warning',
+            items: {
+                type: 'object',
+                required: ['from', 'to'],
+                properties: {
+                    op: { type: 'string', enum: ['add', 'update', 'remove'] },
+                    from: { type: 'string', minLength: 1 },
+                    to: { type: 'string', minLength: 1 },
+                    type: { type: 'string' },
+                    note: { type: 'string' }
+                }
+            }
+        },
+        places: {
+            type: 'array',
+            level: 'warning',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    parent: { type: 'string' },
+                    description: { type: 'string' },
+                    routes: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['to'],
+                            properties: {
+                                to: { type: 'string', minLength: 1 },
+                                time: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        encounter: {
+            type: 'object',
+            required: ['enemies'],
+            properties: {
+                description: { type: 'string' },
+                canFlee: { type: 'boolean' },
+                fleeDifficulty: { type: 'number' },
+                enemies: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['name', 'hp', 'attack'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            realm: { type: 'string' },
+                            hp: { type: 'number' },
+                            attack: { type: 'number' },
+                            defense: { type: 'number' },
+                            speed: { type: 'number' },
+                            skills: { type: 'array', items: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, power: { type: 'number' } } } }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+class ResponseValidator {
+    constructor(schema = AI_RESPONSE_SCHEMA) {
+        this.schema = schema;
+        this.storageKey = 'aiResponseStats';
+        this.maxLogSize = 100; // 最多保留的失败记录条数
+        this.stats = {};       // 按模型统计：{ [model]: { attempts, ok, repaired, invalid, unparseable, retries, gaveUp, errorCounts } }
+        this.failureLog = [];  // 最近的失败记录
+        this.loadStats();
+    }
+
+    /**
+     * 解析并校验一次AI响应
+     * 返回 { raw, data, valid, repaired, repairs, errors, warnings, parseError }
+     * data 已做数值转换，并移除了类型错误的变量字段，可直接交给 updateVariables
+     * options.optionCount：本存档选项模板要求的选项数量（默认按结构定义中的4个）
+     */
+    parseAndValidate(raw, options = {}) {
+        const result = {
+            raw: raw,
+            data: null,
+            valid: false,
+            repaired: false,
+            repairs: [],
+            errors: [],
+            warnings: [],
+            parseError: null
+        };
+
+        const parsed = this.parse(raw);
+        result.repaired = parsed.repairs.length > 0;
+        result.repairs = parsed.repairs;
+
+        if (!parsed.data) {
+            result.parseError = parsed.error;
+            result.errors.push({ path: '(root)', code: 'parse', message: `JSON无法解析：${parsed.error}` });
+            return result;
+        }
+
+        const validation = this.validate(parsed.data, this.getSchema(options.optionCount));
+        result.errors = validation.errors;
+        result.warnings = validation.warnings;
+        result.data = this.sanitize(parsed.data, validation.errors);
+        result.valid = result.errors.length === 0;
+
+        return result;
+    }
+
+    /**
+     * 容错解析：先按原样解析，失败后修复再解析
+     */
+    parse(raw) {
+        const text = this.extractJSONText(raw || '');
+
+        try {
+            return { data: JSON.parse(text), repairs: [], error: null };
+        } catch (e) {
+            const repaired = this.repairJSON(text);
+            try {
+                const data = JSON.parse(repaired.text);
+                console.warn('[响应校验] JSON已自动修复:', repaired.repairs.join('；'));
+                return { data: data, repairs: repaired.repairs, error: null };
+            } catch (e2) {
+                return { data: null, repairs: repaired.repairs, error: e.message };
+            }
+        }
+    }
+
+    /**
+     * 提取JSON文本：优先代码块（允许代码块未闭合），否则从第一个 { 开始
+     */
+    extractJSONText(raw) {
+        const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/);
+        if (fenced && fenced[1].includes('{')) {
+            return fenced[1].trim();
+        }
+
+        const start = raw.indexOf('{');
+        return start === -1 ? raw.trim() : raw.slice(start).trim();
+    }
+
+    /**
+     * 修复常见的JSON损坏
+     * - 尾逗号：{"a": 1,} / [1, 2,]
+     * - 字符串中未转义的引号和换行
+     * - 字符串之间缺少逗号（换行分隔）
+     * - 输出被截断：补全字符串、去掉悬空的键、补齐括号
+     */
+    repairJSON(text) {
+        const repairs = new Set();
+        const stack = [];
+        let out = '';
+        let inString = false;
+        let i = 0;
+
+        const start = text.indexOf('{');
+        if (start > 0) text = text.slice(start);
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (inString) {
+                if (ch === '\\') {
+                    if (i + 1 < text.length) {
+                        out += ch + text[i + 1];
+                    }
+                    i += 2;
+                    continue;
+                }
+
+                if (ch === '"') {
+                    // 判断是字符串结束还是正文中未转义的引号
+                    let j = i + 1;
+                    while (j < text.length && /\s/.test(text[j])) j++;
+                    const next = text[j];
+                    const gap = text.slice(i + 1, j);
+
+                    if (next === undefined || ',:}]'.includes(next)) {
+                        inString = false;
+                        out += ch;
+                    } else if (next === '"' && gap.includes('\n')) {
+                        inString = false;
+                        out += ch + ',';
+                        repairs.add('补充缺失的逗号');
+                    } else {
+                        out += '\\"';
+                        repairs.add('转义字符串中的引号');
+                    }
+                    i++;
+                    continue;
+                }
+
+                if (ch === '\n' || ch === '\r' || ch === '\t') {
+                    out += ch === '\n' ? '\\n' : ch === '\r' ? '\\r' : '\\t';
+                    repairs.add('转义字符串中的换行');
+                    i++;
+                    continue;
+                }
+
+                out += ch;
+                i++;
+                continue;
+            }
+
+            if (ch === '"') {
+                inString = true;
+                out += ch;
+            } else if (ch === '{' || ch === '[') {
+                stack.push(ch);
+                out += ch;
+            } else if (ch === '}' || ch === ']') {
+                if (/,\s*$/.test(out)) {
+                    out = out.replace(/,\s*$/, '');
+                    repairs.add('移除尾逗号');
+                }
+                const open = stack.pop();
+                out += open === '[' ? ']' : '}';
+                if (stack.length === 0) {
+                    // 顶层对象已结束，忽略之后的多余文本
+                    break;
+                }
+            } else {
+                out += ch;
+            }
+            i++;
+        }
+
+        if (inString || stack.length > 0) {
+            repairs.add('补全被截断的输出');
+
+            if (inString) {
+                // 去掉被截断的转义序列
+                out = out.replace(/\\u[0-9a-fA-F]{0,3}$/, '').replace(/(^|[^\\])\\$/, '$1');
+                out += '"';
+            }
+
+            out = this.trimDanglingTail(out, stack);
+
+            while (stack.length > 0) {
+                out += stack.pop() === '[' ? ']' : '}';
+            }
+        }
+
+        return { text: out, repairs: Array.from(repairs) };
+    }
+
+    /**
+     * 截断补全时去掉末尾不完整的部分（悬空的逗号、键、冒号、不完整的字面量）
+     */
+    trimDanglingTail(out, stack) {
+        const STRING = '"(?:[^"\\\\]|\\\\.)*"';
+        let previous;
+
+        do {
+            previous = out;
+            out = out.replace(/\s+$/, '');
+            out = out.replace(/,$/, '');
+            out = out.replace(/:\s*(?:t|tr|tru|f|fa|fal|fals|n|nu|nul|-)$/, ':');
+            out = out.replace(/(\d)\.$/, '$1');
+            out = out.replace(new RegExp(STRING + '\\s*:$'), '');
+
+            // 对象中只写了键名
+            if (stack[stack.length - 1] === '{') {
+                out = out.replace(new RegExp('([{,])\\s*' + STRING + '$'), '$1');
+            }
+        } while (out !== previous);
+
+        return out;
+    }
+
+    /**
+     * 按选项数量调整后的结构定义（数量不变时直接返回原定义）
+     */
+    getSchema(optionCount) {
+        const options = this.schema.properties.options;
+        if (!Number.isInteger(optionCount) || !options || (options.minItems === optionCount && options.maxItems === optionCount)) {
+            return this.schema;
+        }
+        return {
+            ...this.schema,
+            properties: { ...this.schema.properties, options: { ...options, minItems: optionCount, maxItems: optionCount } }
+        };
+    }
+
+    /**
+     * 按结构定义校验数据（会就地把数值字符串转换为数字）
+     */
+    validate(data, schema = this.schema) {
+        const result = { errors: [], warnings: [] };
+        this.validateNode(data, schema, '', result, 'error');
+        return result;
+    }
+
+    validateNode(value, schema, path, result, level) {
+        if (schema.level) level = schema.level;
+        const report = (code, message) => {
+            const entry = { path: path || '(root)', code: code, message: message };
+            (level === 'warning' ? result.warnings : result.errors).push(entry);
+        };
+
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        let actual = this.typeOf(value);
+
+        if (!types.includes(actual)) {
+            const coerced = types.includes('number') ? this.coerceNumber(value) : null;
+            if (coerced !== null) {
+                result.warnings.push({ path: path, code: 'coerced', message: `已将"${value}"转换为数值` });
+                value = coerced;
+                actual = 'number';
+            } else {
+                report('type', `应为${types.map(t => this.typeLabel(t)).join('或')}，实际为${this.describeValue(value)}`);
+                return value;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            report('enum', `取值"${value}"无效，必须是：${schema.enum.join('、')}之一`);
+        }
+
+        if (actual === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+            report('empty', '不能为空');
+        }
+
+        if (actual === 'array') {
+            if (schema.minItems !== undefined && schema.maxItems !== undefined &&
+                schema.minItems === schema.maxItems && value.length !== schema.minItems) {
+                report('count', `必须恰好${schema.minItems}个，实际${value.length}个`);
+            } else if (schema.minItems !== undefined && value.length < schema.minItems) {
+                report('count', `至少需要${schema.minItems}个，实际${value.length}个`);
+            } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                report('count', `最多${schema.maxItems}个，实际${value.length}个`);
+            }
+
+            if (schema.items) {
+                for (let i = 0; i < value.length; i++) {
+                    value[i] = this.validateNode(value[i], schema.items, `${path}[${i}]`, result, level);
+                }
+            }
+        }
+
+        if (actual === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null) {
+                    const itemName = value.name ? `（${value.name}）` : '';
+                    const entry = { path: this.joinPath(path, key), code: 'required', message: `缺少必填字段${itemName}` };
+                    (level === 'warning' ? result.warnings : result.errors).push(entry);
+                }
+            });
+
+            Object.keys(value).forEach(key => {
+                const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+                if (childSchema && value[key] !== undefined) {
+                    value[key] = this.validateNode(value[key], childSchema, this.joinPath(path, key), result, level);
+                }
+            });
+        }
+
+        return value;
+    }
+
+    /**
+     * 移除类型错误的变量字段，避免把非法值写入角色状态（未返回的字段保持原值）
+     */
+    sanitize(data, errors) {
+        errors
+            .filter(e => e.code === 'type' && e.path.startsWith('variables.'))
+            .forEach(e => {
+                const segments = e.path.replace(/\[(\d+)\]/g, '.$1').split('.');
+                const key = segments.pop();
+                const parent = segments.reduce((obj, seg) => (obj == null ? obj : obj[seg]), data);
+                if (parent && typeof parent === 'object' && !Array.isArray(parent)) {
+                    delete parent[key];
+                }
+            });
+        return data;
+    }
+
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'invalid';
+        return typeof value;
+    }
+
+    coerceNumber(value) {
+        if (typeof value !== 'string') return null;
+        const trimmed = value.trim();
+        if (!/^[+-]?\d+(\.\d+)?$/.test(trimmed)) return null;
+        return parseFloat(trimmed);
+    }
+
+    typeLabel(type) {
+        return { string: '文本', number: '数值', boolean: '布尔值', object: '对象', array: '数组', null: 'null' }[type] || type;
+    }
+
+    describeValue(value) {
+        if (value === undefined) return '缺失';
+        const text = JSON.stringify(value);
+        return text.length > 40 ? text.substring(0, 40) + '...' : text;
+    }
+
+    joinPath(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+
+    /**
+     * 生成发回给模型的修正提示
+     */
+    formatErrorsForRetry(result, maxErrors = 10) {
+        let text = '[格式校验未通过：上一次回复存在以下问题，请修正后重新输出完整的JSON（包含reasoning、variables、story、options），剧情保持不变即可]\n';
+        result.errors.slice(0, maxErrors).forEach((e, index) => {
+            text += `${index + 1}. ${e.path}：${e.message}\n`;
+        });
+        if (result.errors.length > maxErrors) {
+            text += `……另有${result.errors.length - maxErrors}个问题\n`;
+        }
+        return text.trim();
+    }
+
+    /**
+     * 记录一次响应结果
+     * attempt: 本轮的第几次尝试（0为首次）
+     */
+    recordAttempt(model, result, attempt = 0) {
+        const stats = this.getModelStats(model);
+        stats.attempts++;
+        if (attempt > 0) stats.retries++;
+
+        let status;
+        if (!result.data) {
+            status = 'unparseable';
+        } else if (!result.valid) {
+            status = 'invalid';
+        } else {
+            status = result.repaired ? 'repaired' : 'ok';
+        }
+        stats[status]++;
+
+        result.errors.forEach(e => {
+            // 数组下标归一化，便于按字段聚合
+            const key = `${e.path.replace(/\[\d+\]/g, '[]')}:${e.code}`;
+            stats.errorCounts[key] = (stats.errorCounts[key] || 0) + 1;
+        });
+
+        if (status === 'unparseable' || status === 'invalid' || status === 'repaired') {
+            this.failureLog.push({
+                timestamp: Date.now(),
+                model: model,
+                status: status,
+                attempt: attempt,
+                repairs: result.repairs,
+                errors: result.errors.slice(0, 10),
+                sample: (result.raw || '').substring(0, 300)
+            });
+            if (this.failureLog.length > this.maxLogSize) {
+                this.failureLog = this.failureLog.slice(-this.maxLogSize);
+            }
+        }
+
+        this.saveStats();
+        return status;
+    }
+
+    /**
+     * 记录重试耗尽仍未通过校验
+     */
+    recordGiveUp(model) {
+        this.getModelStats(model).gaveUp++;
+        this.saveStats();
+    }
+
+    getModelStats(model) {
+        if (!this.stats[model]) {
+            this.stats[model] = {
+                attempts: 0,
+                ok: 0,
+                repaired: 0,
+                invalid: 0,
+                unparseable: 0,
+                retries: 0,
+                gaveUp: 0,
+                errorCounts: {}
+            };
+        }
+        return this.stats[model];
+    }
+
+    /**
+     * 按失败率从高到低排列的模型统计
+     */
+    getStatsSummary() {
+        return Object.entries(this.stats)
+            .map(([model, s]) => ({
+                model: model,
+                ...s,
+                failureRate: s.attempts > 0 ? (s.invalid + s.unparseable) / s.attempts : 0,
+                topErrors: Object.entries(s.errorCounts).sort((a, b) => b[1] - a[1]).slice(0, 5)
+            }))
+            .sort((a, b) => b.failureRate - a.failureRate);
+    }
+
+    loadStats() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.stats = saved.stats || {};
+                this.failureLog = saved.failureLog || [];
+            }
+        } catch (error) {
+            console.error('[响应校验] 统计数据加载失败:', error);
+        }
+    }
+
+    saveStats() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                stats: this.stats,
+                failureLog: this.failureLog
+            }));
+        } catch (error) {
+            console.error('[响应校验] 统计数据保存失败:', error);
+        }
+    }
+
+    clearStats() {
+        this.stats = {};
+        this.failureLog = [];
+        this.saveStats();
+    }
+}
+
+// 创建全局实例
+window.responseValidator = new ResponseValidator();
+
+console.log('[响应校验] 已加载，使用方法：');
+console.log('1. window.responseValidator.parseAndValidate(text) - 容错解析并校验AI响应');
+console.log('2. window.responseValidator.getStatsSummary() - 查看各模型的格式失败统计');
+console.log('3. window.responseValidator.clearStats() - 清空统计');
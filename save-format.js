@@ -0,0 +1,345 @@
+/**
+ * 存档文件格式
+ * 存档带有明确的格式版本号（formatVersion），旧存档按迁移链逐级升级到当前版本；
+ * 导出文件外包一层校验信息（校验和、是否含向量记忆），导入时校验完整性，
+ * 较大的存档可以用 gzip 压缩导出（CompressionStream），向量记忆可以不导出、导入后根据对话历史重建
+ */
+
+class SaveFormat {
+    constructor() {
+        this.formatName = 'xiuxian-save';
+        this.currentVersion = 11;
+        this.compressThreshold = 1024 * 1024; // 超过1MB的导出询问是否压缩
+
+        // 迁移链：每一步把存档从 from 版本升级到 to 版本（直接修改传入的存档）
+        this.migrations = [
+            {
+                from: 1,
+                to: 2,
+                description: '补充向量记忆与动态世界字段',
+                migrate: data => {
+                    if (!Array.isArray(data.vectorEmbeddings)) {
+                        data.vectorEmbeddings = [];
+                    }
+                    if (!data.dynamicWorld || typeof data.dynamicWorld !== 'object') {
+                        data.dynamicWorld = {
+                            enabled: false,
+                            history: [],
+                            floor: 0,
+                            isProcessing: false
+                        };
+                    }
+                }
+            },
+            {
+                from: 2,
+                to: 3,
+                description: '补充待确认变更、检定种子、战斗与分支时间线字段',
+                migrate: data => {
+                    if (!Array.isArray(data.variableSnapshots)) data.variableSnapshots = [];
+                    if (!Array.isArray(data.pendingVariableChanges)) data.pendingVariableChanges = [];
+                    if (data.checkSeed === undefined) data.checkSeed = null;
+                    if (data.combat === undefined) data.combat = null;
+                    if (data.timeline === undefined) data.timeline = null;
+                }
+            },
+            {
+                from: 3,
+                to: 4,
+                description: '补充剧情摘要字段（读档后在后台重新生成）',
+                migrate: data => {
+                    if (!data.storySummaries || typeof data.storySummaries !== 'object') {
+                        data.storySummaries = { chapters: [], arcs: [] };
+                    }
+                }
+            },
+            {
+                from: 4,
+                to: 5,
+                description: '记录所用剧本包（之前的存档都使用内置修仙剧本）',
+                migrate: data => {
+                    if (!data.scenarioPack || !data.scenarioPack.id) {
+                        data.scenarioPack = { id: 'xiuxian', name: '修仙（默认）', version: '1.0.0' };
+                    }
+                }
+            },
+            {
+                from: 5,
+                to: 6,
+                description: '补充选项模板与玩法统计（之前的存档都使用默认的四选项模板）',
+                migrate: data => {
+                    if (!data.optionTemplate || !Array.isArray(data.optionTemplate.slots)) {
+                        data.optionTemplate = window.optionSlots.cloneBuiltin();
+                    }
+                    if (!Array.isArray(data.currentOptions)) data.currentOptions = [];
+                    if (!data.optionStats || typeof data.optionStats !== 'object') {
+                        data.optionStats = window.optionSlots.createStats();
+                    }
+                }
+            },
+            {
+                from: 6,
+                to: 7,
+                description: '补充历法状态（生日在下一次时间流逝时按当天确定，日程为空）',
+                migrate: data => {
+                    if (!data.calendar || !Array.isArray(data.calendar.events)) {
+                        data.calendar = window.gameCalendar.createState();
+                    }
+                }
+            },
+            {
+                from: 7,
+                to: 8,
+                description: '补充世界局势（空的世界状态，下一次动态世界推演时建立）',
+                migrate: data => {
+                    if (!data.dynamicWorld.world || !Array.isArray(data.dynamicWorld.world.events)) {
+                        data.dynamicWorld.world = window.worldState.createState();
+                    }
+                }
+            },
+            {
+                from: 8,
+                to: 9,
+                description: '补充炼制与交易状态（没有传授的配方和坊市）',
+                migrate: data => {
+                    if (!data.economy || !Array.isArray(data.economy.markets)) {
+                        data.economy = window.economy.createState();
+                    }
+                }
+            },
+            {
+                from: 9,
+                to: 10,
+                description: '补充人物关系网（NPC之间还没有关系，好感度从下一次变化开始记录）和人物记忆',
+                migrate: data => {
+                    if (!data.npcGraph || !Array.isArray(data.npcGraph.links)) {
+                        data.npcGraph = window.npcGraph.createState();
+                    }
+                    if (!Array.isArray(data.npcMemories)) data.npcMemories = [];
+                }
+            },
+            {
+                from: 10,
+                to: 11,
+                description: '补充地点名录（登记当前位置，路线从下一次换地点开始记录）',
+                migrate: data => {
+                    if (!data.locations || !Array.isArray(data.locations.places)) {
+                        data.locations = window.locationMap.createState();
+                        if (data.variables) window.locationMap.observe(data.locations, data.variables.location, 0);
+                    }
+                }
+            }
+        ];
+    }
+
+    /**
+     * 判断存档的格式版本（没有 formatVersion 的旧存档按字段推断）
+     */
+    detectVersion(data) {
+        if (Number.isInteger(data.formatVersion)) return data.formatVersion;
+        return data.vectorEmbeddings && data.dynamicWorld ? 2 : 1;
+    }
+
+    /**
+     * 把存档逐级升级到当前版本
+     * 返回 { data, fromVersion, applied: [迁移说明] }
+     */
+    migrate(data) {
+        const fromVersion = this.detectVersion(data);
+        if (fromVersion > this.currentVersion) {
+            throw new Error(`存档格式版本为${fromVersion}，当前游戏只支持到版本${this.currentVersion}，请更新游戏后再加载`);
+        }
+
+        const applied = [];
+        let version = fromVersion;
+        while (version < this.currentVersion) {
+            const step = this.migrations.find(m => m.from === version);
+            if (!step) {
+                throw new Error(`缺少从格式版本${version}升级的迁移步骤`);
+            }
+            step.migrate(data);
+            applied.push(`v${step.from}→v${step.to}：${step.description}`);
+            version = step.to;
+        }
+
+        data.formatVersion = this.currentVersion;
+        if (applied.length > 0) {
+            console.log(`[存档格式] 存档已从版本${fromVersion}升级到版本${this.currentVersion}：\n${applied.join('\n')}`);
+        }
+        return { data: data, fromVersion: fromVersion, applied: applied };
+    }
+
+    /**
+     * 检查存档必需的字段，返回错误列表
+     */
+    validate(data) {
+        const errors = [];
+        if (!data || typeof data !== 'object') {
+            return ['存档内容不是对象'];
+        }
+        if (!data.variables || typeof data.variables !== 'object') {
+            errors.push('缺少角色变量（variables）');
+        }
+        if (!Array.isArray(data.conversationHistory)) {
+            errors.push('缺少对话历史（conversationHistory）');
+        } else if (data.conversationHistory.some(entry => !entry || typeof entry.content !== 'string')) {
+            errors.push('对话历史中有损坏的消息');
+        }
+        if (data.variableSnapshots !== undefined && !Array.isArray(data.variableSnapshots)) {
+            errors.push('变量快照（variableSnapshots）不是数组');
+        }
+        return errors;
+    }
+
+    /**
+     * 去掉向量记忆（包括各分支保存的向量记忆），不修改原存档
+     */
+    stripEmbeddings(data) {
+        const { vectorEmbeddings, ...rest } = data;
+        if (rest.timeline && Array.isArray(rest.timeline.branches)) {
+            rest.timeline = {
+                ...rest.timeline,
+                branches: rest.timeline.branches.map(branch => {
+                    if (!branch.state) return branch;
+                    const { vectorEmbeddings: branchEmbeddings, ...state } = branch.state;
+                    return { ...branch, state: state };
+                })
+            };
+        }
+        return rest;
+    }
+
+    /**
+     * 计算校验和：优先使用 SHA-256，浏览器不支持时退回 FNV-1a
+     */
+    async checksum(text, algorithm) {
+        const subtle = typeof crypto !== 'undefined' ? crypto.subtle : null;
+        const useSha = algorithm ? algorithm === 'SHA-256' : !!subtle;
+
+        if (useSha) {
+            if (!subtle) return null;
+            const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+            const value = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+            return { algorithm: 'SHA-256', value: value };
+        }
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return { algorithm: 'FNV-1a', value: (hash >>> 0).toString(16).padStart(8, '0') };
+    }
+
+    supportsCompression() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    /**
+     * 打包导出文件
+     * options: { includeEmbeddings, compress }
+     * 返回 { blob, compressed, extension, size }
+     */
+    async pack(data, options = {}) {
+        const includeEmbeddings = options.includeEmbeddings !== false;
+        const payload = includeEmbeddings ? { ...data } : this.stripEmbeddings(data);
+        payload.formatVersion = this.currentVersion;
+
+        const payloadText = JSON.stringify(payload);
+        const envelope = {
+            format: this.formatName,
+            formatVersion: this.currentVersion,
+            exportedAt: Date.now(),
+            includesEmbeddings: includeEmbeddings,
+            checksum: await this.checksum(payloadText),
+            data: payload
+        };
+        const text = JSON.stringify(envelope, null, 2);
+
+        if (options.compress && this.supportsCompression()) {
+            const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+            const blob = await new Response(stream).blob();
+            return { blob: new Blob([blob], { type: 'application/gzip' }), compressed: true, extension: '.json.gz', size: blob.size };
+        }
+
+        const blob = new Blob([text], { type: 'application/json' });
+        return { blob: blob, compressed: false, extension: '.json', size: blob.size };
+    }
+
+    /**
+     * 读取导入的文件：自动识别 gzip，校验完整性并迁移到当前版本
+     * 返回 { data, fromVersion, applied, includesEmbeddings, verified, compressed }
+     * 文件损坏或格式不对时抛出带具体原因的错误
+     */
+    async unpack(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const compressed = bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+        let text;
+        if (compressed) {
+            if (!this.supportsCompression()) {
+                throw new Error('这是压缩存档（.json.gz），当前浏览器不支持解压，请换用新版浏览器');
+            }
+            try {
+                const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+                text = await new Response(stream).text();
+            } catch (error) {
+                throw new Error('解压失败，压缩文件已损坏或不完整');
+            }
+        } else {
+            text = new TextDecoder().decode(bytes);
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`文件不是有效的JSON，可能已损坏或被截断（${error.message}）`);
+        }
+
+        let data = parsed;
+        let includesEmbeddings = Array.isArray(parsed && parsed.vectorEmbeddings) && parsed.vectorEmbeddings.length > 0;
+        let verified = false;
+
+        if (parsed && parsed.format === this.formatName) {
+            if (!parsed.data || typeof parsed.data !== 'object') {
+                throw new Error('存档文件缺少存档内容（data）');
+            }
+            data = parsed.data;
+            includesEmbeddings = parsed.includesEmbeddings !== false;
+
+            if (parsed.checksum && parsed.checksum.value) {
+                const actual = await this.checksum(JSON.stringify(data), parsed.checksum.algorithm);
+                if (!actual) {
+                    console.warn(`[存档格式] 当前环境无法计算${parsed.checksum.algorithm}，跳过完整性校验`);
+                } else if (actual.value !== parsed.checksum.value) {
+                    throw new Error(`存档校验失败：文件内容与校验和不一致（${parsed.checksum.algorithm}），文件可能已损坏或被修改`);
+                } else {
+                    verified = true;
+                }
+            }
+        }
+
+        const errors = this.validate(data);
+        if (errors.length > 0) {
+            throw new Error(`存档文件格式错误：${errors.join('；')}`);
+        }
+
+        const result = this.migrate(data);
+        return {
+            data: result.data,
+            fromVersion: result.fromVersion,
+            applied: result.applied,
+            includesEmbeddings: includesEmbeddings,
+            verified: verified,
+            compressed: compressed
+        };
+    }
+}
+
+// 创建全局实例
+window.saveFormat = new SaveFormat();
+
+console.log('[存档格式] 已加载，使用方法：');
+console.log('1. window.saveFormat.migrate(存档) - 把旧存档逐级升级到当前格式版本');
+console.log('2. window.saveFormat.pack(存档, { includeEmbeddings, compress }) / unpack(文件) - 导出与导入存档文件');
@@ -0,0 +1,454 @@
+/**
+ * 增量存档存储
+ * 存档拆分为一个头记录（game_saves）和若干按回合追加的记录：
+ * 对话（save_turns）、变量快照差异（save_snapshots）、向量记忆（save_embeddings）、其他分支的状态（save_branches）。
+ * 每次保存只写入自上次保存以来新增或改动的记录，不再整体重写整个存档
+ */
+
+class SaveStore {
+    constructor() {
+        this.layoutVersion = 3;
+        this.stores = {
+            header: 'game_saves',
+            turns: 'save_turns',
+            snapshots: 'save_snapshots',
+            embeddings: 'save_embeddings',
+            branches: 'save_branches'
+        };
+        // 每个存档槽已写入数据库的内容（按对象引用比较），用于计算增量
+        this.cache = new Map();
+    }
+
+    get allStores() {
+        return Object.values(this.stores);
+    }
+
+    /**
+     * 数据库升级：建立新的对象存储，并把旧版（整体保存）的存档拆分为新结构
+     * 在 indexedDB.open 的 onupgradeneeded 中调用
+     */
+    upgrade(db, transaction, oldVersion) {
+        if (!db.objectStoreNames.contains(this.stores.header)) {
+            const headerStore = db.createObjectStore(this.stores.header, { keyPath: 'id', autoIncrement: true });
+            headerStore.createIndex('saveName', 'saveName', { unique: false });
+            headerStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(this.stores.turns)) {
+            db.createObjectStore(this.stores.turns, { keyPath: ['saveId', 'index'] });
+        }
+        if (!db.objectStoreNames.contains(this.stores.snapshots)) {
+            db.createObjectStore(this.stores.snapshots, { keyPath: ['saveId', 'index'] });
+        }
+        if (!db.objectStoreNames.contains(this.stores.embeddings)) {
+            db.createObjectStore(this.stores.embeddings, { keyPath: ['saveId', 'turnIndex'] });
+        }
+        if (!db.objectStoreNames.contains(this.stores.branches)) {
+            db.createObjectStore(this.stores.branches, { keyPath: ['saveId', 'branchId'] });
+        }
+
+        if (oldVersion > 0 && oldVersion < this.layoutVersion) {
+            this.migrateLegacySaves(transaction);
+        }
+    }
+
+    /**
+     * 把旧版整体存档逐个拆分为头记录 + 追加记录
+     */
+    migrateLegacySaves(transaction) {
+        const headerStore = transaction.objectStore(this.stores.header);
+        let migrated = 0;
+
+        headerStore.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                if (migrated > 0) console.log(`[存档] 已将${migrated}个旧版存档迁移为增量格式`);
+                return;
+            }
+
+            const record = cursor.value;
+            if (Array.isArray(record.conversationHistory)) {
+                const plan = this.planSave(null, record);
+                plan.header.id = record.id;
+                plan.header.timestamp = record.timestamp;
+                cursor.update(plan.header);
+                this.writeRecords(transaction, record.id, plan);
+                migrated++;
+            }
+            cursor.continue();
+        };
+    }
+
+    /**
+     * 保存存档，返回存档 id
+     * data 的结构与旧版整体存档相同（variables、conversationHistory、variableSnapshots、vectorEmbeddings、timeline 等）
+     */
+    save(db, saveName, data) {
+        let plan = this.planSave(saveName, data);
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.allStores, 'readwrite');
+            const headerStore = transaction.objectStore(this.stores.header);
+            let saveId = null;
+
+            const getRequest = headerStore.index('saveName').get(saveName);
+            getRequest.onsuccess = () => {
+                const existing = getRequest.result;
+                if (existing) {
+                    plan.header.id = existing.id;
+                } else if (!plan.full) {
+                    // 数据库中已没有这个存档（例如被删除），缓存失效，改为完整写入
+                    this.cache.delete(saveName);
+                    plan = this.planSave(saveName, data);
+                }
+
+                const putRequest = headerStore.put(plan.header);
+                putRequest.onsuccess = () => {
+                    saveId = putRequest.result;
+                    this.writeRecords(transaction, saveId, plan);
+                };
+            };
+
+            transaction.oncomplete = () => resolve(saveId);
+            transaction.onerror = () => {
+                this.cache.delete(saveName);
+                reject(transaction.error);
+            };
+            transaction.onabort = () => {
+                this.cache.delete(saveName);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * 计算本次保存需要写入的内容，并更新缓存
+     * saveName 为 null 时（迁移旧存档）总是完整写入
+     */
+    planSave(saveName, data) {
+        const cached = saveName !== null ? this.cache.get(saveName) : null;
+        const history = data.conversationHistory || [];
+        const snapshots = data.variableSnapshots || [];
+        const embeddings = data.vectorEmbeddings || [];
+        const timeline = data.timeline || null;
+
+        const plan = {
+            full: !cached,
+            header: this.buildHeader(saveName !== null ? saveName : data.saveName, data, history, snapshots, embeddings, timeline),
+            turnsFrom: 0,
+            turns: [],
+            snapshotsFrom: 0,
+            snapshots: [],
+            embeddings: [],
+            removedEmbeddings: [],
+            branches: [],
+            removedBranches: []
+        };
+
+        // 对话：从第一条不同的消息开始重写（通常只有末尾新增的一两条）
+        plan.turnsFrom = cached ? this.firstDivergence(cached.turns, history, entry => entry.content) : 0;
+        for (let i = plan.turnsFrom; i < history.length; i++) {
+            plan.turns.push({ index: i, role: history[i].role, content: history[i].content });
+        }
+
+        // 快照：第一条保存完整变量，之后保存与上一条的差异
+        plan.snapshotsFrom = cached ? this.firstDivergence(cached.snapshots, snapshots, null) : 0;
+        for (let i = plan.snapshotsFrom; i < snapshots.length; i++) {
+            plan.snapshots.push(i === 0
+                ? { index: 0, full: snapshots[0] }
+                : { index: i, diff: this.diffSnapshot(snapshots[i - 1], snapshots[i]) });
+        }
+
+        // 向量记忆：按轮次写入新增或被覆盖的记录
+        const embeddingRefs = new Map();
+        embeddings.forEach(entry => {
+            if (typeof entry.turnIndex !== 'number') return;
+            embeddingRefs.set(entry.turnIndex, entry);
+            if (!cached || cached.embeddings.get(entry.turnIndex) !== entry) {
+                plan.embeddings.push(entry);
+            }
+        });
+        if (cached) {
+            cached.embeddings.forEach((entry, turnIndex) => {
+                if (!embeddingRefs.has(turnIndex)) plan.removedEmbeddings.push(turnIndex);
+            });
+        }
+
+        // 其他分支：分支状态只在分出或切换时整体替换，按引用判断是否需要重写
+        const branchRefs = new Map();
+        if (timeline) {
+            timeline.branches.forEach(branch => {
+                if (!branch.state) return;
+                branchRefs.set(branch.id, branch.state);
+                if (!cached || cached.branches.get(branch.id) !== branch.state) {
+                    plan.branches.push({ branchId: branch.id, state: branch.state });
+                }
+            });
+        }
+        if (cached) {
+            cached.branches.forEach((state, branchId) => {
+                if (!branchRefs.has(branchId)) plan.removedBranches.push(branchId);
+            });
+        }
+
+        if (saveName !== null) {
+            this.cache.set(saveName, {
+                turns: history.map(entry => ({ ref: entry, value: entry.content })),
+                snapshots: snapshots.map(entry => ({ ref: entry, value: null })),
+                embeddings: embeddingRefs,
+                branches: branchRefs
+            });
+        }
+
+        return plan;
+    }
+
+    buildHeader(saveName, data, history, snapshots, embeddings, timeline) {
+        return {
+            saveName: saveName,
+            timestamp: Date.now(),
+            layoutVersion: this.layoutVersion,
+            formatVersion: data.formatVersion,
+            scenarioPack: this.clone(data.scenarioPack || null),
+            turnCount: history.length,
+            snapshotCount: snapshots.length,
+            embeddingCount: embeddings.length,
+            variables: this.clone(data.variables),
+            pendingVariableChanges: this.clone(data.pendingVariableChanges || []),
+            checkSeed: data.checkSeed,
+            combat: this.clone(data.combat || null),
+            optionTemplate: this.clone(data.optionTemplate || null),
+            currentOptions: this.clone(data.currentOptions || []),
+            optionStats: this.clone(data.optionStats || null),
+            calendar: this.clone(data.calendar || null),
+            economy: this.clone(data.economy || null),
+            npcGraph: this.clone(data.npcGraph || null),
+            locations: this.clone(data.locations || null),
+            // 分支状态单独存放，头记录只保留分支信息
+            timeline: timeline ? {
+                activeBranchId: timeline.activeBranchId,
+                branches: timeline.branches.map(({ state, ...meta }) => this.clone(meta))
+            } : null,
+            isGameStarted: data.isGameStarted,
+            characterInfo: this.clone(data.characterInfo),
+            dynamicWorld: this.clone(data.dynamicWorld),
+            storySummaries: this.clone(data.storySummaries || null),
+            npcMemories: this.clone(data.npcMemories || [])
+        };
+    }
+
+    /**
+     * 在事务中写入计划好的记录
+     */
+    writeRecords(transaction, saveId, plan) {
+        const turnStore = transaction.objectStore(this.stores.turns);
+        const snapshotStore = transaction.objectStore(this.stores.snapshots);
+        const embeddingStore = transaction.objectStore(this.stores.embeddings);
+        const branchStore = transaction.objectStore(this.stores.branches);
+
+        if (plan.full) {
+            this.allStores.slice(1).forEach(name => {
+                transaction.objectStore(name).delete(this.saveRange(saveId));
+            });
+        } else {
+            // 删除被改写部分的旧记录（历史被截断、重新生成等）
+            turnStore.delete(IDBKeyRange.bound([saveId, plan.turnsFrom], [saveId, Infinity]));
+            snapshotStore.delete(IDBKeyRange.bound([saveId, plan.snapshotsFrom], [saveId, Infinity]));
+            plan.removedEmbeddings.forEach(turnIndex => embeddingStore.delete([saveId, turnIndex]));
+            plan.removedBranches.forEach(branchId => branchStore.delete([saveId, branchId]));
+        }
+
+        plan.turns.forEach(turn => turnStore.put({ saveId: saveId, ...turn }));
+        plan.snapshots.forEach(snapshot => snapshotStore.put({ saveId: saveId, ...snapshot }));
+        plan.embeddings.forEach(entry => embeddingStore.put({ saveId: saveId, turnIndex: entry.turnIndex, embedding: entry }));
+        plan.branches.forEach(branch => branchStore.put({ saveId: saveId, branchId: branch.branchId, state: branch.state }));
+    }
+
+    /**
+     * 读取存档，key 为存档 id（数字）或存档名
+     * 返回与旧版整体存档结构相同的对象，不存在时返回 null
+     */
+    load(db, key) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.allStores, 'readonly');
+            const headerStore = transaction.objectStore(this.stores.header);
+            const headerRequest = typeof key === 'number'
+                ? headerStore.get(key)
+                : headerStore.index('saveName').get(key);
+            const records = {};
+            let header = null;
+
+            headerRequest.onsuccess = () => {
+                header = headerRequest.result || null;
+
+                // 不存在，或是未迁移的旧版整体存档
+                if (!header || Array.isArray(header.conversationHistory)) return;
+
+                const range = this.saveRange(header.id);
+                this.allStores.slice(1).forEach(name => {
+                    const request = transaction.objectStore(name).getAll(range);
+                    request.onsuccess = () => {
+                        records[name] = request.result;
+                    };
+                });
+            };
+
+            transaction.oncomplete = () => {
+                if (!header || Array.isArray(header.conversationHistory)) {
+                    resolve(header);
+                    return;
+                }
+
+                const data = this.assemble(header, records);
+                this.primeCache(header.saveName, data);
+                resolve(data);
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * 由头记录和追加记录还原完整存档
+     */
+    assemble(header, records) {
+        const { layoutVersion, turnCount, snapshotCount, embeddingCount, ...data } = header;
+        const byIndex = (a, b) => a.index - b.index;
+
+        data.conversationHistory = (records[this.stores.turns] || [])
+            .sort(byIndex)
+            .map(turn => ({ role: turn.role, content: turn.content }));
+
+        data.variableSnapshots = [];
+        (records[this.stores.snapshots] || []).sort(byIndex).forEach(record => {
+            const previous = data.variableSnapshots[data.variableSnapshots.length - 1];
+            data.variableSnapshots.push(record.full !== undefined || !previous
+                ? (record.full || {})
+                : this.applySnapshotDiff(previous, record.diff));
+        });
+
+        data.vectorEmbeddings = (records[this.stores.embeddings] || [])
+            .sort((a, b) => a.turnIndex - b.turnIndex)
+            .map(record => record.embedding);
+
+        if (data.timeline) {
+            const states = new Map((records[this.stores.branches] || []).map(record => [record.branchId, record.state]));
+            data.timeline.branches.forEach(branch => {
+                branch.state = branch.id === data.timeline.activeBranchId ? null : (states.get(branch.id) || null);
+            });
+        }
+
+        return data;
+    }
+
+    /**
+     * 读取后记录当前内容，之后的保存只写入变化部分
+     */
+    primeCache(saveName, data) {
+        this.cache.set(saveName, {
+            turns: data.conversationHistory.map(entry => ({ ref: entry, value: entry.content })),
+            snapshots: data.variableSnapshots.map(entry => ({ ref: entry, value: null })),
+            embeddings: new Map(data.vectorEmbeddings.map(entry => [entry.turnIndex, entry])),
+            branches: new Map(data.timeline
+                ? data.timeline.branches.filter(b => b.state).map(b => [b.id, b.state])
+                : [])
+        });
+    }
+
+    /**
+     * 列出所有存档的头记录
+     */
+    list(db) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.stores.header], 'readonly');
+            const request = transaction.objectStore(this.stores.header).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 删除存档及其所有追加记录
+     */
+    remove(db, saveId) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.allStores, 'readwrite');
+            transaction.objectStore(this.stores.header).delete(saveId);
+            this.allStores.slice(1).forEach(name => {
+                transaction.objectStore(name).delete(this.saveRange(saveId));
+            });
+
+            transaction.oncomplete = () => {
+                // 存档名与 id 的对应关系已不可知，清空缓存，下次保存时完整写入
+                this.cache.clear();
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * 清空所有存档
+     */
+    clear(db) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.allStores, 'readwrite');
+            this.allStores.forEach(name => transaction.objectStore(name).clear());
+
+            transaction.oncomplete = () => {
+                this.cache.clear();
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * 找到第一条与已保存内容不同的位置（按对象引用，value 用于识别原地修改的文本）
+     */
+    firstDivergence(cachedList, list, valueOf) {
+        const length = Math.min(cachedList.length, list.length);
+        for (let i = 0; i < length; i++) {
+            if (cachedList[i].ref !== list[i]) return i;
+            if (valueOf && cachedList[i].value !== valueOf(list[i])) return i;
+        }
+        return length;
+    }
+
+    /**
+     * 快照差异：按顶层字段记录变化
+     */
+    diffSnapshot(previous, next) {
+        const diff = { set: {}, unset: [] };
+        Object.keys(next).forEach(key => {
+            if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+                diff.set[key] = next[key];
+            }
+        });
+        Object.keys(previous).forEach(key => {
+            if (!(key in next)) diff.unset.push(key);
+        });
+        return diff;
+    }
+
+    applySnapshotDiff(previous, diff) {
+        const next = this.clone(previous);
+        Object.assign(next, this.clone(diff.set || {}));
+        (diff.unset || []).forEach(key => delete next[key]);
+        return next;
+    }
+
+    saveRange(saveId) {
+        // [saveId] 小于所有 [saveId, x]，数组键大于所有数字和字符串键
+        return IDBKeyRange.bound([saveId], [saveId, []]);
+    }
+
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+}
+
+// 创建全局实例
+window.saveStore = new SaveStore();
+
+console.log('[增量存档] 已加载，使用方法：');
+console.log('1. window.saveStore.save(db, 存档名, 数据) - 只写入变化的部分');
+console.log('2. window.saveStore.load(db, 存档id或存档名) - 还原完整存档');
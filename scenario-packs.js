@@ -0,0 +1,565 @@
+/**
+ * 剧本包
+ * 角色创建与规则相关的数据（属性名、难度点数、出身、天赋、装备栏、境界阶梯、开局提示模板）由剧本包（JSON）定义，
+ * 换一个剧本包就能玩别的设定（其他宗门、无修炼的武侠、都市修仙等）；内置的“修仙”剧本即原来的默认规则。
+ * 导入的剧本包和当前选用的剧本保存在 localStorage 中，存档记录所用剧本的 id 和版本
+ *
+ * 剧本包格式（除 id、name、attributes、origins 外都可以省略，省略时沿用内置剧本）：
+ * {
+ *   "format": "xiuxian-scenario-pack", "id": "wuxia", "name": "武侠江湖", "version": "1.0.0", "description": "...",
+ *   "attributes": [{ "id": "physique", "name": "筋骨", "icon": "💪", "description": "..." }],
+ *   "attributeTitle": "六维属性", "baseAttributeValue": 10, "minAttributeValue": 5,
+ *   "difficulties": [{ "id": "normal", "name": "普通", "icon": "⚔️", "points": 100, "description": "..." }],
+ *   "origins": [{ "id", "name", "description", "pointsModifier", "attributeEffects": { 属性id: 数值 } }],
+ *   "talents": [{ "id", "name", "type": "positive|negative", "cost", "description", "effects": { 属性id|karmaFortune|karmaPunishment: 数值 } }],
+ *   "equipmentSlots": [{ "id": "head", "name": "头部", "type": "装备-头部" }],
+ *   "realms": ["炼气期", "筑基期"] 或带细节的境界阶梯：
+ *     [{ "name": "筑基期", "stages": ["初期", "中期", "后期", "大圆满"], "progress": 每个小境界的修为上限（逐级提高20%）,
+ *        "lifespan": 寿元上限（null 为不限）, "chance": 从上一境界突破进来的成功率, "stageChance": 境界内小突破的成功率,
+ *        "gains": { "hpMax" | "mpMax" | 属性id: 突破进入该境界时的成长 }, "stageGains": { 小突破的成长 },
+ *        "pills": { "筑基丹": 成功率加成 }, "tribulation": { "name": "雷劫", "chance": 渡劫成功率, "damage": 失败损失的体力百分比 } }],
+ *   "combatAttributes": { "physique": 属性id, "fortune", "comprehension", "spirit", "potential" },
+ *   "calendar": { "eras": [{ "name": "天元历", "start": 该纪元元年对应的绝对年份 }], "monthsPerYear": 12, "daysPerMonth": 30,
+ *                 "hpRegenPerDay": 每天恢复体力上限的百分比, "mpRegenPerDay": 每天恢复法力上限的百分比,
+ *                 "defaultElapsed": "AI未声明耗时时每回合经过的时间，如“一个时辰”",
+ *                 "events": [{ "title": "宗门大比", "date": "每年9月9日" | "3月15日 午时", "description": "..." }] },
+ *   "crafting": { "arts": [{ "id": "alchemy", "name": "炼丹", "attribute": 判定属性id, "duration": "每次炼制耗时，如“一日”" }],
+ *                 "recipes": [{ "name": "回春丹", "art": 技艺id, "materials": [{ "name": "灵草", "count": 2 }],
+ *                               "result": { "name": "回春丹", "type": "丹药", "count": 2, "effects": { "hp": 50 } },
+ *                               "difficulty": 0-100, "duration": "（可选）耗时", "spiritStones": 额外消耗的灵石 }] }（见 economy.js），
+ *   "initPrompt": "开局提示模板，可用 {name} {age} {gender} {personality} {origin} {difficulty} {talents} {customSettings}",
+ *   "systemPrompt": "（可选）替换设置中的系统提示词"
+ * }
+ */
+
+const BUILTIN_PACK = {
+    format: 'xiuxian-scenario-pack',
+    id: 'xiuxian',
+    name: '修仙（默认）',
+    version: '1.0.0',
+    description: '内置的修仙世界规则：六维属性、七种出身、正负天赋与三个法宝位',
+    attributes: [
+        { id: 'physique', name: '根骨', icon: '💪', description: '肉身强度、炼体、承受伤害相关' },
+        { id: 'fortune', name: '气运', icon: '🍀', description: '机缘、宝物、奇遇相关' },
+        { id: 'comprehension', name: '悟性', icon: '🧠', description: '参悟功法、学习术法、理解相关' },
+        { id: 'spirit', name: '神识', icon: '👁️', description: '感知、控制法宝、识破幻境相关' },
+        { id: 'potential', name: '潜力', icon: '⚡', description: '突破境界、修炼速度、成长相关' },
+        { id: 'charisma', name: '魅力', icon: '✨', description: '社交、魅惑、说服相关' }
+    ],
+    attributeTitle: '六维属性',
+    baseAttributeValue: 10, // 分配点数前的基础属性
+    minAttributeValue: 5,   // 分配点数时属性的下限
+    difficulties: [
+        { id: 'easy', name: '简单', icon: '🌸', points: 200, description: '适合新手，充足的成长空间' },
+        { id: 'normal', name: '普通', icon: '⚔️', points: 100, description: '平衡的挑战体验' },
+        { id: 'hard', name: '困难', icon: '🔥', points: 50, description: '极限挑战，以弱胜强' }
+    ],
+    // 出身列表
+    origins: [
+        {
+            id: 'commoner',
+            name: '凡人',
+            description: '普通的凡人，一切从零开始',
+            pointsModifier: 0,
+            attributeEffects: {}
+        },
+        {
+            id: 'slave',
+            name: '奴隶',
+            description: '卑微的奴隶出身，饱受折磨但意志坚韧',
+            pointsModifier: 20,
+            attributeEffects: { physique: -5, spirit: 3, potential: -3, charisma: -5 }
+        },
+        {
+            id: 'noble',
+            name: '官宦世家',
+            description: '出身名门望族，从小锦衣玉食',
+            pointsModifier: -30,
+            attributeEffects: { fortune: 8, charisma: 8, physique: -3, spirit: 5 }
+        },
+        {
+            id: 'martial',
+            name: '武林侠客',
+            description: '行走江湖的侠客，身手不凡',
+            pointsModifier: -15,
+            attributeEffects: { physique: 8, spirit: 5, charisma: 3 }
+        },
+        {
+            id: 'outer_disciple',
+            name: '修仙外门弟子',
+            description: '修仙门派的外门弟子，已入修仙之门',
+            pointsModifier: -20,
+            attributeEffects: { comprehension: 5, potential: 5, spirit: 3, fortune: 3 }
+        },
+        {
+            id: 'inner_disciple',
+            name: '修仙内门弟子',
+            description: '修仙门派的内门弟子，天资优异',
+            pointsModifier: -40,
+            attributeEffects: { comprehension: 8, potential: 8, spirit: 8, fortune: 5, physique: 5 }
+        },
+        {
+            id: 'rogue_cultivator',
+            name: '散修',
+            description: '独自修炼的散修，自由但艰难',
+            pointsModifier: -10,
+            attributeEffects: { comprehension: 5, fortune: -3, spirit: 5, potential: 3 }
+        }
+    ],
+
+    // 天赋列表
+    talents: [
+        // 正面天赋（消耗点数）
+        {
+            id: 'genius',
+            name: '天赋异禀',
+            type: 'positive',
+            cost: -25,
+            description: '天生灵根超凡，修炼速度极快',
+            effects: { comprehension: 8, potential: 5 }
+        },
+        {
+            id: 'strong_body',
+            name: '先天道体',
+            type: 'positive',
+            cost: -20,
+            description: '天生道体，根骨绝佳',
+            effects: { physique: 10, spirit: 5 }
+        },
+        {
+            id: 'lucky_star',
+            name: '气运之子',
+            type: 'positive',
+            cost: -30,
+            description: '天生好运，容易获得机缘',
+            effects: { fortune: 15, charisma: 3 }
+        },
+        {
+            id: 'swift_comprehension',
+            name: '过目不忘',
+            type: 'positive',
+            cost: -18,
+            description: '悟性惊人，领悟力超群',
+            effects: { comprehension: 12 }
+        },
+        {
+            id: 'charm_master',
+            name: '倾国倾城',
+            type: 'positive',
+            cost: -20,
+            description: '容貌出众，魅力超群',
+            effects: { charisma: 10, fortune: 3 }
+        },
+        {
+            id: 'strong_spirit',
+            name: '神识过人',
+            type: 'positive',
+            cost: -22,
+            description: '神识强大，感知敏锐',
+            effects: { spirit: 12, comprehension: 3 }
+        },
+        // 负面天赋（增加点数）
+        {
+            id: 'weak_body',
+            name: '体弱多病',
+            type: 'negative',
+            cost: 12,
+            description: '身体虚弱，根骨欠佳',
+            effects: { physique: -8, spirit: -4 }
+        },
+        {
+            id: 'bad_luck',
+            name: '霉运缠身',
+            type: 'negative',
+            cost: 15,
+            description: '运气不佳，容易遇到麻烦',
+            effects: { fortune: -10 }
+        },
+        {
+            id: 'slow_mind',
+            name: '愚钝迟缓',
+            type: 'negative',
+            cost: 10,
+            description: '资质平庸，悟性较差',
+            effects: { comprehension: -8 }
+        },
+        {
+            id: 'weak_spirit',
+            name: '神识薄弱',
+            type: 'negative',
+            cost: 10,
+            description: '神识虚弱，感知迟钝',
+            effects: { spirit: -8 }
+        },
+        {
+            id: 'ugly',
+            name: '其貌不扬',
+            type: 'negative',
+            cost: 8,
+            description: '相貌平平，难以吸引他人',
+            effects: { charisma: -8 }
+        },
+        {
+            id: 'karma_debt',
+            name: '因果业障',
+            type: 'negative',
+            cost: 18,
+            description: '前世造孽，起始天谴值较高',
+            effects: { karmaPunishment: 30 }
+        }
+    ],
+    equipmentSlots: [
+        { id: 'head', name: '头部', type: '装备-头部' },
+        { id: 'clothes', name: '衣服', type: '装备-衣服' },
+        { id: 'feet', name: '脚部', type: '装备-脚部' },
+        { id: 'treasure1', name: '法宝1', type: '装备-法宝' },
+        { id: 'treasure2', name: '法宝2', type: '装备-法宝' },
+        { id: 'treasure3', name: '法宝3', type: '装备-法宝' }
+    ],
+    realms: [
+        { name: '炼气期', stages: ['一层', '二层', '三层', '四层', '五层', '六层', '七层', '八层', '九层'], progress: 100, lifespan: 120, chance: 100, stageChance: 90, gains: {}, stageGains: { hpMax: 10, mpMax: 10 } },
+        { name: '筑基期', stages: ['初期', '中期', '后期', '大圆满'], progress: 300, lifespan: 200, chance: 50, stageChance: 80, pills: { '筑基丹': 25 }, gains: { hpMax: 100, mpMax: 100, physique: 2, spirit: 2, potential: 1 }, stageGains: { hpMax: 20, mpMax: 20 } },
+        { name: '金丹期', stages: ['初期', '中期', '后期', '大圆满'], progress: 800, lifespan: 500, chance: 35, stageChance: 75, pills: { '凝金丹': 20 }, gains: { hpMax: 300, mpMax: 300, physique: 3, spirit: 3, comprehension: 1 }, stageGains: { hpMax: 50, mpMax: 50 }, tribulation: { name: '三九雷劫', chance: 70, damage: 60 } },
+        { name: '元婴期', stages: ['初期', '中期', '后期', '大圆满'], progress: 2000, lifespan: 1000, chance: 25, stageChance: 70, pills: { '化婴丹': 20 }, gains: { hpMax: 800, mpMax: 800, physique: 3, spirit: 5, comprehension: 2 }, stageGains: { hpMax: 120, mpMax: 120 }, tribulation: { name: '六九天劫', chance: 60, damage: 70 } },
+        { name: '化神期', stages: ['初期', '中期', '后期', '大圆满'], progress: 5000, lifespan: 2000, chance: 20, stageChance: 65, gains: { hpMax: 2000, mpMax: 2000, physique: 5, spirit: 5, comprehension: 3 }, stageGains: { hpMax: 300, mpMax: 300 }, tribulation: { name: '九九天劫', chance: 55, damage: 75 } },
+        { name: '合体期', stages: ['初期', '中期', '后期', '大圆满'], progress: 12000, lifespan: 4000, chance: 15, stageChance: 60, gains: { hpMax: 5000, mpMax: 5000, physique: 6, spirit: 6, potential: 2 }, stageGains: { hpMax: 800, mpMax: 800 }, tribulation: { name: '九重雷劫', chance: 50, damage: 80 } },
+        { name: '大乘期', stages: ['初期', '中期', '后期', '大圆满'], progress: 30000, lifespan: 8000, chance: 12, stageChance: 55, gains: { hpMax: 12000, mpMax: 12000, physique: 8, spirit: 8, comprehension: 4 }, stageGains: { hpMax: 2000, mpMax: 2000 }, tribulation: { name: '天人五衰劫', chance: 45, damage: 85 } },
+        { name: '渡劫期', stages: ['初期', '中期', '后期', '大圆满'], progress: 80000, lifespan: 15000, chance: 10, stageChance: 50, gains: { hpMax: 30000, mpMax: 30000, physique: 10, spirit: 10 }, stageGains: { hpMax: 5000, mpMax: 5000 }, tribulation: { name: '渡劫雷劫', chance: 40, damage: 90 } },
+        { name: '真仙', stages: [], progress: 200000, lifespan: null, chance: 5, stageChance: 50, gains: { hpMax: 100000, mpMax: 100000, physique: 20, spirit: 20, potential: 10 }, stageGains: {}, tribulation: { name: '飞升仙劫', chance: 30, damage: 95 } }
+    ],
+    // 战斗数值由哪些属性推导（见 combat-engine.js 的 getPlayerStats）
+    combatAttributes: { physique: 'physique', fortune: 'fortune', comprehension: 'comprehension', spirit: 'spirit', potential: 'potential' },
+    // 历法（见 calendar.js）：开局日期由AI设定，之后按每回合声明的耗时推进
+    calendar: {
+        eras: [{ name: '天元历', start: 1 }],
+        monthsPerYear: 12,
+        daysPerMonth: 30,
+        hpRegenPerDay: 20,
+        mpRegenPerDay: 30,
+        defaultElapsed: '一个时辰',
+        events: []
+    },
+    // 炼制（见 economy.js）：炼丹靠神识控火，炼器靠悟性；配方之外的可由AI在剧情中传授
+    crafting: {
+        arts: [
+            { id: 'alchemy', name: '炼丹', attribute: 'spirit', duration: '一日' },
+            { id: 'forging', name: '炼器', attribute: 'comprehension', duration: '三日' }
+        ],
+        recipes: [
+            { name: '回春丹', art: 'alchemy', materials: [{ name: '灵草', count: 2 }], result: { name: '回春丹', type: '丹药', count: 2, effects: { hp: 50 } }, difficulty: 10 },
+            { name: '回灵丹', art: 'alchemy', materials: [{ name: '灵草', count: 1 }, { name: '灵泉水', count: 1 }], result: { name: '回灵丹', type: '丹药', count: 2, effects: { mp: 50 } }, difficulty: 15 },
+            { name: '聚气丹', art: 'alchemy', materials: [{ name: '灵草', count: 3 }, { name: '妖兽内丹', count: 1 }], result: { name: '聚气丹', type: '丹药', count: 1, effects: { cultivationProgress: 30 } }, difficulty: 25 },
+            { name: '筑基丹', art: 'alchemy', materials: [{ name: '筑基灵根草', count: 1 }, { name: '灵草', count: 5 }], result: { name: '筑基丹', type: '丹药', count: 1, effects: { breakthrough: 25 } }, difficulty: 45, duration: '七日', spiritStones: 50 },
+            { name: '玄铁剑', art: 'forging', materials: [{ name: '玄铁', count: 3 }], result: { name: '玄铁剑', type: '装备-法宝', count: 1, effects: { physique: 2 } }, difficulty: 15, spiritStones: 10 },
+            { name: '灵蚕法衣', art: 'forging', materials: [{ name: '灵蚕丝', count: 4 }], result: { name: '灵蚕法衣', type: '装备-衣服', count: 1, effects: { spirit: 2 } }, difficulty: 20, spiritStones: 10 },
+            { name: '神行靴', art: 'forging', materials: [{ name: '妖兽皮', count: 2 }, { name: '风灵石', count: 1 }], result: { name: '神行靴', type: '装备-脚部', count: 1, effects: { fortune: 1, physique: 1 } }, difficulty: 25, spiritStones: 20 }
+        ]
+    },
+    initPrompt: '开始游戏。角色信息：姓名{name}，年龄{age}岁，性别{gender}，性格{personality}。出身：{origin}。难度：{difficulty}。{talents}{customSettings}请根据这些信息，生成一个引人入胜的开局剧情和选项。' +
+        '\n\n【重要】初始装备要求：根据角色的出身和身份，在equipment字段中生成合适的初始装备（至少包含clothes衣服和feet鞋子）。例如：散修穿布衣草鞋，世家子弟穿锦衣云靴，宗门弟子穿宗门制服等。装备可以有少量属性加成或无加成。' +
+        '\n\n【重要】时间系统：必须在variables中设置currentDateTime字段，生成一个合适的修仙世界日期时间（如：天元历3021年3月15日 午时）。',
+    systemPrompt: ''
+};
+
+class ScenarioPackManager {
+    constructor() {
+        this.formatName = 'xiuxian-scenario-pack';
+        this.storageKey = 'xiuxianScenarioPacks';
+        this.builtin = this.normalize(BUILTIN_PACK);
+        this.packs = [];          // 导入的剧本包
+        this.activeId = this.builtin.id;
+        this.load();
+    }
+
+    // ---------- 校验 ----------
+
+    /**
+     * 校验并补齐剧本包，不合法时抛出错误（消息可以直接提示给玩家）
+     */
+    normalize(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('剧本包格式错误');
+        }
+        if (raw.format && raw.format !== this.formatName) {
+            throw new Error(`不支持的剧本包格式：${raw.format}`);
+        }
+        const id = typeof raw.id === 'string' ? raw.id.trim() : '';
+        if (!/^[\w-]+$/.test(id)) {
+            throw new Error('剧本包缺少 id（只能包含字母、数字、下划线和连字符）');
+        }
+        if (!raw.name) {
+            throw new Error(`剧本包 ${id} 缺少名称（name）`);
+        }
+
+        const base = this.builtin || BUILTIN_PACK;
+        const list = (value, fallback) => (Array.isArray(value) && value.length > 0 ? value : fallback);
+
+        const attributes = list(raw.attributes, null);
+        if (!attributes) {
+            throw new Error(`剧本包「${raw.name}」缺少属性（attributes）`);
+        }
+        const attributeIds = attributes.map(attr => attr && attr.id);
+        if (attributeIds.some(attrId => !/^[A-Za-z]\w*$/.test(attrId || '')) || new Set(attributeIds).size !== attributeIds.length) {
+            throw new Error(`剧本包「${raw.name}」的属性 id 无效或重复`);
+        }
+        if (attributes.some(attr => !attr.name)) {
+            throw new Error(`剧本包「${raw.name}」有属性缺少名称`);
+        }
+
+        const origins = list(raw.origins, null);
+        if (!origins) {
+            throw new Error(`剧本包「${raw.name}」缺少出身（origins）`);
+        }
+        const effectKeys = new Set([...attributeIds, 'karmaFortune', 'karmaPunishment']);
+        const checkEffects = (owner, effects) => {
+            Object.keys(effects || {}).forEach(key => {
+                if (!effectKeys.has(key)) {
+                    throw new Error(`剧本包「${raw.name}」中「${owner}」的效果引用了未定义的属性 ${key}`);
+                }
+            });
+        };
+        origins.forEach(origin => {
+            if (!origin.id || !origin.name) throw new Error(`剧本包「${raw.name}」有出身缺少 id 或名称`);
+            checkEffects(origin.name, origin.attributeEffects);
+        });
+        const talents = Array.isArray(raw.talents) ? raw.talents : [];
+        talents.forEach(talent => {
+            if (!talent.id || !talent.name) throw new Error(`剧本包「${raw.name}」有天赋缺少 id 或名称`);
+            checkEffects(talent.name, talent.effects);
+        });
+
+        const difficulties = list(raw.difficulties, base.difficulties);
+        if (difficulties.some(d => !d.id || !Number.isFinite(d.points))) {
+            throw new Error(`剧本包「${raw.name}」的难度缺少 id 或点数（points）`);
+        }
+        const equipmentSlots = Array.isArray(raw.equipmentSlots) ? raw.equipmentSlots : base.equipmentSlots;
+        if (equipmentSlots.some(slot => !slot.id || !slot.type) || new Set(equipmentSlots.map(s => s.id)).size !== equipmentSlots.length) {
+            throw new Error(`剧本包「${raw.name}」的装备栏缺少 id、类型或 id 重复`);
+        }
+
+        // 导出的剧本包同时带有 realms（名称）和 realmLadder（完整阶梯），以完整阶梯为准
+        const realms = list(raw.realmLadder, null) || list(raw.realms, base.realmLadder || base.realms);
+        const gainKeys = new Set([...attributeIds, 'hpMax', 'mpMax']);
+        realms.forEach(realm => {
+            if (typeof realm === 'string') return;
+            if (!realm || !realm.name) throw new Error(`剧本包「${raw.name}」有境界缺少名称`);
+            [realm.gains, realm.stageGains].forEach(gains => Object.keys(gains || {}).forEach(key => {
+                if (!gainKeys.has(key)) {
+                    throw new Error(`剧本包「${raw.name}」中境界「${realm.name}」的成长引用了未定义的属性 ${key}`);
+                }
+            }));
+        });
+
+        // 战斗用属性：内置属性 id 原样对应，其余按剧本包的映射（没有对应时该项按0计算）
+        const combatAttributes = {};
+        Object.keys(base.combatAttributes || BUILTIN_PACK.combatAttributes).forEach(role => {
+            const mapped = raw.combatAttributes && raw.combatAttributes[role];
+            combatAttributes[role] = mapped && attributeIds.includes(mapped) ? mapped : (attributeIds.includes(role) ? role : null);
+        });
+
+        return {
+            format: this.formatName,
+            id: id,
+            name: String(raw.name),
+            version: raw.version ? String(raw.version) : '1.0.0',
+            description: raw.description || '',
+            attributes: attributes.map(attr => ({ id: attr.id, name: String(attr.name), icon: attr.icon || '', description: attr.description || '' })),
+            attributeTitle: raw.attributeTitle || (attributes.length === 6 ? '六维属性' : '属性'),
+            baseAttributeValue: Number.isFinite(raw.baseAttributeValue) ? raw.baseAttributeValue : base.baseAttributeValue,
+            minAttributeValue: Number.isFinite(raw.minAttributeValue) ? raw.minAttributeValue : base.minAttributeValue,
+            difficulties: difficulties.map(d => ({ id: d.id, name: d.name || d.id, icon: d.icon || '', points: d.points, description: d.description || '' })),
+            origins: origins.map(o => ({ id: o.id, name: o.name, description: o.description || '', pointsModifier: Number(o.pointsModifier) || 0, attributeEffects: { ...(o.attributeEffects || {}) } })),
+            talents: talents.map(t => ({ id: t.id, name: t.name, type: t.type === 'negative' ? 'negative' : 'positive', cost: Number(t.cost) || 0, description: t.description || '', effects: { ...(t.effects || {}) } })),
+            equipmentSlots: equipmentSlots.map(slot => ({ id: slot.id, name: slot.name || slot.id, type: slot.type })),
+            realms: realms.map(realm => (typeof realm === 'string' ? realm : realm.name)),
+            realmLadder: realms.map((realm, index) => this.normalizeRealm(realm, index)),
+            combatAttributes: combatAttributes,
+            calendar: this.normalizeCalendar(raw.calendar, base.calendar || BUILTIN_PACK.calendar, raw.name),
+            crafting: this.normalizeCrafting(raw.crafting, base.crafting || BUILTIN_PACK.crafting, attributeIds, raw.name),
+            initPrompt: typeof raw.initPrompt === 'string' && raw.initPrompt.trim() ? raw.initPrompt : base.initPrompt,
+            systemPrompt: typeof raw.systemPrompt === 'string' ? raw.systemPrompt : ''
+        };
+    }
+
+    /**
+     * 境界阶梯中的一级（只写名称时按位置补上默认的修为上限与成功率，不分小境界）
+     */
+    normalizeRealm(raw, index) {
+        const realm = typeof raw === 'string' ? { name: raw } : raw;
+        const number = (value, fallback) => (Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : fallback);
+        const tribulation = realm.tribulation && realm.tribulation.name ? {
+            name: String(realm.tribulation.name),
+            chance: number(realm.tribulation.chance, 50),
+            damage: number(realm.tribulation.damage, 50)
+        } : null;
+        return {
+            name: String(realm.name),
+            stages: Array.isArray(realm.stages) ? realm.stages.map(String).filter(Boolean) : [],
+            progress: number(realm.progress, Math.round(100 * Math.pow(2.5, index))),
+            lifespan: realm.lifespan === null || realm.lifespan === undefined ? null : number(realm.lifespan, null),
+            chance: number(realm.chance, Math.max(5, 50 - index * 5)),
+            stageChance: number(realm.stageChance, 80),
+            gains: { ...(realm.gains || {}) },
+            stageGains: { ...(realm.stageGains || {}) },
+            pills: { ...(realm.pills || {}) },
+            tribulation: tribulation
+        };
+    }
+
+    /**
+     * 历法：省略的字段沿用内置剧本；纪元按 start 排序，日程只检查标题和日期是否填写（日期在开局后才能换算）
+     */
+    normalizeCalendar(raw, base, packName) {
+        const calendar = raw && typeof raw === 'object' ? raw : {};
+        const positive = (value, fallback) => (Number.isInteger(Number(value)) && Number(value) > 0 ? Number(value) : fallback);
+        const percent = (value, fallback) => (Number.isFinite(Number(value)) && value !== null && value !== '' ? Math.max(0, Number(value)) : fallback);
+
+        const eras = (Array.isArray(calendar.eras) && calendar.eras.length > 0 ? calendar.eras : base.eras).map(era => {
+            const value = typeof era === 'string' ? { name: era } : era;
+            if (!value || !value.name) throw new Error(`剧本包「${packName}」有纪元缺少名称`);
+            return { name: String(value.name), start: Number.isInteger(Number(value.start)) ? Number(value.start) : 1 };
+        }).sort((a, b) => a.start - b.start);
+
+        const events = (Array.isArray(calendar.events) ? calendar.events : base.events).map(event => {
+            if (!event || !event.title || !event.date) throw new Error(`剧本包「${packName}」有日程缺少标题或日期`);
+            return { title: String(event.title), date: String(event.date), description: event.description ? String(event.description) : '' };
+        });
+
+        return {
+            eras: eras,
+            monthsPerYear: positive(calendar.monthsPerYear, base.monthsPerYear),
+            daysPerMonth: positive(calendar.daysPerMonth, base.daysPerMonth),
+            hpRegenPerDay: percent(calendar.hpRegenPerDay, base.hpRegenPerDay),
+            mpRegenPerDay: percent(calendar.mpRegenPerDay, base.mpRegenPerDay),
+            defaultElapsed: typeof calendar.defaultElapsed === 'string' && calendar.defaultElapsed.trim() ? calendar.defaultElapsed.trim() : base.defaultElapsed,
+            events: events
+        };
+    }
+
+    /**
+     * 炼制：省略的字段沿用内置剧本；判定属性不属于本剧本时不按属性加减成功率
+     */
+    normalizeCrafting(raw, base, attributeIds, packName) {
+        const crafting = raw && typeof raw === 'object' ? raw : {};
+        const arts = (Array.isArray(crafting.arts) && crafting.arts.length > 0 ? crafting.arts : base.arts).map(art => {
+            if (!art || !art.id || !art.name) throw new Error(`剧本包「${packName}」有炼制技艺缺少 id 或名称`);
+            return {
+                id: String(art.id),
+                name: String(art.name),
+                attribute: attributeIds.includes(art.attribute) ? art.attribute : null,
+                duration: typeof art.duration === 'string' && art.duration.trim() ? art.duration.trim() : '一日'
+            };
+        });
+        const recipes = (Array.isArray(crafting.recipes) ? crafting.recipes : base.recipes).map(recipe => {
+            try {
+                return window.economy.normalizeRecipe(recipe, arts);
+            } catch (error) {
+                throw new Error(`剧本包「${packName}」：${error.message}`);
+            }
+        });
+        return { arts: arts, recipes: recipes };
+    }
+
+    // ---------- 剧本包列表 ----------
+
+    list() {
+        return [this.builtin, ...this.packs];
+    }
+
+    get(id) {
+        return this.list().find(pack => pack.id === id) || null;
+    }
+
+    getActive() {
+        return this.get(this.activeId) || this.builtin;
+    }
+
+    /**
+     * 切换当前剧本（新游戏和角色创建按当前剧本进行）
+     */
+    activate(id) {
+        const pack = this.get(id);
+        if (!pack) {
+            throw new Error(`未找到剧本包：${id}`);
+        }
+        this.activeId = pack.id;
+        this.save();
+        return pack;
+    }
+
+    /**
+     * 导入剧本包（同 id 的覆盖），返回校验后的剧本包；内置剧本不能被覆盖
+     */
+    install(raw) {
+        const pack = this.normalize(raw);
+        if (pack.id === this.builtin.id) {
+            throw new Error(`剧本包 id「${pack.id}」与内置剧本重复，请换一个 id`);
+        }
+        const index = this.packs.findIndex(p => p.id === pack.id);
+        if (index === -1) {
+            this.packs.push(pack);
+        } else {
+            this.packs[index] = pack;
+        }
+        this.save();
+        return pack;
+    }
+
+    uninstall(id) {
+        this.packs = this.packs.filter(pack => pack.id !== id);
+        if (this.activeId === id) this.activeId = this.builtin.id;
+        this.save();
+    }
+
+    exportPack(id) {
+        const pack = this.get(id);
+        if (!pack) {
+            throw new Error(`未找到剧本包：${id}`);
+        }
+        return JSON.parse(JSON.stringify(pack));
+    }
+
+    // 存档中记录的剧本信息
+    describeForSave(pack = this.getActive()) {
+        return { id: pack.id, name: pack.name, version: pack.version };
+    }
+
+    // ---------- 持久化 ----------
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.packs = (saved.packs || []).map(raw => {
+                    try {
+                        return this.normalize(raw);
+                    } catch (error) {
+                        console.warn('[剧本包] 跳过无效的剧本包:', error.message);
+                        return null;
+                    }
+                }).filter(Boolean);
+                this.activeId = this.get(saved.activeId) ? saved.activeId : this.builtin.id;
+            }
+        } catch (error) {
+            console.error('[剧本包] 加载失败:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                activeId: this.activeId,
+                packs: this.packs
+            }));
+        } catch (error) {
+            console.error('[剧本包] 保存失败:', error);
+        }
+    }
+}
+
+// 创建全局实例
+window.scenarioPacks = new ScenarioPackManager();
+
+console.log('[剧本包] 已加载，使用方法：');
+console.log('1. window.scenarioPacks.install(剧本包JSON) / activate(id) - 导入并切换剧本');
+console.log('2. window.scenarioPacks.getActive() - 当前剧本（角色创建和规则由游戏引擎读取）');
@@ -0,0 +1,240 @@
+/**
+ * 分层剧情摘要
+ * 每 chapterSize 轮对话由额外API压缩成一章摘要，每 arcSize 章再压缩成一卷摘要，
+ * 存放在向量库（contextVectorManager）中随存档保存；构建上下文时总是带上当前卷的摘要和最相关的几章，
+ * 早于历史层数的剧情不再被遗忘。额外API未启用时不生成新摘要，已有摘要照常使用
+ */
+
+class StorySummarizer {
+    constructor() {
+        this.chapterSize = 10;   // 每章包含的对话轮数
+        this.arcSize = 5;        // 每卷包含的章数
+        this.maxTurnChars = 600; // 每轮剧情送去摘要的最大字数
+        this.isRunning = false;
+        this.pendingRun = false; // 运行期间又有新的请求，结束后再跑一遍
+    }
+
+    /**
+     * 从AI回复中取出剧情正文（回复是JSON时取 story 字段）
+     */
+    extractStory(content) {
+        if (typeof content !== 'string') return '';
+        try {
+            const match = content.match(/```json\s*([\s\S]*?)\s*```/) || content.match(/```\s*([\s\S]*?)\s*```/);
+            const data = JSON.parse(match ? match[1] : content);
+            if (data && typeof data.story === 'string') return data.story;
+        } catch (error) {
+            // 纯文本回复，直接使用
+        }
+        return content;
+    }
+
+    /**
+     * 取出第 startTurn 到 endTurn 轮（从1开始）的对话
+     */
+    getTurns(history, startTurn, endTurn) {
+        const turns = [];
+        for (let turn = startTurn; turn <= endTurn; turn++) {
+            const user = history[(turn - 1) * 2];
+            const ai = history[(turn - 1) * 2 + 1];
+            if (!user || !ai) break;
+            turns.push({ turn: turn, user: user.content, story: this.extractStory(ai.content) });
+        }
+        return turns;
+    }
+
+    /**
+     * FNV-1a 哈希，用来判断生成期间这一章的原文是否变了（回溯、切换分支）
+     */
+    hashTurns(turns) {
+        const text = turns.map(t => `${t.user}\n${t.story}`).join('\n');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    /**
+     * 找出还缺少的章节和卷（按顺序，先章后卷）
+     */
+    getPendingTasks(history, chapters, arcs) {
+        const tasks = [];
+        const completedTurns = Math.floor(history.length / 2);
+        const chapterCount = Math.floor(completedTurns / this.chapterSize);
+
+        for (let id = 1; id <= chapterCount; id++) {
+            if (!chapters.some(c => c.id === id)) {
+                tasks.push({ type: 'chapter', id: id });
+            }
+        }
+
+        const arcCount = Math.floor(chapterCount / this.arcSize);
+        for (let id = 1; id <= arcCount; id++) {
+            if (!arcs.some(a => a.id === id)) {
+                tasks.push({ type: 'arc', id: id });
+            }
+        }
+        return tasks;
+    }
+
+    buildChapterPrompt(turns, previousChapter) {
+        let content = previousChapter
+            ? `【上一章】${previousChapter.title}：${previousChapter.summary}\n\n`
+            : '';
+        content += `【本章原文】第${turns[0].turn}-${turns[turns.length - 1].turn}轮\n`;
+        turns.forEach(t => {
+            const story = t.story.length > this.maxTurnChars ? t.story.substring(0, this.maxTurnChars) + '…' : t.story;
+            content += `\n第${t.turn}轮\n玩家：${t.user}\n剧情：${story}\n`;
+        });
+
+        return {
+            systemPrompt: '你是修仙小说的编辑，负责把连续的剧情压缩成章节摘要，供后续写作时回忆前情。' +
+                '摘要用第三人称，保留关键事件、人物关系变化、获得或失去的重要物品功法、境界变化、未解决的伏笔，不要添加原文没有的内容。' +
+                '只输出JSON：{"title": "四到八字的章节名", "summary": "200字以内的摘要"}',
+            messages: [{ role: 'user', content: content }]
+        };
+    }
+
+    buildArcPrompt(chapters) {
+        const content = chapters
+            .map(c => `第${c.id}章 ${c.title}（第${c.startTurn}-${c.endTurn}轮）：${c.summary}`)
+            .join('\n\n');
+
+        return {
+            systemPrompt: '你是修仙小说的编辑，负责把若干章节摘要合并成一卷的剧情梗概。' +
+                '梗概用第三人称，交代这一卷的主线、主角的成长与处境变化、重要人物和仍未解决的伏笔。' +
+                '只输出JSON：{"title": "四到八字的卷名", "summary": "300字以内的梗概"}',
+            messages: [{ role: 'user', content: content }]
+        };
+    }
+
+    /**
+     * 解析摘要结果，不是JSON时整段作为摘要
+     */
+    parseSummary(text, fallbackTitle) {
+        const raw = (text || '').trim();
+        try {
+            const match = raw.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+            const data = JSON.parse(match ? match[1] : raw);
+            if (data && typeof data.summary === 'string' && data.summary.trim()) {
+                return { title: (data.title || fallbackTitle).trim(), summary: data.summary.trim() };
+            }
+        } catch (error) {
+            // 不是JSON
+        }
+        if (!raw) throw new Error('摘要结果为空');
+        return { title: fallbackTitle, summary: raw };
+    }
+
+    /**
+     * 依次补齐缺少的章节和卷
+     * context: {
+     *   getHistory()      —— 返回当前对话历史（每步重新读取，切换分支后自动作废旧任务）
+     *   store             —— 存放摘要的对象（chapterSummaries / arcSummaries）
+     *   callAI(messages, systemPrompt) —— 调用额外API，返回文本
+     *   onUpdate(summary) —— 每完成一章或一卷后调用（保存）
+     * }
+     * 返回新生成的摘要数量
+     */
+    async run(context) {
+        if (this.isRunning) {
+            this.pendingRun = true;
+            return 0;
+        }
+
+        this.isRunning = true;
+        let created = 0;
+        try {
+            do {
+                this.pendingRun = false;
+                created += await this.runOnce(context);
+            } while (this.pendingRun);
+        } finally {
+            this.isRunning = false;
+        }
+        return created;
+    }
+
+    async runOnce(context) {
+        let created = 0;
+        const store = context.store;
+        const tasks = this.getPendingTasks(context.getHistory(), store.chapterSummaries, store.arcSummaries);
+
+        for (const task of tasks) {
+            if (task.type === 'chapter') {
+                const startTurn = (task.id - 1) * this.chapterSize + 1;
+                const endTurn = task.id * this.chapterSize;
+                const turns = this.getTurns(context.getHistory(), startTurn, endTurn);
+                if (turns.length < this.chapterSize) continue;
+
+                const sourceHash = this.hashTurns(turns);
+                const previous = store.chapterSummaries.find(c => c.id === task.id - 1) || null;
+                const prompt = this.buildChapterPrompt(turns, previous);
+                const result = this.parseSummary(await context.callAI(prompt.messages, prompt.systemPrompt), `第${task.id}章`);
+
+                // 生成期间回溯或切换了分支，这一章的原文已经不同，丢弃结果
+                const current = this.getTurns(context.getHistory(), startTurn, endTurn);
+                if (current.length < this.chapterSize || this.hashTurns(current) !== sourceHash) {
+                    console.log(`[剧情摘要] 第${task.id}章的原文已变化，丢弃本次摘要`);
+                    continue;
+                }
+
+                const chapter = {
+                    id: task.id,
+                    startTurn: startTurn,
+                    endTurn: endTurn,
+                    title: result.title,
+                    summary: result.summary,
+                    sourceHash: sourceHash,
+                    createdAt: Date.now()
+                };
+                store.chapterSummaries = store.chapterSummaries.filter(c => c.id !== task.id).concat(chapter)
+                    .sort((a, b) => a.id - b.id);
+                created++;
+                console.log(`[剧情摘要] 已生成第${task.id}章「${chapter.title}」（第${startTurn}-${endTurn}轮）`);
+                if (context.onUpdate) await context.onUpdate(chapter);
+            } else {
+                const firstChapter = (task.id - 1) * this.arcSize + 1;
+                const lastChapter = task.id * this.arcSize;
+                const chapters = store.chapterSummaries.filter(c => c.id >= firstChapter && c.id <= lastChapter);
+                if (chapters.length < this.arcSize) continue;
+
+                const prompt = this.buildArcPrompt(chapters);
+                const result = this.parseSummary(await context.callAI(prompt.messages, prompt.systemPrompt), `第${task.id}卷`);
+
+                // 生成期间章节被截断（回溯），丢弃结果
+                const stillValid = chapters.every(c => store.chapterSummaries.includes(c));
+                if (!stillValid) {
+                    console.log(`[剧情摘要] 第${task.id}卷的章节已变化，丢弃本次摘要`);
+                    continue;
+                }
+
+                const arc = {
+                    id: task.id,
+                    startChapter: firstChapter,
+                    endChapter: lastChapter,
+                    startTurn: chapters[0].startTurn,
+                    endTurn: chapters[chapters.length - 1].endTurn,
+                    title: result.title,
+                    summary: result.summary,
+                    createdAt: Date.now()
+                };
+                store.arcSummaries = store.arcSummaries.filter(a => a.id !== task.id).concat(arc)
+                    .sort((a, b) => a.id - b.id);
+                created++;
+                console.log(`[剧情摘要] 已生成第${task.id}卷「${arc.title}」`);
+                if (context.onUpdate) await context.onUpdate(arc);
+            }
+        }
+        return created;
+    }
+}
+
+// 创建全局实例
+window.storySummarizer = new StorySummarizer();
+
+console.log('[剧情摘要] 已加载，使用方法：');
+console.log('1. window.storySummarizer.run({ getHistory, store, callAI, onUpdate }) - 补齐缺少的章节和卷摘要');
+console.log('2. window.contextVectorManager.buildSummaryContext(当前输入, 近期起始轮次) - 生成注入提示词的前情提要');
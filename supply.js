@@ -3,33 +3,190 @@
  * 用于减少token消耗，增强AI记忆力
  */
 
+/**
+ * 离线中文分词
+ * 词典中的词（人物、物品、功法、地点名称及玩家自定义词）按正向最大匹配整体切出，并附带词内的二元组
+ * （“悦来客栈”同时能被“客栈”检索到），其余汉字切成相邻两字的二元组，过滤掉含虚词的二元组；
+ * 英文和数字按连续片段切分
+ */
+class ChineseTokenizer {
+    constructor() {
+        this.userWords = new Set();   // 玩家自定义词（随游戏设置保存）
+        this.seededWords = new Set(); // 从角色变量中提取的专有名词
+        this.maxWordLength = 12;
+        this.version = 0;             // 词典变化时递增，分词缓存据此失效
+        // 虚词、代词等高频字，含有这些字的二元组不作为检索词
+        this.stopChars = new Set('的了着过吗呢吧啊呀么之其而且与和及或把被让给向从这那你我他她它们是在有也都就又还很个一不'.split(''));
+        this.words = new Set();
+        this.longestWord = 0;
+    }
+
+    /**
+     * 从角色变量中提取专有名词：人际关系（含别名）、物品、功法的名称和当前地点
+     */
+    seedFromVariables(variables) {
+        if (!variables) return;
+
+        const names = [];
+        ['relationships', 'items', 'techniques'].forEach(key => {
+            (Array.isArray(variables[key]) ? variables[key] : []).forEach(entry => {
+                if (entry && typeof entry.name === 'string') names.push(entry.name);
+                if (entry && Array.isArray(entry.aliases)) names.push(...entry.aliases);
+            });
+        });
+        if (typeof variables.location === 'string') {
+            names.push(variables.location);
+            names.push(...variables.location.split(/[\s·•\-—_/|，,、：:（）()]+/));
+        }
+
+        let changed = false;
+        names.map(name => this.normalizeWord(name)).filter(Boolean).forEach(word => {
+            if (!this.seededWords.has(word)) {
+                this.seededWords.add(word);
+                changed = true;
+            }
+        });
+        if (changed) this.rebuild();
+    }
+
+    /**
+     * 设置玩家自定义词典（覆盖原有自定义词）
+     */
+    setUserWords(words) {
+        this.userWords = new Set((words || []).map(word => this.normalizeWord(word)).filter(Boolean));
+        this.rebuild();
+    }
+
+    getUserWords() {
+        return Array.from(this.userWords);
+    }
+
+    /**
+     * 清空从角色变量提取的词（开始新游戏或读档时）
+     */
+    resetSeededWords() {
+        this.seededWords.clear();
+        this.rebuild();
+    }
+
+    normalizeWord(word) {
+        if (typeof word !== 'string') return null;
+        const trimmed = word.trim().toLowerCase();
+        if (trimmed.length < 2 || trimmed.length > this.maxWordLength) return null;
+        return trimmed;
+    }
+
+    rebuild() {
+        this.words = new Set([...this.seededWords, ...this.userWords]);
+        this.longestWord = 0;
+        this.words.forEach(word => {
+            this.longestWord = Math.max(this.longestWord, word.length);
+        });
+        this.version++;
+    }
+
+    /**
+     * 分词，返回词列表（保留重复，用于统计词频）
+     */
+    tokenize(text) {
+        const tokens = [];
+        const segments = (text || '').toLowerCase().match(/[\u4e00-\u9fa5]+|[a-z0-9]+/g) || [];
+
+        segments.forEach(segment => {
+            if (!/[\u4e00-\u9fa5]/.test(segment)) {
+                if (segment.length > 1) tokens.push(segment);
+                return;
+            }
+
+            let pending = '';
+            let i = 0;
+            while (i < segment.length) {
+                const word = this.matchWord(segment, i);
+                if (word) {
+                    this.pushBigrams(pending, tokens);
+                    pending = '';
+                    tokens.push(word);
+                    if (word.length > 2) this.pushBigrams(word, tokens);
+                    i += word.length;
+                } else {
+                    pending += segment[i];
+                    i++;
+                }
+            }
+            this.pushBigrams(pending, tokens);
+        });
+
+        return tokens;
+    }
+
+    /**
+     * 正向最大匹配：从 start 处开始找词典中最长的词
+     */
+    matchWord(text, start) {
+        const maxLength = Math.min(this.longestWord, text.length - start);
+        for (let length = maxLength; length >= 2; length--) {
+            const candidate = text.substr(start, length);
+            if (this.words.has(candidate)) return candidate;
+        }
+        return null;
+    }
+
+    pushBigrams(text, tokens) {
+        for (let i = 0; i + 1 < text.length; i++) {
+            if (this.stopChars.has(text[i]) || this.stopChars.has(text[i + 1])) continue;
+            tokens.push(text.substr(i, 2));
+        }
+    }
+
+    isDictionaryWord(token) {
+        return this.words.has(token);
+    }
+}
+
 class ContextVectorManager {
     constructor() {
         this.conversationEmbeddings = []; // 存储每轮对话的向量和元数据
+        this.chapterSummaries = []; // 章节摘要（见 story-summary.js）
+        this.arcSummaries = []; // 卷摘要
+        this.npcMemories = []; // 人物记忆：[{ name, turnIndex, kind: 'scene' | 'note', text }]（见 npc-graph.js）
+        this.maxNpcMemories = 40; // 每个人物最多保留的记忆条数
+        this.maxNpcSceneLength = 80; // 剧情片段的最大长度
+        this.maxRelevantChapters = 3; // 前情提要中最多带上的相关章节数
         this.embeddingMethod = 'keyword'; // 'keyword' | 'api' | 'transformers'
         this.maxRetrieveCount = 5; // 最多检索5条相关历史
-        this.minSimilarityThreshold = 0.3; // 最低相似度阈值
+        this.minSimilarityThreshold = 0.3; // 最低相似度阈值（BM25得分占查询词总权重的比例）
+        this.tokenizer = new ChineseTokenizer();
+        this.bm25 = { k1: 1.2, b: 0.75 };
+        this.docTermCache = new WeakMap(); // 对话 -> { version, tf, length }，词典变化后重新分词
+        this.embeddingModel = 'text-embedding-ada-002'; // API向量化使用的模型名称
+        this.hybridKeywordWeight = 0.4; // 混合检索中关键词得分的权重，稠密向量相似度权重为 1 - 该值
+        this.recencyHalfLife = 30; // 时间衰减半衰期（轮），0 表示不衰减
+        this.recencyWeight = 0.3; // 时间衰减最多压低的比例
+        this.importanceBoost = 0.2; // 重要回合的得分加成
+        this.importanceWeights = { realm: 1, relationships: 0.5, location: 0.25 }; // 境界变化、新增人际关系、换地点
+        this.queryVectorCache = new Map(); // 查询文本 -> 稠密向量（查看上下文后再发送时不重复计算）
+        this.maxQueryCacheSize = 20;
     }
 
     /**
      * 【方案1】关键词权重法（默认，无需API）
-     * 使用TF-IDF提取关键词，计算余弦相似度
+     * 中文分词后统计词频，词典中的专有名词优先
      */
     extractKeywords(text) {
-        // 1. 分词（简单按字符分割，可优化为jieba分词）
-        const words = text.match(/[\u4e00-\u9fa5]+|[a-zA-Z]+/g) || [];
+        // 1. 分词（词典词 + 二元组）
+        const words = this.tokenizer.tokenize(text);
         
         // 2. 计算词频（TF）
         const wordFreq = {};
         words.forEach(word => {
-            if (word.length > 1) { // 过滤单字
-                wordFreq[word] = (wordFreq[word] || 0) + 1;
-            }
+            wordFreq[word] = (wordFreq[word] || 0) + 1;
         });
         
-        // 3. 提取高频词作为关键词
+        // 3. 提取高频词作为关键词（同频时词典词、长词在前）
         const keywords = Object.entries(wordFreq)
-            .sort((a, b) => b[1] - a[1])
+            .sort((a, b) => b[1] - a[1]
+                || this.tokenizer.isDictionaryWord(b[0]) - this.tokenizer.isDictionaryWord(a[0])
+                || b[0].length - a[0].length)
             .slice(0, 20) // 取前20个关键词
             .map(([word, freq]) => ({ word, weight: freq }));
         
@@ -141,6 +298,7 @@ class ContextVectorManager {
         }
         
         let vector;
+        this.tokenizer.seedFromVariables(variables);
         
         // 合并用户消息和AI回复作为一个语义单元
         const combinedText = `${userMessage}\n${aiResponse}`;
@@ -228,15 +386,190 @@ class ContextVectorManager {
             mp: variables.mp,
             // 只保存关键信息，减少存储
             hasNewItems: variables.items && variables.items.length > 0,
-            hasNewRelationships: variables.relationships && variables.relationships.length > 0
+            hasNewRelationships: variables.relationships && variables.relationships.length > 0,
+            // 用于判断重要回合（与上一轮比较）
+            itemCount: Array.isArray(variables.items) ? variables.items.length : 0,
+            relationshipCount: Array.isArray(variables.relationships) ? variables.relationships.length : 0
         };
     }
 
     /**
-     * 检索相关上下文
+     * 对话（或章节摘要）的词频统计（按原文分词，与向量化方法无关），词典不变时复用缓存
+     */
+    getDocumentTerms(conv) {
+        const cached = this.docTermCache.get(conv);
+        if (cached && cached.version === this.tokenizer.version) return cached;
+
+        let text;
+        if (conv.text !== undefined) {
+            text = conv.text; // 人物记忆
+        } else if (conv.summary !== undefined && conv.userMessage === undefined) {
+            text = `${conv.title}\n${conv.summary}`; // 章节摘要
+        } else {
+            text = `${conv.userMessage}\n${conv.aiResponse}`;
+        }
+        const tokens = this.tokenizer.tokenize(text);
+        const tf = new Map();
+        tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+
+        const entry = { version: this.tokenizer.version, tf: tf, length: tokens.length };
+        this.docTermCache.set(conv, entry);
+        return entry;
+    }
+
+    /**
+     * 统计全库的文档频率和平均长度
+     */
+    getCorpusStats(library = this.conversationEmbeddings) {
+        const df = new Map();
+        let totalLength = 0;
+
+        library.forEach(conv => {
+            const doc = this.getDocumentTerms(conv);
+            totalLength += doc.length;
+            doc.tf.forEach((count, term) => df.set(term, (df.get(term) || 0) + 1));
+        });
+
+        const count = library.length;
+        return { df: df, count: count, avgLength: count > 0 ? totalLength / count : 0 };
+    }
+
+    idf(term, stats) {
+        const df = stats.df.get(term) || 0;
+        return Math.log(1 + (stats.count - df + 0.5) / (df + 0.5));
+    }
+
+    /**
+     * 计算 BM25 得分，同时给出每个查询词的贡献
+     * similarity 为得分占查询词总IDF的比例（0-1），与阈值比较；库中从未出现的查询词不计入总IDF
+     */
+    scoreBM25(queryTerms, conv, stats) {
+        const doc = this.getDocumentTerms(conv);
+        const { k1, b } = this.bm25;
+        const lengthRatio = stats.avgLength > 0 ? doc.length / stats.avgLength : 1;
+
+        let score = 0;
+        let maxScore = 0;
+        const terms = [];
+
+        queryTerms.forEach((queryCount, term) => {
+            if (!stats.df.has(term)) return;
+
+            const idf = this.idf(term, stats);
+            maxScore += idf * queryCount;
+
+            const tf = doc.tf.get(term) || 0;
+            if (tf === 0) return;
+
+            const contribution = idf * queryCount * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * lengthRatio));
+            score += contribution;
+            terms.push({ term: term, tf: tf, idf: idf, contribution: contribution });
+        });
+
+        terms.sort((x, y) => y.contribution - x.contribution);
+        return {
+            score: score,
+            similarity: maxScore > 0 ? Math.min(1, score / maxScore) : 0,
+            terms: terms
+        };
+    }
+
+    /**
+     * 查询词及其出现次数
+     */
+    getQueryTerms(text) {
+        const queryTerms = new Map();
+        this.tokenizer.tokenize(text).forEach(token => queryTerms.set(token, (queryTerms.get(token) || 0) + 1));
+        return queryTerms;
+    }
+
+    /**
+     * 解释某条对话与查询的匹配情况（向量库查看器的相似度测试）
+     * 返回 { similarity, score, terms: [命中的词及贡献], missingTerms: [未命中的查询词] }
+     */
+    explainMatch(query, conv) {
+        const queryTerms = this.getQueryTerms(query);
+        const result = this.scoreBM25(queryTerms, conv, this.getCorpusStats());
+        const matched = new Set(result.terms.map(t => t.term));
+        result.queryTerms = Array.from(queryTerms.keys());
+        result.missingTerms = result.queryTerms.filter(term => !matched.has(term));
+        return result;
+    }
+
+    /**
+     * 用当前的向量化方法计算查询向量（关键词方法或失败时返回 null，只用关键词得分）
+     */
+    async embedQuery(text, signal) {
+        if (this.embeddingMethod !== 'api' && this.embeddingMethod !== 'transformers') return null;
+
+        const cacheKey = `${this.embeddingMethod}|${this.embeddingModel}|${text}`;
+        if (this.queryVectorCache.has(cacheKey)) return this.queryVectorCache.get(cacheKey);
+
+        const vector = this.embeddingMethod === 'api'
+            ? await this.getEmbeddingFromAPI(text, signal)
+            : await this.getEmbeddingFromTransformers(text);
+        if (!Array.isArray(vector) || vector.length === 0) return null;
+
+        this.queryVectorCache.set(cacheKey, vector);
+        if (this.queryVectorCache.size > this.maxQueryCacheSize) {
+            this.queryVectorCache.delete(this.queryVectorCache.keys().next().value);
+        }
+        return vector;
+    }
+
+    /**
+     * 重要回合加成：与上一轮相比境界变化、新增人际关系或换了地点
+     * 返回 Map(对话 -> 加成比例)；动态世界记录（turnIndex 为负）不参与
+     */
+    getImportanceBoosts(library) {
+        const boosts = new Map();
+        const turns = library
+            .filter(conv => conv.turnIndex > 0 && conv.variables)
+            .sort((a, b) => a.turnIndex - b.turnIndex);
+
+        for (let i = 1; i < turns.length; i++) {
+            const previous = turns[i - 1].variables;
+            const current = turns[i].variables;
+            let weight = 0;
+
+            if (current.realm && previous.realm && current.realm !== previous.realm) {
+                weight += this.importanceWeights.realm;
+            }
+            if (typeof current.relationshipCount === 'number' && typeof previous.relationshipCount === 'number'
+                && current.relationshipCount > previous.relationshipCount) {
+                weight += this.importanceWeights.relationships;
+            }
+            if (current.location && previous.location && current.location !== previous.location) {
+                weight += this.importanceWeights.location;
+            }
+
+            if (weight > 0) boosts.set(turns[i], weight * this.importanceBoost);
+        }
+        return boosts;
+    }
+
+    /**
+     * 时间衰减系数：越早的回合系数越低，最低为 1 - recencyWeight
+     */
+    getRecencyFactor(turnIndex, latestTurn) {
+        if (!this.recencyHalfLife || turnIndex <= 0 || latestTurn <= 0) return 1;
+        const age = Math.max(0, latestTurn - turnIndex);
+        const decay = Math.pow(0.5, age / this.recencyHalfLife);
+        return 1 - this.recencyWeight * (1 - decay);
+    }
+
+    /**
+     * 检索相关上下文（混合检索）
+     * 关键词得分用中文分词 + BM25；使用API或浏览器模型时，查询也用同一方法向量化，
+     * 与库中维度一致的稠密向量计算余弦相似度后按权重混合；
+     * 相关度达到阈值的记录再乘以时间衰减和重要回合加成排序
+     * options: { signal } —— 取消生成时中止查询向量化
      */
-    retrieveRelevantContext(currentInput, recentHistory = []) {
-        if (this.conversationEmbeddings.length === 0) {
+    async retrieveRelevantContext(currentInput, recentHistory = [], options = {}) {
+        // 先固定本次检索使用的库，等待向量化期间新增的记录不影响本次结果
+        const library = this.conversationEmbeddings.slice();
+
+        if (library.length === 0) {
             return {
                 relevantChunks: [],
                 recentChunks: recentHistory
@@ -244,35 +577,43 @@ class ContextVectorManager {
         }
         
         try {
-            // 1. 计算当前输入的向量（统一使用关键词方法，确保兼容性）
-            let currentVector;
-            
-            // 为了保证检索稳定性，统一使用关键词方法进行检索
-            // 即使向量库是用API或transformers生成的，检索时也用关键词
-            currentVector = this.createKeywordVector(currentInput);
+            // 1. 对当前输入分词，并按配置的方法计算查询向量
+            const queryTerms = this.getQueryTerms(currentInput);
+            const queryVector = await this.embedQuery(currentInput, options.signal);
             
-            // 验证向量
-            if (!currentVector || Object.keys(currentVector).length === 0) {
-                console.warn('[向量检索] 当前输入向量为空，跳过检索');
+            if (queryTerms.size === 0 && !queryVector) {
+                console.warn('[向量检索] 当前输入没有可检索的词，跳过检索');
                 return {
                     relevantChunks: [],
                     recentChunks: recentHistory
                 };
             }
             
-            // 2. 计算与所有历史对话的相似度
-            const similarities = this.conversationEmbeddings.map((conv, index) => {
-                // 如果向量库中的向量类型不是关键词类型，也临时生成关键词向量
-                let convVector = conv.vector;
-                if (Array.isArray(conv.vector)) {
-                    // 如果是数组向量，重新生成关键词向量用于检索
-                    convVector = this.createKeywordVector(conv.userMessage + '\n' + conv.aiResponse);
-                }
-                
+            // 2. 计算与所有历史对话的相关度
+            const stats = this.getCorpusStats(library);
+            const boosts = this.getImportanceBoosts(library);
+            const latestTurn = library.reduce((max, conv) => Math.max(max, conv.turnIndex), 0);
+
+            const similarities = library.map((conv, index) => {
+                const match = this.scoreBM25(queryTerms, conv, stats);
+                const hasDense = queryVector && Array.isArray(conv.vector) && conv.vector.length === queryVector.length;
+                const dense = hasDense ? Math.max(0, this.calculateArrayCosineSimilarity(queryVector, conv.vector)) : null;
+                const relevance = hasDense
+                    ? (1 - this.hybridKeywordWeight) * dense + this.hybridKeywordWeight * match.similarity
+                    : match.similarity;
+                const recency = this.getRecencyFactor(conv.turnIndex, latestTurn);
+                const importance = boosts.get(conv) || 0;
+
                 return {
                     index: index,
                     turnIndex: conv.turnIndex,
-                    similarity: this.calculateCosineSimilarity(currentVector, convVector),
+                    similarity: relevance,
+                    dense: dense,
+                    keyword: match.similarity,
+                    recency: recency,
+                    importance: importance,
+                    finalScore: relevance * recency * (1 + importance),
+                    terms: match.terms,
                     conversation: conv
                 };
             });
@@ -280,12 +621,14 @@ class ContextVectorManager {
             // 3. 过滤并排序
             const relevantConversations = similarities
                 .filter(item => item.similarity >= this.minSimilarityThreshold)
-                .sort((a, b) => b.similarity - a.similarity)
+                .sort((a, b) => b.finalScore - a.finalScore)
                 .slice(0, this.maxRetrieveCount);
             
-            console.log(`[向量检索] 从${this.conversationEmbeddings.length}轮对话中检索到${relevantConversations.length}条相关记录`);
+            console.log(`[向量检索] 从${library.length}轮对话中检索到${relevantConversations.length}条相关记录（${queryVector ? `混合检索：${this.embeddingMethod}` : '关键词检索'}）`);
             relevantConversations.forEach(item => {
-                console.log(`  - 第${item.turnIndex}轮 相似度:${item.similarity.toFixed(3)} ${item.conversation.summary}`);
+                const topTerms = item.terms.slice(0, 5).map(t => t.term).join('、');
+                const dense = item.dense !== null ? ` 向量:${item.dense.toFixed(3)}` : '';
+                console.log(`  - 第${item.turnIndex}轮 相关度:${item.similarity.toFixed(3)}${dense} 关键词:${item.keyword.toFixed(3)} 衰减:${item.recency.toFixed(2)} 加成:${item.importance.toFixed(2)} 命中:${topTerms} ${item.conversation.summary}`);
             });
             
             // 4. 格式化为上下文
@@ -294,6 +637,8 @@ class ContextVectorManager {
                 userMessage: item.conversation.userMessage,
                 aiResponse: item.conversation.aiResponse,
                 similarity: item.similarity,
+                finalScore: item.finalScore,
+                matchedTerms: item.terms.map(t => t.term),
                 summary: item.conversation.summary
             }));
             
@@ -303,6 +648,7 @@ class ContextVectorManager {
             };
             
         } catch (error) {
+            if (error && error.name === 'AbortError') throw error;
             console.error('[向量检索] 检索失败:', error);
             return {
                 relevantChunks: [],
@@ -312,80 +658,208 @@ class ContextVectorManager {
     }
 
     /**
-     * 构建优化后的上下文消息
+     * 前情提要：当前卷（最近一卷）的梗概，加上与当前输入最相关的几章摘要
+     * recentStartTurn 之后的剧情已在近期对话中，与之重叠的章节不再重复
+     * 没有任何摘要时返回空字符串
      */
-    buildOptimizedMessages(systemPrompt, currentVariables, currentInput, historyDepth = 3, fullConversationHistory = []) {
-        const messages = [];
-        
-        // 1. 系统提示词
-        messages.push({
-            role: 'system',
-            content: systemPrompt
-        });
-        
-        // 2. 当前变量状态
-        messages.push({
-            role: 'system',
-            content: '当前角色变量状态：\n```json\n' + JSON.stringify(currentVariables, null, 2) + '\n```'
-        });
-        
-        // 3. 检索相关历史（远期记忆）
-        const retrievalResult = this.retrieveRelevantContext(currentInput, []);
-        
-        if (retrievalResult.relevantChunks.length > 0) {
-            let relevantContext = '【相关历史回忆】以下是与当前情境相关的过往记忆：\n\n';
-            
-            retrievalResult.relevantChunks.forEach((chunk, index) => {
-                relevantContext += `记忆${index + 1}（第${chunk.turnIndex}轮对话，相似度${(chunk.similarity * 100).toFixed(1)}%）：\n`;
-                relevantContext += `- 玩家行动：${chunk.userMessage}\n`;
-                relevantContext += `- 剧情摘要：${chunk.summary}\n\n`;
+    buildSummaryContext(currentInput, recentStartTurn = Infinity) {
+        const arc = this.arcSummaries[this.arcSummaries.length - 1] || null;
+        const candidates = this.chapterSummaries.filter(c => c.endTurn < recentStartTurn && (!arc || c.id > arc.endChapter));
+        const older = this.chapterSummaries.filter(c => c.endTurn < recentStartTurn && arc && c.id <= arc.endChapter);
+
+        // 当前卷之后的章节都带上；更早的章节按相关度选取
+        const chapters = candidates.slice(-this.maxRelevantChapters);
+        const remaining = this.maxRelevantChapters - chapters.length;
+        if (remaining > 0 && older.length > 0) {
+            const queryTerms = this.getQueryTerms(currentInput);
+            const stats = this.getCorpusStats(older);
+            older
+                .map(chapter => ({ chapter: chapter, match: this.scoreBM25(queryTerms, chapter, stats) }))
+                .filter(item => item.match.score > 0)
+                .sort((a, b) => b.match.score - a.match.score)
+                .slice(0, remaining)
+                .forEach(item => chapters.push(item.chapter));
+        }
+
+        if (!arc && chapters.length === 0) return '';
+
+        let text = '【前情提要】以下是更早剧情的摘要，请保持与之一致：\n\n';
+        if (arc) {
+            text += `当前卷：第${arc.id}卷「${arc.title}」（第${arc.startTurn}-${arc.endTurn}轮）\n${arc.summary}\n\n`;
+        }
+        chapters
+            .sort((a, b) => a.id - b.id)
+            .forEach(chapter => {
+                text += `第${chapter.id}章「${chapter.title}」（第${chapter.startTurn}-${chapter.endTurn}轮）\n${chapter.summary}\n\n`;
             });
-            
-            messages.push({
-                role: 'system',
-                content: relevantContext
+        return text.trim();
+    }
+
+    getSummaries() {
+        return { chapters: this.chapterSummaries, arcs: this.arcSummaries };
+    }
+
+    setSummaries(summaries) {
+        this.chapterSummaries = (summaries && Array.isArray(summaries.chapters)) ? summaries.chapters : [];
+        this.arcSummaries = (summaries && Array.isArray(summaries.arcs)) ? summaries.arcs : [];
+    }
+
+    // ---------- 人物记忆 ----------
+
+    /**
+     * 从一轮剧情中提取人物记忆：提到该人物（含别名）的句子，以及人际关系中还没有记下的互动记录
+     * 只做分词统计，不调用向量化接口；动态世界记录（turnIndex 为负）不参与。返回新增的条数
+     */
+    addNpcMemories(turnIndex, story, relationships) {
+        if (!(turnIndex > 0) || !Array.isArray(relationships)) return 0;
+
+        const sentences = String(story || '').split(/(?<=[。！？!?\n])/).map(s => s.trim()).filter(Boolean);
+        let added = 0;
+        relationships.forEach(relation => {
+            if (!relation || typeof relation.name !== 'string') return;
+            const names = [relation.name, ...(Array.isArray(relation.aliases) ? relation.aliases : [])].filter(name => name.length >= 2);
+            const entries = sentences
+                .filter(sentence => names.some(name => sentence.includes(name)))
+                .map(sentence => ({ kind: 'scene', text: sentence.length > this.maxNpcSceneLength ? sentence.substring(0, this.maxNpcSceneLength) + '…' : sentence }));
+            (Array.isArray(relation.history) ? relation.history : []).forEach(note => {
+                if (typeof note === 'string' && note.trim()) entries.push({ kind: 'note', text: note.trim() });
             });
-        }
+
+            entries.forEach(entry => {
+                if (this.npcMemories.some(m => m.name === relation.name && m.text === entry.text)) return;
+                this.npcMemories.push({ name: relation.name, turnIndex: turnIndex, kind: entry.kind, text: entry.text });
+                added++;
+            });
+
+            const own = this.npcMemories.filter(m => m.name === relation.name);
+            if (own.length > this.maxNpcMemories) {
+                const dropped = new Set(own.slice(0, own.length - this.maxNpcMemories));
+                this.npcMemories = this.npcMemories.filter(m => !dropped.has(m));
+            }
+        });
+        return added;
+    }
+
+    getNpcMemories(name) {
+        return this.npcMemories.filter(m => m.name === name);
+    }
+
+    setNpcMemories(memories) {
+        this.npcMemories = Array.isArray(memories) ? memories : [];
+    }
+
+    /**
+     * 某个人物与查询最相关的几条记忆（没有相关的时取最近的），按回合先后排列
+     */
+    retrieveNpcMemories(name, query, limit = 3) {
+        const memories = this.getNpcMemories(name);
+        if (memories.length === 0) return [];
+
+        const queryTerms = this.getQueryTerms(query);
+        const stats = this.getCorpusStats(memories);
+        return memories
+            .map(memory => ({ memory: memory, score: this.scoreBM25(queryTerms, memory, stats).score }))
+            .sort((a, b) => b.score - a.score || b.memory.turnIndex - a.memory.turnIndex)
+            .slice(0, limit)
+            .map(item => item.memory)
+            .sort((a, b) => a.turnIndex - b.turnIndex);
+    }
+
+    /**
+     * 记忆与查询相关的人物：每个人物的全部记忆合为一篇计算BM25，相关度达到阈值的按相关度排列
+     * 返回 [{ name, similarity }]
+     */
+    rankNpcsByMemory(query, names) {
+        const docs = names
+            .map(name => ({ name: name, text: this.getNpcMemories(name).map(m => m.text).join('\n') }))
+            .filter(doc => doc.text);
+        if (docs.length === 0) return [];
+
+        const queryTerms = this.getQueryTerms(query);
+        const stats = this.getCorpusStats(docs);
+        return docs
+            .map(doc => ({ name: doc.name, similarity: this.scoreBM25(queryTerms, doc, stats).similarity }))
+            .filter(item => item.similarity >= this.minSimilarityThreshold)
+            .sort((a, b) => b.similarity - a.similarity);
+    }
+
+    // 合并重复人物后，记忆改到保留的名字下（去掉重复的记忆）
+    renameNpcMemories(from, to) {
+        const kept = [];
+        this.npcMemories.forEach(memory => {
+            const moved = memory.name === from ? { ...memory, name: to } : memory;
+            if (!kept.some(m => m.name === moved.name && m.text === moved.text)) kept.push(moved);
+        });
+        this.npcMemories = kept.sort((a, b) => a.turnIndex - b.turnIndex);
+    }
+
+    /**
+     * 构建优化后的上下文消息
+     * 各部分交给 window.tokenBudget（token-budget.js）按优先级在预算内组装
+     * options: { signal, tokenLimit, model, sections } —— tokenLimit 不传时不限制；sections 为附加在角色变量之后的部分（如相关人物）
+     */
+    async buildOptimizedMessages(systemPrompt, currentVariables, currentInput, historyDepth = 3, fullConversationHistory = [], options = {}) {
+        const budget = window.tokenBudget;
         
-        // 4. 最近对话（近期记忆）- 使用传入的完整历史记录
-        const conversationHistory = fullConversationHistory.length > 0 
+        // 等待检索之前先固定变量和近期对话，检索期间 gameState 的变化不会混进本次上下文
+        const conversationHistory = (fullConversationHistory.length > 0 
             ? fullConversationHistory 
-            : (window.gameState?.conversationHistory || []);
-            
-        if (conversationHistory.length > 0 && historyDepth > 0) {
-            const recentHistory = conversationHistory.slice(-historyDepth * 2);
-            messages.push(...recentHistory);
-            console.log(`[近期记忆] 添加最近${recentHistory.length}条对话（历史层数设置：${historyDepth}）`);
-        }
+            : (window.gameState?.conversationHistory || [])).slice();
+        const variablesSection = budget.variableSection(currentVariables, 2);
         
-        // 5. 当前用户输入
-        messages.push({
-            role: 'user',
-            content: currentInput
+        // 前情提要（章节/卷摘要）和相关历史（远期记忆），先用当前变量中的专有名词更新词典
+        this.tokenizer.seedFromVariables(currentVariables);
+        const recentStartTurn = Math.floor(Math.max(0, conversationHistory.length - historyDepth * 2) / 2) + 1;
+        const summaryContext = this.buildSummaryContext(currentInput, recentStartTurn);
+
+        const retrievalResult = await this.retrieveRelevantContext(currentInput, [], { signal: options.signal });
+        const memoryTexts = retrievalResult.relevantChunks.map((chunk, index) => {
+            let text = `记忆${index + 1}（第${chunk.turnIndex}轮对话，相似度${(chunk.similarity * 100).toFixed(1)}%）：\n`;
+            text += `- 玩家行动：${chunk.userMessage}\n`;
+            const chapter = this.chapterSummaries.find(c => chunk.turnIndex >= c.startTurn && chunk.turnIndex <= c.endTurn);
+            text += chapter
+                ? `- 所在章节：第${chapter.id}章「${chapter.title}」\n\n`
+                : `- 剧情摘要：${chunk.summary}\n\n`;
+            return text;
         });
         
+        // 优先级：系统提示词 > 角色变量 > 当前输入 > 近期对话 > 世界设定 > 前情提要 > 相关历史回忆；数组顺序为发送顺序
+        let sections = [
+            budget.fixedSection('system', '系统提示词', [{ role: 'system', content: systemPrompt }], 1, true),
+            variablesSection,
+            ...(options.sections || []),
+            budget.fixedSection('summary', '前情提要', summaryContext ? [{ role: 'system', content: summaryContext }] : [], 5),
+            budget.listSection('memories', '相关历史回忆', '【相关历史回忆】以下是与当前情境相关的过往记忆：\n\n', memoryTexts, 6),
+            budget.recentSection(conversationHistory, historyDepth, 4),
+            budget.fixedSection('input', '当前输入', [{ role: 'user', content: currentInput }], 3, true)
+        ];
+        // 设定集（lorebook.js）中被当前输入或近期对话触发的条目，按各自的插入位置加入
+        if (window.lorebook) {
+            sections = window.lorebook.insertSections(sections, { input: currentInput, history: conversationHistory, variables: currentVariables });
+        }
+        const { messages, report } = budget.assemble(sections, options.tokenLimit, { model: options.model });
+        
         const totalHistory = conversationHistory.length;
         const totalTurns = Math.floor(totalHistory / 2);
-        const recentCount = Math.min(historyDepth * 2, conversationHistory.length);
-        const recentTurns = Math.floor(recentCount / 2);
-        const vectorCount = retrievalResult.relevantChunks.length;
+        const recentEntry = report.sections.find(entry => entry.key === 'recent');
+        const memoryEntry = report.sections.find(entry => entry.key === 'memories');
+        const historyTokens = budget.estimateMessages(conversationHistory);
         
         console.log(`╔════════════════════════════════════════════════╗`);
         console.log(`║  🧬 向量检索上下文构建报告                      ║`);
         console.log(`╠════════════════════════════════════════════════╣`);
         console.log(`║  📊 原始数据：                                  ║`);
-        console.log(`║    - 总对话轮数：${totalTurns}轮（${totalHistory}条消息）`);
+        console.log(`║    - 总对话轮数：${totalTurns}轮（${totalHistory}条消息，约${historyTokens} tokens）`);
         console.log(`║    - 历史层数设置：${historyDepth}层              ║`);
         console.log(`║    - 向量库大小：${this.conversationEmbeddings.length}轮   ║`);
         console.log(`╠════════════════════════════════════════════════╣`);
         console.log(`║  📤 实际发送：                                  ║`);
-        console.log(`║    ✓ 系统消息：2条（提示词+变量）              ║`);
-        console.log(`║    ✓ 向量检索：${vectorCount}条（远期相关记忆）           ║`);
-        console.log(`║    ✓ 最近对话：${recentTurns}轮=${recentCount}条（近期连贯记忆）    ║`);
-        console.log(`║    ✓ 当前输入：1条                             ║`);
+        report.sections.forEach(entry => {
+            console.log(`║    ✓ ${entry.label}：约${entry.tokens} tokens${entry.note ? `（${entry.note}）` : ''}`);
+        });
         console.log(`╠════════════════════════════════════════════════╣`);
-        console.log(`║  💡 总消息数：${messages.length}条                          ║`);
-        console.log(`║  💰 Token节省：约${totalHistory > 0 ? Math.round((1 - recentCount/totalHistory) * 100) : 0}%                    ║`);
+        console.log(`║  💡 总消息数：${messages.length}条，约${report.total} tokens / 预算${Number.isFinite(report.limit) ? report.limit : '不限'}`);
+        console.log(`║  💰 Token节省：约${historyTokens > 0 ? Math.max(0, Math.round((1 - (recentEntry.tokens + memoryEntry.tokens) / historyTokens) * 100)) : 0}%（相对发送全部历史）`);
         console.log(`╚════════════════════════════════════════════════╝`);
         
         return messages;
@@ -394,7 +868,7 @@ class ContextVectorManager {
     /**
      * 【方案2】通过API获取embedding（需要配置额外API）
      */
-    async getEmbeddingFromAPI(text) {
+    async getEmbeddingFromAPI(text, signal) {
         // 检查是否启用了额外API
         if (!window.extraApiConfig || !window.extraApiConfig.enabled) {
             console.warn('[向量API] 额外API未启用，回退到关键词方法');
@@ -402,30 +876,15 @@ class ContextVectorManager {
         }
         
         try {
-            const endpoint = window.extraApiConfig.endpoint.trim().replace(/\/+$/, '');
-            const apiKey = window.extraApiConfig.key;
-            
-            // OpenAI embeddings API
-            const response = await fetch(`${endpoint}/embeddings`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`
-                },
-                body: JSON.stringify({
-                    input: text.substring(0, 8000), // 限制长度
-                    model: 'text-embedding-ada-002' // 可配置
-                })
-            });
-            
-            if (!response.ok) {
-                throw new Error(`API错误: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            return data.data[0].embedding; // 返回向量数组
+            // 通过接口层调用（llm-providers.js），超时与重试与对话接口一致
+            return await window.llmProviders.embed(
+                { ...window.extraApiConfig, role: 'extra' },
+                text.substring(0, 8000), // 限制长度
+                { signal: signal, model: this.embeddingModel }
+            );
             
         } catch (error) {
+            if (error && error.name === 'AbortError') throw error;
             console.error('[向量API] 调用失败:', error);
             // 回退到关键词方法
             return this.createKeywordVector(text);
@@ -539,9 +998,25 @@ class ContextVectorManager {
      */
     clear() {
         this.conversationEmbeddings = [];
+        this.chapterSummaries = [];
+        this.arcSummaries = [];
+        this.npcMemories = [];
+        this.tokenizer.resetSeededWords();
         console.log('[向量库] 已清空');
     }
 
+    /**
+     * 只保留前 maxTurnIndex 轮的记忆（回溯或分出新分支时使用，被放弃的后续剧情不再参与检索）
+     */
+    retainTurns(maxTurnIndex) {
+        const before = this.conversationEmbeddings.length;
+        this.conversationEmbeddings = this.conversationEmbeddings.filter(conv => conv.turnIndex <= maxTurnIndex);
+        this.chapterSummaries = this.chapterSummaries.filter(c => c.endTurn <= maxTurnIndex);
+        this.arcSummaries = this.arcSummaries.filter(a => a.endTurn <= maxTurnIndex);
+        this.npcMemories = this.npcMemories.filter(m => m.turnIndex <= maxTurnIndex);
+        console.log(`[向量库] 已截断到第${maxTurnIndex}轮，移除${before - this.conversationEmbeddings.length}条记录`);
+    }
+
     /**
      * 保存向量库到IndexedDB
      */
@@ -555,6 +1030,8 @@ class ContextVectorManager {
             await store.put({
                 id: 'main',
                 embeddings: this.conversationEmbeddings,
+                summaries: this.getSummaries(),
+                npcMemories: this.npcMemories,
                 timestamp: Date.now()
             });
             
@@ -581,6 +1058,8 @@ class ContextVectorManager {
             
             if (result && result.embeddings) {
                 this.conversationEmbeddings = result.embeddings;
+                this.setSummaries(result.summaries);
+                this.setNpcMemories(result.npcMemories);
                 console.log(`[向量库] 已从IndexedDB加载${this.conversationEmbeddings.length}条记录`);
             }
         } catch (error) {
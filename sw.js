@@ -1,8 +1,30 @@
-const CACHE = 'xiuxian-v1';
+const CACHE = 'xiuxian-v23';
 const FILES = [
   '/',
   '/index.html',
   '/supply.js',
+  '/response-validator.js',
+  '/variable-patch.js',
+  '/check-engine.js',
+  '/combat-engine.js',
+  '/economy.js',
+  '/timeline.js',
+  '/save-store.js',
+  '/save-format.js',
+  '/story-summary.js',
+  '/token-budget.js',
+  '/lorebook.js',
+  '/llm-providers.js',
+  '/scenario-packs.js',
+  '/option-slots.js',
+  '/realm-engine.js',
+  '/calendar.js',
+  '/world-state.js',
+  '/npc-graph.js',
+  '/location-map.js',
+  '/novel-export.js',
+  '/game-engine.js',
+  '/dev-harness.js',
   '/icon-192.jpg',
   '/icon-512.jpg'
 ];
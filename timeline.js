@@ -0,0 +1,221 @@
+/**
+ * 分支时间线
+ * 回溯到任意一轮、重新生成或重新发送时，不再覆盖原来的后续剧情，而是分出一条新分支：
+ * 当前分支的数据就是 gameState 本身，其他分支的完整状态（对话、快照、变量、向量库）保存在时间线中，
+ * 随存档一起写入 game_saves，切换分支时整体交换
+ */
+
+class TimelineManager {
+    constructor() {
+        this.maxNameLength = 20;
+    }
+
+    /**
+     * 创建只有一条主线的时间线（新游戏或没有时间线的旧存档）
+     */
+    createTimeline() {
+        const root = this.createBranch(null, 0, '主线');
+        return {
+            activeBranchId: root.id,
+            branches: [root]
+        };
+    }
+
+    createBranch(parentId, forkLength, name) {
+        const now = Date.now();
+        return {
+            id: `branch_${now.toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+            name: name,
+            parentId: parentId,
+            forkLength: forkLength, // 与父分支共享的历史条数
+            createdAt: now,
+            updatedAt: now,
+            state: null // 当前分支的数据在 gameState 中，这里为 null
+        };
+    }
+
+    getBranch(timeline, branchId) {
+        return timeline.branches.find(branch => branch.id === branchId) || null;
+    }
+
+    getActiveBranch(timeline) {
+        return this.getBranch(timeline, timeline.activeBranchId);
+    }
+
+    /**
+     * 从当前分支的第 forkLength 条历史处分出新分支，并切换到新分支
+     * currentState 为当前分支的完整状态，会完整保存在原分支中；
+     * 调用方随后自行截断 gameState，新分支的数据就是截断后的 gameState
+     */
+    fork(timeline, currentState, forkLength, name) {
+        const parent = this.getActiveBranch(timeline);
+        parent.state = this.cloneState(currentState);
+        parent.updatedAt = Date.now();
+
+        const branch = this.createBranch(parent.id, forkLength, this.uniqueName(timeline, name));
+        timeline.branches.push(branch);
+        timeline.activeBranchId = branch.id;
+        return branch;
+    }
+
+    /**
+     * 撤销刚刚分出的分支（生成失败或取消时），切回父分支
+     * 返回父分支保存的状态，由调用方恢复到 gameState
+     */
+    cancelFork(timeline, branchId) {
+        const branch = this.getBranch(timeline, branchId);
+        if (!branch || timeline.activeBranchId !== branchId || !branch.parentId) return null;
+
+        const parent = this.getBranch(timeline, branch.parentId);
+        const state = parent.state;
+        timeline.branches = timeline.branches.filter(b => b.id !== branchId);
+        timeline.activeBranchId = parent.id;
+        parent.state = null;
+        return state;
+    }
+
+    /**
+     * 切换分支：当前状态存入原分支，返回目标分支的状态
+     */
+    switchTo(timeline, branchId, currentState) {
+        const target = this.getBranch(timeline, branchId);
+        if (!target || branchId === timeline.activeBranchId || !target.state) return null;
+
+        const current = this.getActiveBranch(timeline);
+        current.state = this.cloneState(currentState);
+        current.updatedAt = Date.now();
+
+        const state = target.state;
+        target.state = null;
+        timeline.activeBranchId = target.id;
+        return state;
+    }
+
+    /**
+     * 删除分支（不能删除当前分支），子分支挂到被删分支的父分支下
+     */
+    deleteBranch(timeline, branchId) {
+        const branch = this.getBranch(timeline, branchId);
+        if (!branch) return '分支不存在';
+        if (branchId === timeline.activeBranchId) return '不能删除当前所在的分支';
+
+        timeline.branches.forEach(child => {
+            if (child.parentId === branchId) {
+                child.parentId = branch.parentId;
+                child.forkLength = Math.min(child.forkLength, branch.forkLength);
+            }
+        });
+        timeline.branches = timeline.branches.filter(b => b.id !== branchId);
+        return null;
+    }
+
+    renameBranch(timeline, branchId, name) {
+        const branch = this.getBranch(timeline, branchId);
+        const trimmed = (name || '').trim().slice(0, this.maxNameLength);
+        if (!branch || !trimmed) return false;
+        branch.name = trimmed;
+        return true;
+    }
+
+    uniqueName(timeline, name) {
+        const names = new Set(timeline.branches.map(b => b.name));
+        if (!names.has(name)) return name;
+        let i = 2;
+        while (names.has(`${name}${i}`)) i++;
+        return `${name}${i}`;
+    }
+
+    /**
+     * 按树形顺序列出分支（父分支在前，子分支按创建时间排列），附带层级深度
+     */
+    getTree(timeline) {
+        const result = [];
+        const visit = (parentId, depth) => {
+            timeline.branches
+                .filter(b => b.parentId === parentId)
+                .sort((a, b) => a.createdAt - b.createdAt)
+                .forEach(branch => {
+                    result.push({ branch: branch, depth: depth });
+                    visit(branch.id, depth + 1);
+                });
+        };
+        visit(null, 0);
+
+        // 父分支丢失的分支放在最后，避免被遗漏
+        timeline.branches.forEach(branch => {
+            if (!result.some(entry => entry.branch === branch)) {
+                result.push({ branch: branch, depth: 0 });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 对比两个分支的变量，返回差异列表 [{ path, from, to }]
+     * 数组字段（道具、功法、法术、人际关系等）按名称比较增减
+     */
+    diffVariables(from, to) {
+        const diffs = [];
+        const keys = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+
+        keys.forEach(key => {
+            if (key === 'checkRoll') return;
+            this.diffValue(key, (from || {})[key], (to || {})[key], diffs);
+        });
+
+        return diffs;
+    }
+
+    diffValue(path, a, b, diffs) {
+        if (JSON.stringify(a) === JSON.stringify(b)) return;
+
+        if (Array.isArray(a) || Array.isArray(b)) {
+            const listA = Array.isArray(a) ? a : [];
+            const listB = Array.isArray(b) ? b : [];
+            const label = entry => (entry && typeof entry === 'object')
+                ? `${entry.name || JSON.stringify(entry)}${entry.count > 1 ? `×${entry.count}` : ''}`
+                : String(entry);
+            const labelsA = listA.map(label);
+            const labelsB = listB.map(label);
+            const removed = labelsA.filter(l => !labelsB.includes(l));
+            const added = labelsB.filter(l => !labelsA.includes(l));
+
+            if (removed.length === 0 && added.length === 0) {
+                diffs.push({ path: path, from: `${listA.length}项`, to: `${listB.length}项（内容有变化）` });
+            } else {
+                diffs.push({
+                    path: path,
+                    from: removed.length > 0 ? removed.join('、') : '—',
+                    to: added.length > 0 ? added.join('、') : '—'
+                });
+            }
+            return;
+        }
+
+        const isObject = value => value && typeof value === 'object';
+        if (isObject(a) && isObject(b)) {
+            new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+                this.diffValue(`${path}.${key}`, a[key], b[key], diffs);
+            });
+            return;
+        }
+
+        const show = value => {
+            if (value === undefined || value === null) return '—';
+            if (isObject(value)) return value.name || JSON.stringify(value);
+            return String(value);
+        };
+        diffs.push({ path: path, from: show(a), to: show(b) });
+    }
+
+    cloneState(state) {
+        return JSON.parse(JSON.stringify(state));
+    }
+}
+
+// 创建全局实例
+window.timelineManager = new TimelineManager();
+
+console.log('[分支时间线] 已加载，使用方法：');
+console.log('1. window.timelineManager.fork(timeline, 当前状态, 保留的历史条数, 名称) - 分出新分支');
+console.log('2. window.timelineManager.diffVariables(变量A, 变量B) - 对比两个分支的变量');
@@ -0,0 +1,263 @@
+/**
+ * 上下文Token预算
+ * 本地估算token数（汉字按字计，其余字符约4个一token），按模型的上下文窗口确定预算，
+ * 组装上下文时按优先级填充：系统提示词 > 角色变量（可压缩） > 当前输入 > 近期对话 > 世界设定 > 前情提要 > 相关历史回忆，
+ * 超出预算时先压缩角色变量，再从最旧的对话、最不相关的回忆开始丢弃，并记录每部分的token数和丢弃情况
+ */
+
+class TokenBudget {
+    constructor() {
+        this.messageOverhead = 4;      // 每条消息的格式开销
+        this.outputReserve = 8192;     // 为模型输出预留的token
+        this.defaultContextWindow = 32768;
+        // 模型名称 -> 上下文窗口（按顺序匹配）
+        this.modelWindows = [
+            [/claude/i, 200000],
+            [/gemini-(1\.5|2)/i, 1000000],
+            [/gemini/i, 32768],
+            [/gpt-4\.1/i, 1000000],
+            [/gpt-4o|gpt-4-turbo|gpt-5|\bo[134]\b|o[134]-/i, 128000],
+            [/gpt-4/i, 8192],
+            [/gpt-3\.5/i, 16385],
+            [/deepseek/i, 64000],
+            [/glm|moonshot|kimi/i, 128000],
+            [/qwen/i, 32768],
+            [/llama|mistral|mixtral/i, 32768]
+        ];
+        this.lastReport = null; // 最近一次组装的报告（查看上下文时显示）
+    }
+
+    /**
+     * 估算文本的token数：汉字、日韩文字和全角符号每个约1个token，其余字符约4个1个token
+     */
+    estimateTokens(text) {
+        if (!text) return 0;
+        let wide = 0;
+        let other = 0;
+        for (const ch of String(text)) {
+            const code = ch.codePointAt(0);
+            if ((code >= 0x2E80 && code <= 0x9FFF) ||   // 中日韩文字、部首、全角标点
+                (code >= 0xAC00 && code <= 0xD7AF) ||   // 韩文
+                (code >= 0xF900 && code <= 0xFAFF) ||   // 兼容汉字
+                (code >= 0xFF00 && code <= 0xFFEF) ||   // 全角字符
+                code >= 0x20000) {                      // 扩展汉字
+                wide++;
+            } else {
+                other++;
+            }
+        }
+        return Math.ceil(wide + other / 4);
+    }
+
+    estimateMessages(messages) {
+        return messages.reduce((sum, msg) => sum + this.estimateTokens(msg.content) + this.messageOverhead, 0);
+    }
+
+    getContextWindow(model) {
+        const entry = this.modelWindows.find(([pattern]) => pattern.test(model || ''));
+        return entry ? entry[1] : this.defaultContextWindow;
+    }
+
+    /**
+     * 按模型自动确定的预算：上下文窗口减去输出预留（小窗口最多预留四分之一）
+     */
+    getDefaultBudget(model) {
+        const contextWindow = this.getContextWindow(model);
+        return contextWindow - Math.min(this.outputReserve, Math.floor(contextWindow / 4));
+    }
+
+    // ---------- 各部分的构造 ----------
+
+    fixedSection(key, label, messages, priority, required = false) {
+        return { key: key, label: label, priority: priority, required: required, variants: [{ messages: messages }] };
+    }
+
+    /**
+     * 角色变量：由完整到精简的几个版本，放不下时依次压缩
+     */
+    variableSection(variables, priority) {
+        const render = (value, indent) => '当前角色变量状态：\n```json\n' + JSON.stringify(value, null, indent) + '\n```';
+        const compactNote = '\n（为节省篇幅，部分人物互动记录、历史事件和物品描述已省略；更新这些列表时请使用patch增量操作，不要整体覆盖）';
+
+        return {
+            key: 'variables',
+            label: '角色变量',
+            priority: priority,
+            required: true,
+            variants: [
+                { note: '', messages: [{ role: 'system', content: render(variables, 2) }] },
+                { note: '去掉缩进', messages: [{ role: 'system', content: render(variables) }] },
+                { note: '精简互动记录与描述', messages: [{ role: 'system', content: render(this.compactVariables(variables, 2)) + compactNote }] },
+                { note: '只保留最新互动记录', messages: [{ role: 'system', content: render(this.compactVariables(variables, 3)) + compactNote }] }
+            ]
+        };
+    }
+
+    /**
+     * 压缩角色变量：level 2 保留最近3条人物互动记录、5条历史事件并截短描述；level 3 只保留最新1条、去掉描述
+     */
+    compactVariables(variables, level) {
+        const compact = JSON.parse(JSON.stringify(variables || {}));
+        const keepRelationHistory = level >= 3 ? 1 : 3;
+        const keepHistory = level >= 3 ? 2 : 5;
+
+        if (Array.isArray(compact.relationships)) {
+            compact.relationships.forEach(relation => {
+                if (relation && Array.isArray(relation.history) && relation.history.length > keepRelationHistory) {
+                    relation.history = relation.history.slice(-keepRelationHistory);
+                }
+                if (relation && level >= 3) delete relation.personality;
+            });
+        }
+        if (Array.isArray(compact.history) && compact.history.length > keepHistory) {
+            compact.history = compact.history.slice(-keepHistory);
+        }
+        ['items', 'techniques', 'spells'].forEach(key => {
+            (Array.isArray(compact[key]) ? compact[key] : []).forEach(entry => {
+                if (!entry || typeof entry.description !== 'string') return;
+                if (level >= 3) {
+                    delete entry.description;
+                } else if (entry.description.length > 20) {
+                    entry.description = entry.description.substring(0, 20) + '…';
+                }
+            });
+        });
+        return compact;
+    }
+
+    /**
+     * 近期对话：按轮（用户+AI两条）从新到旧排列，放不下时丢弃最旧的
+     */
+    recentSection(history, historyDepth, priority) {
+        const recent = historyDepth > 0 ? history.slice(-historyDepth * 2) : [];
+        const items = [];
+        for (let end = recent.length; end > 0; end -= 2) {
+            items.push({ messages: recent.slice(Math.max(0, end - 2), end) });
+        }
+        return {
+            key: 'recent',
+            label: '近期对话',
+            unit: '轮',
+            priority: priority,
+            reserveFirst: true,
+            items: items,
+            render: kept => kept.slice().reverse().flatMap(item => item.messages)
+        };
+    }
+
+    /**
+     * 列表形式的部分（如相关历史回忆）：items 按重要程度排列，放不下时丢弃靠后的
+     * header 与保留的条目合并成一条系统消息
+     */
+    listSection(key, label, header, texts, priority, unit = '条') {
+        return {
+            key: key,
+            label: label,
+            unit: unit,
+            priority: priority,
+            overhead: this.estimateTokens(header) + this.messageOverhead,
+            items: texts.map(text => ({ messages: [{ role: 'system', content: text }] })),
+            render: kept => kept.length > 0
+                ? [{ role: 'system', content: header + kept.map(item => item.messages[0].content).join('') }]
+                : []
+        };
+    }
+
+    // ---------- 组装 ----------
+
+    /**
+     * 按优先级在预算内组装上下文，sections 的数组顺序就是消息的最终顺序
+     * limit 为 token 预算（不传或为 Infinity 时不限制）
+     * 返回 { messages, report }，report 同时保存在 this.lastReport
+     */
+    assemble(sections, limit = Infinity, meta = {}) {
+        const budget = Number.isFinite(limit) && limit > 0 ? limit : Infinity;
+        const chosen = new Map();
+        const entries = [];
+
+        // 必需部分先按最精简的版本预留，保证后面的部分不会把它们挤掉；
+        // 标记了 reserveFirst 的列表（近期对话）也预留第一项，角色变量宁可压缩也要留下最近一轮
+        const minimumOf = section => {
+            if (section.variants) {
+                return section.required ? this.estimateMessages(section.variants[section.variants.length - 1].messages) : 0;
+            }
+            return section.reserveFirst && section.items.length > 0
+                ? this.estimateMessages(section.items[0].messages) + (section.overhead || 0)
+                : 0;
+        };
+        let reserved = sections.reduce((sum, s) => sum + minimumOf(s), 0);
+        let used = 0;
+
+        [...sections].sort((a, b) => a.priority - b.priority).forEach(section => {
+            reserved -= minimumOf(section);
+            const available = budget - used - reserved;
+            const entry = { key: section.key, label: section.label, tokens: 0, dropped: 0, note: '' };
+
+            if (section.variants) {
+                const index = section.variants.findIndex(v => v.messages.length === 0 || this.estimateMessages(v.messages) <= available);
+                const pickIndex = index !== -1 ? index : (section.required ? section.variants.length - 1 : -1);
+                if (pickIndex === -1) {
+                    chosen.set(section, []);
+                    entry.dropped = 1;
+                    entry.note = '超出预算，已省略';
+                } else {
+                    const variant = section.variants[pickIndex];
+                    chosen.set(section, variant.messages);
+                    entry.tokens = this.estimateMessages(variant.messages);
+                    entry.note = variant.note || '';
+                    if (index === -1) entry.note = `${entry.note ? entry.note + '，' : ''}仍超出预算`;
+                }
+            } else {
+                const kept = [];
+                let tokens = 0;
+                for (const item of section.items) {
+                    const cost = this.estimateMessages(item.messages) + (kept.length === 0 ? (section.overhead || 0) : 0);
+                    if (tokens + cost > available) break;
+                    kept.push(item);
+                    tokens += cost;
+                }
+                const messages = section.render(kept);
+                chosen.set(section, messages);
+                entry.tokens = this.estimateMessages(messages);
+                entry.dropped = section.items.length - kept.length;
+                entry.total = section.items.length;
+                entry.unit = section.unit;
+                if (entry.dropped > 0) entry.note = `超出预算，丢弃${entry.dropped}${section.unit || '条'}`;
+            }
+
+            used += entry.tokens;
+            entries.push(entry);
+        });
+
+        const messages = sections.flatMap(section => chosen.get(section) || []);
+        const report = {
+            ...meta,
+            limit: budget,
+            total: this.estimateMessages(messages),
+            sections: sections.map(section => entries.find(e => e.key === section.key))
+        };
+        this.lastReport = report;
+        return { messages: messages, report: report };
+    }
+
+    /**
+     * 报告的文字版（查看上下文时显示）
+     */
+    formatReport(report) {
+        if (!report) return '';
+        const limitText = Number.isFinite(report.limit) ? `${report.limit}` : '不限';
+        let text = `Token估算：约${report.total} / 预算${limitText}${report.model ? `（模型：${report.model}）` : ''}\n`;
+        report.sections.forEach(entry => {
+            const count = entry.total !== undefined ? `，${entry.total - entry.dropped}/${entry.total}${entry.unit || '条'}` : '';
+            text += `  · ${entry.label}：约${entry.tokens} tokens${count}${entry.note ? `（${entry.note}）` : ''}\n`;
+        });
+        return text;
+    }
+}
+
+// 创建全局实例
+window.tokenBudget = new TokenBudget();
+
+console.log('[Token预算] 已加载，使用方法：');
+console.log('1. window.tokenBudget.estimateTokens(文本) - 估算token数（中文按字计）');
+console.log('2. window.tokenBudget.assemble(各部分, 预算) - 按优先级在预算内组装上下文');
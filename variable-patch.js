@@ -0,0 +1,304 @@
+/**
+ * 变量增量更新协议
+ * AI 通过 variables.patch 按名称增删改道具、功法、法术和人际关系，
+ * 所有操作先在副本上执行并校验，全部合法后才整体生效；
+ * 旧的完整数组格式继续兼容，但可疑的大量删除不会直接生效，而是交给玩家确认
+ */
+
+// 支持增量更新的数组字段
+const PATCHABLE_COLLECTIONS = {
+    items: '道具',
+    techniques: '功法',
+    spells: '法术',
+    relationships: '人际关系'
+};
+
+class VariablePatcher {
+    constructor() {
+        this.maxSilentRemovals = 2; // 单个字段一次最多直接移除的条目数，超出则等待玩家确认
+        this.shrinkRatio = 0.5;     // 完整数组保留的条目少于原来的一半时视为可疑
+        this.minCheckedSize = 4;    // 原数组少于该数量时不做比例检查
+    }
+
+    /**
+     * 预演一次变量更新（不修改传入的状态），返回错误列表
+     * 供响应校验阶段使用，让模型在重试时修正不合法的增量操作
+     */
+    validateUpdate(variables, newVars) {
+        if (!newVars || !newVars.patch) return [];
+
+        const draft = JSON.parse(JSON.stringify(variables));
+        Object.keys(PATCHABLE_COLLECTIONS).forEach(field => {
+            if (Array.isArray(newVars[field])) {
+                draft[field] = this.reconcileFullArray(field, draft[field] || [], newVars[field]).array;
+            }
+        });
+
+        return this.applyPatch(draft, newVars.patch).errors;
+    }
+
+    /**
+     * 兼容旧格式：用完整数组替换
+     * 新数组缺少的条目视为被删除；删除过多时保留这些条目，并作为待确认项返回
+     * 返回 { array, pending }
+     */
+    reconcileFullArray(field, oldArray, newArray) {
+        const newNames = new Set(newArray.map(entry => this.nameOf(entry)));
+        const missing = oldArray.filter(entry => !newNames.has(this.nameOf(entry)));
+
+        if (missing.length === 0 || !this.isSuspiciousShrink(oldArray.length, missing.length)) {
+            return { array: newArray, pending: [] };
+        }
+
+        console.warn(`⚠️ ${PATCHABLE_COLLECTIONS[field]}数量异常减少：从${oldArray.length}个减少到${newArray.length}个，已拦截，等待玩家确认`);
+
+        return {
+            array: newArray.concat(missing),
+            pending: [{
+                field: field,
+                label: PATCHABLE_COLLECTIONS[field],
+                names: missing.map(entry => this.nameOf(entry)),
+                reason: `AI返回的${PATCHABLE_COLLECTIONS[field]}列表缺少${missing.length}项（${oldArray.length}→${newArray.length}）`
+            }]
+        };
+    }
+
+    /**
+     * 判断一次删除是否可疑
+     */
+    isSuspiciousShrink(oldCount, removedCount) {
+        if (removedCount > this.maxSilentRemovals) return true;
+        return oldCount >= this.minCheckedSize && (oldCount - removedCount) < oldCount * this.shrinkRatio;
+    }
+
+    /**
+     * 执行增量操作
+     * 在副本上逐条执行，任何一条不合法则整体作废（返回的 variables 为 null）
+     * 返回 { variables, errors, changes, pending }
+     */
+    applyPatch(variables, patch) {
+        const result = { variables: null, errors: [], changes: [], pending: [] };
+
+        if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+            result.errors.push({ path: 'variables.patch', code: 'type', message: 'patch必须是对象' });
+            return result;
+        }
+
+        const draft = JSON.parse(JSON.stringify(variables));
+
+        Object.entries(patch).forEach(([field, ops]) => {
+            const path = `variables.patch.${field}`;
+
+            if (!PATCHABLE_COLLECTIONS[field]) {
+                result.errors.push({ path: path, code: 'field', message: `不支持增量更新的字段，只能是：${Object.keys(PATCHABLE_COLLECTIONS).join('、')}` });
+                return;
+            }
+            if (!Array.isArray(ops)) {
+                result.errors.push({ path: path, code: 'type', message: '应为操作数组' });
+                return;
+            }
+
+            const collection = Array.isArray(draft[field]) ? draft[field] : [];
+            const originalCount = collection.length;
+            const removed = [];
+
+            ops.forEach((op, index) => {
+                const error = this.applyOperation(field, collection, op, removed, result.changes);
+                if (error) {
+                    result.errors.push({ path: `${path}[${index}]`, code: 'patch', message: error });
+                }
+            });
+
+            // 一次移除过多条目时，先保留下来等待玩家确认
+            if (removed.length > 0 && this.isSuspiciousShrink(originalCount, removed.length)) {
+                removed.forEach(entry => collection.push(entry));
+                result.pending.push({
+                    field: field,
+                    label: PATCHABLE_COLLECTIONS[field],
+                    names: removed.map(entry => this.nameOf(entry)),
+                    reason: `AI一次移除了${removed.length}项${PATCHABLE_COLLECTIONS[field]}`
+                });
+            }
+
+            draft[field] = collection;
+        });
+
+        if (result.errors.length === 0) {
+            result.variables = draft;
+        }
+
+        return result;
+    }
+
+    /**
+     * 执行单条操作，返回错误信息（成功时返回 null）
+     */
+    applyOperation(field, collection, op, removed, changes) {
+        if (!op || typeof op !== 'object') {
+            return '操作必须是对象';
+        }
+
+        const name = typeof op.name === 'string' ? op.name.trim() : '';
+        if (!name) {
+            return '缺少name';
+        }
+
+        const label = PATCHABLE_COLLECTIONS[field];
+        let index = collection.findIndex(entry => this.nameOf(entry) === name);
+        // 合并过的人物用旧称呼也能找到（见 npc-graph.js）
+        if (index === -1 && field === 'relationships') {
+            index = collection.findIndex(entry => entry && Array.isArray(entry.aliases) && entry.aliases.includes(name));
+        }
+        const existing = index === -1 ? null : collection[index];
+
+        switch (op.op) {
+            case 'add': {
+                const entry = this.stripOperationFields(op);
+                entry.name = existing ? this.nameOf(existing) : name;
+
+                if (existing) {
+                    // 道具同名叠加数量，其他字段同名视为更新
+                    if (field === 'items') {
+                        const count = this.toCount(op.count, 1);
+                        if (count === null) return `"${name}"的count必须是正整数`;
+                        Object.assign(existing, entry, { count: this.toCount(existing.count, 1) + count });
+                        changes.push(`${label} ${name} +${count}`);
+                    } else {
+                        Object.assign(existing, entry);
+                        changes.push(`${label} ${name} 已更新`);
+                    }
+                    this.appendHistory(existing, op.historyAppend);
+                    return null;
+                }
+
+                if (field === 'items') {
+                    if (!entry.type) return `新增道具"${name}"缺少type字段`;
+                    const count = this.toCount(op.count, 1);
+                    if (count === null) return `"${name}"的count必须是正整数`;
+                    entry.count = count;
+                }
+                if (field === 'relationships' && !Array.isArray(entry.history)) {
+                    entry.history = [];
+                }
+
+                this.appendHistory(entry, op.historyAppend);
+                collection.push(entry);
+                changes.push(`${label} 新增 ${name}`);
+                return null;
+            }
+
+            case 'remove': {
+                if (!existing) return `当前没有名为"${name}"的${label}，无法移除`;
+
+                if (field === 'items' && op.count !== undefined) {
+                    const count = this.toCount(op.count, null);
+                    const owned = this.toCount(existing.count, 1);
+                    if (count === null) return `"${name}"的count必须是正整数`;
+                    if (count > owned) return `"${name}"只有${owned}个，无法移除${count}个`;
+                    if (count < owned) {
+                        existing.count = owned - count;
+                        changes.push(`${label} ${name} -${count}`);
+                        return null;
+                    }
+                }
+
+                collection.splice(index, 1);
+                removed.push(existing);
+                changes.push(`${label} 移除 ${name}`);
+                return null;
+            }
+
+            case 'update': {
+                if (!existing) return `当前没有名为"${name}"的${label}，无法更新（新条目请使用add）`;
+
+                if (op.set !== undefined) {
+                    if (!op.set || typeof op.set !== 'object' || Array.isArray(op.set)) {
+                        return `"${name}"的set必须是对象`;
+                    }
+                    const renamed = typeof op.set.name === 'string' ? op.set.name.trim() : null;
+                    if (renamed && renamed !== name && collection.some(entry => this.nameOf(entry) === renamed)) {
+                        return `无法把"${name}"改名为"${renamed}"：该名称已存在`;
+                    }
+                    Object.assign(existing, op.set);
+                }
+
+                if (op.countDelta !== undefined) {
+                    if (field !== 'items') return 'countDelta只能用于道具';
+                    const delta = Number(op.countDelta);
+                    if (!Number.isInteger(delta)) return `"${name}"的countDelta必须是整数`;
+                    const next = this.toCount(existing.count, 1) + delta;
+                    if (next < 0) return `"${name}"只有${this.toCount(existing.count, 1)}个，无法减少${-delta}个`;
+                    if (next === 0) {
+                        collection.splice(index, 1);
+                        removed.push(existing);
+                        changes.push(`${label} 用尽 ${name}`);
+                        return null;
+                    }
+                    existing.count = next;
+                    changes.push(`${label} ${name} ${delta >= 0 ? '+' : ''}${delta}`);
+                }
+
+                if (op.favorDelta !== undefined) {
+                    if (field !== 'relationships') return 'favorDelta只能用于人际关系';
+                    const delta = Number(op.favorDelta);
+                    if (!Number.isFinite(delta)) return `"${name}"的favorDelta必须是数值`;
+                    existing.favor = (Number(existing.favor) || 0) + delta;
+                    changes.push(`${label} ${name} 好感${delta >= 0 ? '+' : ''}${delta}`);
+                }
+
+                if (op.historyAppend !== undefined) {
+                    if (field !== 'relationships') return 'historyAppend只能用于人际关系';
+                    this.appendHistory(existing, op.historyAppend);
+                }
+
+                return null;
+            }
+
+            default:
+                return `未知操作"${op.op}"，只能是add、remove、update`;
+        }
+    }
+
+    /**
+     * 移除已确认的待删除条目
+     */
+    removeEntries(variables, field, names) {
+        const nameSet = new Set(names);
+        variables[field] = (variables[field] || []).filter(entry => !nameSet.has(this.nameOf(entry)));
+    }
+
+    appendHistory(entry, records) {
+        if (records === undefined) return;
+        const list = Array.isArray(records) ? records : [records];
+        if (!Array.isArray(entry.history)) entry.history = [];
+
+        list.forEach(record => {
+            const trimmed = typeof record === 'string' ? record.trim() : '';
+            if (trimmed && !entry.history.some(existing => existing.trim() === trimmed)) {
+                entry.history.push(trimmed);
+            }
+        });
+    }
+
+    stripOperationFields(op) {
+        const { op: _op, set, countDelta, favorDelta, historyAppend, ...fields } = op;
+        return Object.assign(fields, set || {});
+    }
+
+    toCount(value, fallback) {
+        if (value === undefined || value === null) return fallback;
+        const count = Number(value);
+        return Number.isInteger(count) && count > 0 ? count : null;
+    }
+
+    nameOf(entry) {
+        return entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+    }
+}
+
+// 创建全局实例
+window.variablePatcher = new VariablePatcher();
+
+console.log('[增量更新] 已加载，使用方法：');
+console.log('1. window.variablePatcher.applyPatch(variables, patch) - 在副本上执行增量操作');
+console.log('2. window.variablePatcher.validateUpdate(variables, newVars) - 预演一次变量更新并返回错误');
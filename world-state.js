@@ -0,0 +1,373 @@
+/**
+ * 世界局势
+ * 动态世界在背后维护一份结构化的世界状态：势力、地区、重要人物、进行中的冲突，各自带有属性。
+ * 额外API按约定的格式（world 字段中各类条目的 add/update/remove 操作，以及本次发生的 events）更新它，
+ * 推演按回合数或游戏内天数定期进行，而不是每回合一次；
+ * 世界事件涉及主角所在的地点或认识的人物时，整理成提示附在主线剧情的提示词中。
+ * 本模块只做计算，世界状态保存在存档的 dynamicWorld.world 中
+ */
+
+// 世界状态中的条目类型：文本属性、0-100的数值属性、名称列表属性
+const WORLD_KINDS = {
+    factions: {
+        label: '势力',
+        texts: { type: '类型', base: '驻地', leader: '首领', stance: '立场', status: '状态', description: '简介' },
+        numbers: { strength: '实力', influence: '影响力' },
+        lists: {}
+    },
+    regions: {
+        label: '地区',
+        texts: { controller: '控制势力', status: '状态', description: '简介' },
+        numbers: { danger: '危险', prosperity: '繁荣' },
+        lists: {}
+    },
+    npcs: {
+        label: '人物',
+        texts: { faction: '所属势力', location: '所在地', realm: '境界', status: '状态', description: '简介' },
+        numbers: {},
+        lists: {}
+    },
+    conflicts: {
+        label: '冲突',
+        texts: { region: '地点', status: '状态', description: '简介' },
+        numbers: { intensity: '激烈程度' },
+        lists: { parties: '参与势力' }
+    }
+};
+
+const WORLD_NAME_LIST = { type: ['array', 'string'], items: { type: 'string' } };
+
+function worldEntrySchema(kind) {
+    const properties = {
+        op: { type: 'string', enum: ['add', 'update', 'remove'] },
+        name: { type: 'string', minLength: 1 }
+    };
+    Object.keys(kind.texts).forEach(key => {
+        properties[key] = { type: 'string' };
+    });
+    Object.keys(kind.numbers).forEach(key => {
+        properties[key] = { type: 'number' };
+        properties[key + 'Delta'] = { type: 'number' };
+    });
+    Object.keys(kind.lists).forEach(key => {
+        properties[key] = WORLD_NAME_LIST;
+    });
+    return { type: 'object', required: ['op', 'name'], properties: properties };
+}
+
+const WORLD_EVENT_SCHEMA = {
+    type: 'object',
+    required: ['title'],
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        region: { type: 'string' },
+        factions: WORLD_NAME_LIST,
+        npcs: WORLD_NAME_LIST
+    }
+};
+
+class WorldState {
+    constructor() {
+        this.kinds = WORLD_KINDS;
+        this.maxEvents = 50;        // 世界状态中保留的最近事件数
+        this.contextTurns = 10;     // 多少回合内的事件会被带入主线剧情
+        this.contextEvents = 3;     // 每回合最多带入的事件数
+        this.defaultSchedule = { mode: 'turns', interval: 3 }; // 默认每3回合推演一次
+    }
+
+    createState() {
+        return {
+            factions: [],   // [{ name, type, base, leader, stance, status, description, strength, influence, updatedTurn }]
+            regions: [],    // [{ name, controller, status, description, danger, prosperity, updatedTurn }]
+            npcs: [],       // [{ name, faction, location, realm, status, description, updatedTurn }]
+            conflicts: [],  // [{ name, region, status, description, intensity, parties: [], updatedTurn }]
+            events: [],     // 最近发生的世界事件：[{ id, turn, date, title, description, region, factions: [], npcs: [] }]
+            lastRun: null   // 上次推演时的 { turn, ordinal }（ordinal 为日期无法解析时的 null）
+        };
+    }
+
+    // ---------- 推演时机 ----------
+
+    /**
+     * 规范化推演时机：{ mode: 'turns' | 'days', interval }
+     */
+    normalizeSchedule(raw) {
+        const schedule = raw || {};
+        const interval = parseInt(schedule.interval, 10);
+        return {
+            mode: schedule.mode === 'days' ? 'days' : 'turns',
+            interval: Number.isFinite(interval) && interval > 0 ? interval : this.defaultSchedule.interval
+        };
+    }
+
+    /**
+     * 是否到了推演时间：从未推演过时立即推演；按天数推演但日期无法解析时退回按回合数
+     * 回档后当前回合早于上次推演的回合，上次推演属于被丢弃的剧情，同样立即推演
+     * now: { turn, ordinal }
+     */
+    isDue(world, schedule, now) {
+        const last = world.lastRun;
+        if (!last) return true;
+        if (now.turn < last.turn) return true;
+
+        if (schedule.mode === 'days' && Number.isFinite(now.ordinal) && Number.isFinite(last.ordinal)) {
+            return now.ordinal - last.ordinal >= schedule.interval * window.gameCalendar.ticksPerDay();
+        }
+        return now.turn - last.turn >= schedule.interval;
+    }
+
+    describeSchedule(schedule) {
+        return schedule.mode === 'days' ? `每${schedule.interval}天（游戏内时间）` : `每${schedule.interval}回合`;
+    }
+
+    // ---------- 更新 ----------
+
+    findEntry(world, kind, name) {
+        return world[kind].find(entry => entry.name === name);
+    }
+
+    clampNumber(value) {
+        return Math.max(0, Math.min(100, Math.round(value)));
+    }
+
+    toNameList(value) {
+        const names = Array.isArray(value) ? value : String(value).split(/[、，,]/);
+        return names.map(name => String(name).trim()).filter(Boolean);
+    }
+
+    // 把操作中的属性写入条目（数值限制在0-100，xxxDelta 为增减量）
+    assignFields(kind, entry, op) {
+        Object.keys(kind.texts).forEach(key => {
+            if (typeof op[key] === 'string') entry[key] = op[key].trim();
+        });
+        Object.keys(kind.numbers).forEach(key => {
+            if (typeof op[key] === 'number') entry[key] = this.clampNumber(op[key]);
+            if (typeof op[key + 'Delta'] === 'number') entry[key] = this.clampNumber((entry[key] || 0) + op[key + 'Delta']);
+        });
+        Object.keys(kind.lists).forEach(key => {
+            if (op[key] !== undefined) entry[key] = this.toNameList(op[key]);
+        });
+    }
+
+    createEntry(kindKey, name) {
+        const kind = WORLD_KINDS[kindKey];
+        const entry = { name: name };
+        Object.keys(kind.texts).forEach(key => { entry[key] = ''; });
+        Object.keys(kind.numbers).forEach(key => { entry[key] = 50; });
+        Object.keys(kind.lists).forEach(key => { entry[key] = []; });
+        return entry;
+    }
+
+    /**
+     * 应用额外API返回的 world 更新（直接修改传入的世界状态）
+     * 单条操作不合法（格式错误、更新或移除不存在的条目）时跳过该条，其余照常生效
+     * context: { turn, ordinal, date }，返回 { changes: [说明], errors: [说明] }
+     */
+    applyUpdate(world, update, context) {
+        const changes = [];
+        const errors = [];
+        // 没有返回 world 字段也算推演过一次（世界局势没有变化）
+        if (!update || typeof update !== 'object') update = {};
+
+        Object.keys(WORLD_KINDS).forEach(kindKey => {
+            const kind = WORLD_KINDS[kindKey];
+            if (update[kindKey] === undefined) return;
+            if (!Array.isArray(update[kindKey])) {
+                errors.push(`world.${kindKey} 应为数组`);
+                return;
+            }
+
+            update[kindKey].forEach((op, index) => {
+                const validation = window.responseValidator.validate(op, worldEntrySchema(kind));
+                if (validation.errors.length > 0) {
+                    errors.push(`world.${kindKey}[${index}]：${validation.errors.map(e => `${e.path} ${e.message}`).join('；')}`);
+                    return;
+                }
+
+                const name = op.name.trim();
+                const existing = this.findEntry(world, kindKey, name);
+                if (op.op === 'remove') {
+                    if (!existing) {
+                        errors.push(`要移除的${kind.label}「${name}」不存在`);
+                        return;
+                    }
+                    world[kindKey] = world[kindKey].filter(entry => entry !== existing);
+                    changes.push(`${kind.label}「${name}」消失`);
+                    return;
+                }
+                if (op.op === 'update' && !existing) {
+                    errors.push(`要更新的${kind.label}「${name}」不存在`);
+                    return;
+                }
+
+                // 新增已存在的条目按更新处理
+                const entry = existing || this.createEntry(kindKey, name);
+                this.assignFields(kind, entry, op);
+                entry.updatedTurn = context.turn;
+                if (!existing) world[kindKey].push(entry);
+                changes.push(`${existing ? '更新' : '新增'}${kind.label}「${name}」`);
+            });
+        });
+
+        if (update.events !== undefined) {
+            if (!Array.isArray(update.events)) {
+                errors.push('world.events 应为数组');
+            } else {
+                update.events.forEach((raw, index) => {
+                    const validation = window.responseValidator.validate(raw, WORLD_EVENT_SCHEMA);
+                    if (validation.errors.length > 0) {
+                        errors.push(`world.events[${index}]：${validation.errors.map(e => `${e.path} ${e.message}`).join('；')}`);
+                        return;
+                    }
+                    world.events.push({
+                        id: `world-${context.turn}-${world.events.length}-${Date.now().toString(36)}`,
+                        turn: context.turn,
+                        date: context.date || '',
+                        title: raw.title.trim(),
+                        description: (raw.description || '').trim(),
+                        region: (raw.region || '').trim(),
+                        factions: raw.factions !== undefined ? this.toNameList(raw.factions) : [],
+                        npcs: raw.npcs !== undefined ? this.toNameList(raw.npcs) : []
+                    });
+                    changes.push(`事件「${raw.title.trim()}」`);
+                });
+                world.events = world.events.slice(-this.maxEvents);
+            }
+        }
+
+        world.lastRun = { turn: context.turn, ordinal: Number.isFinite(context.ordinal) ? context.ordinal : null };
+        return { changes: changes, errors: errors };
+    }
+
+    /**
+     * 回档或分出分支时只保留前 maxTurn 回合推演出的世界事件，被放弃的剧情中发生的事件不再带入主线
+     * 势力、地区等条目只记着最新的状态，无法按回合还原
+     */
+    retainTurns(world, maxTurn) {
+        world.events = world.events.filter(event => event.turn <= maxTurn);
+    }
+
+    // ---------- 提示词 ----------
+
+    describeEntry(kindKey, entry) {
+        const kind = WORLD_KINDS[kindKey];
+        const parts = [];
+        Object.keys(kind.texts).forEach(key => {
+            if (entry[key]) parts.push(`${kind.texts[key]}：${entry[key]}`);
+        });
+        Object.keys(kind.lists).forEach(key => {
+            if (entry[key] && entry[key].length > 0) parts.push(`${kind.lists[key]}：${entry[key].join('、')}`);
+        });
+        Object.keys(kind.numbers).forEach(key => {
+            if (typeof entry[key] === 'number') parts.push(`${kind.numbers[key]}${entry[key]}`);
+        });
+        return `${entry.name}${parts.length > 0 ? '（' + parts.join('，') + '）' : ''}`;
+    }
+
+    describeEvent(event) {
+        const where = [event.date, event.region].filter(Boolean).join('，');
+        return `${event.title}${where ? '（' + where + '）' : ''}${event.description ? '：' + event.description : ''}`;
+    }
+
+    /**
+     * 给额外API的世界状态说明（推演前附在提示词中）
+     */
+    describe(world, recentEvents = 5) {
+        const lines = [];
+        Object.keys(WORLD_KINDS).forEach(kindKey => {
+            const entries = world[kindKey];
+            lines.push(`${WORLD_KINDS[kindKey].label}：${entries.length > 0 ? '' : '暂无'}`);
+            entries.forEach(entry => lines.push(`- ${this.describeEntry(kindKey, entry)}`));
+        });
+        const events = world.events.slice(-recentEvents);
+        if (events.length > 0) {
+            lines.push('最近的世界事件：');
+            events.forEach(event => lines.push(`- ${this.describeEvent(event)}`));
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * 给额外API的更新格式说明
+     */
+    buildUpdateInstruction() {
+        const kinds = Object.keys(WORLD_KINDS).map(kindKey => {
+            const kind = WORLD_KINDS[kindKey];
+            const fields = [
+                ...Object.keys(kind.texts).map(key => `${key}（${kind.texts[key]}）`),
+                ...Object.keys(kind.numbers).map(key => `${key}（${kind.numbers[key]}，0-100，也可用${key}Delta写增减）`),
+                ...Object.keys(kind.lists).map(key => `${key}（${kind.lists[key]}，名称数组）`)
+            ];
+            return `- world.${kindKey}（${kind.label}）：${fields.join('、')}`;
+        });
+        return [
+            '【世界状态更新】在返回的JSON中加入 world 字段，写出本次推演中世界状态的变化（没有变化的条目不要写）：',
+            ...kinds,
+            '- 每个条目都是一次操作：{"op": "add" | "update" | "remove", "name": "名称", ...属性}，update 只写变化的属性，名称必须与当前世界状态中完全一致',
+            '- world.events：本次发生的世界事件，[{"title": "事件", "description": "经过", "region": "发生地点", "factions": ["涉及势力"], "npcs": ["涉及人物"]}]',
+            '示例："world": {"factions": [{"op": "update", "name": "血煞宗", "strengthDelta": -15, "status": "元气大伤"}], "conflicts": [{"op": "add", "name": "黑风谷之战", "region": "黑风谷", "parties": ["血煞宗", "天剑门"], "intensity": 70, "status": "激战"}], "events": [{"title": "血煞宗围攻天剑门分舵", "description": "...", "region": "黑风谷", "factions": ["血煞宗", "天剑门"], "npcs": ["厉无涯"]}]}'
+        ].join('\n');
+    }
+
+    // 地点名称互相包含即视为同一处（“青云宗”与“青云宗外门”）
+    matchesPlace(place, location) {
+        if (!place || !location) return false;
+        return place.includes(location) || location.includes(place);
+    }
+
+    /**
+     * 与主角相关的世界局势：所在地区、在该地区进行的冲突，以及涉及所在地区、认识的人物
+     * 或与之相关的势力（所在地区的控制势力、认识的人物所属的势力）的近期事件
+     */
+    findRelevant(world, variables, turn) {
+        const location = variables.location || '';
+        const names = new Set((variables.relationships || []).map(r => r.name));
+
+        const regions = world.regions.filter(region => this.matchesPlace(region.name, location));
+        const factions = new Set([
+            ...regions.map(region => region.controller).filter(Boolean),
+            ...world.npcs.filter(npc => names.has(npc.name) && npc.faction).map(npc => npc.faction)
+        ]);
+        const conflicts = world.conflicts.filter(conflict => this.matchesPlace(conflict.region, location));
+
+        const events = world.events
+            .filter(event => turn - event.turn <= this.contextTurns)
+            .map(event => {
+                const reasons = [];
+                if (this.matchesPlace(event.region, location)) reasons.push(`发生在主角所在的${event.region}`);
+                const people = event.npcs.filter(name => names.has(name));
+                if (people.length > 0) reasons.push(`涉及主角认识的${people.join('、')}`);
+                const related = event.factions.filter(name => factions.has(name));
+                if (related.length > 0) reasons.push(`涉及${related.join('、')}`);
+                return { event: event, reasons: reasons };
+            })
+            .filter(match => match.reasons.length > 0)
+            .slice(-this.contextEvents);
+
+        return { regions: regions, conflicts: conflicts, events: events };
+    }
+
+    /**
+     * 附在主线剧情提示词中的世界局势，没有相关内容时返回空字符串
+     */
+    buildContext(world, variables, turn) {
+        const relevant = this.findRelevant(world, variables, turn);
+        const lines = [];
+        relevant.regions.forEach(region => lines.push(`主角所在地区：${this.describeEntry('regions', region)}`));
+        relevant.conflicts.forEach(conflict => lines.push(`此地进行中的冲突：${this.describeEntry('conflicts', conflict)}`));
+        if (relevant.events.length > 0) {
+            lines.push('与主角有关的世界事件（可通过传闻、来信、亲眼所见等方式自然引入剧情，不要生硬复述）：'
+                + relevant.events.map(match => `${this.describeEvent(match.event)}【${match.reasons.join('，')}】`).join('；'));
+        }
+        return lines.join('。');
+    }
+}
+
+// 创建全局实例
+window.worldState = new WorldState();
+
+console.log('[世界局势] 已加载，使用方法：');
+console.log('1. window.gameEngine.applyWorldUpdate({ factions: [{ op: "update", name: "血煞宗", strengthDelta: -10 }], events: [...] }) - 更新世界状态');
+console.log('2. window.gameEngine.buildWorldHint() - 查看附在主线剧情中的世界局势');
+console.log('3. window.worldState.describe(gameState.dynamicWorld.world) - 查看完整的世界状态');